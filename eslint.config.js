@@ -42,6 +42,9 @@ export default [
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
         fetch: 'readonly',
+        AbortController: 'readonly',
+        IntersectionObserver: 'readonly',
+        DOMParser: 'readonly',
       },
     },
     rules: {
@@ -9,12 +9,13 @@
  */
 
 import React from 'react';
+import PropTypes from 'prop-types';
 import { ConfigProvider, Layout, App as AntdApp } from 'antd';
 import NavigationMenu from './components/navigation/navigation-menu';
 import ConfigurationPage from './pages/configuration-page';
 import DataTablePage from './pages/datatable-page';
 import { antdTheme } from './styles/config/antd-theme';
-import { useViewManager, VIEWS } from './hooks/use-view-manager';
+import { useViewManager, VIEWS, APP_MODES } from './hooks/use-view-manager';
 
 const { Header, Content } = Layout;
 
@@ -22,9 +23,39 @@ const { Header, Content } = Layout;
  * App Component
  *
  * Root component with view management (no routing)
+ *
+ * @param {Object} props
+ * @param {string} props.configId - Named configuration to use (from data-config-id)
+ * @param {Object} props.inlineConfig - Inline configuration object (from data-config)
+ * @param {string} props.mode - 'editor' (default) or 'viewer' (from data-mode)
+ * @param {Object} props.liferayConfig - Liferay configuration (may also set mode)
+ * @param {HTMLElement} props.host - Custom element hosting the app (public API and events)
  */
-const App = () => {
-  const viewManager = useViewManager(VIEWS.CONFIGURATION);
+const App = ({ configId, inlineConfig, mode, liferayConfig = {}, host }) => {
+  // Viewer mode: read-only table, no wizard, navigation or URL params
+  const isViewer = (mode || liferayConfig.mode) === APP_MODES.VIEWER;
+
+  // Instances bound to a configuration open directly on the table
+  const viewManager = useViewManager(
+    isViewer || configId || inlineConfig ? VIEWS.DATATABLE : VIEWS.CONFIGURATION,
+    { syncWithUrl: !isViewer }
+  );
+
+  if (isViewer) {
+    return (
+      <ConfigProvider theme={antdTheme}>
+        <AntdApp>
+          <DataTablePage
+            onNavigate={viewManager.navigateTo}
+            configId={configId}
+            inlineConfig={inlineConfig}
+            host={host}
+            readOnly
+          />
+        </AntdApp>
+      </ConfigProvider>
+    );
+  }
 
   return (
     <ConfigProvider theme={antdTheme}>
@@ -42,6 +73,7 @@ const App = () => {
               <NavigationMenu
                 currentView={viewManager.currentView}
                 onNavigate={viewManager.navigateTo}
+                configId={configId}
               />
             </div>
           </Header>
@@ -49,10 +81,19 @@ const App = () => {
           {/* Main Content */}
           <Content style={{ background: '#f0f2f5' }}>
             {viewManager.currentView === VIEWS.CONFIGURATION && (
-              <ConfigurationPage onNavigate={viewManager.navigateTo} />
+              <ConfigurationPage
+                onNavigate={viewManager.navigateTo}
+                configId={configId}
+                host={host}
+              />
             )}
             {viewManager.currentView === VIEWS.DATATABLE && (
-              <DataTablePage onNavigate={viewManager.navigateTo} />
+              <DataTablePage
+                onNavigate={viewManager.navigateTo}
+                configId={configId}
+                inlineConfig={inlineConfig}
+                host={host}
+              />
             )}
           </Content>
         </Layout>
@@ -61,4 +102,12 @@ const App = () => {
   );
 };
 
+App.propTypes = {
+  configId: PropTypes.string,
+  inlineConfig: PropTypes.object,
+  mode: PropTypes.oneOf(Object.values(APP_MODES)),
+  liferayConfig: PropTypes.object,
+  host: PropTypes.object,
+};
+
 export default App;
@@ -1,22 +1,64 @@
 /**
  * API Configuration Section
  *
- * Form section for configuring API endpoint and authentication.
- * Provides URL validation and example loading functionality.
+ * Form section for configuring the data source, API endpoint, authentication type and request method.
+ * Provides URL validation, body/GraphQL templates, response format, response cache, retries and example loading functionality.
+ * Liferay Headless sources use a portal-relative path and the user session.
+ * Static sources store pasted or uploaded JSON/CSV rows instead of calling an API.
+ * Lookup sources join fields of other APIs into the rows of any source type.
  */
 
 import React, { useState } from 'react';
-import { Form, Input, Button, Alert, Space, Divider } from 'antd';
-import { LinkOutlined } from '@ant-design/icons';
-import { validateUrl } from '../../utils/api-validator';
-import { UrlParamsEditor, DefaultQueryParamsEditor } from '../shared';
+import { Form, Input, Button, Alert, Space, Divider, Select, Typography, Radio } from 'antd';
+import { LinkOutlined, CloudServerOutlined, DatabaseOutlined } from '@ant-design/icons';
+import { validateEndpoint } from '../../utils/api-validator';
+import { validateJsonTemplate } from '../../utils/request-template';
+import { getApiBaseURL } from '../../config/liferay-config';
+import {
+  DEFAULT_AUTH_CONFIG,
+  DEFAULT_REQUEST_CONFIG,
+  DEFAULT_RESPONSE_FORMAT,
+  REQUEST_METHODS,
+  SOURCE_TYPES,
+} from '../../core/models/configuration.types';
+import { UrlParamsEditor, DefaultQueryParamsEditor, RequestHeadersEditor } from '../shared';
+import LiferayParamsPanel from '../../features/liferay/components/liferay-params-panel';
+import LiferaySourcePicker from '../../features/liferay/components/liferay-source-picker';
+import AuthConfigPanel from '../../features/auth/components/auth-config-panel';
+import CacheConfigPanel from '../../features/cache/components/cache-config-panel';
+import RetryConfigPanel from '../../features/retry/components/retry-config-panel';
+import ResponseFormatPanel from '../../features/response-format/components/response-format-panel';
+import StaticDataPanel from '../../features/static-data/components/static-data-panel';
+import LookupSourcesPanel from '../../features/lookups/components/lookup-sources-panel';
 
-const ApiConfigSection = ({ value = {}, onChange }) => {
+const { Text } = Typography;
+
+const REQUEST_METHOD_OPTIONS = [
+  { value: REQUEST_METHODS.GET, label: 'GET' },
+  { value: REQUEST_METHODS.POST, label: 'POST' },
+  { value: REQUEST_METHODS.PUT, label: 'PUT' },
+  { value: REQUEST_METHODS.GRAPHQL, label: 'GraphQL' },
+];
+
+const PLACEHOLDERS_HELP =
+  'Placeholders: {{page}}, {{pageSize}}, {{offset}}, {{sort.field}}, {{sort.order}}, {{search}}, {{filters.nome}}';
+
+const ApiConfigSection = ({ value = {}, onChange, onSourceTypeChange, onLiferaySourceSelect }) => {
   const [urlValidation, setUrlValidation] = useState(null);
+  const isLiferay = value.sourceType === SOURCE_TYPES.LIFERAY_HEADLESS;
+  const isStatic = value.sourceType === SOURCE_TYPES.STATIC;
+
+  /**
+   * Handles source type change (Liferay Headless pre-fills the other steps)
+   */
+  const handleSourceTypeChange = (e) => {
+    setUrlValidation(null);
+    onSourceTypeChange(e.target.value);
+  };
 
   const handleEndpointChange = (e) => {
     const url = e.target.value;
-    const validation = validateUrl(url);
+    const validation = validateEndpoint(url, value.sourceType);
     setUrlValidation(validation);
 
     onChange({
@@ -26,13 +68,30 @@ const ApiConfigSection = ({ value = {}, onChange }) => {
   };
 
   /**
-   * Handles auth token change
+   * Handles Object/Headless endpoint picked from the portal catalog
    */
+  const handleLiferaySourceSelect = (source) => {
+    setUrlValidation(validateEndpoint(source.endpoint, value.sourceType));
+    onLiferaySourceSelect(source);
+  };
 
-  const handleTokenChange = (e) => {
+  /**
+   * Handles auth token change (Bearer auth type)
+   */
+  const handleTokenChange = (authToken) => {
     onChange({
       ...value,
-      authToken: e.target.value,
+      authToken,
+    });
+  };
+
+  /**
+   * Handles auth type/credentials change
+   */
+  const handleAuthChange = (auth) => {
+    onChange({
+      ...value,
+      auth,
     });
   };
 
@@ -56,6 +115,94 @@ const ApiConfigSection = ({ value = {}, onChange }) => {
     });
   };
 
+  /**
+   * Handles custom request headers change
+   */
+  const handleHeadersChange = (headers) => {
+    onChange({
+      ...value,
+      headers,
+    });
+  };
+
+  /**
+   * Handles response cache change
+   */
+  const handleCacheChange = (cache) => {
+    onChange({
+      ...value,
+      cache,
+    });
+  };
+
+  /**
+   * Handles retry change
+   */
+  const handleRetryChange = (retry) => {
+    onChange({
+      ...value,
+      retry,
+    });
+  };
+
+  /**
+   * Handles static data change
+   */
+  const handleStaticDataChange = (staticData) => {
+    onChange({
+      ...value,
+      staticData,
+    });
+  };
+
+  /**
+   * Handles lookup sources change
+   */
+  const handleLookupsChange = (lookups) => {
+    onChange({
+      ...value,
+      lookups,
+    });
+  };
+
+  /**
+   * Handles response format change
+   */
+  const handleResponseFormatChange = (responseFormat) => {
+    onChange({
+      ...value,
+      responseFormat,
+    });
+  };
+
+  /**
+   * Handles Liferay search/filter/fields change
+   */
+  const handleLiferayParamsChange = (liferayParams) => {
+    onChange({
+      ...value,
+      liferayParams,
+    });
+  };
+
+  /**
+   * Handles request method/body change
+   */
+  const handleRequestChange = (field, fieldValue) => {
+    onChange({
+      ...value,
+      request: {
+        ...DEFAULT_REQUEST_CONFIG,
+        ...(value.request || {}),
+        [field]: fieldValue,
+      },
+    });
+  };
+
+  const request = { ...DEFAULT_REQUEST_CONFIG, ...(value.request || {}) };
+  const bodyValidation = validateJsonTemplate(request.bodyTemplate);
+  const variablesValidation = validateJsonTemplate(request.graphqlVariables);
+
   /**
    * Loads example API configuration
    */
@@ -64,8 +211,12 @@ const ApiConfigSection = ({ value = {}, onChange }) => {
       ...value,
       apiEndpoint: 'https://jsonplaceholder.typicode.com/users',
       authToken: '',
+      auth: { ...DEFAULT_AUTH_CONFIG },
       urlParams: [],
       defaultQueryParams: [],
+      headers: [],
+      request: { ...DEFAULT_REQUEST_CONFIG },
+      responseFormat: { ...DEFAULT_RESPONSE_FORMAT },
     });
     setUrlValidation({ valid: true, severity: 'success' });
   };
@@ -74,78 +225,205 @@ const ApiConfigSection = ({ value = {}, onChange }) => {
     <Space direction="vertical" size="large" style={{ width: '100%', gap: 12 }}>
       <Alert
         message="Configuração da API"
-        description="Configure o endpoint da API de onde você deseja buscar os dados. Você pode usar qualquer API REST que retorne dados em JSON."
+        description="Configure o endpoint da API de onde você deseja buscar os dados. Você pode usar qualquer API REST que retorne dados em JSON, CSV, XML ou NDJSON."
         type="info"
       />
 
-      <Form.Item
-        label="URL do Endpoint da API*"
-        validateStatus={urlValidation ? (urlValidation.valid ? 'success' : 'error') : undefined}
-        help={
-          urlValidation?.error ||
-          urlValidation?.warning ||
-          'Digite a URL completa do endpoint da sua API'
-        }
-      >
-        <Input
-          value={value.apiEndpoint}
-          onChange={handleEndpointChange}
-          placeholder="https://jsonplaceholder.typicode.com/users"
-          prefix={<LinkOutlined />}
-          size="large"
+      <Form.Item layout="vertical" label="Tipo de Fonte de Dados">
+        <Radio.Group
+          value={value.sourceType || SOURCE_TYPES.EXTERNAL}
+          onChange={handleSourceTypeChange}
+          buttonStyle="solid"
+        >
+          <Radio.Button value={SOURCE_TYPES.EXTERNAL}>
+            <LinkOutlined /> API Externa
+          </Radio.Button>
+          <Radio.Button value={SOURCE_TYPES.LIFERAY_HEADLESS}>
+            <CloudServerOutlined /> Liferay Headless
+          </Radio.Button>
+          <Radio.Button value={SOURCE_TYPES.STATIC}>
+            <DatabaseOutlined /> Dados estáticos
+          </Radio.Button>
+        </Radio.Group>
+      </Form.Item>
+
+      {isLiferay && (
+        <Alert
+          message="Liferay Headless"
+          description="As requisições usam a URL do portal e a sessão do usuário (x-csrf-token). Paginação (page/pageSize), ordenação (sort=campo:asc) e o mapeamento items/totalCount foram preenchidos automaticamente."
+          type="success"
+          showIcon
         />
-        {urlValidation?.fixedUrl && (
-          <Button
-            type="link"
-            size="small"
-            onClick={() => {
-              onChange({
-                ...value,
-                apiEndpoint: urlValidation.fixedUrl,
-              });
-              setUrlValidation(validateUrl(urlValidation.fixedUrl));
-            }}
+      )}
+
+      {isLiferay && <LiferaySourcePicker onSelect={handleLiferaySourceSelect} />}
+
+      {isStatic ? (
+        <StaticDataPanel value={value.staticData} onChange={handleStaticDataChange} />
+      ) : (
+        <>
+          <Form.Item
+            label={isLiferay ? 'Caminho da API Headless*' : 'URL do Endpoint da API*'}
+            validateStatus={urlValidation ? (urlValidation.valid ? 'success' : 'error') : undefined}
+            help={
+              urlValidation?.error ||
+              urlValidation?.warning ||
+              (isLiferay
+                ? `Caminho relativo à URL do portal (${getApiBaseURL()})`
+                : 'Digite a URL completa do endpoint da sua API')
+            }
           >
-            Usar URL sugerida: {urlValidation.fixedUrl}
-          </Button>
-        )}
-      </Form.Item>
+            <Input
+              value={value.apiEndpoint}
+              onChange={handleEndpointChange}
+              placeholder={
+                isLiferay
+                  ? '/o/headless-admin-user/v1.0/user-accounts'
+                  : 'https://jsonplaceholder.typicode.com/users'
+              }
+              prefix={isLiferay ? <CloudServerOutlined /> : <LinkOutlined />}
+              size="large"
+            />
+            {urlValidation?.fixedUrl && (
+              <Button
+                type="link"
+                size="small"
+                onClick={() => {
+                  onChange({
+                    ...value,
+                    apiEndpoint: urlValidation.fixedUrl,
+                  });
+                  setUrlValidation(validateEndpoint(urlValidation.fixedUrl, value.sourceType));
+                }}
+              >
+                Usar URL sugerida: {urlValidation.fixedUrl}
+              </Button>
+            )}
+          </Form.Item>
 
-      <UrlParamsEditor
-        value={value.urlParams || []}
-        onChange={handleUrlParamsChange}
-        currentUrl={value.apiEndpoint || ''}
-      />
+          <UrlParamsEditor
+            value={value.urlParams || []}
+            onChange={handleUrlParamsChange}
+            currentUrl={value.apiEndpoint || ''}
+          />
 
-      <DefaultQueryParamsEditor
-        value={value.defaultQueryParams || []}
-        onChange={handleDefaultQueryParamsChange}
-      />
+          <DefaultQueryParamsEditor
+            value={value.defaultQueryParams || []}
+            onChange={handleDefaultQueryParamsChange}
+          />
 
-      <Divider orientation="left">Autenticação</Divider>
-
-      <Form.Item
-        layout="vertical"
-        label="Token de Autenticação (Opcional)"
-        help="Deixe em branco se sua API não exigir autenticação. Use o formato Bearer para tokens JWT."
-      >
-        <Input.Password
-          value={value.authToken}
-          onChange={handleTokenChange}
-          placeholder="Bearer seu-token-aqui ou deixe em branco"
-        />
-      </Form.Item>
+          <RequestHeadersEditor value={value.headers || []} onChange={handleHeadersChange} />
 
-      <Form.Item layout="vertical" label="Método da Requisição">
-        <Input value="GET" disabled size="small" />
-        <span style={{ fontSize: '12px', color: '#666' }}>
-          Apenas requisições GET são suportadas nesta versão
-        </span>
-      </Form.Item>
+          <CacheConfigPanel value={value.cache} onChange={handleCacheChange} />
+
+          <RetryConfigPanel value={value.retry} onChange={handleRetryChange} />
+
+          {isLiferay && (
+            <LiferayParamsPanel value={value.liferayParams} onChange={handleLiferayParamsChange} />
+          )}
 
-      <Button type="dashed" icon={<LinkOutlined />} onClick={handleLoadExample} block>
-        Carregar API de Exemplo (Usuários do JSONPlaceholder)
-      </Button>
+          {!isLiferay && (
+            <>
+              <Divider orientation="left">Autenticação</Divider>
+
+              <AuthConfigPanel
+                value={value.auth}
+                authToken={value.authToken}
+                onChange={handleAuthChange}
+                onTokenChange={handleTokenChange}
+              />
+            </>
+          )}
+
+          <Divider orientation="left">Requisição</Divider>
+
+          <Form.Item
+            layout="vertical"
+            label="Método da Requisição"
+            help="GraphQL envia { query, variables } via POST para o endpoint"
+          >
+            <Select
+              value={request.method}
+              onChange={(method) => handleRequestChange('method', method)}
+              options={REQUEST_METHOD_OPTIONS}
+              style={{ width: 200 }}
+            />
+          </Form.Item>
+
+          {(request.method === REQUEST_METHODS.POST || request.method === REQUEST_METHODS.PUT) && (
+            <Form.Item
+              layout="vertical"
+              label="Corpo da Requisição (JSON)"
+              validateStatus={bodyValidation.valid ? undefined : 'error'}
+              help={bodyValidation.error || PLACEHOLDERS_HELP}
+            >
+              <Input.TextArea
+                value={request.bodyTemplate}
+                onChange={(e) => handleRequestChange('bodyTemplate', e.target.value)}
+                placeholder={
+                  '{\n  "page": "{{page}}",\n  "size": "{{pageSize}}",\n  "query": "{{search}}"\n}'
+                }
+                autoSize={{ minRows: 5, maxRows: 16 }}
+                style={{ fontFamily: 'monospace' }}
+              />
+            </Form.Item>
+          )}
+
+          {request.method === REQUEST_METHODS.GRAPHQL && (
+            <>
+              <Form.Item layout="vertical" label="Consulta GraphQL*">
+                <Input.TextArea
+                  value={request.graphqlQuery}
+                  onChange={(e) => handleRequestChange('graphqlQuery', e.target.value)}
+                  placeholder={
+                    'query Users($page: Int, $pageSize: Int) {\n  users(page: $page, pageSize: $pageSize) {\n    items { id name }\n    totalCount\n  }\n}'
+                  }
+                  autoSize={{ minRows: 6, maxRows: 20 }}
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </Form.Item>
+
+              <Form.Item
+                layout="vertical"
+                label="Variáveis (JSON)"
+                validateStatus={variablesValidation.valid ? undefined : 'error'}
+                help={variablesValidation.error || PLACEHOLDERS_HELP}
+              >
+                <Input.TextArea
+                  value={request.graphqlVariables}
+                  onChange={(e) => handleRequestChange('graphqlVariables', e.target.value)}
+                  placeholder={'{\n  "page": "{{page}}",\n  "pageSize": "{{pageSize}}"\n}'}
+                  autoSize={{ minRows: 3, maxRows: 12 }}
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </Form.Item>
+
+              <Text type="secondary" style={{ fontSize: '12px' }}>
+                Lembre-se de mapear a resposta no próximo passo (ex.: data.users.items).
+              </Text>
+            </>
+          )}
+
+          {!isLiferay && (
+            <ResponseFormatPanel
+              value={value.responseFormat}
+              onChange={handleResponseFormatChange}
+            />
+          )}
+
+          {!isLiferay && (
+            <Button type="dashed" icon={<LinkOutlined />} onClick={handleLoadExample} block>
+              Carregar API de Exemplo (Usuários do JSONPlaceholder)
+            </Button>
+          )}
+        </>
+      )}
+
+      <LookupSourcesPanel
+        value={value.lookups || []}
+        sourceType={value.sourceType}
+        onChange={handleLookupsChange}
+      />
     </Space>
   );
 };
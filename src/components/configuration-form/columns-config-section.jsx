@@ -88,6 +88,7 @@ const ColumnsConfigSection = ({ value = [], onChange }) => {
           onRemove={columnManager.removeColumn}
           onRenderTypeChange={handleRenderTypeChange}
           onRenderConfigChange={columnManager.updateRenderConfig}
+          onTypeChange={columnManager.updateColumnType}
         />
       </ErrorBoundary>
 
@@ -1,7 +1,7 @@
 /**
  * Events Configuration Section (Refactored)
  *
- * Orchestrates row click and sorting configuration.
+ * Orchestrates row click, sorting, auto-refresh, row selection and inline edit configuration.
  * Reduced from 366 lines to ~70 lines using composition.
  */
 
@@ -9,6 +9,14 @@ import { useMemo, useCallback } from 'react';
 import { Space, Alert } from 'antd';
 import RowClickEventSection from '../../features/events/components/row-click-event-section';
 import SortingConfigSection from '../../features/events/components/sorting-config-section';
+import AutoRefreshSection from '../../features/events/components/auto-refresh-section';
+import RowSelectionSection from '../../features/events/components/row-selection-section';
+import InlineEditSection from '../../features/events/components/inline-edit-section';
+import {
+  DEFAULT_AUTO_REFRESH_CONFIG,
+  DEFAULT_ROW_SELECTION_CONFIG,
+  DEFAULT_INLINE_EDIT_CONFIG,
+} from '../../core/models/configuration.types';
 import { ErrorBoundary } from '../error-boundary';
 
 const EventsConfigSection = ({ value = {}, onChange }) => {
@@ -24,6 +32,7 @@ const EventsConfigSection = ({ value = {}, onChange }) => {
       },
       sorting: {
         mode: 'server',
+        multiple: false,
         serverConfig: {
           columnParam: '_columnSort',
           orderParam: '_sort',
@@ -32,8 +41,12 @@ const EventsConfigSection = ({ value = {}, onChange }) => {
             ascend: '1',
             descend: '-1',
           },
+          multiSortFormat: 'repeated',
         },
       },
+      autoRefresh: DEFAULT_AUTO_REFRESH_CONFIG,
+      rowSelection: DEFAULT_ROW_SELECTION_CONFIG,
+      inlineEdit: DEFAULT_INLINE_EDIT_CONFIG,
     }),
     []
   );
@@ -68,6 +81,48 @@ const EventsConfigSection = ({ value = {}, onChange }) => {
     [currentEvents, onChange]
   );
 
+  /**
+   * Handles auto-refresh configuration change
+   * Memoized to prevent unnecessary re-renders
+   */
+  const handleAutoRefreshChange = useCallback(
+    (autoRefresh) => {
+      onChange({
+        ...currentEvents,
+        autoRefresh,
+      });
+    },
+    [currentEvents, onChange]
+  );
+
+  /**
+   * Handles row selection configuration change
+   * Memoized to prevent unnecessary re-renders
+   */
+  const handleRowSelectionChange = useCallback(
+    (rowSelection) => {
+      onChange({
+        ...currentEvents,
+        rowSelection,
+      });
+    },
+    [currentEvents, onChange]
+  );
+
+  /**
+   * Handles inline edit request change
+   * Memoized to prevent unnecessary re-renders
+   */
+  const handleInlineEditChange = useCallback(
+    (inlineEdit) => {
+      onChange({
+        ...currentEvents,
+        inlineEdit,
+      });
+    },
+    [currentEvents, onChange]
+  );
+
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
       <Alert
@@ -83,6 +138,21 @@ const EventsConfigSection = ({ value = {}, onChange }) => {
       <ErrorBoundary>
         <SortingConfigSection value={currentEvents.sorting} onChange={handleSortingChange} />
       </ErrorBoundary>
+
+      <ErrorBoundary>
+        <AutoRefreshSection value={currentEvents.autoRefresh} onChange={handleAutoRefreshChange} />
+      </ErrorBoundary>
+
+      <ErrorBoundary>
+        <RowSelectionSection
+          value={currentEvents.rowSelection}
+          onChange={handleRowSelectionChange}
+        />
+      </ErrorBoundary>
+
+      <ErrorBoundary>
+        <InlineEditSection value={currentEvents.inlineEdit} onChange={handleInlineEditChange} />
+      </ErrorBoundary>
     </Space>
   );
 };
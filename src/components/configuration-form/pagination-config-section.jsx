@@ -2,11 +2,19 @@
  * Pagination Configuration Section
  *
  * Form section for configuring table pagination settings.
- * Supports multiple pagination modes: disabled, client-side (auto), and API-based.
+ * Supports multiple pagination modes: disabled, client-side (auto), API-based and cursor-based.
+ * API-based pagination uses a pluggable strategy (page number, offset, Link header...).
  */
 
 import { Form, Select, Checkbox, Alert, Space, Radio, Input, Divider } from 'antd';
-import { ApiOutlined, ThunderboltOutlined } from '@ant-design/icons';
+import { ApiOutlined, ThunderboltOutlined, NodeIndexOutlined } from '@ant-design/icons';
+import { DEFAULT_CURSOR_CONFIG } from '../../core/models/configuration.types';
+import {
+  PAGINATION_STRATEGIES,
+  getPaginationStrategy,
+  getAvailablePaginationStrategies,
+  buildPaginationParams,
+} from '../../core/pagination-strategies';
 
 const { Option } = Select;
 
@@ -14,11 +22,13 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
   const defaultPagination = {
     pageSize: 20,
     showPagination: true,
-    mode: 'api', // 'api' | 'client'
+    mode: 'api', // 'api' | 'client' | 'cursor'
+    strategy: PAGINATION_STRATEGIES.PAGE_NUMBER,
     apiParamNames: {
       page: '_page',
       pageSize: '_page_size',
     },
+    cursorConfig: DEFAULT_CURSOR_CONFIG,
     ...value,
   };
 
@@ -52,6 +62,26 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
     });
   };
 
+  /**
+   * Handles pagination strategy change
+   * Param names are reset to the defaults of the new strategy
+   */
+  const handleStrategyChange = (strategy) => {
+    const strategyDefaults = getPaginationStrategy(strategy).paramFields.reduce(
+      (names, field) => ({ ...names, [field.name]: field.defaultValue }),
+      {}
+    );
+
+    onChange({
+      ...defaultPagination,
+      strategy,
+      apiParamNames: {
+        ...defaultPagination.apiParamNames,
+        ...strategyDefaults,
+      },
+    });
+  };
+
   /**
    * Handles API parameter name changes
    */
@@ -65,6 +95,40 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
     });
   };
 
+  /**
+   * Handles cursor configuration changes
+   */
+  const handleCursorConfigChange = (field, value) => {
+    onChange({
+      ...defaultPagination,
+      cursorConfig: {
+        ...DEFAULT_CURSOR_CONFIG,
+        ...defaultPagination.cursorConfig,
+        [field]: value,
+      },
+    });
+  };
+
+  const strategy = getPaginationStrategy(defaultPagination.strategy);
+
+  /**
+   * Gets the configured name of a strategy param, falling back to its default
+   */
+  const getParamName = (field) =>
+    defaultPagination.apiParamNames?.[field.name] || field.defaultValue;
+
+  const exampleParams = buildPaginationParams(defaultPagination.strategy, {
+    page: 2,
+    pageSize: defaultPagination.pageSize,
+    paramNames: strategy.paramFields.reduce(
+      (names, field) => ({ ...names, [field.name]: getParamName(field) }),
+      {}
+    ),
+  });
+  const exampleQuery = Object.entries(exampleParams)
+    .map(([key, paramValue]) => `${key}=${paramValue}`)
+    .join('&');
+
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
       <Alert
@@ -102,6 +166,15 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
                     </span>
                   </Space>
                 </Radio>
+                <Radio value="cursor">
+                  <Space>
+                    <NodeIndexOutlined />
+                    <strong>Paginação por Cursor</strong>
+                    <span style={{ color: '#8c8c8c' }}>
+                      - A API retorna um cursor/token para a próxima página, sem total
+                    </span>
+                  </Space>
+                </Radio>
                 <Radio value="client">
                   <Space>
                     <ThunderboltOutlined />
@@ -145,14 +218,67 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
                 style={{ marginBottom: 16 }}
               />
 
+              <Form.Item label="Estratégia de paginação" help={strategy.description}>
+                <Select
+                  value={defaultPagination.strategy}
+                  onChange={handleStrategyChange}
+                  options={getAvailablePaginationStrategies()}
+                  size="large"
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+
+              {strategy.paramFields.map((field) => (
+                <Form.Item
+                  key={field.name}
+                  label={field.label}
+                  help={
+                    field.helpText ||
+                    `Nome do parâmetro enviado na requisição (ex.: ?${field.defaultValue}=...)`
+                  }
+                >
+                  <Input
+                    value={getParamName(field)}
+                    onChange={(e) => handleParamNameChange(field.name, e.target.value)}
+                    placeholder={field.defaultValue}
+                    size="large"
+                    prefix={<ApiOutlined />}
+                  />
+                </Form.Item>
+              ))}
+
+              <Alert message={`Exemplo de chamada à API (página 2): ${exampleQuery}`} type="info" />
+
+              {defaultPagination.strategy === PAGINATION_STRATEGIES.LINK_HEADER && (
+                <Alert
+                  message="O header Link precisa estar exposto"
+                  description='Em chamadas entre domínios, a API deve enviar Access-Control-Expose-Headers: Link. Sem rel="last", o total é estimado a partir de rel="next".'
+                  type="warning"
+                />
+              )}
+            </>
+          )}
+
+          {/* Cursor parameters - Only show if mode is 'cursor' */}
+          {defaultPagination.mode === 'cursor' && (
+            <>
+              <Divider orientation="left">Parâmetros do cursor</Divider>
+
+              <Alert
+                message="Paginação por cursor"
+                description="A primeira página é buscada sem cursor. Cada resposta informa o cursor da próxima página, que é enviado no parâmetro configurado. Como não há total de registros, a tabela mostra apenas os botões Anterior/Próxima."
+                type="info"
+                style={{ marginBottom: 16 }}
+              />
+
               <Form.Item
-                label="Parâmetro de página"
-                help="Nome do parâmetro usado para indicar o número da página (ex.: ?_page=1)"
+                label="Parâmetro do cursor"
+                help="Nome do parâmetro enviado na requisição com o cursor (ex.: ?cursor=abc123). Em POST/GraphQL use o placeholder {{cursor}}"
               >
                 <Input
-                  value={defaultPagination.apiParamNames?.page || '_page'}
-                  onChange={(e) => handleParamNameChange('page', e.target.value)}
-                  placeholder="_page"
+                  value={defaultPagination.cursorConfig?.requestParam ?? 'cursor'}
+                  onChange={(e) => handleCursorConfigChange('requestParam', e.target.value)}
+                  placeholder="cursor"
                   size="large"
                   prefix={<ApiOutlined />}
                 />
@@ -160,21 +286,40 @@ const PaginationConfigSection = ({ value = {}, onChange }) => {
 
               <Form.Item
                 label="Parâmetro de Itens por Página"
-                help="Nome do parâmetro usado para indicar quantos itens devem ser retornados por página (ex.: ?_page_size=20)"
+                help="Nome do parâmetro usado para indicar quantos itens devem ser retornados (ex.: ?limit=20)"
               >
                 <Input
                   value={defaultPagination.apiParamNames?.pageSize || '_page_size'}
                   onChange={(e) => handleParamNameChange('pageSize', e.target.value)}
-                  placeholder="_page_size"
+                  placeholder="limit"
                   size="large"
                   prefix={<ApiOutlined />}
                 />
               </Form.Item>
 
-              <Alert
-                message={`Exemplo de chamada à API: ${defaultPagination.apiParamNames?.page || '_page'}=1&${defaultPagination.apiParamNames?.pageSize || '_page_size'}=${defaultPagination.pageSize}`}
-                type="info"
-              />
+              <Form.Item
+                label="Caminho do próximo cursor na resposta"
+                help="Caminho em notação de ponto até o cursor da próxima página (ex.: next_cursor, meta.next, pageInfo.endCursor)"
+              >
+                <Input
+                  value={defaultPagination.cursorConfig?.nextCursorPath ?? 'next_cursor'}
+                  onChange={(e) => handleCursorConfigChange('nextCursorPath', e.target.value)}
+                  placeholder="next_cursor"
+                  size="large"
+                />
+              </Form.Item>
+
+              <Form.Item
+                label="Caminho do indicador de próxima página (opcional)"
+                help="Campo booleano que indica se há mais resultados (ex.: has_more, pageInfo.hasNextPage). Se vazio, a existência do cursor é usada"
+              >
+                <Input
+                  value={defaultPagination.cursorConfig?.hasMorePath || ''}
+                  onChange={(e) => handleCursorConfigChange('hasMorePath', e.target.value)}
+                  placeholder="has_more"
+                  size="large"
+                />
+              </Form.Item>
             </>
           )}
 
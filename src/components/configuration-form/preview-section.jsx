@@ -9,13 +9,16 @@ import { useState, useCallback, useEffect } from 'react';
 import { Space, Alert } from 'antd';
 import { ApiOutlined } from '@ant-design/icons';
 import { parseResponseStructure } from '../../services/external-api';
+import { isTextResponseFormat } from '../../utils/response-format';
 import { QueryParamsEditor } from '../shared';
 import ApiTestPanel from '../../features/preview/components/api-test-panel';
 import ResponseMapperPanel from '../../features/preview/components/response-mapper-panel';
 import ColumnSuggestionsPanel from '../../features/preview/components/column-suggestions-panel';
+import OdataFilterBuilder from '../../features/liferay/components/odata-filter-builder';
 import { useApiTest } from '../../features/preview/hooks/use-api-test';
 import { useResponseMapping } from '../../features/preview/hooks/use-response-mapping';
 import { ErrorBoundary } from '../error-boundary';
+import { DEFAULT_LIFERAY_PARAMS, SOURCE_TYPES } from '../../core/models/configuration.types';
 
 const PreviewSection = ({
   apiEndpoint,
@@ -26,6 +29,16 @@ const PreviewSection = ({
   onTestQueryParamsChange,
   defaultQueryParams = [],
   urlParams = [],
+  headers = [],
+  request = null,
+  sourceType,
+  liferayParams,
+  auth,
+  hostElement = null,
+  responseFormat = null,
+  staticData = null,
+  lookups = null,
+  onLiferayParamsChange,
   responseDataPath = null,
 }) => {
   const [parsedStructure, setParsedStructure] = useState(null);
@@ -47,6 +60,14 @@ const PreviewSection = ({
   const apiTest = useApiTest();
   const mapping = useResponseMapping(responseDataPath, onResponseMappingChange);
 
+  // Static data has no request: test params and response mapping do not apply
+  const isStaticSource = sourceType === SOURCE_TYPES.STATIC;
+
+  // CSV, XML and NDJSON responses (and static data) are already rows: the response mapping does not apply
+  const hasRowFormat =
+    isStaticSource ||
+    (sourceType !== SOURCE_TYPES.LIFERAY_HEADLESS && isTextResponseFormat(responseFormat));
+
   /**
    * Sync local state with props when testQueryParams changes from parent
    */
@@ -93,19 +114,29 @@ const PreviewSection = ({
       urlParams,
       queryParams,
       defaultQueryParams,
-      mappingConfig: mapping.getMappingConfig(),
+      headers,
+      request,
+      sourceType,
+      liferayParams,
+      auth,
+      hostElement,
+      responseFormat: hasRowFormat && !isStaticSource ? responseFormat : null,
+      staticData: isStaticSource ? staticData : null,
+      lookups,
+      mappingConfig: hasRowFormat ? null : mapping.getMappingConfig(),
     });
 
     if (result.success) {
       // Validate mapping if enabled
-      if (mapping.enableMapping && result.fullResponse) {
+      if (mapping.enableMapping && !hasRowFormat && result.fullResponse) {
         const validation = mapping.validateAgainstResponse(result.fullResponse);
 
         // Parse structure with mapping for column suggestions
+        // (the sample row is the first item, with the lookup fields)
         if (validation?.itemsFound) {
           const items = getNestedValue(result.fullResponse, mapping.dataPath);
           if (items && Array.isArray(items) && items.length > 0) {
-            const structure = parseResponseStructure(items[0], '');
+            const structure = parseResponseStructure(result.sampleData || items[0], '');
             setParsedStructure(structure);
           }
         }
@@ -123,6 +154,17 @@ const PreviewSection = ({
     urlParams,
     queryParams,
     defaultQueryParams,
+    headers,
+    request,
+    sourceType,
+    liferayParams,
+    auth,
+    hostElement,
+    responseFormat,
+    staticData,
+    lookups,
+    isStaticSource,
+    hasRowFormat,
     mapping,
     apiTest,
     getNestedValue,
@@ -138,6 +180,20 @@ const PreviewSection = ({
     }
   }, [parsedStructure, onSuggestColumns]);
 
+  /**
+   * Handles OData filter builder changes
+   */
+  const handleFilterBuilderChange = useCallback(
+    (changes) => {
+      onLiferayParamsChange({
+        ...DEFAULT_LIFERAY_PARAMS,
+        ...liferayParams,
+        ...changes,
+      });
+    },
+    [liferayParams, onLiferayParamsChange]
+  );
+
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
       <Alert
@@ -148,27 +204,43 @@ const PreviewSection = ({
       />
 
       {/* Query Parameters Editor */}
-      <ErrorBoundary>
-        <QueryParamsEditor value={queryParams} onChange={handleQueryParamsChange} />
-      </ErrorBoundary>
+      {!isStaticSource && (
+        <ErrorBoundary>
+          <QueryParamsEditor value={queryParams} onChange={handleQueryParamsChange} />
+        </ErrorBoundary>
+      )}
 
       {/* Response Mapping Panel */}
-      <ErrorBoundary>
-        <ResponseMapperPanel
-          enableMapping={mapping.enableMapping}
-          dataPath={mapping.dataPath}
-          totalPath={mapping.totalPath}
-          mappingValidation={mapping.mappingValidation}
-          onToggleMapping={mapping.toggleMapping}
-          onDataPathChange={mapping.updateDataPath}
-          onTotalPathChange={mapping.updateTotalPath}
+      {hasRowFormat ? (
+        <Alert
+          message="Resposta em linhas"
+          description={
+            isStaticSource
+              ? 'Os dados estáticos já são uma lista de linhas, então o mapeamento de resposta não é necessário.'
+              : 'Respostas CSV, XML e NDJSON já são lidas como uma lista de linhas, então o mapeamento de resposta não é necessário. O total de registros vem do header configurado ou da quantidade de linhas.'
+          }
+          type="success"
+          showIcon
         />
-      </ErrorBoundary>
+      ) : (
+        <ErrorBoundary>
+          <ResponseMapperPanel
+            enableMapping={mapping.enableMapping}
+            dataPath={mapping.dataPath}
+            totalPath={mapping.totalPath}
+            mappingValidation={mapping.mappingValidation}
+            onToggleMapping={mapping.toggleMapping}
+            onDataPathChange={mapping.updateDataPath}
+            onTotalPathChange={mapping.updateTotalPath}
+          />
+        </ErrorBoundary>
+      )}
 
       {/* API Test Panel */}
       <ErrorBoundary>
         <ApiTestPanel
           apiEndpoint={apiEndpoint}
+          isStaticSource={isStaticSource}
           testing={apiTest.testing}
           testResult={apiTest.testResult}
           onTest={handleTestConnection}
@@ -183,6 +255,18 @@ const PreviewSection = ({
           fullResponse={apiTest.testResult?.fullResponse}
         />
       </ErrorBoundary>
+
+      {/* OData Filter Builder (Liferay Headless only) */}
+      {sourceType === SOURCE_TYPES.LIFERAY_HEADLESS && (
+        <ErrorBoundary>
+          <OdataFilterBuilder
+            fields={parsedStructure?.fields || []}
+            conditions={liferayParams?.filterConditions || []}
+            join={liferayParams?.filterJoin || 'and'}
+            onChange={handleFilterBuilderChange}
+          />
+        </ErrorBoundary>
+      )}
     </Space>
   );
 };
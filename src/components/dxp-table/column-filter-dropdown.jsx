@@ -0,0 +1,142 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Input, InputNumber, Checkbox, Button, Space, Typography } from 'antd';
+import { COLUMN_FILTER_TYPES } from '../../core/models/configuration.types';
+
+const { Text } = Typography;
+
+/**
+ * ColumnFilterDropdown Component
+ *
+ * Filter form shown in a column header (Ant Design filterDropdown).
+ * Values are kept in the Ant Design selected keys until the filter is applied:
+ * [term] for text, the checked values for select and [from, to] for ranges.
+ *
+ * @param {Object} props
+ * @param {Object} props.filter - Column filter configuration (type)
+ * @param {Array<string>} props.options - Values of select filters
+ * @param {string} props.title - Column title
+ * @param {Array} props.selectedKeys - Current (not applied) filter values
+ * @param {Function} props.setSelectedKeys - Updates the filter values
+ * @param {Function} props.confirm - Applies the filter and closes the dropdown
+ * @param {Function} props.clearFilters - Clears the filter values
+ */
+const ColumnFilterDropdown = ({
+  filter,
+  options = [],
+  title,
+  selectedKeys = [],
+  setSelectedKeys,
+  confirm,
+  clearFilters,
+}) => {
+  const [first = '', second = ''] = selectedKeys;
+
+  /**
+   * Updates one bound of a range filter
+   */
+  const setRangeValue = (index, value) => {
+    const range = [first, second];
+    range[index] = value === null || value === undefined ? '' : value;
+    setSelectedKeys(range[0] === '' && range[1] === '' ? [] : range);
+  };
+
+  /**
+   * Clears the filter values and applies the change
+   */
+  const handleClear = () => {
+    clearFilters?.({ confirm: true, closeDropdown: true });
+  };
+
+  const renderFields = () => {
+    switch (filter?.type) {
+      case COLUMN_FILTER_TYPES.SELECT:
+        return options.length > 0 ? (
+          <Checkbox.Group
+            value={selectedKeys}
+            onChange={(values) => setSelectedKeys(values)}
+            style={{ display: 'flex', flexDirection: 'column', maxHeight: 240, overflowY: 'auto' }}
+            options={options.map((option) => ({ label: option, value: option }))}
+          />
+        ) : (
+          <Text type="secondary">Nenhum valor disponível</Text>
+        );
+
+      case COLUMN_FILTER_TYPES.NUMBER_RANGE:
+        return (
+          <Space>
+            <InputNumber
+              value={first === '' ? null : first}
+              onChange={(value) => setRangeValue(0, value)}
+              placeholder="Mín."
+              style={{ width: 110 }}
+            />
+            <InputNumber
+              value={second === '' ? null : second}
+              onChange={(value) => setRangeValue(1, value)}
+              placeholder="Máx."
+              style={{ width: 110 }}
+            />
+          </Space>
+        );
+
+      case COLUMN_FILTER_TYPES.DATE_RANGE:
+        return (
+          <Space direction="vertical" size="small">
+            <Input
+              type="date"
+              addonBefore="De"
+              value={first}
+              onChange={(e) => setRangeValue(0, e.target.value)}
+            />
+            <Input
+              type="date"
+              addonBefore="Até"
+              value={second}
+              onChange={(e) => setRangeValue(1, e.target.value)}
+            />
+          </Space>
+        );
+
+      default:
+        return (
+          <Input
+            value={first}
+            onChange={(e) => setSelectedKeys(e.target.value ? [e.target.value] : [])}
+            onPressEnter={() => confirm()}
+            placeholder={`Filtrar ${title || ''}`.trim()}
+            style={{ width: 220 }}
+            allowClear
+          />
+        );
+    }
+  };
+
+  return (
+    <div style={{ padding: 8 }} onKeyDown={(e) => e.stopPropagation()}>
+      <Space direction="vertical" size="small">
+        {renderFields()}
+        <Space>
+          <Button type="primary" size="small" onClick={() => confirm()}>
+            Filtrar
+          </Button>
+          <Button size="small" onClick={handleClear}>
+            Limpar
+          </Button>
+        </Space>
+      </Space>
+    </div>
+  );
+};
+
+ColumnFilterDropdown.propTypes = {
+  filter: PropTypes.object,
+  options: PropTypes.arrayOf(PropTypes.string),
+  title: PropTypes.string,
+  selectedKeys: PropTypes.array,
+  setSelectedKeys: PropTypes.func.isRequired,
+  confirm: PropTypes.func.isRequired,
+  clearFilters: PropTypes.func,
+};
+
+export default ColumnFilterDropdown;
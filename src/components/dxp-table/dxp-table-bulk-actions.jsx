@@ -0,0 +1,76 @@
+import React from 'react';
+import { Space, Typography, Button } from 'antd';
+import { CloseOutlined } from '@ant-design/icons';
+import { dxpTableBulkActionsPropTypes } from './dxp-table.types';
+
+const { Text } = Typography;
+
+/**
+ * DxpTableBulkActions Component
+ *
+ * Toolbar shown above the table while rows are selected: the number of selected rows,
+ * one button per bulk action and a button to clear the selection.
+ * The running action shows its progress and the other actions wait for it to finish.
+ *
+ * @param {Object} props
+ * @param {number} props.selectedCount - Number of selected rows
+ * @param {Array} props.actions - Bulk action configurations
+ * @param {string} props.runningActionId - Id of the action in progress
+ * @param {Object} props.progress - Progress of the running action ({ done, total })
+ * @param {Function} props.onRun - Callback when an action button is clicked
+ * @param {Function} props.onClear - Callback when the selection is cleared
+ */
+const DxpTableBulkActions = ({
+  selectedCount,
+  actions = [],
+  runningActionId = null,
+  progress = null,
+  onRun = () => {},
+  onClear = () => {},
+}) => {
+  return (
+    <Space
+      wrap
+      style={{
+        width: '100%',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+      }}
+    >
+      <Text strong>
+        {selectedCount} {selectedCount === 1 ? 'selecionada' : 'selecionadas'}
+      </Text>
+
+      <Space wrap>
+        {actions.map((action) => {
+          const isRunning = action.id === runningActionId;
+          return (
+            <Button
+              key={action.id}
+              danger={Boolean(action.danger)}
+              loading={isRunning}
+              disabled={Boolean(runningActionId) && !isRunning}
+              onClick={() => onRun(action)}
+            >
+              {isRunning && progress
+                ? `${action.label} (${progress.done}/${progress.total})`
+                : action.label}
+            </Button>
+          );
+        })}
+        <Button
+          type="text"
+          icon={<CloseOutlined />}
+          disabled={Boolean(runningActionId)}
+          onClick={() => onClear()}
+        >
+          Limpar seleção
+        </Button>
+      </Space>
+    </Space>
+  );
+};
+
+DxpTableBulkActions.propTypes = dxpTableBulkActionsPropTypes;
+
+export default DxpTableBulkActions;
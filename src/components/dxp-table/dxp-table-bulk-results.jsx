@@ -0,0 +1,70 @@
+import React from 'react';
+import { Modal, List, Tag, Typography, Alert } from 'antd';
+import { dxpTableBulkResultsPropTypes } from './dxp-table.types';
+
+const { Text } = Typography;
+
+/**
+ * DxpTableBulkResults Component
+ *
+ * Modal with the result of each row of an endpoint bulk action.
+ * Rows that failed stay selected, so the action can be run again for them.
+ *
+ * @param {Object} props
+ * @param {Object} props.results - Last action result ({ action, items: [{ key, success, error }] })
+ * @param {Function} props.onClose - Callback when the modal is closed
+ */
+const DxpTableBulkResults = ({ results, onClose = () => {} }) => {
+  const items = results?.items || [];
+  const failedCount = items.filter((item) => !item.success).length;
+  const succeededCount = items.length - failedCount;
+
+  return (
+    <Modal
+      title={results?.action?.label || 'Resultado da ação em lote'}
+      open={Boolean(results)}
+      onCancel={onClose}
+      onOk={onClose}
+      okText="Fechar"
+      cancelButtonProps={{ style: { display: 'none' } }}
+      width={600}
+    >
+      <Alert
+        type={failedCount === 0 ? 'success' : succeededCount === 0 ? 'error' : 'warning'}
+        showIcon
+        message={`${succeededCount} com sucesso, ${failedCount} com falha`}
+        description={
+          failedCount > 0
+            ? 'As linhas com falha continuam selecionadas para uma nova tentativa.'
+            : undefined
+        }
+        style={{ marginBottom: 16 }}
+      />
+
+      <List
+        size="small"
+        dataSource={items}
+        style={{ maxHeight: 360, overflowY: 'auto' }}
+        renderItem={(item) => (
+          <List.Item>
+            <Text code>{String(item.key)}</Text>
+            {item.success ? (
+              <Tag color="success">Sucesso</Tag>
+            ) : (
+              <span>
+                <Text type="danger" style={{ marginRight: 8 }}>
+                  {item.error}
+                </Text>
+                <Tag color="error">Falha</Tag>
+              </span>
+            )}
+          </List.Item>
+        )}
+      />
+    </Modal>
+  );
+};
+
+DxpTableBulkResults.propTypes = dxpTableBulkResultsPropTypes;
+
+export default DxpTableBulkResults;
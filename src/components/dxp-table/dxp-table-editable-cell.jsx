@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { Input, InputNumber, Select, Switch, Button, Space, Typography, Tooltip } from 'antd';
+import { EditOutlined, CheckOutlined, CloseOutlined } from '@ant-design/icons';
+import { dxpTableEditableCellPropTypes } from './dxp-table.types';
+import { EDITOR_TYPES } from '../../core/models/configuration.types';
+import { validateCellValue } from '../../utils/cell-validation';
+
+const { Text } = Typography;
+
+/**
+ * Converts a cell value to the value of the editor
+ */
+const toEditorValue = (value, type) => {
+  switch (type) {
+    case EDITOR_TYPES.SWITCH:
+      return value === true || value === 'true' || value === 1 || value === '1';
+    case EDITOR_TYPES.DATE:
+      // Date inputs take yyyy-MM-dd (ISO dates keep only the day)
+      return value ? String(value).slice(0, 10) : '';
+    case EDITOR_TYPES.NUMBER:
+      return value === '' || value === undefined ? null : value;
+    case EDITOR_TYPES.SELECT:
+      // The select works on the text of the options (see fromSelectKey)
+      return value === undefined || value === null ? undefined : String(value);
+    default:
+      return value ?? '';
+  }
+};
+
+/**
+ * Converts the chosen select key back to the value to save
+ * The configured option keeps its type; text options take the type of the current cell
+ * value (the option "3" of a numeric cell is saved as 3).
+ */
+const fromSelectKey = (key, options = [], currentValue) => {
+  if (key === undefined || key === null) {
+    return null;
+  }
+
+  const option = options.find((item) => String(item) === key) ?? key;
+  if (typeof option !== 'string') {
+    return option;
+  }
+
+  if (typeof currentValue === 'number' && option.trim() !== '' && !isNaN(Number(option))) {
+    return Number(option);
+  }
+
+  if (typeof currentValue === 'boolean' && (option === 'true' || option === 'false')) {
+    return option === 'true';
+  }
+
+  return option;
+};
+
+/**
+ * DxpTableEditableCell Component
+ *
+ * Cell of an editable column: shows the rendered value with an edit button and, while
+ * editing, the editor of the column with save and cancel buttons (Enter saves, Esc
+ * cancels). The value is validated before saving; saving closes the editor right away
+ * and the parent updates the row optimistically.
+ *
+ * @param {Object} props
+ * @param {any} props.value - Current value of the cell
+ * @param {Object} props.editor - Column editor configuration (type, options, validation rules)
+ * @param {Function} props.onSave - Callback with the new value
+ * @param {React.ReactNode} props.children - Rendered value shown outside editing
+ */
+const DxpTableEditableCell = ({ value, editor = {}, onSave = () => {}, children }) => {
+  const type = editor.type || EDITOR_TYPES.TEXT;
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const startEditing = () => {
+    setDraft(toEditorValue(value, type));
+    setError(null);
+    setEditing(true);
+  };
+
+  const cancel = () => {
+    setEditing(false);
+    setError(null);
+  };
+
+  const save = () => {
+    const validationError = validateCellValue(draft, editor);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setEditing(false);
+    // Unchanged values are not saved; cleared values are saved as null
+    if (draft !== toEditorValue(value, type)) {
+      if (type === EDITOR_TYPES.SELECT) {
+        onSave(fromSelectKey(draft, editor.options, value));
+      } else {
+        onSave(draft === '' ? null : draft);
+      }
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    } else if (e.key === 'Escape') {
+      cancel();
+    }
+  };
+
+  if (!editing) {
+    return (
+      <span className="dxp-editable-cell">
+        {children}
+        <Tooltip title="Editar">
+          <Button
+            type="text"
+            size="small"
+            className="dxp-editable-cell-trigger"
+            icon={<EditOutlined />}
+            aria-label="Editar"
+            onClick={(e) => {
+              // Editing is not a row click
+              e.stopPropagation();
+              startEditing();
+            }}
+          />
+        </Tooltip>
+      </span>
+    );
+  }
+
+  const status = error ? 'error' : undefined;
+  const renderEditor = () => {
+    switch (type) {
+      case EDITOR_TYPES.NUMBER:
+        return (
+          <InputNumber
+            autoFocus
+            size="small"
+            status={status}
+            value={draft}
+            min={editor.min}
+            max={editor.max}
+            onChange={setDraft}
+            onKeyDown={handleKeyDown}
+          />
+        );
+      case EDITOR_TYPES.SELECT:
+        return (
+          <Select
+            autoFocus
+            size="small"
+            status={status}
+            value={draft}
+            onChange={setDraft}
+            allowClear={!editor.required}
+            options={(editor.options || []).map((option) => ({
+              value: String(option),
+              label: String(option),
+            }))}
+            style={{ minWidth: 140 }}
+          />
+        );
+      case EDITOR_TYPES.SWITCH:
+        return <Switch size="small" checked={draft} onChange={setDraft} />;
+      case EDITOR_TYPES.DATE:
+        return (
+          <Input
+            autoFocus
+            size="small"
+            type="date"
+            status={status}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+          />
+        );
+      default:
+        return (
+          <Input
+            autoFocus
+            size="small"
+            status={status}
+            value={draft}
+            maxLength={editor.maxLength || undefined}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+          />
+        );
+    }
+  };
+
+  return (
+    // Clicks while editing are not row clicks
+    <div onClick={(e) => e.stopPropagation()}>
+      <Space size={4} align="start">
+        {renderEditor()}
+        <Button
+          type="text"
+          size="small"
+          icon={<CheckOutlined />}
+          aria-label="Salvar"
+          onClick={save}
+        />
+        <Button
+          type="text"
+          size="small"
+          icon={<CloseOutlined />}
+          aria-label="Cancelar"
+          onClick={cancel}
+        />
+      </Space>
+      {error && (
+        <div>
+          <Text type="danger" style={{ fontSize: 12 }}>
+            {error}
+          </Text>
+        </div>
+      )}
+    </div>
+  );
+};
+
+DxpTableEditableCell.propTypes = dxpTableEditableCellPropTypes;
+
+export default DxpTableEditableCell;
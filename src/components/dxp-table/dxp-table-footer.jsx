@@ -1,5 +1,6 @@
 import React from 'react';
-import { Pagination, Space, Typography } from 'antd';
+import { Pagination, Space, Typography, Button, Select } from 'antd';
+import { LeftOutlined, RightOutlined } from '@ant-design/icons';
 import { dxpTableFooterPropTypes } from './dxp-table.types';
 
 const { Text } = Typography;
@@ -10,6 +11,7 @@ const { Text } = Typography;
  * Renders pagination controls and displays information about the current view.
  * Fully controlled component that emits events for page and pageSize changes.
  * Can be hidden completely when showPagination is false.
+ * In cursor mode the total is unknown, so only Previous/Next buttons are shown.
  *
  * @param {Object} props
  * @param {number} props.current - Current page number
@@ -17,6 +19,8 @@ const { Text } = Typography;
  * @param {number} props.total - Total number of records
  * @param {boolean} props.showPagination - Whether to show the footer (default: true)
  * @param {boolean} props.responsive - Whether pagination is client-side responsive (default: false)
+ * @param {string} props.mode - Pagination mode ('api' | 'client' | 'cursor')
+ * @param {boolean} props.hasMore - Whether there is a next page (cursor mode)
  * @param {Array} props.pageSizeOptions - Available page size options
  * @param {Function} props.onPageChange - Callback when page changes
  * @param {Function} props.onPageSizeChange - Callback when page size changes
@@ -27,6 +31,8 @@ const DxpTableFooter = ({
   total,
   showPagination = true,
   responsive = false,
+  mode = 'api',
+  hasMore = false,
   pageSizeOptions = [10, 20, 50, 100],
   onPageChange = () => {},
   onPageSizeChange = () => {},
@@ -38,6 +44,46 @@ const DxpTableFooter = ({
     return null;
   }
 
+  /**
+   * Cursor mode: no total count, navigate one page at a time
+   */
+  if (mode === 'cursor') {
+    return (
+      <Space
+        direction="horizontal"
+        size="middle"
+        style={{
+          width: '100%',
+          justifyContent: 'space-between',
+          marginTop: 16,
+        }}
+      >
+        <Text type="secondary">
+          Página {current} ({total} registros)
+        </Text>
+
+        <Space>
+          <Button
+            icon={<LeftOutlined />}
+            disabled={current <= 1}
+            onClick={() => onPageChange(current - 1)}
+          >
+            Anterior
+          </Button>
+          <Button disabled={!hasMore} onClick={() => onPageChange(current + 1)}>
+            Próxima <RightOutlined />
+          </Button>
+          <Select
+            value={pageSize}
+            onChange={onPageSizeChange}
+            options={pageSizeOptions.map((size) => ({ value: size, label: `${size} / página` }))}
+            style={{ width: 120 }}
+          />
+        </Space>
+      </Space>
+    );
+  }
+
   /**
    * Calculates the range of records currently displayed
    */
@@ -1,45 +1,41 @@
 import React from 'react';
+import ColumnFilterDropdown from './column-filter-dropdown';
+import { getSortKeys, toggleSortKey, createSortInfo } from '../../utils/multi-sort';
 import { dxpTableHeaderPropTypes } from './dxp-table.types';
 
 /**
  * DxpTableHeader Component
  *
  * Processes and transforms column configuration for Ant Design Table.
- * Handles sorting logic and emits sort events.
+ * Handles sorting and column filter logic and emits sort and filter events.
+ * The sort is controlled by the parent: a click sorts by one column and, with multiple
+ * sorting enabled, Shift + click adds secondary columns (numbered by priority in the header).
+ * Called as a function by DxpTable, so it holds no hooks: the ref of the last header
+ * click belongs to DxpTable.
  *
  * @param {Object} props
  * @param {Array} props.columns - Array of column configurations
- * @param {Function} props.onSort - Callback function when column is sorted
- * @param {Object} props.sortingConfig - Sorting configuration (mode, serverConfig)
+ * @param {Function} props.onSort - Callback with the new sort ({ columnKey, sortField, order, sorts })
+ * @param {Object} props.sortingConfig - Sorting configuration (mode, multiple, serverConfig)
+ * @param {Object} props.sortInfo - Applied sort (controlled)
+ * @param {Object} props.columnFilters - Applied filter values by column key (controlled)
+ * @param {Function} props.onFilter - Callback with the filter values when a column filter changes
+ * @param {Object} props.sortClickRef - Ref of the header clicked last and whether Shift was pressed
+ *   (read when the table reports the sort)
  * @returns {Array} Processed columns for Ant Design Table
  */
-const DxpTableHeader = ({ columns, onSort = () => {}, sortingConfig }) => {
-  /**
-   * Creates a sorter function for client-side sorting
-   */
-  const createSorter = (dataIndex) => {
-    return (a, b) => {
-      const aVal = a[dataIndex];
-      const bVal = b[dataIndex];
-
-      // Handle null/undefined values
-      if (aVal == null && bVal == null) return 0;
-      if (aVal == null) return 1;
-      if (bVal == null) return -1;
-
-      // Sort by type
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        return aVal.localeCompare(bVal);
-      }
-
-      if (typeof aVal === 'number' && typeof bVal === 'number') {
-        return aVal - bVal;
-      }
+const DxpTableHeader = ({
+  columns,
+  onSort = () => {},
+  sortingConfig,
+  sortInfo,
+  columnFilters = {},
+  onFilter = () => {},
+  sortClickRef,
+}) => {
+  const sorts = getSortKeys(sortInfo);
+  const isMultiple = Boolean(sortingConfig?.multiple);
 
-      // Fallback: convert to string and compare
-      return String(aVal).localeCompare(String(bVal));
-    };
-  };
   /**
    * Validates that essential column properties are present
    */
@@ -52,7 +48,8 @@ const DxpTableHeader = ({ columns, onSort = () => {}, sortingConfig }) => {
       console.error('A coluna não possui a propriedade necessária: title', column);
       return false;
     }
-    if (!column.dataIndex) {
+    // Actions columns render buttons, they do not read a field
+    if (!column.dataIndex && column.type !== 'actions') {
       console.error('A coluna não possui a propriedade necessária: dataIndex', column);
       return false;
     }
@@ -76,49 +73,97 @@ const DxpTableHeader = ({ columns, onSort = () => {}, sortingConfig }) => {
       };
 
       // Add sorting configuration if sortable
+      // The rows are sorted by the server or by DxpTable (client mode), never by Ant Design
       if (column.sortable && sortingMode !== 'disabled') {
+        const priority = sorts.findIndex((sort) => sort.columnKey === column.key);
+
         antColumn.sortDirections = ['ascend', 'descend'];
+        antColumn.sortOrder = priority >= 0 ? sorts[priority].order : null;
+        // Ant Design shows several sorted columns only when they have a priority
+        antColumn.sorter = isMultiple
+          ? { multiple: priority >= 0 ? sorts.length - priority : 0 }
+          : true;
+        antColumn.onHeaderCell = () => ({
+          onClickCapture: (event) => {
+            sortClickRef.current = { columnKey: column.key, additive: event.shiftKey };
+          },
+          onKeyDownCapture: (event) => {
+            sortClickRef.current = { columnKey: column.key, additive: event.shiftKey };
+          },
+        });
 
-        if (sortingMode === 'client') {
-          // Client-side sorting: provide actual sorter function
-          antColumn.sorter = createSorter(column.dataIndex);
-        } else if (sortingMode === 'server') {
-          // Server-side sorting: just indicate sortable
-          antColumn.sorter = true;
+        if (isMultiple && priority >= 0 && sorts.length > 1) {
+          antColumn.title = (
+            <span>
+              {column.title}
+              <sup className="dxp-sort-priority">{priority + 1}</sup>
+            </span>
+          );
         }
       }
 
+      // Add the filter dropdown if filterable (the rows are filtered by the parent)
+      if (column.filterable && column.filter) {
+        antColumn.filterDropdown = (dropdownProps) => (
+          <ColumnFilterDropdown
+            {...dropdownProps}
+            filter={column.filter}
+            options={column.filterOptions}
+            title={column.title}
+          />
+        );
+        antColumn.filteredValue = columnFilters[column.key] || null;
+      }
+
       return antColumn;
     });
   };
 
   /**
-   * Handles sort change events from Ant Design Table
-   * Transforms Ant Design sort event to simplified format
+   * Handles sort and filter change events from Ant Design Table
+   * Transforms Ant Design events to simplified format
    */
-  const handleSortChange = (pagination, filters, sorter) => {
-    if (sorter && sorter.column) {
-      // Find the original column config to get sortField
-      const originalColumn = columns.find((col) => col.key === (sorter.columnKey || sorter.field));
-
-      onSort({
-        columnKey: sorter.columnKey || sorter.field,
-        sortField: originalColumn?.sortField,
-        order: sorter.order || null,
-      });
-    } else {
-      // Sort was cleared
-      onSort({
-        columnKey: null,
-        sortField: null,
-        order: null,
-      });
+  const handleTableChange = (pagination, filters, sorter, extra) => {
+    if (extra?.action === 'filter') {
+      // Keep only the columns with a value
+      const activeFilters = Object.entries(filters || {}).reduce((result, [key, values]) => {
+        if (Array.isArray(values) && values.some((value) => value !== '' && value != null)) {
+          result[key] = values;
+        }
+        return result;
+      }, {});
+      onFilter(activeFilters);
+      return;
+    }
+
+    if (extra?.action !== 'sort') {
+      return;
     }
+
+    // The clicked header (keyboard or mouse); Ant Design only reports the resulting sort
+    const click = sortClickRef.current;
+    sortClickRef.current = null;
+    const columnKey = click?.columnKey || (Array.isArray(sorter) ? null : sorter?.columnKey);
+    // Find the original column config to get sortField
+    const originalColumn = columns.find((col) => col.key === columnKey);
+    if (!originalColumn) {
+      return;
+    }
+
+    onSort(
+      createSortInfo(
+        toggleSortKey(
+          sorts,
+          { columnKey, sortField: originalColumn.sortField },
+          isMultiple && Boolean(click?.additive)
+        )
+      )
+    );
   };
 
   return {
     columns: processColumns(),
-    onChange: handleSortChange,
+    onChange: handleTableChange,
   };
 };
 
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { Button, Dropdown, Drawer, Descriptions, Space, Modal, message } from 'antd';
+import { MoreOutlined } from '@ant-design/icons';
+import { dxpTableRowActionsPropTypes } from './dxp-table.types';
+import { applyRenderer } from '../../core/column-renderers';
+import {
+  COLUMN_TYPES,
+  DEFAULT_ROW_ACTIONS,
+  ROW_ACTION_DISPLAYS,
+  ROW_ACTION_TYPES,
+} from '../../core/models/configuration.types';
+import { matchesConditions } from '../../utils/record-conditions';
+import { renderRowUrl, renderRowText, runHttpAction } from '../../services/row-actions';
+import { getErrorMessage } from '../../services/liferay-api';
+import { getRowValue } from '../../utils/row-fields';
+
+/**
+ * Formats a raw value for the detail drawer
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * DxpTableRowActions Component
+ *
+ * Actions cell of a row: buttons or a kebab menu with the actions configured in an
+ * actions column. Actions are hidden or disabled by conditions on the row values, and
+ * clicks in the cell do not trigger the row click.
+ *
+ * @param {Object} props
+ * @param {Object} props.record - Data row
+ * @param {Object} props.actions - Row actions configuration ({ display, items })
+ * @param {Array} props.columns - Column configurations (labels and renderers of the detail drawer)
+ * @param {Function} props.onRowsChanged - Called after an http action succeeded (e.g., reload)
+ */
+const DxpTableRowActions = ({ record, actions, columns = [], onRowsChanged = () => {} }) => {
+  const [runningActionId, setRunningActionId] = useState(null);
+  const [detailAction, setDetailAction] = useState(null);
+  const { display, items = [] } = { ...DEFAULT_ROW_ACTIONS, ...actions };
+
+  const visibleActions = items.filter((action) => matchesConditions(record, action.visibleWhen));
+
+  /**
+   * Runs an action on the row
+   */
+  const executeAction = async (action) => {
+    switch (action.type) {
+      case ROW_ACTION_TYPES.URL: {
+        const url = renderRowUrl(action.url, record);
+        if (!url) {
+          message.error('URL da ação inválida');
+          return;
+        }
+        if (action.openInNewTab) {
+          window.open(url, '_blank', 'noopener');
+        } else {
+          window.location.assign(url);
+        }
+        return;
+      }
+
+      case ROW_ACTION_TYPES.DETAIL:
+        setDetailAction(action);
+        return;
+
+      case ROW_ACTION_TYPES.COPY:
+        try {
+          await navigator.clipboard.writeText(renderRowText(action.copyValue, record));
+          message.success('Copiado para a área de transferência');
+        } catch (error) {
+          console.error('Erro ao copiar valor:', error);
+          message.error('Não foi possível copiar o valor');
+        }
+        return;
+
+      case ROW_ACTION_TYPES.HTTP:
+        setRunningActionId(action.id);
+        try {
+          await runHttpAction(action, record);
+          message.success(`"${action.label}" executada`);
+          if (action.reloadAfter) {
+            onRowsChanged();
+          }
+        } catch (error) {
+          console.error('Erro ao executar ação da linha:', error);
+          message.error(`Falha em "${action.label}": ${getErrorMessage(error)}`);
+        } finally {
+          setRunningActionId(null);
+        }
+        return;
+
+      default:
+        console.warn(`Tipo de ação desconhecido: ${action.type}`);
+    }
+  };
+
+  /**
+   * Asks for confirmation (when configured) and runs an action
+   */
+  const handleAction = (action) => {
+    if (!action.confirm) {
+      executeAction(action);
+      return;
+    }
+
+    Modal.confirm({
+      title: action.label,
+      content: renderRowText(action.confirmMessage, record) || `Executar "${action.label}"?`,
+      okText: 'Confirmar',
+      cancelText: 'Cancelar',
+      okButtonProps: { danger: Boolean(action.danger) },
+      onOk: () => executeAction(action),
+    });
+  };
+
+  /**
+   * Fields shown in the detail drawer: the configured ones or the data columns
+   */
+  const getDetailItems = (action) => {
+    const dataColumns = columns.filter((column) => column.type !== COLUMN_TYPES.ACTIONS);
+    const fields = action.detailFields?.length
+      ? action.detailFields
+      : dataColumns.map((column) => column.dataIndex);
+
+    return fields.map((field) => {
+      const column = dataColumns.find((col) => col.dataIndex === field);
+      const value = getRowValue(record, field);
+      return {
+        key: field,
+        label: column?.title || field,
+        children: column?.render?.type
+          ? applyRenderer(value, column.render, record)
+          : formatValue(value),
+      };
+    });
+  };
+
+  if (visibleActions.length === 0) {
+    return null;
+  }
+
+  const isDisabled = (action) =>
+    Boolean(runningActionId) || !matchesConditions(record, action.enabledWhen);
+
+  return (
+    // Clicks on actions (and in their menus and drawer) are not row clicks
+    <span onClick={(e) => e.stopPropagation()}>
+      {display === ROW_ACTION_DISPLAYS.MENU ? (
+        <Dropdown
+          trigger={['click']}
+          menu={{
+            items: visibleActions.map((action) => ({
+              key: action.id,
+              label: action.label,
+              danger: Boolean(action.danger),
+              disabled: isDisabled(action),
+            })),
+            onClick: ({ key, domEvent }) => {
+              domEvent.stopPropagation();
+              handleAction(visibleActions.find((action) => action.id === key));
+            },
+          }}
+        >
+          <Button
+            type="text"
+            size="small"
+            icon={<MoreOutlined />}
+            loading={Boolean(runningActionId)}
+            aria-label="Ações"
+          />
+        </Dropdown>
+      ) : (
+        <Space size={4} wrap>
+          {visibleActions.map((action) => (
+            <Button
+              key={action.id}
+              size="small"
+              type="link"
+              danger={Boolean(action.danger)}
+              loading={runningActionId === action.id}
+              disabled={isDisabled(action) && runningActionId !== action.id}
+              onClick={() => handleAction(action)}
+            >
+              {action.label}
+            </Button>
+          ))}
+        </Space>
+      )}
+
+      <Drawer
+        title={
+          detailAction
+            ? renderRowText(detailAction.detailTitle, record) || detailAction.label
+            : null
+        }
+        open={Boolean(detailAction)}
+        onClose={() => setDetailAction(null)}
+        width={480}
+        destroyOnClose
+      >
+        {detailAction && (
+          <Descriptions column={1} bordered size="small" items={getDetailItems(detailAction)} />
+        )}
+      </Drawer>
+    </span>
+  );
+};
+
+DxpTableRowActions.propTypes = dxpTableRowActionsPropTypes;
+
+export default DxpTableRowActions;
@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { Table } from 'antd';
 import DxpTableHeader from './dxp-table-header';
 import DxpTableFooter from './dxp-table-footer';
+import DxpTableBulkActions from './dxp-table-bulk-actions';
 import { dxpTablePropTypes } from './dxp-table.types';
+import { getClientSortKeys, sortRowsByKeys } from '../../utils/multi-sort';
 
 /**
  * DxpTable Component
@@ -13,13 +15,25 @@ import { dxpTablePropTypes } from './dxp-table.types';
  * @param {Object} props
  * @param {Array} props.columns - Column configuration array
  * @param {Array} props.data - Data array to be rendered
- * @param {Object} props.pagination - Pagination configuration (current, pageSize, total, showPagination, responsive)
+ * @param {Object} props.pagination - Pagination configuration (current, pageSize, total, showPagination, responsive, mode, hasMore)
  * @param {boolean} props.loading - Loading state indicator
  * @param {Function} props.onSort - Callback when column is sorted
  * @param {Function} props.onRowClick - Callback when row is clicked
  * @param {Function} props.onPaginationChange - Callback when pagination changes
  * @param {string} props.rowKey - Unique key for each row
  * @param {Object} props.sortingConfig - Sorting configuration
+ * @param {Object} props.sortInfo - Applied sort ({ columnKey, sortField, order, sorts }); client
+ *   mode sorts the rows here
+ * @param {Function} props.rowClassName - Returns the CSS class of a row (e.g., highlighted rows)
+ * @param {Object} props.columnFilters - Applied column filter values by column key
+ * @param {Function} props.onFilter - Callback when a column filter changes
+ * @param {Object} props.rowSelection - Row selection ({ type, selectedRowKeys, onChange }); omitted
+ *   when selection is disabled
+ * @param {Array} props.bulkActions - Bulk actions shown above the table while rows are selected
+ * @param {Function} props.onBulkAction - Callback when a bulk action is clicked
+ * @param {Function} props.onClearSelection - Callback when the selection is cleared
+ * @param {string} props.runningActionId - Id of the bulk action in progress
+ * @param {Object} props.bulkActionProgress - Progress of the running bulk action ({ done, total })
  */
 const DxpTable = ({
   columns,
@@ -31,18 +45,65 @@ const DxpTable = ({
   onPaginationChange = () => {},
   rowKey,
   sortingConfig,
+  sortInfo,
+  rowClassName,
+  columnFilters = {},
+  onFilter = () => {},
+  rowSelection,
+  bulkActions = [],
+  onBulkAction = () => {},
+  onClearSelection = () => {},
+  runningActionId = null,
+  bulkActionProgress = null,
 }) => {
+  // Header clicked last and whether Shift was pressed (read when the table reports the sort)
+  const sortClickRef = useRef(null);
+
+  /**
+   * Process header configuration and get columns with sort and filter handlers
+   */
+  const headerConfig = DxpTableHeader({
+    columns,
+    onSort,
+    sortingConfig,
+    sortInfo,
+    columnFilters,
+    onFilter,
+    sortClickRef,
+  });
+
   /**
-   * Process header configuration and get columns with sort handler
+   * Client-side sorting: chains the sorted columns by priority
    */
-  const headerConfig = DxpTableHeader({ columns, onSort, sortingConfig });
+  const sortedData =
+    sortingConfig?.mode === 'client'
+      ? sortRowsByKeys(data, getClientSortKeys(sortInfo, columns))
+      : data;
+
+  /**
+   * Row selection of Ant Design: keys of other pages are kept (API pagination only
+   * loads the current page)
+   */
+  const tableRowSelection = rowSelection
+    ? {
+        type: rowSelection.type === 'single' ? 'radio' : 'checkbox',
+        selectedRowKeys: rowSelection.selectedRowKeys || [],
+        onChange: rowSelection.onChange,
+        preserveSelectedRowKeys: true,
+      }
+    : undefined;
+  const selectedCount = tableRowSelection?.selectedRowKeys.length || 0;
 
   /**
    * Handles row click events
    */
   const handleRowClick = (record) => {
     return {
-      onClick: () => {
+      onClick: (event) => {
+        // Clicking the selection checkbox selects the row, it is not a row click
+        if (event.target.closest?.('.ant-table-selection-column')) {
+          return;
+        }
         onRowClick(record);
       },
     };
@@ -68,14 +129,27 @@ const DxpTable = ({
 
   return (
     <div className="dxp-table-container">
+      {selectedCount > 0 && bulkActions.length > 0 && (
+        <DxpTableBulkActions
+          selectedCount={selectedCount}
+          actions={bulkActions}
+          runningActionId={runningActionId}
+          progress={bulkActionProgress}
+          onRun={onBulkAction}
+          onClear={onClearSelection}
+        />
+      )}
+
       <Table
         columns={headerConfig.columns}
-        dataSource={data}
+        dataSource={sortedData}
         rowKey={rowKey}
         loading={loading}
         pagination={false} // Disable built-in pagination, using custom footer
         onChange={headerConfig.onChange}
         onRow={handleRowClick}
+        rowClassName={rowClassName}
+        rowSelection={tableRowSelection}
       />
 
       <DxpTableFooter
@@ -84,6 +158,8 @@ const DxpTable = ({
         total={pagination.total}
         showPagination={pagination.showPagination}
         responsive={pagination.responsive}
+        mode={pagination.mode}
+        hasMore={pagination.hasMore}
         pageSizeOptions={pagination.pageSizeOptions}
         onPageChange={handlePageChange}
         onPageSizeChange={handlePageSizeChange}
@@ -6,8 +6,15 @@ import PropTypes from 'prop-types';
 export const columnShape = PropTypes.shape({
   key: PropTypes.string.isRequired,
   title: PropTypes.string.isRequired,
-  dataIndex: PropTypes.string.isRequired,
+  dataIndex: PropTypes.string, // Required except for actions columns
   sortable: PropTypes.bool,
+  filterable: PropTypes.bool,
+  filter: PropTypes.object,
+  filterOptions: PropTypes.arrayOf(PropTypes.string),
+  type: PropTypes.oneOf(['data', 'actions']),
+  actions: PropTypes.object,
+  editable: PropTypes.bool,
+  editor: PropTypes.object,
   width: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   align: PropTypes.oneOf(['left', 'center', 'right']),
   render: PropTypes.func,
@@ -20,6 +27,8 @@ export const paginationShape = PropTypes.shape({
   current: PropTypes.number.isRequired,
   pageSize: PropTypes.number.isRequired,
   total: PropTypes.number.isRequired,
+  mode: PropTypes.oneOf(['api', 'client', 'cursor']),
+  hasMore: PropTypes.bool,
   pageSizeOptions: PropTypes.arrayOf(PropTypes.number),
 });
 
@@ -27,8 +36,35 @@ export const paginationShape = PropTypes.shape({
  * Sort event object shape
  */
 export const sortEventShape = PropTypes.shape({
-  columnKey: PropTypes.string.isRequired,
+  columnKey: PropTypes.string,
+  sortField: PropTypes.string,
   order: PropTypes.oneOf(['ascend', 'descend', null]),
+  // Sorted columns in priority order (multiple sorting)
+  sorts: PropTypes.arrayOf(
+    PropTypes.shape({
+      columnKey: PropTypes.string.isRequired,
+      sortField: PropTypes.string,
+      order: PropTypes.oneOf(['ascend', 'descend']).isRequired,
+    })
+  ),
+});
+
+/**
+ * Bulk action configuration shape (row selection)
+ */
+export const bulkActionShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['endpoint', 'export', 'event']).isRequired,
+  danger: PropTypes.bool,
+});
+
+/**
+ * Progress of a running bulk action
+ */
+export const bulkActionProgressShape = PropTypes.shape({
+  done: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
 });
 
 /**
@@ -44,6 +80,20 @@ export const dxpTablePropTypes = {
   onPaginationChange: PropTypes.func,
   rowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]).isRequired,
   sortingConfig: PropTypes.object,
+  sortInfo: sortEventShape,
+  rowClassName: PropTypes.func,
+  columnFilters: PropTypes.object,
+  onFilter: PropTypes.func,
+  rowSelection: PropTypes.shape({
+    type: PropTypes.oneOf(['single', 'multiple']),
+    selectedRowKeys: PropTypes.array,
+    onChange: PropTypes.func,
+  }),
+  bulkActions: PropTypes.arrayOf(bulkActionShape),
+  onBulkAction: PropTypes.func,
+  onClearSelection: PropTypes.func,
+  runningActionId: PropTypes.string,
+  bulkActionProgress: bulkActionProgressShape,
 };
 
 /**
@@ -53,6 +103,10 @@ export const dxpTableHeaderPropTypes = {
   columns: PropTypes.arrayOf(columnShape).isRequired,
   onSort: PropTypes.func,
   sortingConfig: PropTypes.object,
+  sortInfo: sortEventShape,
+  columnFilters: PropTypes.object,
+  onFilter: PropTypes.func,
+  sortClickRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
 };
 
 /**
@@ -62,7 +116,73 @@ export const dxpTableFooterPropTypes = {
   current: PropTypes.number.isRequired,
   pageSize: PropTypes.number.isRequired,
   total: PropTypes.number.isRequired,
+  mode: PropTypes.oneOf(['api', 'client', 'cursor']),
+  hasMore: PropTypes.bool,
   pageSizeOptions: PropTypes.arrayOf(PropTypes.number),
   onPageChange: PropTypes.func,
   onPageSizeChange: PropTypes.func,
 };
+
+/**
+ * PropTypes for DxpTableBulkActions component
+ */
+export const dxpTableBulkActionsPropTypes = {
+  selectedCount: PropTypes.number.isRequired,
+  actions: PropTypes.arrayOf(bulkActionShape),
+  runningActionId: PropTypes.string,
+  progress: bulkActionProgressShape,
+  onRun: PropTypes.func,
+  onClear: PropTypes.func,
+};
+
+/**
+ * PropTypes for DxpTableBulkResults component
+ */
+export const dxpTableBulkResultsPropTypes = {
+  results: PropTypes.shape({
+    action: bulkActionShape,
+    items: PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        success: PropTypes.bool.isRequired,
+        error: PropTypes.string,
+      })
+    ).isRequired,
+  }),
+  onClose: PropTypes.func,
+};
+
+/**
+ * PropTypes for DxpTableRowActions component
+ */
+export const dxpTableRowActionsPropTypes = {
+  record: PropTypes.object.isRequired,
+  actions: PropTypes.shape({
+    display: PropTypes.oneOf(['buttons', 'menu']),
+    items: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        type: PropTypes.oneOf(['url', 'http', 'detail', 'copy']).isRequired,
+        visibleWhen: PropTypes.array,
+        enabledWhen: PropTypes.array,
+      })
+    ),
+  }),
+  columns: PropTypes.array,
+  onRowsChanged: PropTypes.func,
+};
+
+/**
+ * PropTypes for DxpTableEditableCell component
+ */
+export const dxpTableEditableCellPropTypes = {
+  value: PropTypes.any,
+  editor: PropTypes.shape({
+    type: PropTypes.oneOf(['text', 'number', 'select', 'switch', 'date']),
+    options: PropTypes.arrayOf(PropTypes.string),
+    required: PropTypes.bool,
+  }),
+  onSave: PropTypes.func,
+  children: PropTypes.node,
+};
@@ -8,6 +8,10 @@
 export { default as DxpTable } from './dxp-table';
 export { default as DxpTableHeader } from './dxp-table-header';
 export { default as DxpTableFooter } from './dxp-table-footer';
+export { default as DxpTableBulkActions } from './dxp-table-bulk-actions';
+export { default as DxpTableBulkResults } from './dxp-table-bulk-results';
+export { default as DxpTableRowActions } from './dxp-table-row-actions';
+export { default as DxpTableEditableCell } from './dxp-table-editable-cell';
 
 export * from './dxp-table.types';
 
@@ -14,8 +14,8 @@ import { SettingOutlined, TableOutlined } from '@ant-design/icons';
 import { hasConfiguration } from '../../services/config-storage';
 import { VIEWS } from '../../hooks/use-view-manager';
 
-const NavigationMenu = ({ currentView, onNavigate }) => {
-  const configExists = hasConfiguration();
+const NavigationMenu = ({ currentView, onNavigate, configId }) => {
+  const configExists = hasConfiguration(configId);
 
   const handleMenuClick = ({ key }) => {
     onNavigate(key);
@@ -59,6 +59,7 @@ const NavigationMenu = ({ currentView, onNavigate }) => {
 NavigationMenu.propTypes = {
   currentView: PropTypes.string.isRequired,
   onNavigate: PropTypes.func.isRequired,
+  configId: PropTypes.string,
 };
 
 export default NavigationMenu;
@@ -0,0 +1,184 @@
+/**
+ * Configuration Selector Component
+ *
+ * Lets the user pick one of the named configurations stored in localStorage.
+ * When manageable, also offers create, duplicate, rename and delete actions.
+ *
+ * Features:
+ * - Dropdown with all stored configurations
+ * - Name prompt for create/duplicate/rename
+ * - Delete confirmation
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Select, Button, Space, Tooltip, Modal, Input, App } from 'antd';
+import { PlusOutlined, CopyOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import {
+  listConfigurations,
+  createNamedConfiguration,
+  duplicateConfiguration,
+  renameConfiguration,
+  deleteConfiguration,
+  getActiveConfigurationId,
+} from '../../services/config-storage';
+
+const NAME_MODAL_TITLES = {
+  create: 'Nova configuração',
+  duplicate: 'Duplicar configuração',
+  rename: 'Renomear configuração',
+};
+
+const ConfigurationSelector = ({ value, onChange, manageable = false, style = {} }) => {
+  const { message } = App.useApp();
+  const [configurations, setConfigurations] = useState([]);
+  const [nameModal, setNameModal] = useState(null);
+
+  /**
+   * Reloads the list of stored configurations
+   */
+  const refresh = useCallback(() => {
+    setConfigurations(listConfigurations());
+  }, []);
+
+  /**
+   * Refresh list whenever the selected configuration changes
+   */
+  useEffect(() => {
+    refresh();
+  }, [value, refresh]);
+
+  const current = configurations.find((item) => item.id === value);
+
+  /**
+   * Opens the name prompt for the given action
+   */
+  const openNameModal = (mode) => {
+    const defaultNames = {
+      create: '',
+      duplicate: current ? `${current.name} (cópia)` : '',
+      rename: current?.name || '',
+    };
+    setNameModal({ mode, name: defaultNames[mode] });
+  };
+
+  /**
+   * Confirms the name prompt and runs the selected action
+   */
+  const handleNameConfirm = () => {
+    const name = nameModal.name.trim();
+    if (!name) {
+      message.warning('Informe um nome para a configuração');
+      return;
+    }
+
+    if (nameModal.mode === 'create') {
+      const created = createNamedConfiguration(name);
+      if (created) {
+        message.success(`Configuração "${name}" criada`);
+        onChange(created.id);
+      }
+    } else if (nameModal.mode === 'duplicate') {
+      const copy = duplicateConfiguration(value, name);
+      if (copy) {
+        message.success(`Configuração duplicada como "${name}"`);
+        onChange(copy.id);
+      }
+    } else if (nameModal.mode === 'rename') {
+      if (renameConfiguration(value, name)) {
+        message.success('Configuração renomeada');
+      }
+    }
+
+    setNameModal(null);
+    refresh();
+  };
+
+  /**
+   * Deletes the selected configuration after confirmation
+   */
+  const handleDelete = () => {
+    Modal.confirm({
+      title: `Excluir a configuração "${current?.name}"?`,
+      content: 'Esta ação não pode ser desfeita.',
+      okText: 'Sim, Excluir',
+      okType: 'danger',
+      cancelText: 'Cancelar',
+      onOk: () => {
+        if (deleteConfiguration(value)) {
+          message.success('Configuração excluída');
+          refresh();
+          onChange(getActiveConfigurationId());
+        }
+      },
+    });
+  };
+
+  return (
+    <Space wrap style={style}>
+      <Select
+        value={current ? value : undefined}
+        onChange={onChange}
+        placeholder="Selecione uma configuração"
+        notFoundContent="Nenhuma configuração salva"
+        style={{ minWidth: 240 }}
+        options={configurations.map((item) => ({
+          value: item.id,
+          label: item.name,
+        }))}
+      />
+
+      {manageable && (
+        <>
+          <Tooltip title="Nova configuração">
+            <Button icon={<PlusOutlined />} onClick={() => openNameModal('create')} />
+          </Tooltip>
+          <Tooltip title="Duplicar configuração">
+            <Button
+              icon={<CopyOutlined />}
+              onClick={() => openNameModal('duplicate')}
+              disabled={!current}
+            />
+          </Tooltip>
+          <Tooltip title="Renomear configuração">
+            <Button
+              icon={<EditOutlined />}
+              onClick={() => openNameModal('rename')}
+              disabled={!current}
+            />
+          </Tooltip>
+          <Tooltip title="Excluir configuração">
+            <Button danger icon={<DeleteOutlined />} onClick={handleDelete} disabled={!current} />
+          </Tooltip>
+        </>
+      )}
+
+      <Modal
+        open={Boolean(nameModal)}
+        title={nameModal ? NAME_MODAL_TITLES[nameModal.mode] : ''}
+        okText="Confirmar"
+        cancelText="Cancelar"
+        onOk={handleNameConfirm}
+        onCancel={() => setNameModal(null)}
+        destroyOnClose
+      >
+        <Input
+          autoFocus
+          value={nameModal?.name || ''}
+          onChange={(e) => setNameModal((prev) => ({ ...prev, name: e.target.value }))}
+          onPressEnter={handleNameConfirm}
+          placeholder="Ex.: Pedidos do cliente"
+        />
+      </Modal>
+    </Space>
+  );
+};
+
+ConfigurationSelector.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  manageable: PropTypes.bool,
+  style: PropTypes.object,
+};
+
+export default ConfigurationSelector;
@@ -77,7 +77,7 @@ const DefaultQueryParamsEditor = ({ value = [], onChange }) => {
       <Space direction="vertical" size="middle" style={{ width: '100%' }}>
         <Alert
           message="Parâmetros de consultas estáticas (Query)"
-          description="Esses parâmetros serão enviados com todas as requisições da API (tanto para os dados da tabela quanto para os testes). Use a caixa de seleção para ativar/desativar cada parâmetro."
+          description="Esses parâmetros serão enviados com todas as requisições da API (tanto para os dados da tabela quanto para os testes). Use a caixa de seleção para ativar/desativar cada parâmetro. Os valores aceitam placeholders como {{liferay.locale}}, {{page.query.status}} e {{now:yyyy-MM-dd}}."
           type="info"
           icon={<InfoCircleOutlined />}
         />
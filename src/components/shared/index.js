@@ -7,3 +7,5 @@
 export { default as QueryParamsEditor } from './query-params-editor';
 export { default as UrlParamsEditor } from './url-params-editor';
 export { default as DefaultQueryParamsEditor } from './default-query-params-editor';
+export { default as RequestHeadersEditor } from './request-headers-editor';
+export { default as ConfigurationSelector } from './configuration-selector';
@@ -0,0 +1,184 @@
+/**
+ * Request Headers Editor Component
+ *
+ * Editor for custom headers sent with all API requests
+ * (tenant id, Accept-Language, API version, correlation id...).
+ *
+ * Features:
+ * - Visual key-value interface with enable/disable toggle
+ * - Import/export as text ("Name: value" per line, # disables the header)
+ * - Values accept runtime placeholders ({{search}}, {{filters.nome}}, {{liferay.locale}}...)
+ * - Used in both table data fetching and test requests
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Card, Tabs, Input, Button, Space, Alert, Typography, Checkbox } from 'antd';
+import { PlusOutlined, DeleteOutlined, ImportOutlined } from '@ant-design/icons';
+import { validateHeaders, toHeadersText, parseHeadersText } from '../../utils/request-headers';
+
+const { TextArea } = Input;
+const { Text } = Typography;
+
+const RequestHeadersEditor = ({ value = [], onChange }) => {
+  const [activeTab, setActiveTab] = useState('visual');
+  const [headers, setHeaders] = useState(value);
+  const [textInput, setTextInput] = useState(toHeadersText(value));
+  const [importErrors, setImportErrors] = useState([]);
+
+  // Track update source to prevent circular updates
+  const updateSourceRef = useRef(null);
+
+  /**
+   * Notifies parent of changes with source tracking
+   */
+  const notifyChange = useCallback(
+    (newHeaders, source = 'visual') => {
+      updateSourceRef.current = source;
+      if (onChange) {
+        onChange(newHeaders);
+      }
+    },
+    [onChange]
+  );
+
+  /**
+   * Initialize from props only when coming from parent
+   */
+  useEffect(() => {
+    // Only update if the change came from parent (not from internal edits)
+    if (updateSourceRef.current === null || updateSourceRef.current === 'parent') {
+      setHeaders(value);
+      setTextInput(toHeadersText(value));
+    }
+    // Reset source after processing
+    updateSourceRef.current = null;
+  }, [value]);
+
+  /**
+   * Updates the headers keeping the text export in sync
+   */
+  const updateHeaders = (newHeaders) => {
+    setHeaders(newHeaders);
+    setTextInput(toHeadersText(newHeaders));
+    notifyChange(newHeaders);
+  };
+
+  /**
+   * Handles header changes
+   */
+  const handleHeaderChange = (index, field, val) => {
+    updateHeaders(headers.map((header, i) => (i === index ? { ...header, [field]: val } : header)));
+  };
+
+  const handleAddHeader = () => {
+    updateHeaders([...headers, { key: '', value: '', enabled: true }]);
+  };
+
+  const handleRemoveHeader = (index) => {
+    updateHeaders(headers.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Imports the headers typed/pasted in the text tab
+   */
+  const handleImport = () => {
+    const result = parseHeadersText(textInput);
+    setImportErrors(result.errors);
+
+    if (result.errors.length === 0) {
+      updateHeaders(result.headers);
+      setActiveTab('visual');
+    }
+  };
+
+  const validation = validateHeaders(headers);
+
+  const tabItems = [
+    {
+      key: 'visual',
+      label: 'Visual',
+      children: (
+        <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+          {headers.map((header, index) => (
+            <Space key={index} style={{ width: '100%', gap: 24 }} align="start">
+              <Checkbox
+                checked={header.enabled !== false}
+                onChange={(e) => handleHeaderChange(index, 'enabled', e.target.checked)}
+                style={{ marginTop: 8 }}
+              />
+              <Input
+                placeholder="Nome (ex: X-Tenant-Id)"
+                value={header.key}
+                onChange={(e) => handleHeaderChange(index, 'key', e.target.value)}
+                disabled={header.enabled === false}
+              />
+              <Input
+                placeholder="Valor (ex: acme ou {{filters.tenant}})"
+                value={header.value}
+                onChange={(e) => handleHeaderChange(index, 'value', e.target.value)}
+                disabled={header.enabled === false}
+              />
+              <Button
+                type="text"
+                icon={<DeleteOutlined />}
+                onClick={() => handleRemoveHeader(index)}
+              />
+            </Space>
+          ))}
+
+          <Button type="dashed" icon={<PlusOutlined />} onClick={handleAddHeader} block>
+            Adicionar header
+          </Button>
+        </Space>
+      ),
+    },
+    {
+      key: 'text',
+      label: 'Importar / Exportar',
+      children: (
+        <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Um header por linha no formato <Text code>Nome: valor</Text>. Linhas iniciadas com{' '}
+            <Text code>#</Text> ficam desativadas. Copie este texto para exportar.
+          </Text>
+          <TextArea
+            placeholder={'Accept-Language: pt-BR\nX-Api-Version: 2\n# X-Debug: true'}
+            value={textInput}
+            onChange={(e) => setTextInput(e.target.value)}
+            rows={6}
+            style={{ fontFamily: 'monospace' }}
+          />
+          {importErrors.length > 0 && (
+            <Alert type="error" showIcon message={importErrors.join('; ')} />
+          )}
+          <Button icon={<ImportOutlined />} onClick={handleImport}>
+            Importar headers
+          </Button>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Card title="Headers da requisição" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Enviados em todas as requisições (dados da tabela e testes), além de Content-Type, Accept
+          e da autenticação. Os valores aceitam placeholders como <Text code>{'{{search}}'}</Text>,{' '}
+          <Text code>{'{{filters.nome}}'}</Text> e <Text code>{'{{liferay.locale}}'}</Text>.
+        </Text>
+
+        <Tabs activeKey={activeTab} onChange={setActiveTab} items={tabItems} />
+
+        {validation.errors.length > 0 && (
+          <Alert type="error" showIcon message={validation.errors.join('; ')} />
+        )}
+        {validation.warnings.length > 0 && (
+          <Alert type="warning" showIcon message={validation.warnings.join('; ')} />
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default RequestHeadersEditor;
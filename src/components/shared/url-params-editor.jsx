@@ -9,6 +9,8 @@
  * - Visual key-value interface
  * - Validation of missing/unused parameters
  * - Real-time URL preview with replaced values
+ * - Values accept runtime placeholders ({{liferay.userId}}, {{page.query.id}}...),
+ *   resolved for the current user in the preview
  */
 
 import { useState, useEffect } from 'react';
@@ -25,6 +27,8 @@ import {
   replaceUrlParams,
   hasUrlVariables,
 } from '../../utils/url-params-replacer';
+import { buildTemplateContext, renderParamValues } from '../../utils/request-template';
+import { buildRuntimeContext } from '../../utils/runtime-context';
 
 const { Text } = Typography;
 
@@ -65,8 +69,9 @@ const UrlParamsEditor = ({ value = [], onChange, currentUrl = '' }) => {
     const validationResult = validateUrlParams(currentUrl, currentParams);
     setValidation(validationResult);
 
-    // Generate preview
-    const previewResult = replaceUrlParams(currentUrl, currentParams);
+    // Generate preview (placeholders resolved with the current user, site and page)
+    const context = buildTemplateContext({ runtimeContext: buildRuntimeContext() });
+    const previewResult = replaceUrlParams(currentUrl, renderParamValues(currentParams, context));
     setUrlPreview(previewResult);
   };
 
@@ -115,7 +120,7 @@ const UrlParamsEditor = ({ value = [], onChange, currentUrl = '' }) => {
       <Space direction="vertical" size="middle" style={{ width: '100%' }}>
         <Alert
           message="Configure variáveis da URL"
-          description="Por exemplo, variáveis como :version ou :userId serão trocadas pelos valores configurados. Exemplo: https://api.com/:version/users → https://api.com/2.3/users"
+          description="Por exemplo, variáveis como :version ou :userId serão trocadas pelos valores configurados. Exemplo: https://api.com/:version/users → https://api.com/2.3/users. Os valores aceitam variáveis de contexto como {{liferay.userId}}, {{liferay.siteId}} e {{page.query.id}}."
           type="info"
         />
         {/* Parameters editor */}
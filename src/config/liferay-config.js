@@ -77,6 +77,19 @@ export const getAuthToken = () => {
   return config.oAuthToken;
 };
 
+/**
+ * Gets the CSRF token of the portal session (Liferay.authToken)
+ * Only available when running inside a Liferay page
+ *
+ * @returns {string} CSRF token or empty string outside Liferay
+ */
+export const getCsrfToken = () => {
+  if (typeof window !== 'undefined' && window.Liferay) {
+    return window.Liferay.authToken || '';
+  }
+  return '';
+};
+
 /**
  * Gets the base URL for Liferay API calls
  *
@@ -110,6 +123,7 @@ export const isUserSignedIn = () => {
 export default {
   getLiferayConfig,
   getAuthToken,
+  getCsrfToken,
   getApiBaseURL,
   getLocale,
   isUserSignedIn,
@@ -10,7 +10,7 @@
  */
 
 import { message } from 'antd';
-import { createNewColumn } from '../models/configuration.types';
+import { createNewColumn, COLUMN_TYPES, DEFAULT_ROW_ACTIONS } from '../models/configuration.types';
 import { validateColumnsJson } from '../validators/column-validator';
 
 /**
@@ -90,6 +90,31 @@ export const useColumnManager = (columns = [], onChange) => {
     updateColumns(newColumns);
   };
 
+  /**
+   * Changes the type of a column
+   * Actions columns are neither sortable, filterable nor editable and start without actions.
+   */
+  const updateColumnType = (index, type) => {
+    const newColumns = columns.map((col, i) => {
+      if (i !== index) {
+        return col;
+      }
+      if (type !== COLUMN_TYPES.ACTIONS) {
+        return { ...col, type };
+      }
+      return {
+        ...col,
+        type,
+        sortable: false,
+        filterable: false,
+        editable: false,
+        actions: col.actions || { ...DEFAULT_ROW_ACTIONS },
+      };
+    });
+
+    updateColumns(newColumns);
+  };
+
   /**
    * Updates render configuration for a column
    */
@@ -141,6 +166,12 @@ export const useColumnManager = (columns = [], onChange) => {
         type: 'default',
         config: {},
       },
+      filterable: col.filterable || false,
+      filter: col.filter,
+      type: col.type || COLUMN_TYPES.DATA,
+      actions: col.actions,
+      editable: col.editable || false,
+      editor: col.editor,
     }));
 
     updateColumns(columnsWithIds);
@@ -188,6 +219,7 @@ export const useColumnManager = (columns = [], onChange) => {
     updateColumn,
     updateRenderType,
     updateRenderConfig,
+    updateColumnType,
     importFromJson,
     exportToJson,
     exportToFile,
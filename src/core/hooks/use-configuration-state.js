@@ -3,22 +3,34 @@
  *
  * Manages the main configuration state with auto-save to localStorage.
  * Extracted from configuration-page.jsx to follow clean architecture.
+ *
+ * Works on one named configuration at a time (the active one by default)
+ * and allows switching to another stored configuration.
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { App } from 'antd';
 import {
   saveConfiguration,
   loadConfiguration,
   clearConfiguration,
+  setActiveConfiguration,
+  DEFAULT_CONFIGURATION_ID,
 } from '../../services/config-storage';
-import { createConfiguration } from '../models/configuration.types';
+import {
+  createConfiguration,
+  applyLiferayHeadlessPreset,
+  applyStaticSourcePreset,
+  hasDataSource,
+  SOURCE_TYPES,
+} from '../models/configuration.types';
 
 /**
  * Custom hook for managing configuration state
+ * @param {string} [configId] - Configuration id to edit (defaults to the active configuration)
  * @returns {Object} Configuration state and handlers
  */
-export const useConfigurationState = () => {
+export const useConfigurationState = (configId) => {
   const { message } = App.useApp();
   const [config, setConfig] = useState(createConfiguration());
   const [isInitialLoad, setIsInitialLoad] = useState(true);
@@ -28,7 +40,7 @@ export const useConfigurationState = () => {
    * Load existing configuration on mount
    */
   useEffect(() => {
-    const existing = loadConfiguration();
+    const existing = loadConfiguration(configId);
     if (existing) {
       const configWithDefaults = createConfiguration(existing);
       setConfig(configWithDefaults);
@@ -38,16 +50,19 @@ export const useConfigurationState = () => {
         message.info('Configuração existente carregada');
         hasShownLoadMessage.current = true;
       }
+    } else {
+      // New configuration: saved under the requested id (or the default one)
+      setConfig(createConfiguration({ id: configId || DEFAULT_CONFIGURATION_ID }));
     }
     setIsInitialLoad(false);
-  }, []);
+  }, [configId]);
 
   /**
    * Auto-save configuration to localStorage when it changes
    * (except on initial load to avoid overwriting with defaults)
    */
   useEffect(() => {
-    if (!isInitialLoad && config.apiEndpoint) {
+    if (!isInitialLoad && hasDataSource(config)) {
       saveConfiguration(config);
     }
   }, [config, isInitialLoad]);
@@ -62,6 +77,55 @@ export const useConfigurationState = () => {
       authToken: apiConfig.authToken,
       urlParams: apiConfig.urlParams || [],
       defaultQueryParams: apiConfig.defaultQueryParams || [],
+      headers: apiConfig.headers || [],
+      request: apiConfig.request || prev.request,
+      liferayParams: apiConfig.liferayParams || prev.liferayParams,
+      auth: apiConfig.auth || prev.auth,
+      cache: apiConfig.cache || prev.cache,
+      retry: apiConfig.retry || prev.retry,
+      responseFormat: apiConfig.responseFormat || prev.responseFormat,
+      staticData: apiConfig.staticData || prev.staticData,
+      lookups: apiConfig.lookups || prev.lookups || [],
+    }));
+  };
+
+  /**
+   * Changes the data source type
+   * Liferay Headless pre-fills pagination, sorting and response mapping;
+   * static data switches pagination and sorting to the browser
+   */
+  const updateSourceType = (sourceType) => {
+    setConfig((prev) => {
+      if (sourceType === SOURCE_TYPES.LIFERAY_HEADLESS) {
+        return applyLiferayHeadlessPreset(prev);
+      }
+      if (sourceType === SOURCE_TYPES.STATIC) {
+        return applyStaticSourcePreset(prev);
+      }
+      return { ...prev, sourceType };
+    });
+  };
+
+  /**
+   * Applies an Object/Headless endpoint picked from the portal catalog
+   * (endpoint, URL params, Liferay response mapping and columns)
+   */
+  const applyLiferaySource = (source) => {
+    setConfig((prev) => ({
+      ...applyLiferayHeadlessPreset(prev),
+      apiEndpoint: source.endpoint,
+      urlParams: source.urlParams || [],
+      columns: source.columns,
+    }));
+  };
+
+  /**
+   * Updates Liferay Headless params (search, filter, fields and filter builder)
+   */
+  const updateLiferayParams = (liferayParams) => {
+    setConfig((prev) => ({
+      ...prev,
+      liferayParams,
     }));
   };
 
@@ -129,16 +193,27 @@ export const useConfigurationState = () => {
    * Replaces entire configuration (used for loading examples or imports)
    */
   const replaceConfig = (newConfig) => {
-    const configWithDefaults = createConfiguration(newConfig);
-    setConfig(configWithDefaults);
+    // Keep the identity of the configuration being edited
+    setConfig((prev) => createConfiguration({ ...newConfig, id: prev.id, name: prev.name }));
   };
 
+  /**
+   * Switches to another stored configuration (or to a blank one when id is null)
+   */
+  const switchConfiguration = useCallback((id) => {
+    if (id) {
+      setActiveConfiguration(id);
+    }
+    setConfig(createConfiguration(loadConfiguration(id) || { id: id || DEFAULT_CONFIGURATION_ID }));
+  }, []);
+
   /**
    * Clears all configuration and resets to defaults
+   * Keeps id and name so the cleared configuration stays selected
    */
   const clearConfig = () => {
-    clearConfiguration();
-    setConfig(createConfiguration());
+    clearConfiguration(config.id);
+    setConfig(createConfiguration({ id: config.id, name: config.name }));
     message.success('Configuração limpa');
   };
 
@@ -154,6 +229,9 @@ export const useConfigurationState = () => {
     config,
     setConfig,
     updateApiConfig,
+    updateSourceType,
+    updateLiferayParams,
+    applyLiferaySource,
     updateTestQueryParams,
     updateColumns,
     updatePagination,
@@ -161,6 +239,7 @@ export const useConfigurationState = () => {
     updateDynamicParams,
     updateResponseMapping,
     replaceConfig,
+    switchConfiguration,
     clearConfig,
     saveConfig,
   };
@@ -8,16 +8,63 @@
  * Default configuration structure
  */
 export const DEFAULT_CONFIGURATION = {
+  id: null, // Assigned by config-storage when the configuration is saved
+  name: '',
+  sourceType: 'external', // 'external' | 'liferay-headless' | 'static'
   apiEndpoint: '',
-  authToken: '',
+  authToken: '', // Used by the 'bearer' auth type
+  auth: {
+    type: 'bearer', // 'none' | 'bearer' | 'api-key' | 'basic' | 'oauth2-client-credentials' | 'liferay-session'
+    apiKey: { name: 'X-API-Key', value: '', in: 'header' },
+    basic: { username: '', password: '' },
+    oauth2: { tokenUrl: '', clientId: '', clientSecret: '', scope: '' },
+  },
   urlParams: [],
   defaultQueryParams: [],
+  headers: [], // Custom request headers: { key, value, enabled }
   testQueryParams: [],
+  request: {
+    method: 'GET',
+    bodyTemplate: '',
+    graphqlQuery: '',
+    graphqlVariables: '',
+  },
+  liferayParams: {
+    search: '',
+    filter: '',
+    fields: '',
+    filterConditions: [], // Built with the OData filter builder (replaces filter when set)
+    filterJoin: 'and',
+  },
   columns: [],
   pagination: {
     pageSize: 20,
     showPagination: true,
   },
+  cache: {
+    enabled: false,
+    ttl: 60, // Seconds a response is reused before it is fetched again
+    staleWhileRevalidate: false, // Show expired responses while the new one loads
+  },
+  retry: {
+    enabled: false, // Network errors, timeouts, 5xx and 429
+    allMethods: false, // Also retry POST, PUT and GraphQL (may repeat side effects); GET only otherwise
+    maxRetries: 2,
+    baseDelay: 1000, // First backoff delay in ms (doubles on each retry, with jitter)
+    maxDelay: 10000,
+  },
+  staticData: {
+    format: 'json', // 'json' | 'csv' - Rows of the 'static' source type (pasted or uploaded)
+    content: '',
+    fileName: '', // Name of the uploaded file (empty when pasted)
+    csvDelimiter: ',',
+  },
+  responseFormat: {
+    type: 'json', // 'json' | 'csv' | 'xml' | 'ndjson'
+    csvDelimiter: ',',
+    xmlRowPath: '', // Element path of the rows (e.g., "catalog/book"); empty = children of the root
+  },
+  lookups: [], // Secondary sources joined into the rows by a key field (see DEFAULT_LOOKUP)
   responseDataPath: null,
   events: {
     onRowClick: {
@@ -26,6 +73,7 @@ export const DEFAULT_CONFIGURATION = {
     },
     sorting: {
       mode: 'server',
+      multiple: false, // Shift + click adds secondary sort columns
       serverConfig: {
         columnParam: '_columnSort',
         orderParam: '_sort',
@@ -34,8 +82,24 @@ export const DEFAULT_CONFIGURATION = {
           ascend: '1',
           descend: '-1',
         },
+        multiSortFormat: 'repeated', // How several sort columns are sent (see MULTI_SORT_FORMATS)
       },
     },
+    autoRefresh: {
+      enabled: false,
+      interval: 30, // Seconds between polls (paused while the tab is hidden or the table off-screen)
+      highlightChanges: true, // Highlight rows that changed since the previous poll
+    },
+    rowSelection: {
+      enabled: false,
+      type: 'multiple', // 'single' (radio) | 'multiple' (checkboxes, kept across pages)
+      actions: [], // Bulk actions of the selected rows (see DEFAULT_BULK_ACTION)
+    },
+    inlineEdit: {
+      method: 'PATCH', // 'PUT' | 'PATCH'
+      endpoint: '', // URL template of the edited row (e.g., /o/c/pedidos/{{id}})
+      bodyTemplate: '', // JSON body template; empty sends { "<field>": <value> }
+    },
   },
   dynamicParams: {
     searchInput: {
@@ -57,6 +121,12 @@ export const DEFAULT_COLUMN = {
   dataIndex: '',
   sortable: false,
   sortField: undefined,
+  filterable: false,
+  filter: undefined, // Column filter (see DEFAULT_COLUMN_FILTER)
+  type: 'data', // 'data' | 'actions' (buttons or menu per row, no dataIndex)
+  actions: undefined, // Row actions of an actions column (see DEFAULT_ROW_ACTIONS)
+  editable: false, // Inline editing of the cells (saved with events.inlineEdit)
+  editor: undefined, // Inline editor (see DEFAULT_COLUMN_EDITOR)
   clickable: false,
   width: undefined,
   icon: undefined,
@@ -67,11 +137,75 @@ export const DEFAULT_COLUMN = {
   },
 };
 
+/**
+ * Default column filter
+ * Client pagination filters the loaded rows; the other modes send the filter to the API
+ * (query params, or an OData filter for Liferay Headless).
+ */
+export const DEFAULT_COLUMN_FILTER = {
+  type: 'text', // 'text' | 'select' | 'number-range' | 'date-range'
+  param: '', // Query param (text/select) or OData field; empty uses the dataIndex
+  paramFrom: '', // Query param of the range start; empty uses "<param>_gte"
+  paramTo: '', // Query param of the range end; empty uses "<param>_lte"
+  options: [], // Select values; empty lists the values of the loaded rows
+  valueType: '', // OData literal of select values: 'string' | 'number' | 'boolean'; empty infers it
+};
+
+/**
+ * Default inline editor of a column
+ */
+export const DEFAULT_COLUMN_EDITOR = {
+  type: 'text', // See EDITOR_TYPES
+  field: '', // Field sent to the API; empty uses the dataIndex
+  options: [], // Values of the select editor
+  required: false,
+  min: undefined, // Number editor
+  max: undefined,
+  minLength: undefined, // Text editor
+  maxLength: undefined,
+  pattern: '', // Regular expression the text must match
+  patternMessage: '', // Error shown when the pattern does not match
+};
+
+/**
+ * Default row actions of an actions column
+ */
+export const DEFAULT_ROW_ACTIONS = {
+  display: 'buttons', // 'buttons' | 'menu' (kebab menu)
+  items: [],
+};
+
+/**
+ * Default action of a row
+ * Templates read the row with {{record.<field>}} (and {{id}} for record.id).
+ * Conditions are lists of { field, operator, value } that must all match the row.
+ */
+export const DEFAULT_ROW_ACTION = {
+  id: '',
+  label: '',
+  type: 'url', // See ROW_ACTION_TYPES
+  url: '', // URL template (url)
+  openInNewTab: true,
+  method: 'POST', // 'POST' | 'PUT' | 'DELETE' (http)
+  endpoint: '', // Endpoint template (http)
+  body: '', // JSON body template (http, optional)
+  reloadAfter: true, // Reloads the table after a successful request (http)
+  detailTitle: '', // Drawer title template (detail); empty uses the label
+  detailFields: [], // Fields shown in the drawer (detail); empty shows the data columns
+  copyValue: '', // Text template copied to the clipboard (copy)
+  confirm: false, // Asks for confirmation before running
+  confirmMessage: '',
+  danger: false,
+  visibleWhen: [], // Conditions to show the action
+  enabledWhen: [], // Conditions to enable the action
+};
+
 /**
  * Default sorting configuration
  */
 export const DEFAULT_SORTING_CONFIG = {
   mode: 'server',
+  multiple: false,
   serverConfig: {
     columnParam: '_columnSort',
     orderParam: '_sort',
@@ -80,6 +214,7 @@ export const DEFAULT_SORTING_CONFIG = {
       ascend: '1',
       descend: '-1',
     },
+    multiSortFormat: 'repeated',
   },
 };
 
@@ -91,6 +226,179 @@ export const DEFAULT_ROW_CLICK_EVENT = {
   code: "console.log('Row clicked:', record);",
 };
 
+/**
+ * Default auto-refresh (polling) configuration (disabled)
+ */
+export const DEFAULT_AUTO_REFRESH_CONFIG = {
+  enabled: false,
+  interval: 30,
+  highlightChanges: true,
+};
+
+/**
+ * Minimum auto-refresh interval in seconds
+ */
+export const MIN_AUTO_REFRESH_INTERVAL = 5;
+
+/**
+ * Default row selection configuration (disabled)
+ */
+export const DEFAULT_ROW_SELECTION_CONFIG = {
+  enabled: false,
+  type: 'multiple',
+  actions: [],
+};
+
+/**
+ * Default inline edit request (the rows of editable columns are saved with it)
+ */
+export const DEFAULT_INLINE_EDIT_CONFIG = {
+  method: 'PATCH',
+  endpoint: '',
+  bodyTemplate: '',
+};
+
+/**
+ * Row selection types
+ */
+export const ROW_SELECTION_TYPES = {
+  SINGLE: 'single',
+  MULTIPLE: 'multiple',
+};
+
+/**
+ * Bulk action types
+ */
+export const BULK_ACTION_TYPES = {
+  ENDPOINT: 'endpoint', // Calls an endpoint with the selected ids
+  EXPORT: 'export', // Downloads the selected rows
+  EVENT: 'event', // Dispatches dxp-datatable:bulk-action from the element
+};
+
+/**
+ * Default bulk action of the selected rows
+ */
+export const DEFAULT_BULK_ACTION = {
+  id: '',
+  label: '',
+  type: BULK_ACTION_TYPES.ENDPOINT,
+  method: 'POST', // 'POST' | 'DELETE'
+  endpoint: '', // With {{id}}: one request per row; without it: one POST with all the ids
+  idsField: 'ids', // Body field holding the ids (one POST for all the rows)
+  exportFormat: 'csv', // 'csv' | 'json'
+  confirm: true, // Asks for confirmation before running
+  confirmMessage: '',
+  danger: false, // Red button (e.g., delete)
+};
+
+/**
+ * Default request configuration (HTTP method and body)
+ */
+export const DEFAULT_REQUEST_CONFIG = {
+  method: 'GET',
+  bodyTemplate: '',
+  graphqlQuery: '',
+  graphqlVariables: '',
+};
+
+/**
+ * Default authentication configuration
+ * The bearer type keeps using the configuration authToken
+ */
+export const DEFAULT_AUTH_CONFIG = {
+  type: 'bearer',
+  apiKey: { name: 'X-API-Key', value: '', in: 'header' },
+  basic: { username: '', password: '' },
+  oauth2: { tokenUrl: '', clientId: '', clientSecret: '', scope: '' },
+};
+
+/**
+ * Default response cache configuration (disabled)
+ */
+export const DEFAULT_CACHE_CONFIG = {
+  enabled: false,
+  ttl: 60,
+  staleWhileRevalidate: false,
+};
+
+/**
+ * Default retry configuration (exponential backoff with jitter, Retry-After on 429/503)
+ */
+export const DEFAULT_RETRY_CONFIG = {
+  enabled: false,
+  allMethods: false,
+  maxRetries: 2,
+  baseDelay: 1000,
+  maxDelay: 10000,
+};
+
+/**
+ * Default response format configuration (JSON)
+ */
+export const DEFAULT_RESPONSE_FORMAT = {
+  type: 'json',
+  csvDelimiter: ',',
+  xmlRowPath: '',
+};
+
+/**
+ * Default static data configuration (rows stored inside the configuration)
+ */
+export const DEFAULT_STATIC_DATA = {
+  format: 'json',
+  content: '',
+  fileName: '',
+  csvDelimiter: ',',
+};
+
+/**
+ * Maximum size of static data (characters), so configurations fit in localStorage
+ */
+export const MAX_STATIC_DATA_SIZE = 1024 * 1024;
+
+/**
+ * Default lookup source (fields of a secondary API joined into the rows)
+ */
+export const DEFAULT_LOOKUP = {
+  id: '',
+  name: '', // Rows get the matched record under this name (row.author, row['author.name'])
+  endpoint: '', // Batch: list URL; single: URL with {{id}} (e.g., https://api.example.com/users/{{id}})
+  mode: 'batch', // 'batch' | 'single'
+  keyField: '', // Field of the main rows holding the id (dot notation)
+  idParam: 'id', // Batch: query param receiving the comma-separated ids
+  matchField: 'id', // Batch: field of the lookup records compared with the id
+  dataPath: '', // Path of the records (batch) or of the record (single) in the response
+  enabled: true,
+};
+
+/**
+ * Lookup request modes
+ */
+export const LOOKUP_MODES = {
+  BATCH: 'batch',
+  SINGLE: 'single',
+};
+
+/**
+ * Default Liferay Headless query parameters (search, OData filter, fields)
+ */
+export const DEFAULT_LIFERAY_PARAMS = {
+  search: '',
+  filter: '',
+  fields: '',
+  filterConditions: [],
+  filterJoin: 'and',
+};
+
+/**
+ * Default cursor pagination configuration
+ */
+export const DEFAULT_CURSOR_CONFIG = {
+  requestParam: 'cursor',
+  nextCursorPath: 'next_cursor',
+  hasMorePath: '',
+};
+
 /**
  * Default dynamic search input configuration
  */
@@ -101,6 +409,117 @@ export const DEFAULT_SEARCH_INPUT = {
   currentValue: '',
 };
 
+/**
+ * Request methods supported by the external API service
+ */
+export const REQUEST_METHODS = {
+  GET: 'GET',
+  POST: 'POST',
+  PUT: 'PUT',
+  GRAPHQL: 'GRAPHQL',
+};
+
+/**
+ * Response body formats (non-JSON bodies are parsed into rows)
+ */
+export const RESPONSE_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  XML: 'xml',
+  NDJSON: 'ndjson',
+};
+
+/**
+ * Column filter types
+ */
+export const COLUMN_FILTER_TYPES = {
+  TEXT: 'text',
+  SELECT: 'select',
+  NUMBER_RANGE: 'number-range',
+  DATE_RANGE: 'date-range',
+};
+
+/**
+ * Column types
+ */
+export const COLUMN_TYPES = {
+  DATA: 'data', // Value of a row field
+  ACTIONS: 'actions', // Row actions
+};
+
+/**
+ * Inline editor types
+ */
+export const EDITOR_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  SELECT: 'select',
+  SWITCH: 'switch',
+  DATE: 'date', // Saved as yyyy-MM-dd
+};
+
+/**
+ * Row action types
+ */
+export const ROW_ACTION_TYPES = {
+  URL: 'url', // Opens a URL built from the row
+  HTTP: 'http', // Calls an endpoint through the Liferay client
+  DETAIL: 'detail', // Opens a drawer with the row fields
+  COPY: 'copy', // Copies a value of the row
+};
+
+/**
+ * How the actions of a row are displayed
+ */
+export const ROW_ACTION_DISPLAYS = {
+  BUTTONS: 'buttons',
+  MENU: 'menu',
+};
+
+/**
+ * Operators of the row action conditions
+ */
+export const CONDITION_OPERATORS = {
+  EQUALS: 'equals',
+  NOT_EQUALS: 'not-equals',
+  IN: 'in', // Comma-separated values
+  NOT_IN: 'not-in',
+  GREATER_THAN: 'greater-than',
+  LESS_THAN: 'less-than',
+  EMPTY: 'empty',
+  NOT_EMPTY: 'not-empty',
+};
+
+/**
+ * Authentication types for external APIs
+ */
+export const AUTH_TYPES = {
+  NONE: 'none',
+  BEARER: 'bearer',
+  API_KEY: 'api-key',
+  BASIC: 'basic',
+  OAUTH2_CLIENT_CREDENTIALS: 'oauth2-client-credentials',
+  LIFERAY_SESSION: 'liferay-session',
+};
+
+/**
+ * Data source types
+ */
+export const SOURCE_TYPES = {
+  EXTERNAL: 'external',
+  LIFERAY_HEADLESS: 'liferay-headless',
+  STATIC: 'static',
+};
+
+/**
+ * Pagination modes
+ */
+export const PAGINATION_MODES = {
+  API: 'api',
+  CLIENT: 'client',
+  CURSOR: 'cursor',
+};
+
 /**
  * Sorting modes
  */
@@ -116,6 +535,16 @@ export const SORTING_MODES = {
 export const ORDER_FORMATS = {
   NUMERIC: 'numeric',
   ASC_DESC: 'asc-desc',
+  FIELD_COLON_ORDER: 'field-colon-order', // Liferay: ?sort=name:asc
+};
+
+/**
+ * Formats of server-side sorting by several columns
+ */
+export const MULTI_SORT_FORMATS = {
+  REPEATED: 'repeated', // ?sort=name:asc&sort=date:desc
+  COMMA_LIST: 'comma-list', // Liferay: ?sort=name:asc,date:desc
+  JSON: 'json', // ?sort=[{"field":"name","order":"asc"}]
 };
 
 /**
@@ -153,6 +582,45 @@ export const createNewColumn = (overrides = {}) => {
   };
 };
 
+/**
+ * Creates a new lookup source with default values
+ * @param {Object} overrides - Properties to override defaults
+ * @returns {Object} New lookup object
+ */
+export const createNewLookup = (overrides = {}) => {
+  return {
+    ...DEFAULT_LOOKUP,
+    id: `lookup_${Date.now()}`,
+    ...overrides,
+  };
+};
+
+/**
+ * Creates a new row action with a unique id
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Row action configuration
+ */
+export const createNewRowAction = (overrides = {}) => {
+  return {
+    ...DEFAULT_ROW_ACTION,
+    id: `row_action_${Date.now()}`,
+    ...overrides,
+  };
+};
+
+/**
+ * Creates a new bulk action with a unique id
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} Bulk action configuration
+ */
+export const createNewBulkAction = (overrides = {}) => {
+  return {
+    ...DEFAULT_BULK_ACTION,
+    id: `action_${Date.now()}`,
+    ...overrides,
+  };
+};
+
 /**
  * Creates default configuration with backward compatibility support
  * @param {Object} existing - Existing configuration to merge
@@ -169,6 +637,18 @@ export const createConfiguration = (existing = {}) => {
         ...DEFAULT_CONFIGURATION.events.sorting,
         ...(existing.events?.sorting || {}),
       },
+      autoRefresh: {
+        ...DEFAULT_CONFIGURATION.events.autoRefresh,
+        ...(existing.events?.autoRefresh || {}),
+      },
+      rowSelection: {
+        ...DEFAULT_CONFIGURATION.events.rowSelection,
+        ...(existing.events?.rowSelection || {}),
+      },
+      inlineEdit: {
+        ...DEFAULT_CONFIGURATION.events.inlineEdit,
+        ...(existing.events?.inlineEdit || {}),
+      },
     },
     dynamicParams: {
       ...DEFAULT_CONFIGURATION.dynamicParams,
@@ -178,5 +658,132 @@ export const createConfiguration = (existing = {}) => {
       ...DEFAULT_CONFIGURATION.pagination,
       ...(existing.pagination || {}),
     },
+    request: {
+      ...DEFAULT_CONFIGURATION.request,
+      ...(existing.request || {}),
+    },
+    liferayParams: {
+      ...DEFAULT_CONFIGURATION.liferayParams,
+      ...(existing.liferayParams || {}),
+    },
+    auth: {
+      ...DEFAULT_CONFIGURATION.auth,
+      ...(existing.auth || {}),
+    },
+    cache: {
+      ...DEFAULT_CONFIGURATION.cache,
+      ...(existing.cache || {}),
+    },
+    retry: {
+      ...DEFAULT_CONFIGURATION.retry,
+      ...(existing.retry || {}),
+    },
+    responseFormat: {
+      ...DEFAULT_CONFIGURATION.responseFormat,
+      ...(existing.responseFormat || {}),
+    },
+    staticData: {
+      ...DEFAULT_CONFIGURATION.staticData,
+      ...(existing.staticData || {}),
+    },
+  };
+};
+
+/**
+ * Checks whether a configuration has a data source (an API endpoint or static data)
+ * @param {Object} config - Configuration to check
+ * @returns {boolean} True when the table can load data
+ */
+export const hasDataSource = (config) => {
+  if (config?.sourceType === SOURCE_TYPES.STATIC) {
+    return Boolean(config.staticData?.content?.trim());
+  }
+  return Boolean(config?.apiEndpoint);
+};
+
+/**
+ * Applies the static data conventions to a configuration:
+ * the rows are all loaded at once, so pagination and sorting happen in the browser
+ * @param {Object} config - Configuration to update
+ * @returns {Object} Configuration using the static source type
+ */
+export const applyStaticSourcePreset = (config) => {
+  const current = createConfiguration(config);
+
+  return {
+    ...current,
+    sourceType: SOURCE_TYPES.STATIC,
+    pagination: {
+      ...current.pagination,
+      mode: 'client',
+    },
+    responseDataPath: null,
+    events: {
+      ...current.events,
+      sorting: {
+        ...current.events.sorting,
+        mode: current.events.sorting.mode === 'disabled' ? 'disabled' : 'client',
+      },
+    },
+  };
+};
+
+/**
+ * Applies the Liferay Headless conventions to a configuration:
+ * page/pageSize params, ?sort=field:asc, items/totalCount envelope and ?search=
+ * @param {Object} config - Configuration to update
+ * @returns {Object} Configuration using the Liferay Headless source type
+ */
+export const applyLiferayHeadlessPreset = (config) => {
+  const current = createConfiguration(config);
+
+  return {
+    ...current,
+    sourceType: SOURCE_TYPES.LIFERAY_HEADLESS,
+    authToken: '',
+    liferayParams: {
+      ...DEFAULT_LIFERAY_PARAMS,
+      ...(config.liferayParams || {}),
+    },
+    pagination: {
+      ...current.pagination,
+      mode: 'api',
+      strategy: 'page-number',
+      apiParamNames: {
+        ...(current.pagination.apiParamNames || {}),
+        page: 'page',
+        pageSize: 'pageSize',
+      },
+    },
+    responseDataPath: {
+      dataKey: 'items',
+      totalKey: 'totalCount',
+      totalSource: 'body',
+    },
+    events: {
+      ...current.events,
+      sorting: {
+        ...current.events.sorting,
+        mode: current.events.sorting.mode === 'disabled' ? 'disabled' : 'server',
+        serverConfig: {
+          columnParam: 'sort',
+          orderParam: '',
+          orderFormat: ORDER_FORMATS.FIELD_COLON_ORDER,
+          orderValues: {
+            ascend: 'asc',
+            descend: 'desc',
+          },
+          multiSortFormat: MULTI_SORT_FORMATS.COMMA_LIST,
+        },
+      },
+    },
+    dynamicParams: {
+      ...current.dynamicParams,
+      searchInput: {
+        ...DEFAULT_SEARCH_INPUT,
+        ...(current.dynamicParams.searchInput || {}),
+        queryParamName: 'search',
+      },
+    },
   };
 };
@@ -0,0 +1,35 @@
+/**
+ * Pagination Strategies - Core API
+ *
+ * Public API for the API pagination strategy system.
+ * Registers the built-in strategies once, when the module is imported.
+ */
+
+import { registerPaginationStrategy } from './pagination-strategy-registry';
+import { PAGINATION_STRATEGIES } from './pagination-strategy.types';
+import {
+  pageNumberStrategy,
+  zeroBasedPageStrategy,
+  offsetStrategy,
+  linkHeaderStrategy,
+} from './pagination-strategies';
+
+registerPaginationStrategy(PAGINATION_STRATEGIES.PAGE_NUMBER, pageNumberStrategy);
+registerPaginationStrategy(PAGINATION_STRATEGIES.ZERO_BASED_PAGE, zeroBasedPageStrategy);
+registerPaginationStrategy(PAGINATION_STRATEGIES.OFFSET, offsetStrategy);
+registerPaginationStrategy(PAGINATION_STRATEGIES.LINK_HEADER, linkHeaderStrategy);
+
+// Export types and constants
+export { PAGINATION_STRATEGIES } from './pagination-strategy.types';
+
+// Export registry functions
+export {
+  registerPaginationStrategy,
+  getPaginationStrategy,
+  getAvailablePaginationStrategies,
+  buildPaginationParams,
+  resolvePaginationTotal,
+} from './pagination-strategy-registry';
+
+// Export helpers
+export { parseLinkHeader } from './pagination-strategies';
@@ -0,0 +1,145 @@
+/**
+ * Built-in Pagination Strategies
+ *
+ * Implementations of the strategies available in the pagination config section.
+ * Pages are always 1-based inside the table; each strategy translates the page
+ * into the parameters its API expects.
+ */
+
+/**
+ * Parses an RFC 5988 Link header into a map of rel => URL
+ * Example: '<https://api/x?page=2>; rel="next"' returns { next: 'https://api/x?page=2' }
+ *
+ * @param {string} header - Link header value
+ * @returns {Object<string, string>} URLs by relation
+ */
+export const parseLinkHeader = (header) => {
+  if (!header) return {};
+
+  return header.split(',').reduce((links, part) => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      match[2]
+        .trim()
+        .split(/\s+/)
+        .forEach((rel) => {
+          links[rel] = match[1];
+        });
+    }
+    return links;
+  }, {});
+};
+
+/**
+ * Reads a query parameter from a (possibly relative) URL
+ */
+const getUrlParam = (url, name) => {
+  try {
+    return new URL(url, window.location.href).searchParams.get(name);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Default total resolution: keep the total read from the response mapping
+ */
+const keepTotal = ({ total, pageSize }) => ({
+  total,
+  lastPage: pageSize > 0 ? Math.max(1, Math.ceil(total / pageSize)) : 1,
+});
+
+/**
+ * Page number (1-based): ?page=1&pageSize=20
+ */
+export const pageNumberStrategy = {
+  label: 'Número da página',
+  description: 'Envia o número da página (começando em 1) e o tamanho da página',
+  paramFields: [
+    { name: 'page', label: 'Parâmetro de página', defaultValue: '_page' },
+    { name: 'pageSize', label: 'Parâmetro de Itens por Página', defaultValue: '_page_size' },
+  ],
+  buildParams: ({ page, pageSize, paramNames }) => ({
+    [paramNames.page || '_page']: page,
+    [paramNames.pageSize || '_page_size']: pageSize,
+  }),
+  resolveTotal: keepTotal,
+};
+
+/**
+ * Zero-based page: ?page=0&size=20 (Spring Data, Liferay search...)
+ */
+export const zeroBasedPageStrategy = {
+  label: 'Página começando em 0',
+  description: 'Envia o número da página começando em 0 e o tamanho da página',
+  paramFields: [
+    { name: 'page', label: 'Parâmetro de página', defaultValue: 'page' },
+    { name: 'pageSize', label: 'Parâmetro de Itens por Página', defaultValue: 'size' },
+  ],
+  buildParams: ({ page, pageSize, paramNames }) => ({
+    [paramNames.page || 'page']: page - 1,
+    [paramNames.pageSize || 'size']: pageSize,
+  }),
+  resolveTotal: keepTotal,
+};
+
+/**
+ * Offset/limit: ?offset=40&limit=20 (also skip/take, start/rows...)
+ */
+export const offsetStrategy = {
+  label: 'Offset / limit',
+  description: 'Envia quantos registros pular (offset) e quantos retornar (limit)',
+  paramFields: [
+    {
+      name: 'offset',
+      label: 'Parâmetro de offset',
+      defaultValue: 'offset',
+      helpText: 'Quantidade de registros a pular (ex.: offset, skip, start)',
+    },
+    {
+      name: 'pageSize',
+      label: 'Parâmetro de limite',
+      defaultValue: 'limit',
+      helpText: 'Quantidade de registros a retornar (ex.: limit, take, rows)',
+    },
+  ],
+  buildParams: ({ page, pageSize, paramNames }) => ({
+    [paramNames.offset || 'offset']: (page - 1) * pageSize,
+    [paramNames.pageSize || 'limit']: pageSize,
+  }),
+  resolveTotal: keepTotal,
+};
+
+/**
+ * Link header (RFC 5988): page params in the request, rel="next"/"last" in the response
+ * The total is estimated from the last page when the API does not send it
+ */
+export const linkHeaderStrategy = {
+  label: 'Link header (RFC 5988)',
+  description: 'Envia página e tamanho; a última página vem no header Link (rel="last")',
+  paramFields: [
+    { name: 'page', label: 'Parâmetro de página', defaultValue: 'page' },
+    { name: 'pageSize', label: 'Parâmetro de Itens por Página', defaultValue: 'per_page' },
+  ],
+  buildParams: ({ page, pageSize, paramNames }) => ({
+    [paramNames.page || 'page']: page,
+    [paramNames.pageSize || 'per_page']: pageSize,
+  }),
+  resolveTotal: ({ response, page, pageSize, itemCount, paramNames }) => {
+    const links = parseLinkHeader(response.headers?.link);
+    const pageParam = paramNames.page || 'page';
+
+    // No next page: this is the last one, so the total is exact
+    if (!links.next) {
+      return { total: (page - 1) * pageSize + itemCount, lastPage: page };
+    }
+
+    const lastPage = parseInt(getUrlParam(links.last, pageParam), 10);
+    if (!isNaN(lastPage)) {
+      return { total: lastPage * pageSize, lastPage };
+    }
+
+    // Only rel="next" is known: allow moving one page ahead
+    return { total: (page + 1) * pageSize, lastPage: page + 1 };
+  },
+};
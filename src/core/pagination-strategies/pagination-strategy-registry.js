@@ -0,0 +1,98 @@
+/**
+ * Pagination Strategy Registry
+ *
+ * Central registry for the API pagination strategies.
+ * Strategies translate the table page into request params and derive the
+ * total (or last page) from the response, so new API styles can be plugged in.
+ */
+
+import { PAGINATION_STRATEGIES } from './pagination-strategy.types';
+
+/**
+ * Internal registry storage
+ * @type {Object<string, PaginationStrategy>}
+ */
+const STRATEGIES = {};
+
+/**
+ * Register a new pagination strategy
+ *
+ * @param {string} type - Strategy identifier
+ * @param {PaginationStrategy} implementation - Strategy implementation
+ * @throws {Error} If type is missing or implementation is invalid
+ */
+export const registerPaginationStrategy = (type, implementation) => {
+  if (!type || typeof type !== 'string') {
+    throw new Error('Pagination strategy type must be a non-empty string');
+  }
+
+  if (!implementation || typeof implementation.buildParams !== 'function') {
+    throw new Error('Pagination strategy must have a buildParams function');
+  }
+
+  if (STRATEGIES[type]) {
+    console.warn(`Pagination strategy "${type}" is being overwritten`);
+  }
+
+  STRATEGIES[type] = implementation;
+};
+
+/**
+ * Get a strategy implementation by type
+ * Falls back to page-number strategy if type not found
+ *
+ * @param {string} type - Strategy type
+ * @returns {PaginationStrategy} Strategy implementation
+ */
+export const getPaginationStrategy = (type) => {
+  const strategy = STRATEGIES[type || PAGINATION_STRATEGIES.PAGE_NUMBER];
+
+  if (!strategy) {
+    console.warn(`Pagination strategy "${type}" not found, falling back to page number`);
+    return STRATEGIES[PAGINATION_STRATEGIES.PAGE_NUMBER] || null;
+  }
+
+  return strategy;
+};
+
+/**
+ * Get all available strategies for UI selection
+ *
+ * @returns {Array<{value: string, label: string, description?: string}>}
+ */
+export const getAvailablePaginationStrategies = () => {
+  return Object.keys(STRATEGIES).map((type) => ({
+    value: type,
+    label: STRATEGIES[type].label || type,
+    description: STRATEGIES[type].description,
+  }));
+};
+
+/**
+ * Builds the pagination request params for a page
+ *
+ * @param {string} type - Strategy type
+ * @param {Object} options - { page, pageSize, paramNames }
+ * @returns {Object} Query params
+ */
+export const buildPaginationParams = (type, { page, pageSize, paramNames = {} }) => {
+  const strategy = getPaginationStrategy(type);
+  return strategy ? strategy.buildParams({ page, pageSize, paramNames }) : {};
+};
+
+/**
+ * Derives the total and last page from the response
+ *
+ * @param {string} type - Strategy type
+ * @param {Object} options - { response, page, pageSize, itemCount, total, paramNames }
+ * @returns {Object} { total, lastPage }
+ */
+export const resolvePaginationTotal = (type, options) => {
+  const strategy = getPaginationStrategy(type);
+
+  if (!strategy?.resolveTotal) {
+    return { total: options.total, lastPage: undefined };
+  }
+
+  return strategy.resolveTotal({ paramNames: {}, ...options });
+};
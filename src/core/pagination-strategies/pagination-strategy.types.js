@@ -0,0 +1,38 @@
+/**
+ * Pagination Strategy Types
+ *
+ * Constants and type definitions for the pagination strategy system.
+ * This file defines the contract that all pagination strategies must follow.
+ */
+
+/**
+ * Available pagination strategies
+ * @enum {string}
+ */
+export const PAGINATION_STRATEGIES = {
+  PAGE_NUMBER: 'page-number',
+  OFFSET: 'offset',
+  ZERO_BASED_PAGE: 'zero-based-page',
+  LINK_HEADER: 'link-header',
+};
+
+/**
+ * Type definition for a request parameter used by a strategy
+ * Rendered as a parameter name input in the pagination config section
+ * @typedef {Object} StrategyParamField
+ * @property {string} name - Key in pagination.apiParamNames
+ * @property {string} label - Display label for UI
+ * @property {string} defaultValue - Default parameter name
+ * @property {string} [helpText] - Help text for user
+ */
+
+/**
+ * Type definition for a pagination strategy implementation
+ * @typedef {Object} PaginationStrategy
+ * @property {string} label - Display label for strategy
+ * @property {string} [description] - Description of how the strategy paginates
+ * @property {Array<StrategyParamField>} paramFields - Request parameters the strategy sends
+ * @property {Function} buildParams - ({ page, pageSize, paramNames }) => query params
+ * @property {Function} [resolveTotal] - ({ response, page, pageSize, itemCount, total, paramNames })
+ *   => { total, lastPage } derived from the response
+ */
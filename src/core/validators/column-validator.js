@@ -4,6 +4,19 @@
  * Validation logic for column configuration.
  */
 
+import {
+  COLUMN_FILTER_TYPES,
+  COLUMN_TYPES,
+  CONDITION_OPERATORS,
+  EDITOR_TYPES,
+  ROW_ACTION_DISPLAYS,
+  ROW_ACTION_TYPES,
+} from '../models/configuration.types';
+import { validateJsonTemplate } from '../../utils/request-template';
+
+// OData literal types of select filter values
+const FILTER_VALUE_TYPES = ['string', 'number', 'boolean'];
+
 /**
  * Validates a single column configuration
  * @param {Object} column - Column configuration to validate
@@ -18,7 +31,9 @@ export const validateColumn = (column, index = 0) => {
     errors.push(`${columnLabel}: O Título é obrigatório`);
   }
 
-  if (!column.dataIndex || !column.dataIndex.trim()) {
+  if (column.type === COLUMN_TYPES.ACTIONS) {
+    errors.push(...validateRowActions(column.actions, columnLabel));
+  } else if (!column.dataIndex || !column.dataIndex.trim()) {
     errors.push(`${columnLabel}: O Campo de dados é obrigatório`);
   }
 
@@ -30,6 +45,26 @@ export const validateColumn = (column, index = 0) => {
     }
   }
 
+  // Validate header filter configuration
+  if (column.filterable && column.filter) {
+    if (!Object.values(COLUMN_FILTER_TYPES).includes(column.filter.type)) {
+      errors.push(`${columnLabel}: Tipo de filtro inválido`);
+    }
+
+    if (column.filter.options !== undefined && !Array.isArray(column.filter.options)) {
+      errors.push(`${columnLabel}: Os valores do filtro devem ser uma lista`);
+    }
+
+    if (column.filter.valueType && !FILTER_VALUE_TYPES.includes(column.filter.valueType)) {
+      errors.push(`${columnLabel}: Tipo dos valores do filtro inválido`);
+    }
+  }
+
+  // Validate inline editor
+  if (column.editable && column.type !== COLUMN_TYPES.ACTIONS) {
+    errors.push(...validateColumnEditor(column.editor, columnLabel));
+  }
+
   // Validate render configuration
   if (column.render) {
     const renderErrors = validateRenderConfig(column.render, columnLabel);
@@ -39,6 +74,137 @@ export const validateColumn = (column, index = 0) => {
   return errors;
 };
 
+/**
+ * Validates the inline editor of a column
+ * @param {Object} editor - Editor configuration (see DEFAULT_COLUMN_EDITOR)
+ * @param {string} columnLabel - Column label for error messages
+ * @returns {Array<string>} Array of validation error messages
+ */
+const validateColumnEditor = (editor = {}, columnLabel) => {
+  const errors = [];
+  const type = editor.type || EDITOR_TYPES.TEXT;
+  const isSet = (limit) => limit !== undefined && limit !== null && limit !== '';
+
+  if (!Object.values(EDITOR_TYPES).includes(type)) {
+    errors.push(`${columnLabel}: Tipo de editor inválido`);
+  }
+
+  if (type === EDITOR_TYPES.SELECT && !(editor.options?.length > 0)) {
+    errors.push(`${columnLabel}: Informe os valores do editor de lista`);
+  }
+
+  if (isSet(editor.min) && isSet(editor.max) && Number(editor.min) > Number(editor.max)) {
+    errors.push(`${columnLabel}: O valor mínimo do editor é maior que o máximo`);
+  }
+
+  if (
+    isSet(editor.minLength) &&
+    isSet(editor.maxLength) &&
+    Number(editor.minLength) > Number(editor.maxLength)
+  ) {
+    errors.push(`${columnLabel}: O tamanho mínimo do editor é maior que o máximo`);
+  }
+
+  if (editor.pattern) {
+    try {
+      new RegExp(editor.pattern);
+    } catch (error) {
+      errors.push(`${columnLabel}: Padrão do editor inválido: ${error.message}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the conditions of a row action
+ * @param {Array<Object>} conditions - Conditions ({ field, operator, value })
+ * @param {string} label - Action label for error messages
+ * @returns {Array<string>} Array of validation error messages
+ */
+const validateConditions = (conditions, label) => {
+  if (conditions === undefined) {
+    return [];
+  }
+  if (!Array.isArray(conditions)) {
+    return [`${label}: As condições devem ser uma lista`];
+  }
+
+  const errors = [];
+  conditions.forEach((condition, index) => {
+    if (!condition.field || !condition.field.trim()) {
+      errors.push(`${label}: O campo da condição ${index + 1} é obrigatório`);
+    }
+    if (!Object.values(CONDITION_OPERATORS).includes(condition.operator)) {
+      errors.push(`${label}: Operador inválido na condição ${index + 1}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Validates the row actions of an actions column
+ * @param {Object} actions - Row actions configuration ({ display, items })
+ * @param {string} columnLabel - Column label for error messages
+ * @returns {Array<string>} Array of validation error messages
+ */
+export const validateRowActions = (actions, columnLabel) => {
+  const errors = [];
+  const items = actions?.items || [];
+
+  if (actions?.display && !Object.values(ROW_ACTION_DISPLAYS).includes(actions.display)) {
+    errors.push(`${columnLabel}: Exibição das ações inválida`);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push(`${columnLabel}: Adicione pelo menos uma ação`);
+    return errors;
+  }
+
+  items.forEach((action, index) => {
+    const label = `${columnLabel}, ${action.label || `ação ${index + 1}`}`;
+
+    if (!action.label || !action.label.trim()) {
+      errors.push(`${label}: O rótulo é obrigatório`);
+    }
+
+    switch (action.type) {
+      case ROW_ACTION_TYPES.URL:
+        if (!action.url || !action.url.trim()) {
+          errors.push(`${label}: A URL é obrigatória`);
+        }
+        break;
+      case ROW_ACTION_TYPES.HTTP: {
+        if (!['POST', 'PUT', 'DELETE'].includes(action.method)) {
+          errors.push(`${label}: Método inválido`);
+        }
+        if (!action.endpoint || !action.endpoint.trim()) {
+          errors.push(`${label}: O endpoint é obrigatório`);
+        }
+        const bodyValidation = validateJsonTemplate(action.body);
+        if (!bodyValidation.valid) {
+          errors.push(`${label}: Corpo da requisição: ${bodyValidation.error}`);
+        }
+        break;
+      }
+      case ROW_ACTION_TYPES.COPY:
+        if (!action.copyValue || !action.copyValue.trim()) {
+          errors.push(`${label}: O valor copiado é obrigatório`);
+        }
+        break;
+      case ROW_ACTION_TYPES.DETAIL:
+        break;
+      default:
+        errors.push(`${label}: Tipo de ação inválido`);
+    }
+
+    errors.push(...validateConditions(action.visibleWhen, label));
+    errors.push(...validateConditions(action.enabledWhen, label));
+  });
+
+  return errors;
+};
+
 /**
  * Validates render configuration
  * @param {Object} renderConfig - Render configuration to validate
@@ -133,7 +299,7 @@ export const validateColumnsJson = (jsonText) => {
       if (!col.title) {
         errors.push(`Coluna ${index + 1}: o campo "title" é obrigatório`);
       }
-      if (!col.dataIndex) {
+      if (!col.dataIndex && col.type !== COLUMN_TYPES.ACTIONS) {
         errors.push(`Coluna ${index + 1}: o campo "dataIndex" é obrigatório`);
       }
     });
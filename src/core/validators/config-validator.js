@@ -4,8 +4,22 @@
  * Main validation logic for overall configuration.
  */
 
-import { validateUrl } from '../../utils/api-validator';
+import { validateEndpoint } from '../../utils/api-validator';
 import { validateColumns } from './column-validator';
+import { validateJsonTemplate } from '../../utils/request-template';
+import { validateFilterConditions, validateODataExpression } from '../../utils/odata-filter';
+import { validateHeaders } from '../../utils/request-headers';
+import { parseStaticData } from '../../utils/static-data';
+import {
+  BULK_ACTION_TYPES,
+  COLUMN_TYPES,
+  LOOKUP_MODES,
+  MIN_AUTO_REFRESH_INTERVAL,
+  MAX_STATIC_DATA_SIZE,
+  MULTI_SORT_FORMATS,
+  RESPONSE_FORMATS,
+  ROW_SELECTION_TYPES,
+} from '../models/configuration.types';
 
 /**
  * Validates the complete configuration
@@ -15,22 +29,76 @@ import { validateColumns } from './column-validator';
 export const validateConfiguration = (config) => {
   const errors = [];
 
-  // Validate API endpoint
-  if (!config.apiEndpoint || !config.apiEndpoint.trim()) {
+  // Static data replaces the API endpoint
+  if (config.sourceType === 'static') {
+    errors.push(...validateStaticData(config.staticData || {}));
+  } else if (!config.apiEndpoint || !config.apiEndpoint.trim()) {
     errors.push('O endpoint de API é obrigatório');
   } else {
-    const urlValidation = validateUrl(config.apiEndpoint);
+    const urlValidation = validateEndpoint(config.apiEndpoint, config.sourceType);
     if (!urlValidation.valid) {
       errors.push(urlValidation.error || 'O endpoint de API válido é obrigatório');
     }
   }
 
+  // Validate request method and body
+  if (config.request) {
+    const requestErrors = validateRequest(config.request);
+    errors.push(...requestErrors);
+  }
+
+  // Validate custom request headers
+  if (config.headers && config.headers.length > 0) {
+    const headersValidation = validateHeaders(config.headers);
+    errors.push(...headersValidation.errors);
+  }
+
+  // Validate response format (external APIs only; Liferay Headless always returns JSON)
+  if (config.responseFormat && config.sourceType !== 'liferay-headless') {
+    const formatErrors = validateResponseFormat(config.responseFormat);
+    errors.push(...formatErrors);
+  }
+
+  // Validate authentication (external APIs only; Liferay Headless uses the portal session)
+  if (config.auth && config.sourceType !== 'liferay-headless') {
+    const authErrors = validateAuth(config.auth);
+    errors.push(...authErrors);
+  }
+
+  // Validate Liferay Headless OData filter
+  if (config.sourceType === 'liferay-headless' && config.liferayParams) {
+    const liferayErrors = validateLiferayParams(config.liferayParams);
+    errors.push(...liferayErrors);
+  }
+
+  // Validate lookup sources
+  if (config.lookups && config.lookups.length > 0) {
+    const lookupsValidation = validateLookups(config.lookups, config.sourceType);
+    errors.push(...lookupsValidation.errors);
+  }
+
   // Validate columns
   const columnValidation = validateColumns(config.columns);
   if (!columnValidation.valid) {
     errors.push(...columnValidation.errors);
   }
 
+  // Validate the update request of editable columns
+  const inlineEditValidation = validateInlineEdit(config.events?.inlineEdit, config.columns);
+  errors.push(...inlineEditValidation.errors);
+
+  // Validate response cache
+  if (config.cache?.enabled) {
+    const cacheErrors = validateCache(config.cache);
+    errors.push(...cacheErrors);
+  }
+
+  // Validate retries
+  if (config.retry?.enabled) {
+    const retryErrors = validateRetry(config.retry);
+    errors.push(...retryErrors);
+  }
+
   // Validate pagination
   if (config.pagination) {
     const paginationErrors = validatePagination(config.pagination);
@@ -49,6 +117,187 @@ export const validateConfiguration = (config) => {
   };
 };
 
+/**
+ * Validates request configuration (method, body template, GraphQL)
+ * @param {Object} request - Request configuration
+ * @returns {Array<string>} Array of error messages
+ */
+const validateRequest = (request) => {
+  const errors = [];
+  const method = request.method || 'GET';
+
+  if (!['GET', 'POST', 'PUT', 'GRAPHQL'].includes(method)) {
+    errors.push(`Método de requisição inválido: ${method}`);
+  }
+
+  if (method === 'POST' || method === 'PUT') {
+    const bodyValidation = validateJsonTemplate(request.bodyTemplate);
+    if (!bodyValidation.valid) {
+      errors.push(`Corpo da requisição: ${bodyValidation.error}`);
+    }
+  }
+
+  if (method === 'GRAPHQL') {
+    if (!request.graphqlQuery || !request.graphqlQuery.trim()) {
+      errors.push('A consulta GraphQL é obrigatória');
+    }
+
+    const variablesValidation = validateJsonTemplate(request.graphqlVariables);
+    if (!variablesValidation.valid) {
+      errors.push(`Variáveis GraphQL: ${variablesValidation.error}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates response cache configuration
+ * @param {Object} cache - Cache configuration ({ enabled, ttl, staleWhileRevalidate })
+ * @returns {Array<string>} Array of error messages
+ */
+const validateCache = (cache) => {
+  const errors = [];
+
+  if (!Number.isFinite(cache.ttl) || cache.ttl <= 0) {
+    errors.push('O tempo de cache deve ser um número de segundos maior que zero');
+  }
+
+  return errors;
+};
+
+/**
+ * Validates retry configuration
+ * @param {Object} retry - Retry configuration ({ enabled, maxRetries, baseDelay, maxDelay })
+ * @returns {Array<string>} Array of error messages
+ */
+const validateRetry = (retry) => {
+  const errors = [];
+
+  if (!Number.isInteger(retry.maxRetries) || retry.maxRetries < 1 || retry.maxRetries > 10) {
+    errors.push('O número de tentativas deve ser um inteiro entre 1 e 10');
+  }
+
+  if (!Number.isFinite(retry.baseDelay) || retry.baseDelay <= 0) {
+    errors.push('O intervalo inicial entre tentativas deve ser maior que zero');
+  }
+
+  if (!Number.isFinite(retry.maxDelay) || retry.maxDelay < retry.baseDelay) {
+    errors.push('O intervalo máximo entre tentativas deve ser maior ou igual ao inicial');
+  }
+
+  return errors;
+};
+
+/**
+ * Validates static data (pasted or uploaded JSON/CSV)
+ * @param {Object} staticData - Static data ({ format, content, fileName, csvDelimiter })
+ * @returns {Array<string>} Array of error messages
+ */
+const validateStaticData = (staticData) => {
+  const content = staticData.content || '';
+
+  if (!content.trim()) {
+    return ['Cole ou envie os dados estáticos da tabela'];
+  }
+
+  if (content.length > MAX_STATIC_DATA_SIZE) {
+    return [`Os dados estáticos devem ter no máximo ${MAX_STATIC_DATA_SIZE / 1024} KB`];
+  }
+
+  try {
+    if (parseStaticData(staticData).length === 0) {
+      return ['Os dados estáticos não possuem linhas'];
+    }
+  } catch (error) {
+    return [`Dados estáticos: ${error.message}`];
+  }
+
+  return [];
+};
+
+/**
+ * Validates response format configuration
+ * @param {Object} responseFormat - Response format ({ type, csvDelimiter, xmlRowPath })
+ * @returns {Array<string>} Array of error messages
+ */
+const validateResponseFormat = (responseFormat) => {
+  const errors = [];
+
+  if (!Object.values(RESPONSE_FORMATS).includes(responseFormat.type)) {
+    errors.push(`Formato de resposta inválido: ${responseFormat.type}`);
+  }
+
+  if (
+    responseFormat.type === RESPONSE_FORMATS.CSV &&
+    (typeof responseFormat.csvDelimiter !== 'string' || responseFormat.csvDelimiter.length !== 1)
+  ) {
+    errors.push('O separador do CSV deve ser um único caractere');
+  }
+
+  if (
+    responseFormat.type === RESPONSE_FORMATS.XML &&
+    /[^\w.:/-]/.test(responseFormat.xmlRowPath || '')
+  ) {
+    errors.push(
+      'O caminho dos elementos XML deve conter apenas nomes de elementos separados por "/"'
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Validates authentication configuration
+ * @param {Object} auth - Auth configuration ({ type, apiKey, basic, oauth2 })
+ * @returns {Array<string>} Array of error messages
+ */
+const validateAuth = (auth) => {
+  const errors = [];
+
+  if (auth.type === 'api-key') {
+    if (!auth.apiKey?.name || !auth.apiKey.name.trim()) {
+      errors.push('Informe o nome do header ou parâmetro da chave de API');
+    }
+    if (!auth.apiKey?.value) {
+      errors.push('Informe a chave de API');
+    }
+  }
+
+  if (auth.type === 'basic' && !auth.basic?.username) {
+    errors.push('Informe o usuário da autenticação HTTP Basic');
+  }
+
+  if (auth.type === 'oauth2-client-credentials') {
+    const { tokenUrl = '', clientId, clientSecret } = auth.oauth2 || {};
+
+    if (!/^https?:\/\//.test(tokenUrl.trim())) {
+      errors.push('Informe uma URL de token OAuth2 válida (http/https)');
+    }
+    if (!clientId || !clientSecret) {
+      errors.push('Informe o Client ID e o Client Secret do OAuth2');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates Liferay Headless params (filter builder conditions or raw OData filter)
+ * @param {Object} liferayParams - Liferay Headless params
+ * @returns {Array<string>} Array of error messages
+ */
+const validateLiferayParams = (liferayParams) => {
+  const conditions = liferayParams.filterConditions || [];
+
+  if (conditions.length > 0) {
+    return validateFilterConditions(conditions).errors.map((error) => `Filtro OData: ${error}`);
+  }
+
+  const expressionValidation = validateODataExpression(liferayParams.filter);
+  return expressionValidation.valid ? [] : [`Filtro OData: ${expressionValidation.error}`];
+};
+
 /**
  * Validates pagination configuration
  * @param {Object} pagination - Pagination configuration
@@ -64,9 +313,50 @@ const validatePagination = (pagination) => {
     }
   }
 
+  if (pagination.mode === 'cursor' && pagination.showPagination !== false) {
+    if (!pagination.cursorConfig?.requestParam?.trim()) {
+      errors.push('O parâmetro do cursor é obrigatório na paginação por cursor');
+    }
+    if (!pagination.cursorConfig?.nextCursorPath?.trim()) {
+      errors.push('O caminho do próximo cursor é obrigatório na paginação por cursor');
+    }
+  }
+
   return errors;
 };
 
+/**
+ * Validates the update request of inline editing
+ * The endpoint is only required when a column is editable.
+ * @param {Object} inlineEdit - Update request configuration (method, endpoint, bodyTemplate)
+ * @param {Array<Object>} columns - Column configurations
+ * @returns {Object} { valid, errors }
+ */
+export const validateInlineEdit = (inlineEdit = {}, columns = []) => {
+  const errors = [];
+  const hasEditableColumns = (columns || []).some(
+    (column) => column.editable && column.type !== COLUMN_TYPES.ACTIONS
+  );
+
+  if (inlineEdit.method && !['PUT', 'PATCH'].includes(inlineEdit.method)) {
+    errors.push(`Método de edição inválido: ${inlineEdit.method}`);
+  }
+
+  if (hasEditableColumns && (!inlineEdit.endpoint || !inlineEdit.endpoint.trim())) {
+    errors.push('O endpoint de edição é obrigatório quando há colunas editáveis');
+  }
+
+  const bodyValidation = validateJsonTemplate(inlineEdit.bodyTemplate);
+  if (!bodyValidation.valid) {
+    errors.push(`Corpo da edição: ${bodyValidation.error}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
 /**
  * Validates events configuration
  * @param {Object} events - Events configuration
@@ -86,6 +376,21 @@ const validateEvents = (events) => {
     errors.push(...sortingErrors);
   }
 
+  // Validate auto-refresh interval
+  if (events.autoRefresh?.enabled) {
+    const interval = events.autoRefresh.interval;
+    if (!Number.isFinite(interval) || interval < MIN_AUTO_REFRESH_INTERVAL) {
+      errors.push(
+        `O intervalo de atualização automática deve ser de pelo menos ${MIN_AUTO_REFRESH_INTERVAL} segundos`
+      );
+    }
+  }
+
+  // Validate row selection and bulk actions
+  if (events.rowSelection?.enabled) {
+    errors.push(...validateRowSelection(events.rowSelection).errors);
+  }
+
   return errors;
 };
 
@@ -110,11 +415,11 @@ const validateSorting = (sorting) => {
       errors.push('Parâmetro de coluna é obrigatório para ordenação server-side');
     }
 
-    if (!orderParam || !orderParam.trim()) {
+    if (orderFormat !== 'field-colon-order' && (!orderParam || !orderParam.trim())) {
       errors.push('Parâmetro de ordem é obrigatório para ordenação server-side');
     }
 
-    const validFormats = ['numeric', 'asc-desc', 'ascend-descend'];
+    const validFormats = ['numeric', 'asc-desc', 'ascend-descend', 'field-colon-order'];
     if (orderFormat && !validFormats.includes(orderFormat)) {
       errors.push(`Formato de ordem inválido: ${orderFormat}`);
     }
@@ -127,11 +432,160 @@ const validateSorting = (sorting) => {
         errors.push('Valor de ordenação descendente é obrigatório');
       }
     }
+
+    const { multiSortFormat } = sorting.serverConfig;
+    if (
+      sorting.multiple &&
+      multiSortFormat &&
+      !Object.values(MULTI_SORT_FORMATS).includes(multiSortFormat)
+    ) {
+      errors.push(`Formato de ordenação por várias colunas inválido: ${multiSortFormat}`);
+    }
   }
 
   return errors;
 };
 
+/**
+ * Validates lookup sources (secondary APIs joined into the rows)
+ * @param {Array} lookups - Lookup sources array
+ * @param {string} sourceType - Source type of the configuration (Liferay Headless lookups use portal paths)
+ * @returns {Object} Validation result
+ */
+export const validateLookups = (lookups = [], sourceType) => {
+  const errors = [];
+
+  if (!Array.isArray(lookups)) {
+    return {
+      valid: false,
+      errors: ['As consultas devem ser um array'],
+    };
+  }
+
+  lookups.forEach((lookup, index) => {
+    if (lookup.enabled === false) {
+      return;
+    }
+
+    const label = `Consulta ${lookup.name || index + 1}`;
+
+    if (!lookup.name || !lookup.name.trim()) {
+      errors.push(`Consulta ${index + 1}: Nome é obrigatório`);
+    } else if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(lookup.name)) {
+      errors.push(`${label}: o nome deve conter apenas letras, números e _`);
+    } else if (lookups.filter((l) => l.enabled !== false && l.name === lookup.name).length > 1) {
+      errors.push(`Consulta duplicada: ${lookup.name}`);
+    }
+
+    if (!lookup.keyField || !lookup.keyField.trim()) {
+      errors.push(`${label}: o campo com o id é obrigatório`);
+    }
+
+    if (!Object.values(LOOKUP_MODES).includes(lookup.mode)) {
+      errors.push(`${label}: modo inválido: ${lookup.mode}`);
+    }
+
+    if (!lookup.endpoint || !lookup.endpoint.trim()) {
+      errors.push(`${label}: o endpoint é obrigatório`);
+      return;
+    }
+
+    // Placeholders are replaced by a sample value, as they are only known per request
+    const urlValidation = validateEndpoint(
+      lookup.endpoint.replace(/\{\{[^}]*\}\}/g, '1'),
+      sourceType === 'liferay-headless' ? sourceType : 'external'
+    );
+    if (!urlValidation.valid) {
+      errors.push(`${label}: ${urlValidation.error || 'endpoint inválido'}`);
+    }
+
+    if (lookup.mode === LOOKUP_MODES.SINGLE && !/\{\{\s*id\s*\}\}/.test(lookup.endpoint)) {
+      errors.push(`${label}: o endpoint deve conter {{id}} no modo um por id`);
+    }
+
+    if (lookup.mode === LOOKUP_MODES.BATCH) {
+      if (!lookup.idParam || !lookup.idParam.trim()) {
+        errors.push(`${label}: o parâmetro com os ids é obrigatório no modo em lote`);
+      }
+      if (!lookup.matchField || !lookup.matchField.trim()) {
+        errors.push(`${label}: o campo de correspondência é obrigatório no modo em lote`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validates the row selection configuration and its bulk actions
+ * @param {Object} rowSelection - Row selection configuration (type, actions)
+ * @returns {Object} Validation result with valid flag and errors array
+ */
+export const validateRowSelection = (rowSelection = {}) => {
+  const errors = [];
+  const { type, actions = [] } = rowSelection;
+
+  if (type && !Object.values(ROW_SELECTION_TYPES).includes(type)) {
+    errors.push(`Tipo de seleção inválido: ${type}`);
+  }
+
+  if (!Array.isArray(actions)) {
+    return {
+      valid: false,
+      errors: [...errors, 'As ações em lote devem ser um array'],
+    };
+  }
+
+  actions.forEach((action, index) => {
+    const label = `Ação ${action.label || index + 1}`;
+
+    if (!action.label || !action.label.trim()) {
+      errors.push(`Ação ${index + 1}: o rótulo é obrigatório`);
+    }
+
+    if (!Object.values(BULK_ACTION_TYPES).includes(action.type)) {
+      errors.push(`${label}: tipo inválido: ${action.type}`);
+      return;
+    }
+
+    if (
+      action.type === BULK_ACTION_TYPES.EXPORT &&
+      !['csv', 'json'].includes(action.exportFormat)
+    ) {
+      errors.push(`${label}: formato de exportação inválido: ${action.exportFormat}`);
+    }
+
+    if (action.type !== BULK_ACTION_TYPES.ENDPOINT) {
+      return;
+    }
+
+    if (!['POST', 'DELETE'].includes(action.method)) {
+      errors.push(`${label}: método inválido: ${action.method}`);
+    }
+
+    if (!action.endpoint || !action.endpoint.trim()) {
+      errors.push(`${label}: o endpoint é obrigatório`);
+      return;
+    }
+
+    const perRow = /\{\{\s*id\s*\}\}/.test(action.endpoint);
+    if (!perRow && action.method === 'DELETE') {
+      errors.push(`${label}: o endpoint deve conter {{id}} com o método DELETE`);
+    }
+    if (!perRow && (!action.idsField || !action.idsField.trim())) {
+      errors.push(`${label}: o campo dos ids é obrigatório sem {{id}} no endpoint`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
 /**
  * Validates URL parameters configuration
  * @param {Array} urlParams - URL parameters array
@@ -0,0 +1,183 @@
+/**
+ * Auth Config Panel Component
+ *
+ * Auth type selector for external APIs with the fields of each type:
+ * Bearer token, API key (header or query param), HTTP Basic,
+ * OAuth2 client credentials and Liferay session (cookies + x-csrf-token).
+ */
+
+import { Form, Input, Select, Radio, Alert, Space } from 'antd';
+import { AUTH_TYPES, DEFAULT_AUTH_CONFIG } from '../../../core/models/configuration.types';
+
+const AUTH_TYPE_OPTIONS = [
+  { value: AUTH_TYPES.NONE, label: 'Sem autenticação' },
+  { value: AUTH_TYPES.BEARER, label: 'Token Bearer' },
+  { value: AUTH_TYPES.API_KEY, label: 'Chave de API' },
+  { value: AUTH_TYPES.BASIC, label: 'HTTP Basic' },
+  { value: AUTH_TYPES.OAUTH2_CLIENT_CREDENTIALS, label: 'OAuth2 (client credentials)' },
+  { value: AUTH_TYPES.LIFERAY_SESSION, label: 'Sessão do Liferay' },
+];
+
+const AuthConfigPanel = ({ value = {}, authToken = '', onChange, onTokenChange }) => {
+  const auth = {
+    ...DEFAULT_AUTH_CONFIG,
+    ...value,
+    apiKey: { ...DEFAULT_AUTH_CONFIG.apiKey, ...(value.apiKey || {}) },
+    basic: { ...DEFAULT_AUTH_CONFIG.basic, ...(value.basic || {}) },
+    oauth2: { ...DEFAULT_AUTH_CONFIG.oauth2, ...(value.oauth2 || {}) },
+  };
+
+  /**
+   * Handles auth type change
+   */
+  const handleTypeChange = (type) => {
+    onChange({ ...auth, type });
+  };
+
+  /**
+   * Updates a field of the auth type group (apiKey, basic, oauth2)
+   */
+  const handleFieldChange = (group, field, fieldValue) => {
+    onChange({
+      ...auth,
+      [group]: {
+        ...auth[group],
+        [field]: fieldValue,
+      },
+    });
+  };
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Form.Item layout="vertical" label="Tipo de Autenticação">
+        <Select
+          value={auth.type}
+          onChange={handleTypeChange}
+          options={AUTH_TYPE_OPTIONS}
+          style={{ width: 300 }}
+        />
+      </Form.Item>
+
+      {auth.type === AUTH_TYPES.BEARER && (
+        <Form.Item
+          layout="vertical"
+          label="Token de Autenticação"
+          help="Enviado no header Authorization. O prefixo Bearer é adicionado se necessário."
+        >
+          <Input.Password
+            value={authToken}
+            onChange={(e) => onTokenChange(e.target.value)}
+            placeholder="Bearer seu-token-aqui"
+          />
+        </Form.Item>
+      )}
+
+      {auth.type === AUTH_TYPES.API_KEY && (
+        <>
+          <Form.Item layout="vertical" label="Enviar em">
+            <Radio.Group
+              value={auth.apiKey.in}
+              onChange={(e) => handleFieldChange('apiKey', 'in', e.target.value)}
+            >
+              <Radio value="header">Header</Radio>
+              <Radio value="query">Parâmetro de consulta</Radio>
+            </Radio.Group>
+          </Form.Item>
+          <Form.Item
+            layout="vertical"
+            label={auth.apiKey.in === 'query' ? 'Nome do Parâmetro*' : 'Nome do Header*'}
+          >
+            <Input
+              value={auth.apiKey.name}
+              onChange={(e) => handleFieldChange('apiKey', 'name', e.target.value)}
+              placeholder={auth.apiKey.in === 'query' ? 'api_key' : 'X-API-Key'}
+            />
+          </Form.Item>
+          <Form.Item layout="vertical" label="Chave*">
+            <Input.Password
+              value={auth.apiKey.value}
+              onChange={(e) => handleFieldChange('apiKey', 'value', e.target.value)}
+              placeholder="sua-chave-de-api"
+            />
+          </Form.Item>
+        </>
+      )}
+
+      {auth.type === AUTH_TYPES.BASIC && (
+        <>
+          <Form.Item layout="vertical" label="Usuário*">
+            <Input
+              value={auth.basic.username}
+              onChange={(e) => handleFieldChange('basic', 'username', e.target.value)}
+              autoComplete="off"
+            />
+          </Form.Item>
+          <Form.Item layout="vertical" label="Senha">
+            <Input.Password
+              value={auth.basic.password}
+              onChange={(e) => handleFieldChange('basic', 'password', e.target.value)}
+              autoComplete="new-password"
+            />
+          </Form.Item>
+        </>
+      )}
+
+      {auth.type === AUTH_TYPES.OAUTH2_CLIENT_CREDENTIALS && (
+        <>
+          <Form.Item
+            layout="vertical"
+            label="URL do Token*"
+            help="O token obtido fica em cache até expirar e é renovado quando a API responde 401."
+          >
+            <Input
+              value={auth.oauth2.tokenUrl}
+              onChange={(e) => handleFieldChange('oauth2', 'tokenUrl', e.target.value)}
+              placeholder="https://auth.example.com/oauth2/token"
+            />
+          </Form.Item>
+          <Form.Item layout="vertical" label="Client ID*">
+            <Input
+              value={auth.oauth2.clientId}
+              onChange={(e) => handleFieldChange('oauth2', 'clientId', e.target.value)}
+            />
+          </Form.Item>
+          <Form.Item layout="vertical" label="Client Secret*">
+            <Input.Password
+              value={auth.oauth2.clientSecret}
+              onChange={(e) => handleFieldChange('oauth2', 'clientSecret', e.target.value)}
+              autoComplete="new-password"
+            />
+          </Form.Item>
+          <Form.Item layout="vertical" label="Escopo (opcional)">
+            <Input
+              value={auth.oauth2.scope}
+              onChange={(e) => handleFieldChange('oauth2', 'scope', e.target.value)}
+              placeholder="read:items"
+            />
+          </Form.Item>
+        </>
+      )}
+
+      {auth.type === AUTH_TYPES.LIFERAY_SESSION && (
+        <Alert
+          message="Sessão do Liferay"
+          description="Envia os cookies da sessão do portal e o header x-csrf-token (Liferay.authToken). Use para APIs no mesmo domínio do portal ou que aceitem credenciais em CORS."
+          type="info"
+          showIcon
+        />
+      )}
+
+      {[AUTH_TYPES.BASIC, AUTH_TYPES.OAUTH2_CLIENT_CREDENTIALS, AUTH_TYPES.API_KEY].includes(
+        auth.type
+      ) && (
+        <Alert
+          message="As credenciais ficam salvas na configuração e são enviadas pelo navegador. Use credenciais com permissão apenas de leitura."
+          type="warning"
+          showIcon
+        />
+      )}
+    </Space>
+  );
+};
+
+export default AuthConfigPanel;
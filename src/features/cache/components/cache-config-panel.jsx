@@ -0,0 +1,68 @@
+/**
+ * Cache Config Panel Component
+ *
+ * Response cache settings of a configuration: enable toggle, time to live
+ * and stale-while-revalidate. Cached pages are shown instantly when revisited;
+ * the "Recarregar" button always fetches new data.
+ */
+
+import { Card, Form, Switch, InputNumber, Checkbox, Space, Typography } from 'antd';
+import { DEFAULT_CACHE_CONFIG } from '../../../core/models/configuration.types';
+
+const { Text } = Typography;
+
+const CacheConfigPanel = ({ value = {}, onChange }) => {
+  const cache = { ...DEFAULT_CACHE_CONFIG, ...value };
+
+  /**
+   * Updates a cache field
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({ ...cache, [field]: fieldValue });
+  };
+
+  return (
+    <Card title="Cache de respostas" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Reutiliza as respostas da API ao voltar a uma página, ordenação ou busca já carregada. O
+          botão Recarregar sempre busca dados novos.
+        </Text>
+
+        <Space>
+          <Switch
+            checked={cache.enabled}
+            onChange={(checked) => handleFieldChange('enabled', checked)}
+          />
+          <Text>Ativar cache</Text>
+        </Space>
+
+        {cache.enabled && (
+          <>
+            <Form.Item
+              layout="vertical"
+              label="Tempo de cache (segundos)"
+              help="Depois desse tempo a resposta é buscada novamente"
+            >
+              <InputNumber
+                min={1}
+                value={cache.ttl}
+                onChange={(ttl) => handleFieldChange('ttl', ttl)}
+                style={{ width: 200 }}
+              />
+            </Form.Item>
+
+            <Checkbox
+              checked={cache.staleWhileRevalidate}
+              onChange={(e) => handleFieldChange('staleWhileRevalidate', e.target.checked)}
+            >
+              Exibir a resposta expirada enquanto a nova carrega (stale-while-revalidate)
+            </Checkbox>
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default CacheConfigPanel;
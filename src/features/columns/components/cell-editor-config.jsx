@@ -0,0 +1,167 @@
+/**
+ * Cell Editor Config Component
+ *
+ * Inline editor of an editable column: editor type, field sent to the API and the
+ * validation rules checked before saving. The update request itself is configured
+ * once for the table (Events step).
+ */
+
+import { Card, Form, Input, InputNumber, Select, Checkbox, Row, Col, Space, Tooltip } from 'antd';
+import { InfoCircleOutlined } from '@ant-design/icons';
+import { DEFAULT_COLUMN_EDITOR, EDITOR_TYPES } from '../../../core/models/configuration.types';
+
+const EDITOR_TYPE_OPTIONS = [
+  { value: EDITOR_TYPES.TEXT, label: 'Texto' },
+  { value: EDITOR_TYPES.NUMBER, label: 'Número' },
+  { value: EDITOR_TYPES.SELECT, label: 'Lista de valores' },
+  { value: EDITOR_TYPES.SWITCH, label: 'Sim/Não (switch)' },
+  { value: EDITOR_TYPES.DATE, label: 'Data' },
+];
+
+const CellEditorConfig = ({ value, dataIndex, onChange }) => {
+  const editor = { ...DEFAULT_COLUMN_EDITOR, ...(value || {}) };
+
+  /**
+   * Updates a field of the editor
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({ ...editor, [field]: fieldValue });
+  };
+
+  return (
+    <Card size="small" type="inner" style={{ background: '#fafafa', marginBottom: 8 }}>
+      <Row gutter={16}>
+        <Col span={12}>
+          <Form.Item label="Editor">
+            <Select
+              value={editor.type}
+              onChange={(type) => handleFieldChange('type', type)}
+              options={EDITOR_TYPE_OPTIONS}
+            />
+          </Form.Item>
+        </Col>
+        <Col span={12}>
+          <Form.Item
+            label={
+              <Space>
+                Campo na API
+                <Tooltip title="Nome do campo enviado na requisição de atualização. Deixe vazio para usar o dataIndex">
+                  <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                </Tooltip>
+              </Space>
+            }
+          >
+            <Input
+              value={editor.field}
+              onChange={(e) => handleFieldChange('field', e.target.value)}
+              placeholder={dataIndex || 'Usar dataIndex'}
+            />
+          </Form.Item>
+        </Col>
+      </Row>
+
+      {editor.type === EDITOR_TYPES.SELECT && (
+        <Form.Item label="Valores*">
+          <Select
+            mode="tags"
+            value={editor.options}
+            onChange={(options) => handleFieldChange('options', options)}
+            placeholder="Digite um valor e pressione Enter"
+            tokenSeparators={[',']}
+          />
+        </Form.Item>
+      )}
+
+      {editor.type === EDITOR_TYPES.NUMBER && (
+        <Row gutter={16}>
+          <Col span={12}>
+            <Form.Item label="Valor mínimo">
+              <InputNumber
+                value={editor.min}
+                onChange={(min) => handleFieldChange('min', min ?? undefined)}
+                style={{ width: '100%' }}
+              />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item label="Valor máximo">
+              <InputNumber
+                value={editor.max}
+                onChange={(max) => handleFieldChange('max', max ?? undefined)}
+                style={{ width: '100%' }}
+              />
+            </Form.Item>
+          </Col>
+        </Row>
+      )}
+
+      {editor.type === EDITOR_TYPES.TEXT && (
+        <>
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item label="Tamanho mínimo">
+                <InputNumber
+                  value={editor.minLength}
+                  onChange={(minLength) => handleFieldChange('minLength', minLength ?? undefined)}
+                  min={0}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item label="Tamanho máximo">
+                <InputNumber
+                  value={editor.maxLength}
+                  onChange={(maxLength) => handleFieldChange('maxLength', maxLength ?? undefined)}
+                  min={1}
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item
+                label={
+                  <Space>
+                    Padrão (regex)
+                    <Tooltip title="Expressão regular que o texto precisa atender, ex.: ^[A-Z]{2}-\d{4}$">
+                      <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                    </Tooltip>
+                  </Space>
+                }
+              >
+                <Input
+                  value={editor.pattern}
+                  onChange={(e) => handleFieldChange('pattern', e.target.value)}
+                  placeholder="^[A-Z]{2}-\d{4}$"
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item label="Mensagem do padrão">
+                <Input
+                  value={editor.patternMessage}
+                  onChange={(e) => handleFieldChange('patternMessage', e.target.value)}
+                  placeholder="Use o formato AB-1234"
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+        </>
+      )}
+
+      {editor.type !== EDITOR_TYPES.SWITCH && (
+        <Checkbox
+          checked={editor.required}
+          onChange={(e) => handleFieldChange('required', e.target.checked)}
+        >
+          Obrigatório
+        </Checkbox>
+      )}
+    </Card>
+  );
+};
+
+export default CellEditorConfig;
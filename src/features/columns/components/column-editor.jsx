@@ -19,14 +19,43 @@ import {
   Select,
   Alert,
   Divider,
+  Radio,
 } from 'antd';
-import { DeleteOutlined, InfoCircleOutlined, FormatPainterOutlined } from '@ant-design/icons';
+import {
+  DeleteOutlined,
+  InfoCircleOutlined,
+  FormatPainterOutlined,
+  FilterOutlined,
+  ThunderboltOutlined,
+  EditOutlined,
+} from '@ant-design/icons';
 import { getAvailableRenderers, getRendererFields } from '../renderers';
 import RenderConfigForm from './render-config-form';
+import RowActionsEditor from './row-actions-editor';
+import CellEditorConfig from './cell-editor-config';
 import { validateColumn } from '../../../core/validators/column-validator';
+import {
+  COLUMN_FILTER_TYPES,
+  COLUMN_TYPES,
+  DEFAULT_COLUMN_FILTER,
+} from '../../../core/models/configuration.types';
 
 const { Option } = Select;
 
+const FILTER_TYPE_OPTIONS = [
+  { value: COLUMN_FILTER_TYPES.TEXT, label: 'Texto (contém)' },
+  { value: COLUMN_FILTER_TYPES.SELECT, label: 'Lista de valores' },
+  { value: COLUMN_FILTER_TYPES.NUMBER_RANGE, label: 'Intervalo numérico' },
+  { value: COLUMN_FILTER_TYPES.DATE_RANGE, label: 'Intervalo de datas' },
+];
+
+const FILTER_VALUE_TYPE_OPTIONS = [
+  { value: '', label: 'Automático' },
+  { value: 'string', label: 'Texto' },
+  { value: 'number', label: 'Número' },
+  { value: 'boolean', label: 'Booleano' },
+];
+
 const ColumnEditor = ({
   column,
   index,
@@ -34,9 +63,23 @@ const ColumnEditor = ({
   onRemove,
   onRenderTypeChange,
   onRenderConfigChange,
+  onTypeChange,
 }) => {
   const validation = validateColumn(column, index);
+  const isActionsColumn = column.type === COLUMN_TYPES.ACTIONS;
   const hasErrors = validation.length > 0;
+  const filter = { ...DEFAULT_COLUMN_FILTER, ...(column.filter || {}) };
+  const isRangeFilter =
+    filter.type === COLUMN_FILTER_TYPES.NUMBER_RANGE ||
+    filter.type === COLUMN_FILTER_TYPES.DATE_RANGE;
+  const filterParam = filter.param || column.dataIndex || 'campo';
+
+  /**
+   * Updates a field of the column filter
+   */
+  const handleFilterChange = (field, value) => {
+    onUpdate(index, 'filter', { ...filter, [field]: value });
+  };
 
   return (
     <Card
@@ -58,6 +101,16 @@ const ColumnEditor = ({
       }}
     >
       <Space direction="vertical" style={{ width: '100%' }}>
+        <Radio.Group
+          value={column.type || COLUMN_TYPES.DATA}
+          onChange={(e) => onTypeChange(index, e.target.value)}
+          buttonStyle="solid"
+          size="small"
+        >
+          <Radio.Button value={COLUMN_TYPES.DATA}>Dados</Radio.Button>
+          <Radio.Button value={COLUMN_TYPES.ACTIONS}>Ações por linha</Radio.Button>
+        </Radio.Group>
+
         <Row gutter={16}>
           <Col span={12}>
             <Form.Item
@@ -79,131 +132,291 @@ const ColumnEditor = ({
             </Form.Item>
           </Col>
 
-          <Col span={12}>
-            <Form.Item
-              label={
-                <Space>
-                  Campo de origem*
-                  <Tooltip title="Nome exato da propriedade retornada pela sua API (case-sensitive)">
-                    <InfoCircleOutlined style={{ color: '#4B67A2' }} />
-                  </Tooltip>
-                </Space>
-              }
-              validateStatus={!column.dataIndex ? 'error' : 'success'}
-            >
-              <Input
-                value={column.dataIndex}
-                onChange={(e) => onUpdate(index, 'dataIndex', e.target.value)}
-                placeholder="nome"
-              />
-            </Form.Item>
-          </Col>
-        </Row>
-
-        <Row gutter={16} justify={'flex'}>
-          {column.sortable && (
+          {isActionsColumn ? (
+            <Col span={12}>
+              <Form.Item label="Largura">
+                <InputNumber
+                  value={column.width}
+                  onChange={(val) => onUpdate(index, 'width', val)}
+                  placeholder="Largura da coluna"
+                  min={50}
+                  max={1000}
+                  addonAfter="px"
+                  style={{ width: '100%' }}
+                />
+              </Form.Item>
+            </Col>
+          ) : (
             <Col span={12}>
               <Form.Item
                 label={
                   <Space>
-                    Campo de ordenação*
-                    <Tooltip title="Nome do campo enviado para ordenação na API. Deixe vazio para usar o dataIndex">
+                    Campo de origem*
+                    <Tooltip title="Nome exato da propriedade retornada pela sua API (case-sensitive)">
                       <InfoCircleOutlined style={{ color: '#4B67A2' }} />
                     </Tooltip>
                   </Space>
                 }
+                validateStatus={!column.dataIndex ? 'error' : 'success'}
               >
                 <Input
-                  value={column.sortField}
-                  onChange={(e) => onUpdate(index, 'sortField', e.target.value)}
-                  placeholder={column.dataIndex || 'Usar dataIndex'}
+                  value={column.dataIndex}
+                  onChange={(e) => onUpdate(index, 'dataIndex', e.target.value)}
+                  placeholder="nome"
                 />
               </Form.Item>
             </Col>
           )}
-          <Col span={12} style={{ paddingLeft: 0 }}>
-            <Form.Item label=" " colon={false}>
-              <Checkbox
-                checked={column.sortable}
-                onChange={(e) => onUpdate(index, 'sortable', e.target.checked)}
-              >
-                Ativar ordenação
-              </Checkbox>
-            </Form.Item>
-          </Col>
         </Row>
 
-        <Divider orientation="left">
-          <Space>
-            <FormatPainterOutlined />
-            Renderização customizada
-          </Space>
-        </Divider>
+        {isActionsColumn && (
+          <>
+            <Divider orientation="left">
+              <Space>
+                <ThunderboltOutlined />
+                Ações
+              </Space>
+            </Divider>
+            <RowActionsEditor
+              value={column.actions}
+              onChange={(actions) => onUpdate(index, 'actions', actions)}
+            />
+          </>
+        )}
 
-        <Row gutter={16}>
-          <Col span={12}>
-            <Form.Item
-              label={
-                <Space>
-                  Tipo
-                  <Tooltip title="Escolha como os valores desta coluna serão exibidos">
-                    <InfoCircleOutlined style={{ color: '#4B67A2' }} />
-                  </Tooltip>
-                </Space>
-              }
+        {!isActionsColumn && (
+          <>
+            <Row gutter={16} justify={'flex'}>
+              {column.sortable && (
+                <Col span={12}>
+                  <Form.Item
+                    label={
+                      <Space>
+                        Campo de ordenação*
+                        <Tooltip title="Nome do campo enviado para ordenação na API. Deixe vazio para usar o dataIndex">
+                          <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                        </Tooltip>
+                      </Space>
+                    }
+                  >
+                    <Input
+                      value={column.sortField}
+                      onChange={(e) => onUpdate(index, 'sortField', e.target.value)}
+                      placeholder={column.dataIndex || 'Usar dataIndex'}
+                    />
+                  </Form.Item>
+                </Col>
+              )}
+              <Col span={12} style={{ paddingLeft: 0 }}>
+                <Form.Item label=" " colon={false}>
+                  <Checkbox
+                    checked={column.sortable}
+                    onChange={(e) => onUpdate(index, 'sortable', e.target.checked)}
+                  >
+                    Ativar ordenação
+                  </Checkbox>
+                </Form.Item>
+              </Col>
+            </Row>
+
+            <Checkbox
+              checked={column.filterable}
+              onChange={(e) => onUpdate(index, 'filterable', e.target.checked)}
             >
-              <Select
-                value={column.render?.type || 'default'}
-                onChange={(value) => onRenderTypeChange(index, value)}
-                placeholder="Selecione o tipo"
-              >
-                {getAvailableRenderers().map((renderer) => (
-                  <Option key={renderer.value} value={renderer.value}>
-                    <Space direction="vertical" size={0}>
-                      <span>
-                        {renderer.label}{' '}
-                        <span style={{ fontSize: '12px', color: '#888' }}>
-                          ({renderer.description})
-                        </span>
-                      </span>
-                    </Space>
-                  </Option>
-                ))}
-              </Select>
-            </Form.Item>
-          </Col>
+              <Space>
+                <FilterOutlined />
+                Ativar filtro no cabeçalho
+              </Space>
+            </Checkbox>
 
-          <Col span={12}>
-            <Form.Item label="Largura">
-              <InputNumber
-                value={column.width}
-                onChange={(val) => onUpdate(index, 'width', val)}
-                placeholder="Largura da coluna"
-                min={50}
-                max={1000}
-                addonAfter="px"
-                style={{ width: '100%' }}
-              />
-            </Form.Item>
-          </Col>
-        </Row>
+            {column.filterable && (
+              <Card size="small" type="inner" style={{ background: '#fafafa', marginBottom: 8 }}>
+                <Row gutter={16}>
+                  <Col span={12}>
+                    <Form.Item label="Tipo de filtro">
+                      <Select
+                        value={filter.type}
+                        onChange={(value) => handleFilterChange('type', value)}
+                        options={FILTER_TYPE_OPTIONS}
+                      />
+                    </Form.Item>
+                  </Col>
+                  <Col span={12}>
+                    <Form.Item
+                      label={
+                        <Space>
+                          Parâmetro
+                          <Tooltip title="Parâmetro de query (API externa) ou campo OData (Liferay). Deixe vazio para usar o dataIndex">
+                            <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                          </Tooltip>
+                        </Space>
+                      }
+                    >
+                      <Input
+                        value={filter.param}
+                        onChange={(e) => handleFilterChange('param', e.target.value)}
+                        placeholder={column.dataIndex || 'Usar dataIndex'}
+                      />
+                    </Form.Item>
+                  </Col>
+                </Row>
+
+                {isRangeFilter && (
+                  <Row gutter={16}>
+                    <Col span={12}>
+                      <Form.Item label="Parâmetro do início">
+                        <Input
+                          value={filter.paramFrom}
+                          onChange={(e) => handleFilterChange('paramFrom', e.target.value)}
+                          placeholder={`${filterParam}_gte`}
+                        />
+                      </Form.Item>
+                    </Col>
+                    <Col span={12}>
+                      <Form.Item label="Parâmetro do fim">
+                        <Input
+                          value={filter.paramTo}
+                          onChange={(e) => handleFilterChange('paramTo', e.target.value)}
+                          placeholder={`${filterParam}_lte`}
+                        />
+                      </Form.Item>
+                    </Col>
+                  </Row>
+                )}
+
+                {filter.type === COLUMN_FILTER_TYPES.SELECT && (
+                  <Form.Item
+                    label={
+                      <Space>
+                        Valores
+                        <Tooltip title="Deixe vazio para listar os valores das linhas carregadas">
+                          <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                        </Tooltip>
+                      </Space>
+                    }
+                  >
+                    <Select
+                      mode="tags"
+                      value={filter.options}
+                      onChange={(value) => handleFilterChange('options', value)}
+                      placeholder="Digite um valor e pressione Enter"
+                      tokenSeparators={[',']}
+                    />
+                  </Form.Item>
+                )}
+
+                {filter.type === COLUMN_FILTER_TYPES.SELECT && (
+                  <Form.Item
+                    label={
+                      <Space>
+                        Tipo dos valores
+                        <Tooltip title="Tipo usado no filtro OData (Liferay): números e booleanos são enviados sem aspas. Automático usa número ou booleano quando todos os valores selecionados forem desse tipo">
+                          <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                        </Tooltip>
+                      </Space>
+                    }
+                  >
+                    <Select
+                      value={filter.valueType}
+                      onChange={(value) => handleFilterChange('valueType', value)}
+                      options={FILTER_VALUE_TYPE_OPTIONS}
+                    />
+                  </Form.Item>
+                )}
+              </Card>
+            )}
+
+            <Checkbox
+              checked={column.editable}
+              onChange={(e) => onUpdate(index, 'editable', e.target.checked)}
+            >
+              <Space>
+                <EditOutlined />
+                Permitir edição inline
+              </Space>
+            </Checkbox>
 
-        {/* Render-specific configuration fields */}
-        {column.render?.type && column.render.type !== 'default' && (
-          <Card
-            size="small"
-            type="inner"
-            style={{ background: '#fafafa', marginBottom: 8, padding: 8 }}
-          >
-            <Space direction="vertical" size="middle" style={{ width: '100%' }}>
-              <RenderConfigForm
-                renderType={column.render.type}
-                config={column.render.config || {}}
-                fields={getRendererFields(column.render.type)}
-                onConfigChange={(field, value) => onRenderConfigChange(index, field, value)}
+            {column.editable && (
+              <CellEditorConfig
+                value={column.editor}
+                dataIndex={column.dataIndex}
+                onChange={(editor) => onUpdate(index, 'editor', editor)}
               />
-            </Space>
-          </Card>
+            )}
+
+            <Divider orientation="left">
+              <Space>
+                <FormatPainterOutlined />
+                Renderização customizada
+              </Space>
+            </Divider>
+
+            <Row gutter={16}>
+              <Col span={12}>
+                <Form.Item
+                  label={
+                    <Space>
+                      Tipo
+                      <Tooltip title="Escolha como os valores desta coluna serão exibidos">
+                        <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+                      </Tooltip>
+                    </Space>
+                  }
+                >
+                  <Select
+                    value={column.render?.type || 'default'}
+                    onChange={(value) => onRenderTypeChange(index, value)}
+                    placeholder="Selecione o tipo"
+                  >
+                    {getAvailableRenderers().map((renderer) => (
+                      <Option key={renderer.value} value={renderer.value}>
+                        <Space direction="vertical" size={0}>
+                          <span>
+                            {renderer.label}{' '}
+                            <span style={{ fontSize: '12px', color: '#888' }}>
+                              ({renderer.description})
+                            </span>
+                          </span>
+                        </Space>
+                      </Option>
+                    ))}
+                  </Select>
+                </Form.Item>
+              </Col>
+
+              <Col span={12}>
+                <Form.Item label="Largura">
+                  <InputNumber
+                    value={column.width}
+                    onChange={(val) => onUpdate(index, 'width', val)}
+                    placeholder="Largura da coluna"
+                    min={50}
+                    max={1000}
+                    addonAfter="px"
+                    style={{ width: '100%' }}
+                  />
+                </Form.Item>
+              </Col>
+            </Row>
+
+            {/* Render-specific configuration fields */}
+            {column.render?.type && column.render.type !== 'default' && (
+              <Card
+                size="small"
+                type="inner"
+                style={{ background: '#fafafa', marginBottom: 8, padding: 8 }}
+              >
+                <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+                  <RenderConfigForm
+                    renderType={column.render.type}
+                    config={column.render.config || {}}
+                    fields={getRendererFields(column.render.type)}
+                    onConfigChange={(field, value) => onRenderConfigChange(index, field, value)}
+                  />
+                </Space>
+              </Card>
+            )}
+          </>
         )}
 
         {hasErrors && (
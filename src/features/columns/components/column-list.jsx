@@ -16,6 +16,7 @@ const ColumnList = ({
   onRemove,
   onRenderTypeChange,
   onRenderConfigChange,
+  onTypeChange,
 }) => {
   return (
     <Space direction="vertical" size="large" style={{ width: '100%' }}>
@@ -37,6 +38,7 @@ const ColumnList = ({
           onRemove={onRemove}
           onRenderTypeChange={onRenderTypeChange}
           onRenderConfigChange={onRenderConfigChange}
+          onTypeChange={onTypeChange}
         />
       ))}
 
@@ -0,0 +1,405 @@
+/**
+ * Row Actions Editor Component
+ *
+ * Form for the actions of an actions column: how they are displayed (buttons or kebab
+ * menu) and each action - open a URL, call an endpoint, open a detail drawer or copy a
+ * value - with its visibility and enabled conditions.
+ */
+
+import {
+  Card,
+  Form,
+  Input,
+  Select,
+  Radio,
+  Checkbox,
+  Button,
+  Space,
+  Row,
+  Col,
+  Typography,
+  Tooltip,
+} from 'antd';
+import {
+  PlusOutlined,
+  DeleteOutlined,
+  InfoCircleOutlined,
+  ArrowUpOutlined,
+  ArrowDownOutlined,
+} from '@ant-design/icons';
+import {
+  CONDITION_OPERATORS,
+  DEFAULT_ROW_ACTIONS,
+  ROW_ACTION_DISPLAYS,
+  ROW_ACTION_TYPES,
+  createNewRowAction,
+} from '../../../core/models/configuration.types';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+const ACTION_TYPE_OPTIONS = [
+  { value: ROW_ACTION_TYPES.URL, label: 'Abrir URL' },
+  { value: ROW_ACTION_TYPES.HTTP, label: 'Chamar endpoint' },
+  { value: ROW_ACTION_TYPES.DETAIL, label: 'Ver detalhes (painel lateral)' },
+  { value: ROW_ACTION_TYPES.COPY, label: 'Copiar valor' },
+];
+
+const OPERATOR_OPTIONS = [
+  { value: CONDITION_OPERATORS.EQUALS, label: 'igual a' },
+  { value: CONDITION_OPERATORS.NOT_EQUALS, label: 'diferente de' },
+  { value: CONDITION_OPERATORS.IN, label: 'um de (a,b,c)' },
+  { value: CONDITION_OPERATORS.NOT_IN, label: 'nenhum de (a,b,c)' },
+  { value: CONDITION_OPERATORS.GREATER_THAN, label: 'maior que' },
+  { value: CONDITION_OPERATORS.LESS_THAN, label: 'menor que' },
+  { value: CONDITION_OPERATORS.EMPTY, label: 'vazio' },
+  { value: CONDITION_OPERATORS.NOT_EMPTY, label: 'preenchido' },
+];
+
+// Operators that do not compare with a value
+const VALUELESS_OPERATORS = [CONDITION_OPERATORS.EMPTY, CONDITION_OPERATORS.NOT_EMPTY];
+
+const TEMPLATE_HELP = 'Use {{record.campo}} para valores da linha e {{id}} para o id';
+
+/**
+ * List of conditions on row fields (all must match)
+ */
+const ConditionsEditor = ({ label, tooltip, value = [], onChange }) => {
+  const conditions = value || [];
+
+  const handleConditionChange = (index, field, fieldValue) => {
+    onChange(
+      conditions.map((condition, i) =>
+        i === index ? { ...condition, [field]: fieldValue } : condition
+      )
+    );
+  };
+
+  return (
+    <Form.Item
+      layout="vertical"
+      label={
+        <Space>
+          {label}
+          <Tooltip title={tooltip}>
+            <InfoCircleOutlined style={{ color: '#4B67A2' }} />
+          </Tooltip>
+        </Space>
+      }
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        {conditions.map((condition, index) => (
+          <Space key={index} style={{ width: '100%' }} align="start">
+            <Input
+              value={condition.field}
+              onChange={(e) => handleConditionChange(index, 'field', e.target.value)}
+              placeholder="status"
+              style={{ width: 160 }}
+            />
+            <Select
+              value={condition.operator}
+              onChange={(operator) => handleConditionChange(index, 'operator', operator)}
+              options={OPERATOR_OPTIONS}
+              style={{ width: 170 }}
+            />
+            {!VALUELESS_OPERATORS.includes(condition.operator) && (
+              <Input
+                value={condition.value}
+                onChange={(e) => handleConditionChange(index, 'value', e.target.value)}
+                placeholder="aprovado"
+                style={{ width: 160 }}
+              />
+            )}
+            <Button
+              type="text"
+              icon={<DeleteOutlined />}
+              onClick={() => onChange(conditions.filter((_, i) => i !== index))}
+            />
+          </Space>
+        ))}
+        <Button
+          size="small"
+          icon={<PlusOutlined />}
+          onClick={() =>
+            onChange([
+              ...conditions,
+              { field: '', operator: CONDITION_OPERATORS.EQUALS, value: '' },
+            ])
+          }
+        >
+          Adicionar condição
+        </Button>
+      </Space>
+    </Form.Item>
+  );
+};
+
+const RowActionsEditor = ({ value, onChange }) => {
+  const currentValue = { ...DEFAULT_ROW_ACTIONS, ...(value || {}) };
+  const items = currentValue.items || [];
+
+  /**
+   * Updates a field of the actions configuration
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({
+      ...currentValue,
+      [field]: fieldValue,
+    });
+  };
+
+  /**
+   * Updates a field of an action
+   */
+  const handleActionChange = (index, field, fieldValue) => {
+    handleFieldChange(
+      'items',
+      items.map((action, i) => (i === index ? { ...action, [field]: fieldValue } : action))
+    );
+  };
+
+  /**
+   * Moves an action up or down (order of the buttons and menu items)
+   */
+  const handleMoveAction = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const newItems = [...items];
+    [newItems[index], newItems[target]] = [newItems[target], newItems[index]];
+    handleFieldChange('items', newItems);
+  };
+
+  return (
+    <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+      <Form.Item layout="vertical" label="Exibição">
+        <Radio.Group
+          value={currentValue.display}
+          onChange={(e) => handleFieldChange('display', e.target.value)}
+          buttonStyle="solid"
+        >
+          <Radio.Button value={ROW_ACTION_DISPLAYS.BUTTONS}>Botões</Radio.Button>
+          <Radio.Button value={ROW_ACTION_DISPLAYS.MENU}>Menu (⋮)</Radio.Button>
+        </Radio.Group>
+      </Form.Item>
+
+      {items.map((action, index) => (
+        <Card
+          key={action.id || index}
+          type="inner"
+          size="small"
+          title={action.label || `Ação ${index + 1}`}
+          extra={
+            <Space size={0}>
+              <Button
+                type="text"
+                icon={<ArrowUpOutlined />}
+                disabled={index === 0}
+                onClick={() => handleMoveAction(index, -1)}
+              />
+              <Button
+                type="text"
+                icon={<ArrowDownOutlined />}
+                disabled={index === items.length - 1}
+                onClick={() => handleMoveAction(index, 1)}
+              />
+              <Button
+                type="text"
+                icon={<DeleteOutlined />}
+                onClick={() =>
+                  handleFieldChange(
+                    'items',
+                    items.filter((_, i) => i !== index)
+                  )
+                }
+              />
+            </Space>
+          }
+        >
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item layout="vertical" label="Rótulo*">
+                <Input
+                  value={action.label}
+                  onChange={(e) => handleActionChange(index, 'label', e.target.value)}
+                  placeholder="Editar"
+                />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item layout="vertical" label="Tipo">
+                <Select
+                  value={action.type}
+                  onChange={(type) => handleActionChange(index, 'type', type)}
+                  options={ACTION_TYPE_OPTIONS}
+                />
+              </Form.Item>
+            </Col>
+          </Row>
+
+          {action.type === ROW_ACTION_TYPES.URL && (
+            <Row gutter={16} align="middle">
+              <Col span={16}>
+                <Form.Item layout="vertical" label="URL*" help={TEMPLATE_HELP}>
+                  <Input
+                    value={action.url}
+                    onChange={(e) => handleActionChange(index, 'url', e.target.value)}
+                    placeholder="/web/guest/pedido?id={{id}}"
+                    style={{ fontFamily: 'monospace' }}
+                  />
+                </Form.Item>
+              </Col>
+              <Col span={8}>
+                <Checkbox
+                  checked={action.openInNewTab}
+                  onChange={(e) => handleActionChange(index, 'openInNewTab', e.target.checked)}
+                >
+                  Abrir em nova aba
+                </Checkbox>
+              </Col>
+            </Row>
+          )}
+
+          {action.type === ROW_ACTION_TYPES.HTTP && (
+            <>
+              <Row gutter={16}>
+                <Col span={6}>
+                  <Form.Item layout="vertical" label="Método">
+                    <Select
+                      value={action.method}
+                      onChange={(method) => handleActionChange(index, 'method', method)}
+                      options={['POST', 'PUT', 'DELETE'].map((method) => ({
+                        value: method,
+                        label: method,
+                      }))}
+                    />
+                  </Form.Item>
+                </Col>
+                <Col span={18}>
+                  <Form.Item layout="vertical" label="Endpoint*" help={TEMPLATE_HELP}>
+                    <Input
+                      value={action.endpoint}
+                      onChange={(e) => handleActionChange(index, 'endpoint', e.target.value)}
+                      placeholder="/o/c/pedidos/{{id}}/aprovar"
+                      style={{ fontFamily: 'monospace' }}
+                    />
+                  </Form.Item>
+                </Col>
+              </Row>
+              {action.method !== 'DELETE' && (
+                <Form.Item layout="vertical" label="Corpo (JSON, opcional)">
+                  <TextArea
+                    value={action.body}
+                    onChange={(e) => handleActionChange(index, 'body', e.target.value)}
+                    placeholder={'{ "status": "aprovado", "pedidoId": "{{id}}" }'}
+                    autoSize={{ minRows: 2, maxRows: 6 }}
+                    style={{ fontFamily: 'monospace' }}
+                  />
+                </Form.Item>
+              )}
+              <Checkbox
+                checked={action.reloadAfter}
+                onChange={(e) => handleActionChange(index, 'reloadAfter', e.target.checked)}
+              >
+                Recarregar a tabela após o sucesso
+              </Checkbox>
+            </>
+          )}
+
+          {action.type === ROW_ACTION_TYPES.DETAIL && (
+            <Row gutter={16}>
+              <Col span={12}>
+                <Form.Item layout="vertical" label="Título do painel" help={TEMPLATE_HELP}>
+                  <Input
+                    value={action.detailTitle}
+                    onChange={(e) => handleActionChange(index, 'detailTitle', e.target.value)}
+                    placeholder="Pedido {{record.numero}}"
+                  />
+                </Form.Item>
+              </Col>
+              <Col span={12}>
+                <Form.Item
+                  layout="vertical"
+                  label="Campos exibidos"
+                  help="Vazio exibe as colunas da tabela"
+                >
+                  <Select
+                    mode="tags"
+                    value={action.detailFields}
+                    onChange={(fields) => handleActionChange(index, 'detailFields', fields)}
+                    placeholder="Digite um campo e pressione Enter"
+                    tokenSeparators={[',']}
+                  />
+                </Form.Item>
+              </Col>
+            </Row>
+          )}
+
+          {action.type === ROW_ACTION_TYPES.COPY && (
+            <Form.Item layout="vertical" label="Valor copiado*" help={TEMPLATE_HELP}>
+              <Input
+                value={action.copyValue}
+                onChange={(e) => handleActionChange(index, 'copyValue', e.target.value)}
+                placeholder="{{record.email}}"
+                style={{ fontFamily: 'monospace' }}
+              />
+            </Form.Item>
+          )}
+
+          <Space direction="vertical" style={{ width: '100%', marginTop: 8 }}>
+            <Space wrap>
+              <Checkbox
+                checked={action.confirm}
+                onChange={(e) => handleActionChange(index, 'confirm', e.target.checked)}
+              >
+                Pedir confirmação
+              </Checkbox>
+              <Checkbox
+                checked={action.danger}
+                onChange={(e) => handleActionChange(index, 'danger', e.target.checked)}
+              >
+                Ação perigosa (vermelha)
+              </Checkbox>
+            </Space>
+            {action.confirm && (
+              <Input
+                value={action.confirmMessage}
+                onChange={(e) => handleActionChange(index, 'confirmMessage', e.target.value)}
+                placeholder="Excluir o pedido {{record.numero}}? (vazio usa uma mensagem padrão)"
+              />
+            )}
+          </Space>
+
+          <div style={{ marginTop: 16 }}>
+            <ConditionsEditor
+              label="Exibir quando"
+              tooltip="A ação só aparece nas linhas que atendem a todas as condições"
+              value={action.visibleWhen}
+              onChange={(conditions) => handleActionChange(index, 'visibleWhen', conditions)}
+            />
+            <ConditionsEditor
+              label="Habilitar quando"
+              tooltip="A ação aparece desabilitada nas linhas que não atendem a todas as condições"
+              value={action.enabledWhen}
+              onChange={(conditions) => handleActionChange(index, 'enabledWhen', conditions)}
+            />
+          </div>
+        </Card>
+      ))}
+
+      <Button
+        type="dashed"
+        icon={<PlusOutlined />}
+        onClick={() => handleFieldChange('items', [...items, createNewRowAction()])}
+        block
+      >
+        Adicionar ação
+      </Button>
+
+      {items.length === 0 && (
+        <Text type="secondary">Nenhuma ação configurada para esta coluna.</Text>
+      )}
+    </Space>
+  );
+};
+
+export default RowActionsEditor;
@@ -0,0 +1,83 @@
+/**
+ * Auto Refresh Section Component
+ *
+ * Polling settings of a live table: refresh interval and highlight of changed rows.
+ * Polling pauses while the browser tab is hidden or the table is off-screen.
+ */
+
+import { Card, Form, Switch, InputNumber, Checkbox, Space, Typography } from 'antd';
+import { SyncOutlined } from '@ant-design/icons';
+import {
+  DEFAULT_AUTO_REFRESH_CONFIG,
+  MIN_AUTO_REFRESH_INTERVAL,
+} from '../../../core/models/configuration.types';
+
+const { Text, Paragraph } = Typography;
+
+const AutoRefreshSection = ({ value, onChange }) => {
+  const currentValue = { ...DEFAULT_AUTO_REFRESH_CONFIG, ...(value || {}) };
+
+  /**
+   * Updates an auto-refresh field
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({
+      ...currentValue,
+      [field]: fieldValue,
+    });
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <SyncOutlined />
+          <Text strong>Atualização automática</Text>
+        </Space>
+      }
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Paragraph type="secondary" style={{ marginBottom: 0 }}>
+          Recarrega os dados periodicamente mantendo a página, a ordenação e a busca atuais. A
+          atualização pausa enquanto a aba está oculta ou a tabela está fora da tela, e o usuário
+          pode pausá-la e retomá-la.
+        </Paragraph>
+
+        <Space>
+          <Switch
+            checked={currentValue.enabled}
+            onChange={(checked) => handleFieldChange('enabled', checked)}
+          />
+          <Text>Atualizar automaticamente</Text>
+        </Space>
+
+        {currentValue.enabled && (
+          <>
+            <Form.Item
+              layout="vertical"
+              label="Intervalo (segundos)"
+              help={`Mínimo de ${MIN_AUTO_REFRESH_INTERVAL} segundos`}
+            >
+              <InputNumber
+                min={MIN_AUTO_REFRESH_INTERVAL}
+                precision={0}
+                value={currentValue.interval}
+                onChange={(interval) => handleFieldChange('interval', interval)}
+                style={{ width: 200 }}
+              />
+            </Form.Item>
+
+            <Checkbox
+              checked={currentValue.highlightChanges}
+              onChange={(e) => handleFieldChange('highlightChanges', e.target.checked)}
+            >
+              Destacar as linhas alteradas desde a última atualização
+            </Checkbox>
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default AutoRefreshSection;
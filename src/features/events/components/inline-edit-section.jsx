@@ -0,0 +1,99 @@
+/**
+ * Inline Edit Section Component
+ *
+ * Update request that saves the cells of editable columns (PUT or PATCH through the
+ * Liferay client). Which columns are editable, and how, is set in the column editor.
+ */
+
+import { Card, Form, Radio, Input, Alert, Space, Typography } from 'antd';
+import { EditOutlined } from '@ant-design/icons';
+import { DEFAULT_INLINE_EDIT_CONFIG } from '../../../core/models/configuration.types';
+import { validateInlineEdit } from '../../../core/validators/config-validator';
+
+const { Text, Paragraph } = Typography;
+const { TextArea } = Input;
+
+const InlineEditSection = ({ value, onChange }) => {
+  const currentValue = { ...DEFAULT_INLINE_EDIT_CONFIG, ...(value || {}) };
+  const validation = validateInlineEdit(currentValue);
+
+  /**
+   * Updates a field of the update request
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({
+      ...currentValue,
+      [field]: fieldValue,
+    });
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <EditOutlined />
+          <Text strong>Edição inline</Text>
+        </Space>
+      }
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Paragraph type="secondary" style={{ marginBottom: 0 }}>
+          Requisição que salva as células das colunas marcadas com{' '}
+          <Text strong>Permitir edição inline</Text>. O novo valor aparece na tabela na hora e volta
+          ao anterior se a requisição falhar.
+        </Paragraph>
+
+        <Form.Item layout="vertical" label="Método">
+          <Radio.Group
+            value={currentValue.method}
+            onChange={(e) => handleFieldChange('method', e.target.value)}
+            buttonStyle="solid"
+          >
+            <Radio.Button value="PATCH">PATCH (só o campo editado)</Radio.Button>
+            <Radio.Button value="PUT">PUT</Radio.Button>
+          </Radio.Group>
+        </Form.Item>
+
+        <Form.Item
+          layout="vertical"
+          label="Endpoint"
+          help="Use {{id}} e {{record.campo}} para valores da linha"
+        >
+          <Input
+            value={currentValue.endpoint}
+            onChange={(e) => handleFieldChange('endpoint', e.target.value)}
+            placeholder="/o/c/pedidos/{{id}}"
+            style={{ fontFamily: 'monospace' }}
+          />
+        </Form.Item>
+
+        <Form.Item
+          layout="vertical"
+          label="Corpo (JSON, opcional)"
+          help={
+            <>
+              Vazio envia apenas o campo editado: <Text code>{'{ "campo": valor }'}</Text>. No
+              template, <Text code>{'"{{value}}"'}</Text> é o novo valor (mantendo o tipo),{' '}
+              <Text code>{'{{field}}'}</Text> o campo e <Text code>{'{{record.campo}}'}</Text> a
+              linha antes da edição
+            </>
+          }
+        >
+          <TextArea
+            value={currentValue.bodyTemplate}
+            onChange={(e) => handleFieldChange('bodyTemplate', e.target.value)}
+            placeholder={'{ "status": "{{value}}", "versao": "{{record.versao}}" }'}
+            autoSize={{ minRows: 3, maxRows: 8 }}
+            style={{ fontFamily: 'monospace' }}
+          />
+        </Form.Item>
+
+        {validation.errors.length > 0 && (
+          <Alert type="error" showIcon message={validation.errors.join('; ')} />
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default InlineEditSection;
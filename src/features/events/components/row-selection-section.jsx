@@ -0,0 +1,265 @@
+/**
+ * Row Selection Section Component
+ *
+ * Checkbox (or radio) selection of table rows and the bulk actions shown for the
+ * selected rows: call an endpoint with the selected ids, export them or dispatch a
+ * DOM event. Selected rows are kept across pages.
+ */
+
+import {
+  Card,
+  Form,
+  Switch,
+  Radio,
+  Select,
+  Input,
+  Checkbox,
+  Button,
+  Alert,
+  Space,
+  Row,
+  Col,
+  Typography,
+} from 'antd';
+import { CheckSquareOutlined, PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import {
+  DEFAULT_ROW_SELECTION_CONFIG,
+  ROW_SELECTION_TYPES,
+  BULK_ACTION_TYPES,
+  createNewBulkAction,
+} from '../../../core/models/configuration.types';
+import { validateRowSelection } from '../../../core/validators/config-validator';
+import { isPerRowEndpoint } from '../../../services/bulk-actions';
+
+const { Text, Paragraph } = Typography;
+
+const ACTION_TYPE_OPTIONS = [
+  { value: BULK_ACTION_TYPES.ENDPOINT, label: 'Chamar endpoint' },
+  { value: BULK_ACTION_TYPES.EXPORT, label: 'Exportar seleção' },
+  { value: BULK_ACTION_TYPES.EVENT, label: 'Disparar evento DOM' },
+];
+
+const RowSelectionSection = ({ value, onChange }) => {
+  const currentValue = { ...DEFAULT_ROW_SELECTION_CONFIG, ...(value || {}) };
+  const actions = currentValue.actions || [];
+
+  /**
+   * Updates a row selection field
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({
+      ...currentValue,
+      [field]: fieldValue,
+    });
+  };
+
+  /**
+   * Updates a field of a bulk action
+   */
+  const handleActionChange = (index, field, fieldValue) => {
+    handleFieldChange(
+      'actions',
+      actions.map((action, i) => (i === index ? { ...action, [field]: fieldValue } : action))
+    );
+  };
+
+  const handleAddAction = () => {
+    handleFieldChange('actions', [...actions, createNewBulkAction()]);
+  };
+
+  const handleRemoveAction = (index) => {
+    handleFieldChange(
+      'actions',
+      actions.filter((_, i) => i !== index)
+    );
+  };
+
+  const validation = validateRowSelection(currentValue);
+
+  return (
+    <Card
+      title={
+        <Space>
+          <CheckSquareOutlined />
+          <Text strong>Seleção de linhas e ações em lote</Text>
+        </Space>
+      }
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Paragraph type="secondary" style={{ marginBottom: 0 }}>
+          Adiciona uma coluna de seleção à tabela. As linhas selecionadas continuam selecionadas ao
+          trocar de página, e as ações em lote aparecem acima da tabela quando há uma seleção. As
+          linhas são identificadas pelo campo <Text code>id</Text>.
+        </Paragraph>
+
+        <Space>
+          <Switch
+            checked={currentValue.enabled}
+            onChange={(checked) => handleFieldChange('enabled', checked)}
+          />
+          <Text>Permitir seleção de linhas</Text>
+        </Space>
+
+        {currentValue.enabled && (
+          <>
+            <Form.Item layout="vertical" label="Tipo de seleção">
+              <Radio.Group
+                value={currentValue.type}
+                onChange={(e) => handleFieldChange('type', e.target.value)}
+                buttonStyle="solid"
+              >
+                <Radio.Button value={ROW_SELECTION_TYPES.MULTIPLE}>Várias linhas</Radio.Button>
+                <Radio.Button value={ROW_SELECTION_TYPES.SINGLE}>Uma linha</Radio.Button>
+              </Radio.Group>
+            </Form.Item>
+
+            {actions.map((action, index) => {
+              const isEndpoint = action.type === BULK_ACTION_TYPES.ENDPOINT;
+              const isSingleRequest = !isPerRowEndpoint(action.endpoint);
+
+              return (
+                <Card
+                  key={action.id || index}
+                  type="inner"
+                  size="small"
+                  title={action.label || `Ação ${index + 1}`}
+                  extra={
+                    <Button
+                      type="text"
+                      icon={<DeleteOutlined />}
+                      onClick={() => handleRemoveAction(index)}
+                    />
+                  }
+                >
+                  <Row gutter={16}>
+                    <Col xs={24} md={12}>
+                      <Form.Item layout="vertical" label="Rótulo do botão*">
+                        <Input
+                          value={action.label}
+                          onChange={(e) => handleActionChange(index, 'label', e.target.value)}
+                          placeholder="Aprovar"
+                        />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={24} md={12}>
+                      <Form.Item layout="vertical" label="Tipo">
+                        <Select
+                          value={action.type}
+                          onChange={(type) => handleActionChange(index, 'type', type)}
+                          options={ACTION_TYPE_OPTIONS}
+                        />
+                      </Form.Item>
+                    </Col>
+                  </Row>
+
+                  {isEndpoint && (
+                    <Row gutter={16}>
+                      <Col xs={24} md={6}>
+                        <Form.Item layout="vertical" label="Método">
+                          <Select
+                            value={action.method}
+                            onChange={(method) => handleActionChange(index, 'method', method)}
+                            options={[
+                              { value: 'POST', label: 'POST' },
+                              { value: 'DELETE', label: 'DELETE' },
+                            ]}
+                          />
+                        </Form.Item>
+                      </Col>
+                      <Col xs={24} md={isSingleRequest ? 12 : 18}>
+                        <Form.Item
+                          layout="vertical"
+                          label="Endpoint*"
+                          help={
+                            isSingleRequest
+                              ? 'Uma requisição com todos os ids no corpo. Use {{id}} para uma requisição por linha'
+                              : 'Uma requisição por linha, com {{id}} substituído pelo id'
+                          }
+                        >
+                          <Input
+                            value={action.endpoint}
+                            onChange={(e) => handleActionChange(index, 'endpoint', e.target.value)}
+                            placeholder="/o/c/pedidos/{{id}}"
+                            style={{ fontFamily: 'monospace' }}
+                          />
+                        </Form.Item>
+                      </Col>
+                      {isSingleRequest && (
+                        <Col xs={24} md={6}>
+                          <Form.Item layout="vertical" label="Campo dos ids">
+                            <Input
+                              value={action.idsField}
+                              onChange={(e) =>
+                                handleActionChange(index, 'idsField', e.target.value)
+                              }
+                              placeholder="ids"
+                            />
+                          </Form.Item>
+                        </Col>
+                      )}
+                    </Row>
+                  )}
+
+                  {action.type === BULK_ACTION_TYPES.EXPORT && (
+                    <Form.Item layout="vertical" label="Formato">
+                      <Radio.Group
+                        value={action.exportFormat}
+                        onChange={(e) => handleActionChange(index, 'exportFormat', e.target.value)}
+                      >
+                        <Radio value="csv">CSV (colunas da tabela)</Radio>
+                        <Radio value="json">JSON (linhas completas)</Radio>
+                      </Radio.Group>
+                    </Form.Item>
+                  )}
+
+                  {action.type === BULK_ACTION_TYPES.EVENT && (
+                    <Text type="secondary" style={{ fontSize: 12 }}>
+                      Dispara <Text code>dxp-datatable:bulk-action</Text> com{' '}
+                      <Text code>{'{ actionId, label, keys, rows }'}</Text> no elemento.
+                    </Text>
+                  )}
+
+                  <Space direction="vertical" style={{ width: '100%', marginTop: 8 }}>
+                    <Space wrap>
+                      <Checkbox
+                        checked={action.confirm}
+                        onChange={(e) => handleActionChange(index, 'confirm', e.target.checked)}
+                      >
+                        Pedir confirmação
+                      </Checkbox>
+                      <Checkbox
+                        checked={action.danger}
+                        onChange={(e) => handleActionChange(index, 'danger', e.target.checked)}
+                      >
+                        Ação perigosa (botão vermelho)
+                      </Checkbox>
+                    </Space>
+                    {action.confirm && (
+                      <Input
+                        value={action.confirmMessage}
+                        onChange={(e) =>
+                          handleActionChange(index, 'confirmMessage', e.target.value)
+                        }
+                        placeholder="Mensagem de confirmação (vazio usa uma mensagem padrão)"
+                      />
+                    )}
+                  </Space>
+                </Card>
+              );
+            })}
+
+            <Button type="dashed" icon={<PlusOutlined />} onClick={handleAddAction} block>
+              Adicionar ação em lote
+            </Button>
+
+            {validation.errors.length > 0 && (
+              <Alert type="error" showIcon message={validation.errors.join('; ')} />
+            )}
+          </>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default RowSelectionSection;
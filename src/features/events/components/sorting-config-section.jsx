@@ -5,14 +5,34 @@
  * Extracted from events-config.section.jsx.
  */
 
-import { Card, Form, Alert, Space, Typography, Input, Radio, Select } from 'antd';
+import { Card, Form, Alert, Space, Typography, Input, Radio, Select, Checkbox } from 'antd';
 import { SortAscendingOutlined } from '@ant-design/icons';
+import { MULTI_SORT_FORMATS } from '../../../core/models/configuration.types';
+import { buildSortParams } from '../../../utils/multi-sort';
 
 const { Text, Paragraph } = Typography;
 
+// Columns of the query example (the second one only with multiple sorting)
+const EXAMPLE_SORTS = [
+  { columnKey: 'name', order: 'ascend' },
+  { columnKey: 'date', order: 'descend' },
+];
+
+/**
+ * Formats query params as a query string (repeated params once per value)
+ */
+const toQueryString = (params) => {
+  return Object.entries(params)
+    .flatMap(([key, value]) =>
+      (Array.isArray(value) ? value : [value]).map((item) => `${key}=${item}`)
+    )
+    .join('&');
+};
+
 const SortingConfigSection = ({ value, onChange }) => {
   const defaultValue = {
     mode: 'server',
+    multiple: false,
     serverConfig: {
       columnParam: '_columnSort',
       orderParam: '_sort',
@@ -21,6 +41,7 @@ const SortingConfigSection = ({ value, onChange }) => {
         ascend: '1',
         descend: '-1',
       },
+      multiSortFormat: 'repeated',
     },
   };
 
@@ -58,7 +79,7 @@ const SortingConfigSection = ({ value, onChange }) => {
     if (format === 'numeric') {
       orderValues = { ascend: '1', descend: '-1' };
     }
-    if (format === 'asc-desc') {
+    if (format === 'asc-desc' || format === 'field-colon-order') {
       orderValues = { ascend: 'asc', descend: 'desc' };
     } else if (format === 'ascend-descend') {
       orderValues = { ascend: 'ascend', descend: 'descend' };
@@ -74,6 +95,16 @@ const SortingConfigSection = ({ value, onChange }) => {
     });
   };
 
+  // Field and direction sent together in the column param (e.g., Liferay ?sort=name:asc)
+  const isCombinedFormat = currentValue.serverConfig.orderFormat === 'field-colon-order';
+
+  const exampleQuery = toQueryString(
+    buildSortParams(
+      { sorts: currentValue.multiple ? EXAMPLE_SORTS : EXAMPLE_SORTS.slice(0, 1) },
+      currentValue
+    )
+  );
+
   return (
     <Card
       title={
@@ -97,6 +128,17 @@ const SortingConfigSection = ({ value, onChange }) => {
           </Radio.Group>
         </Form.Item>
 
+        {currentValue.mode !== 'disabled' && (
+          <Form.Item help="Com Shift + clique no cabeçalho, as colunas são adicionadas à ordenação atual, numeradas pela prioridade.">
+            <Checkbox
+              checked={Boolean(currentValue.multiple)}
+              onChange={(e) => onChange({ ...currentValue, multiple: e.target.checked })}
+            >
+              Permitir ordenação por várias colunas
+            </Checkbox>
+          </Form.Item>
+        )}
+
         {currentValue.mode === 'server' && (
           <>
             <Alert
@@ -116,16 +158,18 @@ const SortingConfigSection = ({ value, onChange }) => {
               />
             </Form.Item>
 
-            <Form.Item
-              label="Parâmetro da Ordem"
-              help="Nome do parâmetro que define a direção da ordenação (ex.: 'order', '_sort')."
-            >
-              <Input
-                value={currentValue.serverConfig.orderParam}
-                onChange={(e) => handleServerConfigChange('orderParam', e.target.value)}
-                placeholder="_sort"
-              />
-            </Form.Item>
+            {!isCombinedFormat && (
+              <Form.Item
+                label="Parâmetro da Ordem"
+                help="Nome do parâmetro que define a direção da ordenação (ex.: 'order', '_sort')."
+              >
+                <Input
+                  value={currentValue.serverConfig.orderParam}
+                  onChange={(e) => handleServerConfigChange('orderParam', e.target.value)}
+                  placeholder="_sort"
+                />
+              </Form.Item>
+            )}
 
             <Form.Item
               label="Formato da Ordenação"
@@ -145,18 +189,40 @@ const SortingConfigSection = ({ value, onChange }) => {
                 <Select.Option value="ascend-descend">
                   Texto completo (ascend = ascendente, descend = descendente)
                 </Select.Option>
+                <Select.Option value="field-colon-order">
+                  Campo e direção no mesmo parâmetro (nome:asc, padrão Liferay)
+                </Select.Option>
               </Select>
             </Form.Item>
 
+            {currentValue.multiple && (
+              <Form.Item
+                label="Envio de várias colunas"
+                help="Como as colunas ordenadas são enviadas quando há mais de uma."
+              >
+                <Select
+                  value={currentValue.serverConfig.multiSortFormat || MULTI_SORT_FORMATS.REPEATED}
+                  onChange={(format) => handleServerConfigChange('multiSortFormat', format)}
+                  style={{ width: '100%' }}
+                >
+                  <Select.Option value={MULTI_SORT_FORMATS.REPEATED}>
+                    Parâmetros repetidos (um por coluna)
+                  </Select.Option>
+                  <Select.Option value={MULTI_SORT_FORMATS.COMMA_LIST}>
+                    Lista separada por vírgula (padrão Liferay)
+                  </Select.Option>
+                  <Select.Option value={MULTI_SORT_FORMATS.JSON}>
+                    Array JSON com campo e direção
+                  </Select.Option>
+                </Select>
+              </Form.Item>
+            )}
+
             <Alert
               message="Exemplo de consulta"
               description={
                 <div>
-                  <Text code>
-                    ?{currentValue.serverConfig.columnParam}=name&
-                    {currentValue.serverConfig.orderParam}=
-                    {currentValue.serverConfig.orderValues.ascend}
-                  </Text>
+                  <Text code>?{exampleQuery}</Text>
                   <br />
                   <Text type="secondary" style={{ fontSize: '12px' }}>
                     Os parâmetros são adicionados apenas quando uma coluna é ordenada. Eles são
@@ -174,7 +240,7 @@ const SortingConfigSection = ({ value, onChange }) => {
         {currentValue.mode === 'client' && (
           <Alert
             message="Ordenação do Lado do Cliente"
-            description="Os dados serão ordenados diretamente no navegador. Isso funciona bem para pequenos conjuntos de dados, mas pode ser lento para tabelas grandes. Nenhuma chamada de API é feita ao ordenar."
+            description="Os dados carregados serão ordenados diretamente no navegador (com paginação no cliente, todas as páginas). Isso funciona bem para pequenos conjuntos de dados, mas pode ser lento para tabelas grandes. Nenhuma chamada de API é feita ao ordenar."
             type="info"
           />
         )}
@@ -0,0 +1,76 @@
+/**
+ * Liferay Params Panel Component
+ *
+ * Edits the Liferay Headless query parameters sent with every request:
+ * search (full text), filter (OData expression) and fields (sparse fieldsets).
+ * The filter is read-only while conditions are composed in the filter builder.
+ */
+
+import { Card, Space, Input, Typography } from 'antd';
+import { DEFAULT_LIFERAY_PARAMS } from '../../../core/models/configuration.types';
+
+const { Text } = Typography;
+
+const LiferayParamsPanel = ({ value = {}, onChange }) => {
+  const params = { ...DEFAULT_LIFERAY_PARAMS, ...value };
+  const hasBuilderConditions = params.filterConditions.length > 0;
+
+  /**
+   * Updates a single Liferay param
+   */
+  const handleChange = (field, fieldValue) => {
+    onChange({
+      ...params,
+      [field]: fieldValue,
+    });
+  };
+
+  return (
+    <Card title="Parâmetros Liferay Headless" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <div>
+          <Text strong>Busca (search)</Text>
+          <Input
+            value={params.search}
+            onChange={(e) => handleChange('search', e.target.value)}
+            placeholder="Termo de busca fixo (opcional)"
+          />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            A busca dinâmica, quando habilitada, substitui este valor.
+          </Text>
+        </div>
+
+        <div>
+          <Text strong>Filtro OData (filter)</Text>
+          <Input.TextArea
+            value={params.filter}
+            onChange={(e) => handleChange('filter', e.target.value)}
+            placeholder="status eq 'approved' and contains(name, '{{search}}')"
+            autoSize={{ minRows: 1, maxRows: 4 }}
+            style={{ fontFamily: 'monospace' }}
+            disabled={hasBuilderConditions}
+          />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            {hasBuilderConditions
+              ? 'Gerado pelo construtor de filtros na etapa de teste. Remova as condições de lá para digitar a expressão manualmente.'
+              : 'Aceita os placeholders {{search}} e {{filters.nome}} para valores dinâmicos (escapados como literais OData).'}
+          </Text>
+        </div>
+
+        <div>
+          <Text strong>Campos (fields)</Text>
+          <Input
+            value={params.fields}
+            onChange={(e) => handleChange('fields', e.target.value)}
+            placeholder="id,name,dateCreated"
+          />
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            Lista separada por vírgulas para retornar apenas os campos usados na tabela.
+          </Text>
+        </div>
+      </Space>
+    </Card>
+  );
+};
+
+export default LiferayParamsPanel;
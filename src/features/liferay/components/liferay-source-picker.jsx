@@ -0,0 +1,150 @@
+/**
+ * Liferay Source Picker Component
+ *
+ * Lists the Liferay Objects and Headless API collections available on the
+ * portal. Picking one fills the endpoint, URL params and columns.
+ */
+
+import { useState } from 'react';
+import { Card, Tabs, Select, Button, Space, Alert, Typography } from 'antd';
+import { AppstoreOutlined, ReloadOutlined } from '@ant-design/icons';
+import { useLiferayCatalog } from '../hooks/use-liferay-catalog';
+
+const { Text } = Typography;
+
+const LiferaySourcePicker = ({ onSelect }) => {
+  const catalog = useLiferayCatalog();
+  const [activeTab, setActiveTab] = useState('objects');
+  const [selectedApi, setSelectedApi] = useState(null);
+
+  /**
+   * Handles tab change, loading the catalog of the tab on first access
+   */
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    if (tab === 'apis' && catalog.apis.length === 0) {
+      catalog.loadApis();
+    }
+  };
+
+  /**
+   * Handles Headless API selection
+   */
+  const handleApiChange = (specPath) => {
+    setSelectedApi(specPath);
+    catalog.loadEndpoints(specPath);
+  };
+
+  /**
+   * Handles Object selection
+   */
+  const handleObjectSelect = (id) => {
+    const object = catalog.objects.find((item) => item.id === id);
+    if (object) {
+      onSelect(object);
+    }
+  };
+
+  /**
+   * Handles Headless endpoint selection
+   */
+  const handleEndpointSelect = (path) => {
+    const endpoint = catalog.endpoints.find((item) => item.path === path);
+    if (endpoint) {
+      onSelect(endpoint);
+    }
+  };
+
+  const tabItems = [
+    {
+      key: 'objects',
+      label: 'Objects',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Space.Compact style={{ width: '100%' }}>
+            <Select
+              showSearch
+              optionFilterProp="label"
+              placeholder={
+                catalog.objects.length > 0 ? 'Selecione um Object' : 'Clique em carregar'
+              }
+              options={catalog.objects.map((object) => ({
+                value: object.id,
+                label: `${object.label} (${object.endpoint})`,
+              }))}
+              onChange={handleObjectSelect}
+              loading={catalog.loading}
+              style={{ width: '100%' }}
+            />
+            <Button
+              icon={<ReloadOutlined />}
+              onClick={catalog.loadObjects}
+              loading={catalog.loading}
+            >
+              Carregar
+            </Button>
+          </Space.Compact>
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            As colunas são criadas a partir das definições de campos do Object (datas e booleanos
+            usam os renderizadores correspondentes).
+          </Text>
+        </Space>
+      ),
+    },
+    {
+      key: 'apis',
+      label: 'APIs Headless',
+      children: (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <Select
+            showSearch
+            optionFilterProp="label"
+            placeholder="Selecione uma API"
+            value={selectedApi}
+            options={catalog.apis.map((api) => ({ value: api.specPath, label: api.name }))}
+            onChange={handleApiChange}
+            loading={catalog.loading}
+            style={{ width: '100%' }}
+          />
+          {selectedApi && (
+            <Select
+              showSearch
+              optionFilterProp="label"
+              placeholder="Selecione um endpoint de listagem"
+              options={catalog.endpoints.map((endpoint) => ({
+                value: endpoint.path,
+                label: `${endpoint.path} - ${endpoint.label}`,
+              }))}
+              onChange={handleEndpointSelect}
+              loading={catalog.loading}
+              style={{ width: '100%' }}
+            />
+          )}
+          <Text type="secondary" style={{ fontSize: '12px' }}>
+            Apenas endpoints GET que retornam páginas de itens são listados. Parâmetros de caminho
+            viram parâmetros de URL (siteId é preenchido com o site atual).
+          </Text>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      size="small"
+      title={
+        <Space>
+          <AppstoreOutlined />
+          <Text strong>Selecionar do portal</Text>
+        </Space>
+      }
+    >
+      {catalog.error && (
+        <Alert message={catalog.error} type="error" showIcon style={{ marginBottom: 12 }} />
+      )}
+      <Tabs activeKey={activeTab} onChange={handleTabChange} items={tabItems} />
+    </Card>
+  );
+};
+
+export default LiferaySourcePicker;
@@ -0,0 +1,216 @@
+/**
+ * OData Filter Builder Component
+ *
+ * Visual editor for the Liferay Headless `filter` param.
+ * Conditions are composed on the fields discovered in the API test and
+ * combined with and/or. Values can be fixed or come from the end-user
+ * search input / element filters (setFilters) at runtime.
+ */
+
+import { Card, Space, Button, Select, Input, AutoComplete, Radio, Alert, Typography } from 'antd';
+import { PlusOutlined, DeleteOutlined, FilterOutlined } from '@ant-design/icons';
+import {
+  ODATA_OPERATORS,
+  ODATA_VALUE_TYPES,
+  inferODataType,
+  previewODataFilter,
+  validateFilterConditions,
+  validateODataExpression,
+} from '../../../utils/odata-filter';
+
+const { Text } = Typography;
+
+const VALUE_SOURCE_OPTIONS = [
+  { value: 'static', label: 'Valor fixo' },
+  { value: 'search', label: 'Busca do usuário' },
+  { value: 'filter', label: 'Filtro externo (setFilters)' },
+];
+
+const TYPE_LABELS = {
+  string: 'Texto',
+  number: 'Número',
+  boolean: 'Booleano',
+  date: 'Data',
+};
+
+const OdataFilterBuilder = ({ fields = [], conditions = [], join = 'and', onChange }) => {
+  const fieldOptions = fields
+    .filter((field) => ['string', 'number', 'boolean'].includes(field.type))
+    .map((field) => ({ value: field.name, label: `${field.name} (${field.type})` }));
+
+  /**
+   * Notifies parent with the new conditions/join
+   */
+  const emitChange = (nextConditions, nextJoin = join) => {
+    onChange({ filterConditions: nextConditions, filterJoin: nextJoin });
+  };
+
+  /**
+   * Adds an empty condition
+   */
+  const handleAdd = () => {
+    emitChange([
+      ...conditions,
+      {
+        id: `cond_${Date.now()}`,
+        field: '',
+        operator: 'eq',
+        type: 'string',
+        valueSource: 'static',
+        value: '',
+      },
+    ]);
+  };
+
+  /**
+   * Updates a condition; picking a discovered field also infers its type
+   */
+  const handleConditionChange = (id, changes) => {
+    emitChange(
+      conditions.map((condition) => {
+        if (condition.id !== id) return condition;
+
+        const updated = { ...condition, ...changes };
+        if (changes.field !== undefined) {
+          const discovered = fields.find((field) => field.name === changes.field);
+          if (discovered) {
+            updated.type = inferODataType(discovered);
+          }
+        }
+
+        // Text functions only apply to strings
+        const operator = ODATA_OPERATORS.find((item) => item.value === updated.operator);
+        if (operator?.types && !operator.types.includes(updated.type)) {
+          updated.operator = 'eq';
+        }
+
+        return updated;
+      })
+    );
+  };
+
+  /**
+   * Removes a condition
+   */
+  const handleRemove = (id) => {
+    emitChange(conditions.filter((condition) => condition.id !== id));
+  };
+
+  const preview = previewODataFilter(conditions, join);
+  const conditionsValidation = validateFilterConditions(conditions);
+  const expressionValidation = validateODataExpression(preview);
+
+  return (
+    <Card
+      size="small"
+      title={
+        <Space>
+          <FilterOutlined />
+          <Text strong>Construtor de filtros OData</Text>
+        </Space>
+      }
+    >
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        {fields.length === 0 && (
+          <Alert
+            message="Teste a API acima para listar os campos disponíveis. Também é possível digitar o nome do campo."
+            type="info"
+            showIcon
+          />
+        )}
+
+        {conditions.length > 1 && (
+          <Radio.Group value={join} onChange={(e) => emitChange(conditions, e.target.value)}>
+            <Radio value="and">Todas as condições (and)</Radio>
+            <Radio value="or">Qualquer condição (or)</Radio>
+          </Radio.Group>
+        )}
+
+        {conditions.map((condition) => (
+          <Space key={condition.id} wrap align="start">
+            <AutoComplete
+              value={condition.field}
+              options={fieldOptions}
+              onChange={(field) => handleConditionChange(condition.id, { field })}
+              placeholder="Campo"
+              style={{ width: 200 }}
+            />
+            <Select
+              value={condition.operator}
+              onChange={(operator) => handleConditionChange(condition.id, { operator })}
+              options={ODATA_OPERATORS.filter(
+                (operator) => !operator.types || operator.types.includes(condition.type)
+              )}
+              style={{ width: 200 }}
+            />
+            <Select
+              value={condition.type}
+              onChange={(type) => handleConditionChange(condition.id, { type })}
+              options={ODATA_VALUE_TYPES.map((type) => ({ value: type, label: TYPE_LABELS[type] }))}
+              style={{ width: 120 }}
+            />
+            <Select
+              value={condition.valueSource}
+              onChange={(valueSource) =>
+                handleConditionChange(condition.id, { valueSource, value: '' })
+              }
+              options={VALUE_SOURCE_OPTIONS}
+              style={{ width: 200 }}
+            />
+            {condition.valueSource !== 'search' && (
+              <Input
+                value={condition.value}
+                onChange={(e) => handleConditionChange(condition.id, { value: e.target.value })}
+                placeholder={
+                  condition.valueSource === 'filter'
+                    ? 'Nome do filtro (ex.: status)'
+                    : condition.type === 'date'
+                      ? '2024-01-31T00:00:00Z'
+                      : 'Valor'
+                }
+                style={{ width: 200 }}
+              />
+            )}
+            <Button danger icon={<DeleteOutlined />} onClick={() => handleRemove(condition.id)} />
+          </Space>
+        ))}
+
+        <Button type="dashed" icon={<PlusOutlined />} onClick={handleAdd}>
+          Adicionar condição
+        </Button>
+
+        {conditions.length > 0 && (
+          <div>
+            <Text strong>Expressão gerada:</Text>
+            <br />
+            <Text code copyable={Boolean(preview)}>
+              {preview || '(vazia)'}
+            </Text>
+            <br />
+            <Text type="secondary" style={{ fontSize: '12px' }}>
+              Condições com valores dinâmicos vazios são ignoradas na requisição.
+            </Text>
+          </div>
+        )}
+
+        {(!conditionsValidation.valid || !expressionValidation.valid) && (
+          <Alert
+            type="error"
+            showIcon
+            message="Filtro inválido"
+            description={
+              <ul style={{ margin: 0, paddingLeft: 20 }}>
+                {conditionsValidation.errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+                {expressionValidation.error && <li>{expressionValidation.error}</li>}
+              </ul>
+            }
+          />
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default OdataFilterBuilder;
@@ -0,0 +1,75 @@
+/**
+ * useLiferayCatalog Hook
+ *
+ * Loads the Liferay Objects, Headless APIs and their collection endpoints
+ * listed in the Liferay source picker.
+ */
+
+import { useState, useCallback } from 'react';
+import {
+  fetchObjectDefinitions,
+  fetchHeadlessApis,
+  fetchHeadlessEndpoints,
+} from '../../../services/liferay-catalog';
+
+/**
+ * Custom hook for the Liferay catalog
+ * @returns {Object} Catalog state and loaders
+ */
+export const useLiferayCatalog = () => {
+  const [objects, setObjects] = useState([]);
+  const [apis, setApis] = useState([]);
+  const [endpoints, setEndpoints] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Runs a loader keeping loading/error state
+   */
+  const runLoader = useCallback(async (loader, setter) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setter(await loader());
+    } catch (loadError) {
+      setter([]);
+      setError(
+        loadError.response?.status === 403 || loadError.response?.status === 401
+          ? 'Sem permissão para listar o catálogo do portal'
+          : loadError.message || 'Erro ao carregar o catálogo do portal'
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Loads the Liferay Objects
+   */
+  const loadObjects = useCallback(() => runLoader(fetchObjectDefinitions, setObjects), [runLoader]);
+
+  /**
+   * Loads the Headless APIs
+   */
+  const loadApis = useCallback(() => runLoader(fetchHeadlessApis, setApis), [runLoader]);
+
+  /**
+   * Loads the collection endpoints of a Headless API
+   */
+  const loadEndpoints = useCallback(
+    (specPath) => runLoader(() => fetchHeadlessEndpoints(specPath), setEndpoints),
+    [runLoader]
+  );
+
+  return {
+    objects,
+    apis,
+    endpoints,
+    loading,
+    error,
+    loadObjects,
+    loadApis,
+    loadEndpoints,
+  };
+};
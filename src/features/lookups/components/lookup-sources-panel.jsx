@@ -0,0 +1,201 @@
+/**
+ * Lookup Sources Panel Component
+ *
+ * Secondary APIs joined into the table rows by a key field (e.g., user names for the
+ * author ids of the rows). Each lookup requests the distinct ids of the loaded rows only,
+ * in one batch request or one request per id, and the records are cached.
+ * The joined fields are available as "name.field" dataIndex values and in renderers.
+ */
+
+import { Card, Form, Input, Radio, Switch, Button, Alert, Space, Row, Col, Typography } from 'antd';
+import { PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+import { LOOKUP_MODES, createNewLookup } from '../../../core/models/configuration.types';
+import { validateLookups } from '../../../core/validators/config-validator';
+
+const { Text } = Typography;
+
+const LookupSourcesPanel = ({ value = [], sourceType, onChange }) => {
+  const lookups = value || [];
+
+  /**
+   * Updates a field of a lookup
+   */
+  const handleFieldChange = (index, field, fieldValue) => {
+    onChange(
+      lookups.map((lookup, i) => (i === index ? { ...lookup, [field]: fieldValue } : lookup))
+    );
+  };
+
+  const handleAddLookup = () => {
+    onChange([...lookups, createNewLookup()]);
+  };
+
+  const handleRemoveLookup = (index) => {
+    onChange(lookups.filter((_, i) => i !== index));
+  };
+
+  const validation = validateLookups(lookups, sourceType);
+
+  return (
+    <Card title="Consultas em outras APIs (lookups)" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Completa as linhas com dados de outra API, como o nome do autor a partir do{' '}
+          <Text code>authorId</Text>. Cada id distinto é buscado uma única vez e fica em cache. O
+          registro encontrado fica no campo com o nome da consulta, e os campos dele podem ser
+          usados como dataIndex das colunas, por exemplo <Text code>autor.name</Text>. As consultas
+          usam a mesma autenticação da fonte principal.
+        </Text>
+
+        {lookups.map((lookup, index) => {
+          const isSingle = lookup.mode === LOOKUP_MODES.SINGLE;
+
+          return (
+            <Card
+              key={lookup.id || index}
+              type="inner"
+              size="small"
+              title={
+                <Space>
+                  <Switch
+                    size="small"
+                    checked={lookup.enabled !== false}
+                    onChange={(checked) => handleFieldChange(index, 'enabled', checked)}
+                  />
+                  <Text>{lookup.name || `Consulta ${index + 1}`}</Text>
+                </Space>
+              }
+              extra={
+                <Button
+                  type="text"
+                  icon={<DeleteOutlined />}
+                  onClick={() => handleRemoveLookup(index)}
+                />
+              }
+            >
+              <Row gutter={16}>
+                <Col xs={24} md={12}>
+                  <Form.Item
+                    layout="vertical"
+                    label="Nome*"
+                    help="Prefixo dos campos nas linhas (ex.: autor → autor.name)"
+                  >
+                    <Input
+                      value={lookup.name}
+                      onChange={(e) => handleFieldChange(index, 'name', e.target.value)}
+                      placeholder="autor"
+                    />
+                  </Form.Item>
+                </Col>
+                <Col xs={24} md={12}>
+                  <Form.Item
+                    layout="vertical"
+                    label="Campo com o id*"
+                    help="Campo das linhas da tabela (aceita lista de ids e notação com ponto)"
+                  >
+                    <Input
+                      value={lookup.keyField}
+                      onChange={(e) => handleFieldChange(index, 'keyField', e.target.value)}
+                      placeholder="authorId"
+                      style={{ fontFamily: 'monospace' }}
+                    />
+                  </Form.Item>
+                </Col>
+              </Row>
+
+              <Form.Item layout="vertical" label="Requisições">
+                <Radio.Group
+                  value={lookup.mode}
+                  onChange={(e) => handleFieldChange(index, 'mode', e.target.value)}
+                  buttonStyle="solid"
+                >
+                  <Radio.Button value={LOOKUP_MODES.BATCH}>Em lote</Radio.Button>
+                  <Radio.Button value={LOOKUP_MODES.SINGLE}>Uma por id</Radio.Button>
+                </Radio.Group>
+              </Form.Item>
+
+              <Form.Item
+                layout="vertical"
+                label="Endpoint*"
+                help={
+                  isSingle
+                    ? 'Use {{id}} no lugar do id (ex.: https://api.exemplo.com/users/{{id}})'
+                    : 'Os ids são enviados juntos, separados por vírgula, no parâmetro abaixo'
+                }
+              >
+                <Input
+                  value={lookup.endpoint}
+                  onChange={(e) => handleFieldChange(index, 'endpoint', e.target.value)}
+                  placeholder={
+                    isSingle
+                      ? 'https://jsonplaceholder.typicode.com/users/{{id}}'
+                      : 'https://jsonplaceholder.typicode.com/users'
+                  }
+                  style={{ fontFamily: 'monospace' }}
+                />
+              </Form.Item>
+
+              <Row gutter={16}>
+                {!isSingle && (
+                  <Col xs={24} md={8}>
+                    <Form.Item layout="vertical" label="Parâmetro com os ids*">
+                      <Input
+                        value={lookup.idParam}
+                        onChange={(e) => handleFieldChange(index, 'idParam', e.target.value)}
+                        placeholder="id"
+                      />
+                    </Form.Item>
+                  </Col>
+                )}
+                {!isSingle && (
+                  <Col xs={24} md={8}>
+                    <Form.Item
+                      layout="vertical"
+                      label="Campo de correspondência*"
+                      help="Campo dos registros da consulta igual ao id"
+                    >
+                      <Input
+                        value={lookup.matchField}
+                        onChange={(e) => handleFieldChange(index, 'matchField', e.target.value)}
+                        placeholder="id"
+                        style={{ fontFamily: 'monospace' }}
+                      />
+                    </Form.Item>
+                  </Col>
+                )}
+                <Col xs={24} md={isSingle ? 24 : 8}>
+                  <Form.Item
+                    layout="vertical"
+                    label="Caminho dos dados"
+                    help={
+                      isSingle
+                        ? 'Vazio usa a resposta inteira'
+                        : 'Vazio quando a resposta é a lista'
+                    }
+                  >
+                    <Input
+                      value={lookup.dataPath}
+                      onChange={(e) => handleFieldChange(index, 'dataPath', e.target.value)}
+                      placeholder={isSingle ? 'data' : 'items'}
+                      style={{ fontFamily: 'monospace' }}
+                    />
+                  </Form.Item>
+                </Col>
+              </Row>
+            </Card>
+          );
+        })}
+
+        <Button type="dashed" icon={<PlusOutlined />} onClick={handleAddLookup} block>
+          Adicionar consulta
+        </Button>
+
+        {validation.errors.length > 0 && (
+          <Alert type="error" showIcon message={validation.errors.join('; ')} />
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default LookupSourcesPanel;
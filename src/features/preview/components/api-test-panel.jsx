@@ -8,7 +8,11 @@
 import { Button, Alert, Space } from 'antd';
 import { ApiOutlined, CheckCircleOutlined, CloseCircleOutlined } from '@ant-design/icons';
 
-const ApiTestPanel = ({ apiEndpoint, testing, testResult, onTest }) => {
+const ApiTestPanel = ({ apiEndpoint, testing, testResult, onTest, isStaticSource = false }) => {
+  // Static data is read from the configuration: no endpoint needed
+  const canTest = isStaticSource || Boolean(apiEndpoint);
+  const testLabel = isStaticSource ? 'Ler dados estáticos' : 'Testar conexão com a API';
+
   return (
     <Space direction="vertical" size="middle" style={{ width: '100%' }}>
       {/* Test Button */}
@@ -17,15 +21,15 @@ const ApiTestPanel = ({ apiEndpoint, testing, testResult, onTest }) => {
         icon={<ApiOutlined />}
         onClick={onTest}
         loading={testing}
-        disabled={!apiEndpoint}
+        disabled={!canTest}
         size="large"
         block
       >
-        {testing ? 'Testando Conexão...' : 'Testar conexão com a API'}
+        {testing ? 'Testando Conexão...' : testLabel}
       </Button>
 
       {/* Warning when no endpoint */}
-      {!apiEndpoint && (
+      {!canTest && (
         <Alert
           message="Endpoint da API é obrigatório"
           description="Por favor, insira uma URL de endpoint da API acima antes de testar"
@@ -7,9 +7,10 @@
 
 import { useState } from 'react';
 import { testConnection } from '../../../services/external-api';
-import { validateUrl } from '../../../utils/api-validator';
+import { validateEndpoint } from '../../../utils/api-validator';
 import { validateParamConflicts, toObject } from '../../../utils/query-string-parser';
 import { validateMappingConfig } from '../../../core/validators/mapping-validator';
+import { SOURCE_TYPES } from '../../../core/models/configuration.types';
 
 /**
  * Custom hook for API testing
@@ -30,10 +31,22 @@ export const useApiTest = () => {
     urlParams = [],
     queryParams = [],
     defaultQueryParams = [],
+    headers = [],
+    request = null,
+    sourceType,
+    liferayParams,
+    auth,
+    hostElement = null,
+    responseFormat = null,
+    staticData = null,
+    lookups = [],
     mappingConfig = null,
   }) => {
-    // Validate URL
-    const urlValidation = validateUrl(apiEndpoint);
+    // Validate URL (or Liferay Headless path); static data has no endpoint
+    const urlValidation =
+      sourceType === SOURCE_TYPES.STATIC
+        ? { valid: true }
+        : validateEndpoint(apiEndpoint, sourceType);
     if (!urlValidation.valid) {
       const result = {
         success: false,
@@ -91,6 +104,19 @@ export const useApiTest = () => {
       // Prepare API config
       const apiConfig = {
         urlParams: urlParams || [],
+        headers,
+        request: request || undefined,
+        sourceType,
+        liferayParams,
+        auth,
+        // Host element for {{element.data-*}} placeholders
+        hostElement,
+        // CSV, XML and NDJSON responses are parsed into rows
+        responseFormat,
+        // Rows of the static source type
+        staticData,
+        // Lookup fields are added to the sample row
+        lookups,
         ...(mappingConfig ? { responseDataPath: mappingConfig } : {}),
       };
 
@@ -0,0 +1,87 @@
+/**
+ * Response Format Panel Component
+ *
+ * Format of the API response body: JSON, CSV (header line as column names),
+ * XML (rows found by an element path) or NDJSON (one JSON object per line).
+ */
+
+import { Card, Form, Radio, Select, Input, Space, Typography } from 'antd';
+import {
+  DEFAULT_RESPONSE_FORMAT,
+  RESPONSE_FORMATS,
+} from '../../../core/models/configuration.types';
+
+const { Text } = Typography;
+
+export const CSV_DELIMITER_OPTIONS = [
+  { value: ',', label: 'Vírgula (,)' },
+  { value: ';', label: 'Ponto e vírgula (;)' },
+  { value: '\t', label: 'Tabulação' },
+  { value: '|', label: 'Barra vertical (|)' },
+];
+
+const ResponseFormatPanel = ({ value = {}, onChange }) => {
+  const responseFormat = { ...DEFAULT_RESPONSE_FORMAT, ...value };
+
+  /**
+   * Updates a response format field
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({ ...responseFormat, [field]: fieldValue });
+  };
+
+  return (
+    <Card title="Formato da resposta" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Radio.Group
+          value={responseFormat.type}
+          onChange={(e) => handleFieldChange('type', e.target.value)}
+          buttonStyle="solid"
+        >
+          <Radio.Button value={RESPONSE_FORMATS.JSON}>JSON</Radio.Button>
+          <Radio.Button value={RESPONSE_FORMATS.CSV}>CSV</Radio.Button>
+          <Radio.Button value={RESPONSE_FORMATS.XML}>XML</Radio.Button>
+          <Radio.Button value={RESPONSE_FORMATS.NDJSON}>NDJSON</Radio.Button>
+        </Radio.Group>
+
+        {responseFormat.type === RESPONSE_FORMATS.CSV && (
+          <Form.Item
+            layout="vertical"
+            label="Separador"
+            help="A primeira linha do CSV define os nomes das colunas"
+          >
+            <Select
+              value={responseFormat.csvDelimiter}
+              onChange={(csvDelimiter) => handleFieldChange('csvDelimiter', csvDelimiter)}
+              options={CSV_DELIMITER_OPTIONS}
+              style={{ width: 200 }}
+            />
+          </Form.Item>
+        )}
+
+        {responseFormat.type === RESPONSE_FORMATS.XML && (
+          <Form.Item
+            layout="vertical"
+            label="Caminho dos elementos de linha"
+            help="Elementos separados por / (ex.: catalog/book). Vazio usa os filhos do elemento raiz. Atributos e elementos filhos viram campos da linha."
+          >
+            <Input
+              value={responseFormat.xmlRowPath}
+              onChange={(e) => handleFieldChange('xmlRowPath', e.target.value)}
+              placeholder="catalog/book"
+              style={{ fontFamily: 'monospace' }}
+            />
+          </Form.Item>
+        )}
+
+        {responseFormat.type === RESPONSE_FORMATS.NDJSON && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            Cada linha não vazia da resposta deve ser um objeto JSON.
+          </Text>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default ResponseFormatPanel;
@@ -0,0 +1,87 @@
+/**
+ * Retry Config Panel Component
+ *
+ * Retry settings of a configuration: network errors, timeouts, 5xx and 429
+ * responses are retried with exponential backoff and jitter. Rate-limited
+ * responses (429/503) wait for the Retry-After header sent by the API.
+ * Only GET requests are retried unless all methods are allowed.
+ */
+
+import { Card, Form, Switch, InputNumber, Checkbox, Space, Typography } from 'antd';
+import { DEFAULT_RETRY_CONFIG } from '../../../core/models/configuration.types';
+
+const { Text } = Typography;
+
+const RetryConfigPanel = ({ value = {}, onChange }) => {
+  const retry = { ...DEFAULT_RETRY_CONFIG, ...value };
+
+  /**
+   * Updates a retry field
+   */
+  const handleFieldChange = (field, fieldValue) => {
+    onChange({ ...retry, [field]: fieldValue });
+  };
+
+  return (
+    <Card title="Novas tentativas" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Repete as requisições que falham por erro de rede, tempo esgotado, erro do servidor (5xx)
+          ou limite de requisições (429). O intervalo dobra a cada tentativa, com uma variação
+          aleatória; respostas 429 e 503 respeitam o header Retry-After.
+        </Text>
+
+        <Space>
+          <Switch
+            checked={retry.enabled}
+            onChange={(checked) => handleFieldChange('enabled', checked)}
+          />
+          <Text>Tentar novamente em caso de falha</Text>
+        </Space>
+
+        {retry.enabled && (
+          <Checkbox
+            checked={retry.allMethods}
+            onChange={(e) => handleFieldChange('allMethods', e.target.checked)}
+          >
+            Repetir também requisições POST, PUT e GraphQL (podem repetir uma alteração na API)
+          </Checkbox>
+        )}
+
+        {retry.enabled && (
+          <Space size="large" wrap>
+            <Form.Item layout="vertical" label="Tentativas">
+              <InputNumber
+                min={1}
+                max={10}
+                precision={0}
+                value={retry.maxRetries}
+                onChange={(maxRetries) => handleFieldChange('maxRetries', maxRetries)}
+              />
+            </Form.Item>
+            <Form.Item layout="vertical" label="Intervalo inicial (ms)">
+              <InputNumber
+                min={100}
+                step={500}
+                value={retry.baseDelay}
+                onChange={(baseDelay) => handleFieldChange('baseDelay', baseDelay)}
+                style={{ width: 160 }}
+              />
+            </Form.Item>
+            <Form.Item layout="vertical" label="Intervalo máximo (ms)">
+              <InputNumber
+                min={100}
+                step={1000}
+                value={retry.maxDelay}
+                onChange={(maxDelay) => handleFieldChange('maxDelay', maxDelay)}
+                style={{ width: 160 }}
+              />
+            </Form.Item>
+          </Space>
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default RetryConfigPanel;
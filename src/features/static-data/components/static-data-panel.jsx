@@ -0,0 +1,147 @@
+/**
+ * Static Data Panel Component
+ *
+ * Data of the "static data" source type: JSON or CSV pasted in the editor or read
+ * from an uploaded file. The content is stored inside the configuration, so the
+ * table works without any API (small datasets, demos, offline tests).
+ */
+
+import { useMemo, useState } from 'react';
+import { Card, Form, Radio, Select, Input, Upload, Button, Alert, Space, Typography } from 'antd';
+import { UploadOutlined } from '@ant-design/icons';
+import {
+  DEFAULT_STATIC_DATA,
+  MAX_STATIC_DATA_SIZE,
+} from '../../../core/models/configuration.types';
+import { parseStaticData } from '../../../utils/static-data';
+import { CSV_DELIMITER_OPTIONS } from '../../response-format/components/response-format-panel';
+
+const { Text } = Typography;
+
+const StaticDataPanel = ({ value = {}, onChange }) => {
+  const [uploadError, setUploadError] = useState(null);
+  const staticData = { ...DEFAULT_STATIC_DATA, ...value };
+
+  /**
+   * Rows read from the current content (or the parse error)
+   */
+  const { format, content, csvDelimiter } = staticData;
+  const summary = useMemo(() => {
+    try {
+      const rows = parseStaticData({ format, content, csvDelimiter });
+      return { rows, fields: rows.length > 0 ? Object.keys(rows[0]) : [] };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [format, content, csvDelimiter]);
+
+  /**
+   * Updates static data fields
+   */
+  const handleChange = (changes) => {
+    onChange({ ...staticData, ...changes });
+  };
+
+  /**
+   * Reads an uploaded file into the configuration (the format follows the file extension)
+   * Returns false so the file is not sent anywhere
+   */
+  const handleUpload = (file) => {
+    setUploadError(null);
+
+    if (file.size > MAX_STATIC_DATA_SIZE) {
+      setUploadError(`O arquivo deve ter no máximo ${MAX_STATIC_DATA_SIZE / 1024} KB`);
+      return false;
+    }
+
+    file
+      .text()
+      .then((text) => {
+        handleChange({
+          content: text,
+          fileName: file.name,
+          format: /\.csv$/i.test(file.name) ? 'csv' : 'json',
+        });
+      })
+      .catch((error) => {
+        console.error('Erro ao ler arquivo de dados estáticos:', error);
+        setUploadError('Não foi possível ler o arquivo');
+      });
+
+    return false;
+  };
+
+  return (
+    <Card title="Dados estáticos" size="small">
+      <Space direction="vertical" size="middle" style={{ width: '100%' }}>
+        <Text type="secondary" style={{ fontSize: 12 }}>
+          Cole os dados ou envie um arquivo JSON (lista de objetos) ou CSV (primeira linha com os
+          nomes das colunas). Os dados ficam salvos na configuração, e a paginação, a ordenação e a
+          busca acontecem no navegador.
+        </Text>
+
+        <Space wrap>
+          <Radio.Group
+            value={staticData.format}
+            onChange={(e) => handleChange({ format: e.target.value })}
+            buttonStyle="solid"
+          >
+            <Radio.Button value="json">JSON</Radio.Button>
+            <Radio.Button value="csv">CSV</Radio.Button>
+          </Radio.Group>
+
+          {staticData.format === 'csv' && (
+            <Select
+              value={staticData.csvDelimiter}
+              onChange={(csvDelimiter) => handleChange({ csvDelimiter })}
+              options={CSV_DELIMITER_OPTIONS}
+              style={{ width: 200 }}
+            />
+          )}
+
+          <Upload accept=".json,.csv,.txt" showUploadList={false} beforeUpload={handleUpload}>
+            <Button icon={<UploadOutlined />}>Enviar arquivo</Button>
+          </Upload>
+
+          {staticData.fileName && <Text type="secondary">Arquivo: {staticData.fileName}</Text>}
+        </Space>
+
+        {uploadError && <Alert message={uploadError} type="error" showIcon />}
+
+        <Form.Item
+          layout="vertical"
+          label="Dados"
+          validateStatus={summary.error ? 'error' : undefined}
+          help={
+            summary.error ||
+            (summary.rows?.length > 0
+              ? `${summary.rows.length} ${summary.rows.length === 1 ? 'linha' : 'linhas'} · campos: ${summary.fields.join(', ')}`
+              : undefined)
+          }
+        >
+          <Input.TextArea
+            value={staticData.content}
+            onChange={(e) => handleChange({ content: e.target.value })}
+            placeholder={
+              staticData.format === 'csv'
+                ? 'id,nome,cidade\n1,Ana,Recife\n2,Bruno,Curitiba'
+                : '[\n  { "id": 1, "nome": "Ana", "cidade": "Recife" },\n  { "id": 2, "nome": "Bruno", "cidade": "Curitiba" }\n]'
+            }
+            autoSize={{ minRows: 6, maxRows: 20 }}
+            style={{ fontFamily: 'monospace' }}
+          />
+        </Form.Item>
+
+        {staticData.content.length > MAX_STATIC_DATA_SIZE && (
+          <Alert
+            message={`Os dados estáticos devem ter no máximo ${MAX_STATIC_DATA_SIZE / 1024} KB`}
+            type="error"
+            showIcon
+          />
+        )}
+      </Space>
+    </Card>
+  );
+};
+
+export default StaticDataPanel;
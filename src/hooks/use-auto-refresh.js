@@ -0,0 +1,118 @@
+/**
+ * useAutoRefresh Hook
+ *
+ * Polls the table data at a fixed interval (live tables, ops dashboards).
+ * Polling pauses while:
+ * - the user paused it (pause/resume control)
+ * - the browser tab is hidden
+ * - the table is scrolled off-screen
+ *
+ * The countdown restarts from the last successful load, so a manual reload
+ * postpones the next poll and a table coming back into view is refreshed
+ * right away when its data is older than the interval.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Reads whether the browser tab is visible
+ */
+const isDocumentVisible = () =>
+  typeof document === 'undefined' || document.visibilityState !== 'hidden';
+
+/**
+ * Custom hook for polling the table data
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether auto-refresh is configured
+ * @param {number} options.interval - Seconds between polls
+ * @param {Object} options.targetRef - Ref of the element whose visibility pauses polling
+ * @param {Date|null} options.lastUpdated - Time of the last successful load
+ * @param {Function} options.onRefresh - Loads the data (may return a promise)
+ * @returns {Object} { active, paused, togglePause }
+ */
+export const useAutoRefresh = ({ enabled, interval, targetRef, lastUpdated, onRefresh }) => {
+  const [paused, setPaused] = useState(false);
+  const [pageVisible, setPageVisible] = useState(isDocumentVisible);
+  const [onScreen, setOnScreen] = useState(true);
+
+  // Always call the latest implementation without restarting the timer
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+
+  /**
+   * Track the visibility of the browser tab
+   */
+  useEffect(() => {
+    if (!enabled || typeof document === 'undefined') return undefined;
+
+    const handleVisibilityChange = () => setPageVisible(isDocumentVisible());
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [enabled]);
+
+  /**
+   * Track whether the table is on-screen
+   */
+  useEffect(() => {
+    const target = targetRef?.current;
+    if (!enabled || !target || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      setOnScreen(entry.isIntersecting);
+    });
+    observer.observe(target);
+
+    return () => {
+      observer.disconnect();
+      setOnScreen(true);
+    };
+  }, [enabled, targetRef]);
+
+  const active = Boolean(enabled) && !paused && pageVisible && onScreen;
+
+  /**
+   * Schedule the polls while active
+   * The next poll only starts after the previous one settled, so slow APIs are never flooded.
+   */
+  useEffect(() => {
+    if (!active || !(interval > 0)) return undefined;
+
+    const intervalMs = interval * 1000;
+    let timeoutId = null;
+    let stopped = false;
+
+    const poll = async () => {
+      try {
+        await onRefreshRef.current?.();
+      } catch (error) {
+        console.error('Erro ao atualizar dados automaticamente:', error);
+      }
+
+      if (!stopped) {
+        timeoutId = setTimeout(poll, intervalMs);
+      }
+    };
+
+    const elapsed = lastUpdated ? Date.now() - lastUpdated.getTime() : 0;
+    timeoutId = setTimeout(poll, Math.max(0, intervalMs - elapsed));
+
+    return () => {
+      stopped = true;
+      clearTimeout(timeoutId);
+    };
+  }, [active, interval, lastUpdated]);
+
+  /**
+   * Pauses or resumes polling
+   */
+  const togglePause = useCallback(() => {
+    setPaused((prev) => !prev);
+  }, []);
+
+  return { active, paused, togglePause };
+};
+
+export default useAutoRefresh;
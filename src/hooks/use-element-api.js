@@ -0,0 +1,77 @@
+/**
+ * useElementApi Hook
+ *
+ * Bridges the React table with its <dxp-datatable> host element.
+ * - Exposes imperative methods (refresh, setSearch, goToPage...) on the element
+ * - Dispatches DOM CustomEvents from the element so integrators (Liferay
+ *   fragments, other widgets) can react to what happens in the table
+ *
+ * When running outside the custom element (development mount) it is a no-op.
+ */
+
+import { useEffect, useRef, useCallback } from 'react';
+
+/**
+ * DOM events dispatched by the <dxp-datatable> element
+ * All events bubble and carry their payload in event.detail
+ */
+export const ELEMENT_EVENTS = {
+  ROW_CLICK: 'dxp-datatable:row-click',
+  DATA_LOADED: 'dxp-datatable:data-loaded',
+  LOAD_ERROR: 'dxp-datatable:load-error',
+  PAGE_CHANGE: 'dxp-datatable:page-change',
+  SORT_CHANGE: 'dxp-datatable:sort-change',
+  FILTER_CHANGE: 'dxp-datatable:filter-change',
+  SELECTION_CHANGE: 'dxp-datatable:selection-change',
+  BULK_ACTION: 'dxp-datatable:bulk-action',
+  CELL_EDIT: 'dxp-datatable:cell-edit',
+};
+
+/**
+ * Custom hook for connecting the table to its host element
+ * @param {HTMLElement} host - The <dxp-datatable> element (undefined outside it)
+ * @param {Object<string, Function>} methods - Imperative API implementation
+ * @returns {Object} { emit } - Function to dispatch element events
+ */
+export const useElementApi = (host, methods) => {
+  // Always call the latest implementation without re-registering the API
+  const methodsRef = useRef(methods);
+  methodsRef.current = methods;
+
+  /**
+   * Registers a stable proxy on the host element
+   */
+  useEffect(() => {
+    if (!host || typeof host._attachApi !== 'function') return undefined;
+
+    const api = Object.keys(methodsRef.current).reduce((proxy, name) => {
+      proxy[name] = (...args) => methodsRef.current[name]?.(...args);
+      return proxy;
+    }, {});
+
+    host._attachApi(api);
+    return () => host._attachApi(null);
+  }, [host]);
+
+  /**
+   * Dispatches a CustomEvent from the host element
+   */
+  const emit = useCallback(
+    (eventName, detail = {}) => {
+      if (!host) return;
+
+      host.dispatchEvent(
+        new window.CustomEvent(eventName, {
+          detail,
+          bubbles: true,
+          composed: true,
+        })
+      );
+    },
+    [host]
+  );
+
+  return { emit };
+};
+
+export default useElementApi;
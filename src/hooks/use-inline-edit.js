@@ -0,0 +1,126 @@
+/**
+ * useInlineEdit Hook
+ *
+ * Saves the cells edited in the table.
+ * - The new value is shown right away (optimistic update) in the loaded rows
+ * - The update request of the configuration persists it (see services/inline-edit.js)
+ * - When the request fails, the last saved value comes back and an error is shown
+ * - A cell edited again while its save is in flight only follows the newest save: older
+ *   results neither roll back nor overwrite the newer value
+ */
+
+import { useCallback, useRef } from 'react';
+import { message } from 'antd';
+import { saveCellValue } from '../services/inline-edit';
+import { getErrorMessage } from '../services/liferay-api';
+import { invalidateCachedResponses } from '../services/response-cache';
+import { ELEMENT_EVENTS } from './use-element-api';
+import { getRowValue } from '../utils/row-fields';
+
+/**
+ * Returns a copy of a row with a field changed (nested paths are copied level by level)
+ */
+const setFieldValue = (row, field, value) => {
+  if (field in row || !field.includes('.')) {
+    return { ...row, [field]: value };
+  }
+
+  const [key, ...rest] = field.split('.');
+  return { ...row, [key]: setFieldValue(row[key] || {}, rest.join('.'), value) };
+};
+
+/**
+ * Custom hook for inline cell editing
+ * @param {Object} options
+ * @param {Object} options.inlineEdit - Update request configuration (method, endpoint, bodyTemplate)
+ * @param {Function} options.setData - Setter of the rows of the current page
+ * @param {Function} options.setAllData - Setter of all the rows (client pagination)
+ * @param {string} options.rowKey - Row field used as key
+ * @param {Function} options.emit - Dispatches element events (see useElementApi)
+ * @returns {Object} { getCellValue, saveCell }
+ */
+export const useInlineEdit = ({ inlineEdit, setData, setAllData, rowKey = 'id', emit }) => {
+  // Newest save of each cell ("<row key>|<dataIndex>" -> { id, savedValue }); savedValue is
+  // the value known to be saved, restored when the newest save fails
+  const pendingSavesRef = useRef(new Map());
+  const saveCountRef = useRef(0);
+
+  /**
+   * Applies a value to the row with the given key in every list of rows
+   */
+  const applyValue = useCallback(
+    (key, dataIndex, value) => {
+      const update = (rows) =>
+        rows.map((row) => (row?.[rowKey] === key ? setFieldValue(row, dataIndex, value) : row));
+      setData(update);
+      setAllData(update);
+    },
+    [rowKey, setData, setAllData]
+  );
+
+  /**
+   * Saves the new value of a cell
+   *
+   * @param {Object} record - Row being edited
+   * @param {Object} column - Column configuration (dataIndex, editor)
+   * @param {any} value - New value
+   * @returns {Promise<boolean>} True when saved, false when rolled back
+   */
+  const saveCell = useCallback(
+    async (record, column, value) => {
+      const key = record[rowKey];
+      const previousValue = getRowValue(record, column.dataIndex);
+      const field = column.editor?.field || column.dataIndex;
+      const cellKey = `${key}|${column.dataIndex}`;
+      const pendingSaves = pendingSavesRef.current;
+
+      saveCountRef.current += 1;
+      const saveId = saveCountRef.current;
+      pendingSaves.set(cellKey, {
+        id: saveId,
+        savedValue: pendingSaves.has(cellKey)
+          ? pendingSaves.get(cellKey).savedValue
+          : previousValue,
+      });
+      const isNewestSave = () => pendingSaves.get(cellKey)?.id === saveId;
+
+      applyValue(key, column.dataIndex, value);
+
+      try {
+        await saveCellValue(inlineEdit, record, field, value);
+        if (isNewestSave()) {
+          pendingSaves.delete(cellKey);
+        } else if (pendingSaves.has(cellKey)) {
+          // A newer save is in flight: it rolls back to this value if it fails
+          pendingSaves.get(cellKey).savedValue = value;
+        }
+        // Cached pages would still show the previous value
+        invalidateCachedResponses();
+        emit?.(ELEMENT_EVENTS.CELL_EDIT, {
+          record: setFieldValue(record, column.dataIndex, value),
+          field,
+          value,
+          previousValue,
+        });
+        return true;
+      } catch (error) {
+        console.error('Erro ao salvar célula:', error);
+        // An older save failing keeps the value of the newer one
+        if (isNewestSave()) {
+          applyValue(key, column.dataIndex, pendingSaves.get(cellKey).savedValue);
+          pendingSaves.delete(cellKey);
+        }
+        message.error(`Não foi possível salvar "${column.title}": ${getErrorMessage(error)}`);
+        return false;
+      }
+    },
+    [inlineEdit, rowKey, applyValue, emit]
+  );
+
+  return {
+    getCellValue: getRowValue,
+    saveCell,
+  };
+};
+
+export default useInlineEdit;
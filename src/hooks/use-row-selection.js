@@ -0,0 +1,184 @@
+/**
+ * useRowSelection Hook
+ *
+ * Selected rows of the table and the bulk actions run on them.
+ * - The selection is kept by row key across pages: API pagination only loads the
+ *   current page, so the selected rows of other pages are remembered here
+ * - Actions ask for confirmation when configured
+ * - Endpoint actions report the result of each row; rows that succeeded leave the
+ *   selection and the failed ones stay selected, ready to be retried
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import { Modal, message } from 'antd';
+import { BULK_ACTION_TYPES } from '../core/models/configuration.types';
+import { runEndpointAction } from '../services/bulk-actions';
+import { exportRows } from '../utils/export-rows';
+import { ELEMENT_EVENTS } from './use-element-api';
+
+const EMPTY_SELECTION = { keys: [], rowsByKey: {} };
+
+/**
+ * Custom hook for row selection and bulk actions
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - Column configurations (CSV export)
+ * @param {string} options.rowKey - Row field used as key
+ * @param {Function} options.emit - Dispatches element events (see useElementApi)
+ * @param {Function} options.onRowsChanged - Called after an endpoint action changed rows (e.g., reload)
+ * @returns {Object} { selectedRowKeys, selectedRows, changeSelection, clearSelection,
+ *   resetSelection, runAction, runningActionId, progress, results, closeResults }
+ */
+export const useRowSelection = ({ columns = [], rowKey = 'id', emit, onRowsChanged }) => {
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  // Latest selection, read when an endpoint action finishes
+  const selectionRef = useRef(selection);
+  selectionRef.current = selection;
+  const [runningActionId, setRunningActionId] = useState(null);
+  // Endpoint action in progress: { done, total }
+  const [progress, setProgress] = useState(null);
+  // Last endpoint action: { action, items: [{ key, success, error }] }
+  const [results, setResults] = useState(null);
+
+  const selectedRows = selection.keys
+    .map((key) => selection.rowsByKey[key])
+    .filter((row) => row !== undefined);
+
+  /**
+   * Updates the selection (the rows of other pages are kept by key)
+   */
+  const updateSelection = useCallback(
+    (keys, rows = []) => {
+      const previousRows = selectionRef.current.rowsByKey;
+      const rowsByKey = {};
+      keys.forEach((key) => {
+        if (previousRows[key] !== undefined) {
+          rowsByKey[key] = previousRows[key];
+        }
+      });
+      rows.filter(Boolean).forEach((row) => {
+        if (keys.includes(row[rowKey])) {
+          rowsByKey[row[rowKey]] = row;
+        }
+      });
+
+      const newSelection = { keys, rowsByKey };
+      selectionRef.current = newSelection;
+      setSelection(newSelection);
+      emit?.(ELEMENT_EVENTS.SELECTION_CHANGE, {
+        keys,
+        rows: keys.map((key) => rowsByKey[key]).filter((row) => row !== undefined),
+      });
+    },
+    [rowKey, emit]
+  );
+
+  /**
+   * Handles selection changes of the table (Ant Design rowSelection.onChange)
+   */
+  const changeSelection = (keys, rows) => updateSelection(keys, rows);
+
+  /**
+   * Clears the selection (or only some keys)
+   */
+  const clearSelection = (keysToRemove = null) => {
+    const keys = keysToRemove
+      ? selectionRef.current.keys.filter((key) => !keysToRemove.includes(key))
+      : [];
+    updateSelection(keys);
+  };
+
+  /**
+   * Silently drops the selection (e.g., when another configuration is loaded)
+   */
+  const resetSelection = useCallback(() => {
+    selectionRef.current = EMPTY_SELECTION;
+    setSelection(EMPTY_SELECTION);
+    setResults(null);
+  }, []);
+
+  /**
+   * Runs an action on the selected rows
+   */
+  const executeAction = async (action, items) => {
+    const rows = items.map(({ row }) => row).filter((row) => row !== undefined);
+
+    if (action.type === BULK_ACTION_TYPES.EXPORT) {
+      exportRows(rows, columns, action.exportFormat);
+      message.success(
+        `${rows.length} ${rows.length === 1 ? 'linha exportada' : 'linhas exportadas'}`
+      );
+      return;
+    }
+
+    if (action.type === BULK_ACTION_TYPES.EVENT) {
+      emit?.(ELEMENT_EVENTS.BULK_ACTION, {
+        actionId: action.id,
+        label: action.label,
+        keys: items.map(({ key }) => key),
+        rows,
+      });
+      return;
+    }
+
+    setRunningActionId(action.id);
+    setProgress({ done: 0, total: items.length });
+    try {
+      const actionResults = await runEndpointAction(action, items, {
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setResults({ action, items: actionResults });
+
+      const succeeded = actionResults.filter((result) => result.success).map(({ key }) => key);
+      if (succeeded.length > 0) {
+        clearSelection(succeeded);
+        onRowsChanged?.();
+      }
+    } catch (error) {
+      console.error('Erro ao executar ação em lote:', error);
+      message.error(`Não foi possível executar "${action.label}"`);
+    } finally {
+      setRunningActionId(null);
+      setProgress(null);
+    }
+  };
+
+  /**
+   * Asks for confirmation (when configured) and runs an action on the selected rows
+   */
+  const runAction = (action) => {
+    const items = selection.keys.map((key) => ({ key, row: selection.rowsByKey[key] }));
+    if (items.length === 0 || runningActionId) {
+      return;
+    }
+
+    if (!action.confirm) {
+      executeAction(action, items);
+      return;
+    }
+
+    const count = `${items.length} ${items.length === 1 ? 'linha selecionada' : 'linhas selecionadas'}`;
+    Modal.confirm({
+      title: action.label,
+      content: action.confirmMessage || `Executar "${action.label}" em ${count}?`,
+      okText: 'Confirmar',
+      cancelText: 'Cancelar',
+      okButtonProps: { danger: Boolean(action.danger) },
+      onOk: () => executeAction(action, items),
+    });
+  };
+
+  return {
+    selectedRowKeys: selection.keys,
+    selectedRows,
+    changeSelection,
+    clearSelection,
+    resetSelection,
+    runAction,
+    runningActionId,
+    progress,
+    results,
+    closeResults: () => setResults(null),
+  };
+};
+
+export default useRowSelection;
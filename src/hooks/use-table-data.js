@@ -3,6 +3,7 @@
  *
  * Custom hook that manages table state and data fetching.
  * Automatically fetches data when pagination or sorting changes.
+ * Only the latest request updates the state: older in-flight requests are canceled.
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react';
@@ -60,6 +61,10 @@ export const useTableData = (endpoint, options = {}) => {
   // Ref to track if component is mounted
   const isMounted = useRef(true);
 
+  // In-flight request (aborted when a newer one starts) and id of the latest request
+  const abortControllerRef = useRef(null);
+  const requestIdRef = useRef(0);
+
   /**
    * Fetches data from the API
    */
@@ -69,6 +74,13 @@ export const useTableData = (endpoint, options = {}) => {
       return;
     }
 
+    // Cancel the previous request: a slow older response must not overwrite a newer one
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const requestId = ++requestIdRef.current;
+    const isCurrent = () => isMounted.current && requestId === requestIdRef.current;
+
     setLoading(true);
     setError(null);
 
@@ -81,14 +93,19 @@ export const useTableData = (endpoint, options = {}) => {
       }
 
       // Fetch data with current pagination, sorting, and filters
-      const response = await getTableData(endpoint, {
-        page: pagination.current,
-        pageSize: pagination.pageSize,
-        sort: sortParam,
-        filters,
-      });
-
-      if (isMounted.current) {
+      const response = await getTableData(
+        endpoint,
+        {
+          page: pagination.current,
+          pageSize: pagination.pageSize,
+          sort: sortParam,
+          filters,
+        },
+        { signal: controller.signal }
+      );
+
+      // Discard out-of-order responses
+      if (isCurrent()) {
         setData(response.data);
         setPagination((prev) => ({
           ...prev,
@@ -96,12 +113,14 @@ export const useTableData = (endpoint, options = {}) => {
         }));
       }
     } catch (err) {
-      if (isMounted.current) {
+      // Canceled or replaced requests are not errors
+      if (isCurrent()) {
         setError(err);
         console.error('Error fetching table data:', err);
       }
     } finally {
-      if (isMounted.current) {
+      if (isCurrent()) {
+        abortControllerRef.current = null;
         setLoading(false);
       }
     }
@@ -182,10 +201,12 @@ export const useTableData = (endpoint, options = {}) => {
     }
   }, [autoFetch, debouncedFetchData]);
 
-  // Cleanup on unmount
+  // Cleanup on unmount: cancel the in-flight request
   useEffect(() => {
+    isMounted.current = true;
     return () => {
       isMounted.current = false;
+      abortControllerRef.current?.abort();
     };
   }, []);
 
@@ -7,6 +7,9 @@
  * Query params format:
  * - ?view=configuration&step=api
  * - ?view=datatable (no step param)
+ *
+ * With syncWithUrl disabled (viewer mode) the URL is neither read nor written:
+ * state starts from the defaults and only changes in memory.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -36,16 +39,23 @@ const updateUrl = (params) => {
  * @param {Object} options - Configuration options
  * @param {string} options.defaultView - Default view if none in URL
  * @param {string} options.defaultStep - Default step if none in URL
+ * @param {boolean} options.syncWithUrl - Read/write the URL query params (default: true)
  * @returns {Object} Navigation state and functions
  */
-export const useUrlNavigation = ({ defaultView = 'configuration', defaultStep = null } = {}) => {
+export const useUrlNavigation = ({
+  defaultView = 'configuration',
+  defaultStep = null,
+  syncWithUrl = true,
+} = {}) => {
   // Initialize state from URL
   const [view, setViewState] = useState(() => {
+    if (!syncWithUrl) return defaultView;
     const params = getSearchParams();
     return params.get('view') || defaultView;
   });
 
   const [step, setStepState] = useState(() => {
+    if (!syncWithUrl) return defaultStep;
     const params = getSearchParams();
     return params.get('step') || defaultStep;
   });
@@ -54,6 +64,8 @@ export const useUrlNavigation = ({ defaultView = 'configuration', defaultStep =
    * Listen to browser back/forward navigation
    */
   useEffect(() => {
+    if (!syncWithUrl) return undefined;
+
     const handlePopState = () => {
       const params = getSearchParams();
       setViewState(params.get('view') || defaultView);
@@ -62,61 +74,78 @@ export const useUrlNavigation = ({ defaultView = 'configuration', defaultStep =
 
     window.addEventListener('popstate', handlePopState);
     return () => window.removeEventListener('popstate', handlePopState);
-  }, [defaultView, defaultStep]);
+  }, [defaultView, defaultStep, syncWithUrl]);
 
   /**
    * Sets the view parameter in URL
    * @param {string} newView - View name (e.g., 'configuration', 'datatable')
    */
-  const setView = useCallback((newView) => {
-    const params = getSearchParams();
-    params.set('view', newView);
-    updateUrl(params);
-    setViewState(newView);
-  }, []);
+  const setView = useCallback(
+    (newView) => {
+      if (syncWithUrl) {
+        const params = getSearchParams();
+        params.set('view', newView);
+        updateUrl(params);
+      }
+      setViewState(newView);
+    },
+    [syncWithUrl]
+  );
 
   /**
    * Sets the step parameter in URL
    * @param {string} newStep - Step name (e.g., 'api', 'preview', 'columns')
    */
-  const setStep = useCallback((newStep) => {
-    const params = getSearchParams();
-    if (newStep) {
-      params.set('step', newStep);
-    } else {
-      params.delete('step');
-    }
-    updateUrl(params);
-    setStepState(newStep);
-  }, []);
+  const setStep = useCallback(
+    (newStep) => {
+      if (syncWithUrl) {
+        const params = getSearchParams();
+        if (newStep) {
+          params.set('step', newStep);
+        } else {
+          params.delete('step');
+        }
+        updateUrl(params);
+      }
+      setStepState(newStep);
+    },
+    [syncWithUrl]
+  );
 
   /**
    * Removes the step parameter from URL
    */
   const clearStep = useCallback(() => {
-    const params = getSearchParams();
-    params.delete('step');
-    updateUrl(params);
+    if (syncWithUrl) {
+      const params = getSearchParams();
+      params.delete('step');
+      updateUrl(params);
+    }
     setStepState(null);
-  }, []);
+  }, [syncWithUrl]);
 
   /**
    * Sets view and optionally step in one call
    * @param {string} newView - View name
    * @param {string|null} newStep - Step name or null
    */
-  const navigate = useCallback((newView, newStep = null) => {
-    const params = new URLSearchParams();
-    params.set('view', newView);
-
-    if (newStep) {
-      params.set('step', newStep);
-    }
-
-    updateUrl(params);
-    setViewState(newView);
-    setStepState(newStep);
-  }, []);
+  const navigate = useCallback(
+    (newView, newStep = null) => {
+      if (syncWithUrl) {
+        const params = new URLSearchParams();
+        params.set('view', newView);
+
+        if (newStep) {
+          params.set('step', newStep);
+        }
+
+        updateUrl(params);
+      }
+      setViewState(newView);
+      setStepState(newStep);
+    },
+    [syncWithUrl]
+  );
 
   /**
    * Gets current params as object
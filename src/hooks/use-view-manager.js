@@ -21,13 +21,25 @@ export const VIEWS = {
   DATATABLE: 'datatable',
 };
 
+/**
+ * Application modes
+ * - editor: navigation menu, wizard and table (default)
+ * - viewer: read-only table for production pages, URL params are ignored
+ */
+export const APP_MODES = {
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+};
+
 /**
  * Custom hook for managing application views
  * @param {string} initialView - Initial view to display (fallback if no URL param)
+ * @param {Object} options - Options
+ * @param {boolean} options.syncWithUrl - Sync view with URL query params (default: true)
  * @returns {Object} View state and navigation functions
  */
-export const useViewManager = (initialView = VIEWS.CONFIGURATION) => {
-  const urlNav = useUrlNavigation({ defaultView: initialView });
+export const useViewManager = (initialView = VIEWS.CONFIGURATION, { syncWithUrl = true } = {}) => {
+  const urlNav = useUrlNavigation({ defaultView: initialView, syncWithUrl });
 
   /**
    * Navigates to a specific view
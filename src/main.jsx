@@ -8,6 +8,8 @@
  * - Improved lifecycle management
  * - Support for Liferay properties via data attributes
  * - Better error handling
+ * - Per-instance configuration via data-config-id / data-config attributes
+ * - Public JavaScript API (refresh, setSearch, goToPage...) and DOM events
  */
 
 import React from 'react';
@@ -40,6 +42,77 @@ class DxpDataTableElement extends HTMLElement {
     super();
     this._root = null;
     this._mountPoint = null;
+    this._inlineConfigSource = null;
+    this._inlineConfig = null;
+    this._api = null;
+  }
+
+  /**
+   * Called by the React table to register (or remove) its imperative API
+   * @param {Object|null} api - API implementation
+   */
+  _attachApi(api) {
+    this._api = api;
+  }
+
+  /**
+   * Calls a method of the React table API
+   * Returns undefined (with a warning) while the table is not mounted yet
+   */
+  _callApi(method, ...args) {
+    if (!this._api) {
+      console.warn(`DxpDataTable: "${method}" called before the table was ready`);
+      return undefined;
+    }
+    return this._api[method](...args);
+  }
+
+  /**
+   * Reloads data from the API keeping page, sort and search
+   */
+  refresh() {
+    return this._callApi('refresh');
+  }
+
+  /**
+   * Sets the search input value (requires the search param enabled in the configuration)
+   * @param {string} value - Search text
+   */
+  setSearch(value) {
+    return this._callApi('setSearch', value);
+  }
+
+  /**
+   * Sets extra filter query params sent with every request (replaces previous filters)
+   * @param {Object} filters - Query params, e.g. { status: 'active' }
+   */
+  setFilters(filters) {
+    return this._callApi('setFilters', filters);
+  }
+
+  /**
+   * Navigates to a page
+   * @param {number} page - Page number (1-based)
+   * @param {number} [pageSize] - Optional new page size
+   */
+  goToPage(page, pageSize) {
+    return this._callApi('goToPage', page, pageSize);
+  }
+
+  /**
+   * Gets the rows currently displayed
+   * @returns {Array<Object>} Rows
+   */
+  getRows() {
+    return this._callApi('getRows');
+  }
+
+  /**
+   * Gets the selected rows
+   * @returns {Array<Object>} Selected rows
+   */
+  getSelection() {
+    return this._callApi('getSelection');
   }
 
   /**
@@ -58,19 +131,48 @@ class DxpDataTableElement extends HTMLElement {
     return {};
   }
 
+  /**
+   * Parse inline table configuration from the data-config attribute
+   * The parsed object is cached so re-renders keep the same reference
+   * until the attribute actually changes.
+   */
+  _getInlineConfig() {
+    const configAttr = this.getAttribute('data-config');
+    if (configAttr === this._inlineConfigSource) {
+      return this._inlineConfig;
+    }
+
+    this._inlineConfigSource = configAttr;
+    this._inlineConfig = null;
+
+    if (configAttr) {
+      try {
+        this._inlineConfig = JSON.parse(configAttr);
+      } catch (error) {
+        console.warn('Failed to parse inline table configuration (data-config):', error);
+      }
+    }
+
+    return this._inlineConfig;
+  }
+
   /**
    * Get properties to pass to React app
    */
   _getAppProps() {
-    const liferayConfig = this._getLiferayConfig();
-
     return {
+      // Pass any custom attributes (raw strings from data-*)
+      ...this.dataset,
       // Pass Liferay configuration if available
-      liferayConfig,
+      liferayConfig: this._getLiferayConfig(),
       // Check if running inside Liferay
       isLiferayEnvironment: typeof window.Liferay !== 'undefined',
-      // Pass any custom attributes
-      ...this.dataset,
+      // Named configuration bound to this instance (data-config-id)
+      configId: this.getAttribute('data-config-id') || undefined,
+      // Inline configuration bound to this instance (data-config)
+      inlineConfig: this._getInlineConfig() || undefined,
+      // Host element, used for the public API and DOM events
+      host: this,
     };
   }
 
@@ -154,7 +256,7 @@ class DxpDataTableElement extends HTMLElement {
    * Specify which attributes to observe
    */
   static get observedAttributes() {
-    return ['data-liferay-config'];
+    return ['data-liferay-config', 'data-config-id', 'data-config', 'data-mode'];
   }
 }
 
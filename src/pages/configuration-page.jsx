@@ -16,6 +16,7 @@ import EventsConfigSection from '../components/configuration-form/events-config.
 import DynamicParamsConfigSection from '../components/configuration-form/dynamic-params-config-section';
 import PreviewSection from '../components/configuration-form/preview-section';
 import { ErrorBoundary } from '../components/error-boundary';
+import { ConfigurationSelector } from '../components/shared';
 import { getExampleConfiguration } from '../services/config-storage';
 import { validateConfiguration } from '../core/validators/config-validator';
 import { useConfigurationState } from '../core/hooks/use-configuration-state';
@@ -24,11 +25,11 @@ import { VIEWS } from '../hooks/use-view-manager';
 
 const { Title, Paragraph } = Typography;
 
-const ConfigurationPage = ({ onNavigate }) => {
+const ConfigurationPage = ({ onNavigate, configId, host }) => {
   const { message } = App.useApp();
 
-  // Use configuration state hook
-  const configState = useConfigurationState();
+  // Use configuration state hook (pinned configuration when configId is given)
+  const configState = useConfigurationState(configId);
 
   // Use wizard navigation hook
   const wizard = useConfigurationWizard();
@@ -46,6 +47,18 @@ const ConfigurationPage = ({ onNavigate }) => {
     [configState, message, wizard]
   );
 
+  /**
+   * Applies an Object/Headless endpoint picked in the API step
+   * Memoized to prevent unnecessary re-renders
+   */
+  const handleLiferaySourceSelect = useCallback(
+    (source) => {
+      configState.applyLiferaySource(source);
+      message.success(`${source.label}: endpoint e ${source.columns.length} colunas configurados`);
+    },
+    [configState, message]
+  );
+
   /**
    * Saves configuration and navigates to datatable
    * Memoized to prevent unnecessary re-renders
@@ -125,8 +138,20 @@ const ConfigurationPage = ({ onNavigate }) => {
                 authToken: configState.config.authToken,
                 urlParams: configState.config.urlParams,
                 defaultQueryParams: configState.config.defaultQueryParams,
+                headers: configState.config.headers,
+                request: configState.config.request,
+                sourceType: configState.config.sourceType,
+                liferayParams: configState.config.liferayParams,
+                auth: configState.config.auth,
+                cache: configState.config.cache,
+                retry: configState.config.retry,
+                responseFormat: configState.config.responseFormat,
+                staticData: configState.config.staticData,
+                lookups: configState.config.lookups,
               }}
               onChange={configState.updateApiConfig}
+              onSourceTypeChange={configState.updateSourceType}
+              onLiferaySourceSelect={handleLiferaySourceSelect}
             />
           </ErrorBoundary>
         ),
@@ -140,6 +165,16 @@ const ConfigurationPage = ({ onNavigate }) => {
               authToken={configState.config.authToken}
               urlParams={configState.config.urlParams}
               defaultQueryParams={configState.config.defaultQueryParams}
+              headers={configState.config.headers}
+              request={configState.config.request}
+              sourceType={configState.config.sourceType}
+              liferayParams={configState.config.liferayParams}
+              auth={configState.config.auth}
+              hostElement={host}
+              responseFormat={configState.config.responseFormat}
+              staticData={configState.config.staticData}
+              lookups={configState.config.lookups}
+              onLiferayParamsChange={configState.updateLiferayParams}
               testQueryParams={configState.config.testQueryParams}
               responseDataPath={configState.config.responseDataPath}
               onTestQueryParamsChange={configState.updateTestQueryParams}
@@ -200,6 +235,17 @@ const ConfigurationPage = ({ onNavigate }) => {
       configState.config.authToken,
       configState.config.urlParams,
       configState.config.defaultQueryParams,
+      configState.config.headers,
+      configState.config.request,
+      configState.config.sourceType,
+      configState.config.liferayParams,
+      configState.config.auth,
+      configState.config.cache,
+      configState.config.retry,
+      configState.config.responseFormat,
+      configState.config.staticData,
+      configState.config.lookups,
+      host,
       configState.config.testQueryParams,
       configState.config.responseDataPath,
       configState.config.columns,
@@ -207,6 +253,8 @@ const ConfigurationPage = ({ onNavigate }) => {
       configState.config.events,
       configState.config.dynamicParams,
       configState.updateApiConfig,
+      configState.updateSourceType,
+      configState.updateLiferayParams,
       configState.updateTestQueryParams,
       configState.updateResponseMapping,
       configState.updateColumns,
@@ -214,6 +262,7 @@ const ConfigurationPage = ({ onNavigate }) => {
       configState.updateEvents,
       configState.updateDynamicParams,
       handleSuggestColumns,
+      handleLiferaySourceSelect,
     ]
   );
 
@@ -222,9 +271,20 @@ const ConfigurationPage = ({ onNavigate }) => {
       <Card>
         <Space direction="vertical" size="large" style={{ width: '100%' }}>
           {/* Header */}
-          <div>
-            <Title level={2}>Configure da Tabela</Title>
-            <Paragraph type="secondary">Configure sua tabela em apenas 6 etapas.</Paragraph>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
+            <div>
+              <Title level={2}>Configure da Tabela</Title>
+              <Paragraph type="secondary">Configure sua tabela em apenas 6 etapas.</Paragraph>
+            </div>
+
+            {/* Named configuration selector (hidden when the element pins a configuration) */}
+            {!configId && (
+              <ConfigurationSelector
+                value={configState.config.id || undefined}
+                onChange={configState.switchConfiguration}
+                manageable
+              />
+            )}
           </div>
 
           {/* Steps Navigation */}
@@ -274,6 +334,8 @@ const ConfigurationPage = ({ onNavigate }) => {
 
 ConfigurationPage.propTypes = {
   onNavigate: PropTypes.func.isRequired,
+  configId: PropTypes.string,
+  host: PropTypes.object,
 };
 
 export default ConfigurationPage;
@@ -3,31 +3,97 @@
  *
  * Displays the configured DxpTable with data from the configured API.
  * Loads configuration from localStorage and handles data fetching.
+ * The configuration can be pinned by id or given inline (custom element attributes),
+ * or chosen by the user. Bound instances keep their table state (pagination, sort,
+ * search) to themselves and never write it back to the shared storage.
+ * In read-only (viewer) mode the configuration cannot be edited or switched.
+ * Inside the custom element, exposes its public API and dispatches DOM events.
+ * Only the latest request updates the table: older in-flight requests are canceled.
+ * Live tables poll the API (auto-refresh) keeping the current page, sort and search.
+ * Static data sources read the rows stored in the configuration and paginate in the browser.
+ * Column header filters apply to the loaded rows in client pagination and to the request otherwise.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { Card, Button, Space, Alert, Typography, message, notification } from 'antd';
-import { ReloadOutlined, EditOutlined, WarningOutlined } from '@ant-design/icons';
-import DxpTable from '../components/dxp-table';
+import {
+  ReloadOutlined,
+  EditOutlined,
+  WarningOutlined,
+  PauseCircleOutlined,
+  PlayCircleOutlined,
+  ClearOutlined,
+} from '@ant-design/icons';
+import { format } from 'date-fns';
+import DxpTable, {
+  DxpTableBulkResults,
+  DxpTableRowActions,
+  DxpTableEditableCell,
+} from '../components/dxp-table';
 import { SearchInputParam } from '../components/dynamic-params';
+import { ConfigurationSelector } from '../components/shared';
 import {
   loadConfiguration,
   hasConfiguration,
   updateConfiguration,
+  getActiveConfigurationId,
+  setActiveConfiguration,
+  listConfigurations,
 } from '../services/config-storage';
 import { fetchData } from '../services/external-api';
 import { createColumnRenderer } from '../features/columns/renderers';
+import { filterRowsByColumns, getColumnFilterOptions } from '../utils/column-filters';
+import {
+  createSortInfo,
+  getSortKeys,
+  getClientSortKeys,
+  sortRowsByKeys,
+} from '../utils/multi-sort';
 import { VIEWS } from '../hooks/use-view-manager';
+import { useElementApi, ELEMENT_EVENTS } from '../hooks/use-element-api';
+import { useAutoRefresh } from '../hooks/use-auto-refresh';
+import { useRowSelection } from '../hooks/use-row-selection';
+import { useInlineEdit } from '../hooks/use-inline-edit';
+import {
+  createConfiguration,
+  DEFAULT_RETRY_CONFIG,
+  DEFAULT_AUTO_REFRESH_CONFIG,
+  DEFAULT_ROW_SELECTION_CONFIG,
+  DEFAULT_INLINE_EDIT_CONFIG,
+  COLUMN_FILTER_TYPES,
+  COLUMN_TYPES,
+  SOURCE_TYPES,
+} from '../core/models/configuration.types';
+
+// How long rows changed by an auto-refresh stay highlighted (matches the CSS animation)
+const CHANGED_ROW_HIGHLIGHT_MS = 3000;
+
+/**
+ * Pagination mode of a configuration (static data is always paginated in the browser)
+ */
+const getPaginationMode = (config) =>
+  config.sourceType === SOURCE_TYPES.STATIC ? 'client' : config.pagination?.mode || 'api';
 
 const { Title, Text, Paragraph } = Typography;
 
-const DataTablePage = ({ onNavigate }) => {
+const DataTablePage = ({ onNavigate, configId, inlineConfig, readOnly = false, host }) => {
+  const [selectedConfigId, setSelectedConfigId] = useState(
+    () => configId || getActiveConfigurationId()
+  );
+  // Instance bound to a configuration by its element attributes
+  const isBound = Boolean(configId || inlineConfig);
+  // Only standalone editor instances share state and switch configurations
+  const isShared = !isBound && !readOnly;
+  // Inline configurations are not stored, so they cannot be edited in the wizard
+  const canEdit = !readOnly && !inlineConfig;
   const [config, setConfig] = useState(null);
   const [data, setData] = useState([]);
   const [allData, setAllData] = useState([]); // Store all data for client-side pagination
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // { message, status, attempts }
+  // Retry in progress: { attempt, maxRetries, delay, status }
+  const [retryInfo, setRetryInfo] = useState(null);
   const [pagination, setPagination] = useState({
     current: 1,
     pageSize: 20,
@@ -35,65 +101,271 @@ const DataTablePage = ({ onNavigate }) => {
     showPagination: true,
     responsive: false,
   });
-  const [sortInfo, setSortInfo] = useState({
-    columnKey: null,
-    order: null,
-  });
+  // Applied sort: primary column plus all the sorted columns in priority order
+  const [sortInfo, setSortInfo] = useState(() => createSortInfo());
   const [searchValue, setSearchValue] = useState('');
+  // Extra query params set through the element API (setFilters)
+  const [filterParams, setFilterParams] = useState({});
+  // Column header filters: filter values by column key
+  const [columnFilters, setColumnFilters] = useState({});
+  // Cursor pagination: cursors of the pages visited so far and whether there is a next page
+  const [cursorState, setCursorState] = useState({ history: [null], hasMore: false });
+  // In-flight request (aborted when a newer one starts) and id of the latest request
+  const abortControllerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  // Auto-refresh: time of the last load and rows changed by the last poll
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [changedRowKeys, setChangedRowKeys] = useState([]);
+  const highlightTimeoutRef = useRef(null);
+  const tableContainerRef = useRef(null);
 
   /**
-   * Load configuration on mount
+   * Follow the configuration id attribute when it changes at runtime
    */
   useEffect(() => {
-    if (!hasConfiguration()) {
+    if (configId) {
+      setSelectedConfigId(configId);
+    }
+  }, [configId]);
+
+  /**
+   * Load configuration on mount and whenever another configuration is selected
+   * An inline configuration takes precedence over stored ones
+   */
+  useEffect(() => {
+    if (!inlineConfig && !hasConfiguration(selectedConfigId)) {
       // No configuration found
+      setConfig(null);
       return;
     }
 
-    const loadedConfig = loadConfiguration();
+    const loadedConfig = inlineConfig
+      ? createConfiguration(inlineConfig)
+      : loadConfiguration(selectedConfigId);
     setConfig(loadedConfig);
 
+    // Reset table state from the previously selected configuration
+    setData([]);
+    setAllData([]);
+    setError(null);
+    setLastUpdated(null);
+    setChangedRowKeys([]);
+    setSortInfo(createSortInfo());
+    setColumnFilters({});
+    setCursorState({ history: [null], hasMore: false });
+
     // Set pagination config from loaded configuration
     const paginationConfig = loadedConfig.pagination || {};
     setPagination((prev) => ({
       ...prev,
+      current: 1,
+      total: 0,
       pageSize: paginationConfig.pageSize || 20,
       showPagination: paginationConfig.showPagination !== false,
-      responsive: paginationConfig.mode === 'client', // client mode = responsive pagination
+      responsive: getPaginationMode(loadedConfig) === 'client', // client mode = responsive pagination
+      mode: getPaginationMode(loadedConfig),
+      hasMore: false,
     }));
 
     // Load search value from config if it exists
-    if (loadedConfig.dynamicParams?.searchInput?.currentValue) {
-      setSearchValue(loadedConfig.dynamicParams.searchInput.currentValue);
+    setSearchValue(loadedConfig.dynamicParams?.searchInput?.currentValue || '');
+  }, [selectedConfigId, inlineConfig]);
+
+  /**
+   * Highlights the rows that are new or changed compared to the rows currently loaded
+   * Rows are matched by id; the highlight is removed when its animation ends.
+   */
+  const highlightChangedRows = (rows, previousRows) => {
+    if (previousRows.length === 0) return;
+
+    const previousById = new Map(
+      previousRows.filter((row) => row?.id != null).map((row) => [row.id, JSON.stringify(row)])
+    );
+    const changedKeys = rows
+      .filter((row) => row?.id != null && previousById.get(row.id) !== JSON.stringify(row))
+      .map((row) => row.id);
+
+    clearTimeout(highlightTimeoutRef.current);
+    setChangedRowKeys(changedKeys);
+    if (changedKeys.length > 0) {
+      highlightTimeoutRef.current = setTimeout(
+        () => setChangedRowKeys([]),
+        CHANGED_ROW_HIGHLIGHT_MS
+      );
     }
-  }, []);
+  };
+
+  /**
+   * Filters and sorts the loaded rows in the browser (client pagination)
+   * Client-side sorting runs before the rows are sliced, so the order spans all the pages.
+   */
+  const getClientRows = (rows) => {
+    const filteredRows = filterRowsByColumns(rows, config.columns, columnFilters);
+    return config.events?.sorting?.mode === 'client'
+      ? sortRowsByKeys(filteredRows, getClientSortKeys(sortInfo, config.columns))
+      : filteredRows;
+  };
+
+  /**
+   * Updates the table with a fetch result (fresh, cached or revalidated)
+   * @param {Object} options
+   * @param {boolean} options.highlightChanges - Highlights the rows changed since the last load
+   */
+  const applyResponse = (
+    response,
+    paginationMode,
+    showPagination,
+    { highlightChanges = false } = {}
+  ) => {
+    if (highlightChanges) {
+      highlightChangedRows(
+        response.data,
+        paginationMode === 'client' || !showPagination ? allData : data
+      );
+    }
+
+    // Expired cached responses are replaced by a revalidated one shortly
+    if (!response.stale) {
+      setLastUpdated(new Date());
+    }
+
+    // Handle different pagination modes
+    if (paginationMode === 'client' || !showPagination) {
+      // Client-side pagination or no pagination: Store all data
+      setAllData(response.data);
+
+      // Client-side pagination filters and sorts in the browser (the API already did otherwise)
+      const rows = paginationMode === 'client' ? getClientRows(response.data) : response.data;
+
+      if (!showPagination) {
+        // No pagination: Show all data at once
+        setData(rows);
+        setPagination((prev) => ({
+          ...prev,
+          total: rows.length,
+          current: 1,
+        }));
+      } else {
+        // Client-side pagination: Paginate in frontend
+        const startIndex = (pagination.current - 1) * pagination.pageSize;
+        const endIndex = startIndex + pagination.pageSize;
+        const paginatedData = rows.slice(startIndex, endIndex);
+
+        setData(paginatedData);
+        setPagination((prev) => ({
+          ...prev,
+          total: rows.length,
+        }));
+      }
+    } else if (paginationMode === 'cursor') {
+      // Cursor mode: no total, keep the cursors to navigate back and forth
+      setData(response.data);
+      setCursorState({
+        history: response.pagination.cursorHistory,
+        hasMore: response.pagination.hasMore,
+      });
+      setPagination((prev) => ({
+        ...prev,
+        total: response.data.length,
+        hasMore: response.pagination.hasMore,
+      }));
+    } else {
+      // API mode: Use data from API response
+      setData(response.data);
+      setPagination((prev) => ({
+        ...prev,
+        total: response.pagination.total,
+      }));
+    }
+
+    emit(ELEMENT_EVENTS.DATA_LOADED, {
+      rows: response.data,
+      total: response.pagination.total,
+      page: pagination.current,
+      pageSize: pagination.pageSize,
+    });
+  };
 
   /**
    * Fetch data from API
+   * @param {Object} options
+   * @param {boolean} options.invalidateCache - Drops the cached responses before loading (reload)
+   * @param {boolean} options.silent - Background load (auto-refresh): no spinner nor error toast
+   * @param {boolean} options.highlightChanges - Highlights the rows changed since the last load
    */
-  const fetchTableData = async () => {
+  const fetchTableData = async ({
+    invalidateCache = false,
+    silent = false,
+    highlightChanges = false,
+  } = {}) => {
     if (!config) return;
 
-    setLoading(true);
+    // Cancel the previous request: a slow older response must not overwrite a newer one
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const requestId = ++requestIdRef.current;
+    const isStale = () => requestId !== requestIdRef.current;
+
+    if (!silent) {
+      setLoading(true);
+    }
     setError(null);
+    setRetryInfo(null);
 
-    const paginationMode = config.pagination?.mode || 'api';
+    const paginationMode = getPaginationMode(config);
     const showPagination = config.pagination?.showPagination !== false;
 
     try {
       // Prepare API config with sorting, pagination, URL params, default query params, and dynamic params
       const apiConfig = {
         sortingConfig: config.events?.sorting,
-        // Use custom pagination parameter names from config if in API mode
-        apiParamNames: paginationMode === 'api' ? config.pagination?.apiParamNames : undefined,
+        // Use custom pagination parameter names from config if in API or cursor mode
+        apiParamNames:
+          paginationMode === 'api' || paginationMode === 'cursor'
+            ? config.pagination?.apiParamNames
+            : undefined,
+        // How page/pageSize are translated into request params (API mode only)
+        paginationStrategy: paginationMode === 'api' ? config.pagination?.strategy : undefined,
+        // Cursor request param and response paths (cursor mode only)
+        cursorConfig:
+          paginationMode === 'cursor' && showPagination
+            ? config.pagination?.cursorConfig
+            : undefined,
         // Include response mapping configuration if available
         responseDataPath: config.responseDataPath || undefined,
         // Include URL path variables (e.g., :version, :userId)
         urlParams: config.urlParams || [],
         // Include default query params (with enabled flag)
         defaultQueryParams: config.defaultQueryParams || [],
+        // Include custom request headers (values may use placeholders)
+        headers: config.headers || [],
         // Include dynamic parameters (search, filters, etc.)
         dynamicParams: config.dynamicParams || {},
+        // Include filters set through the element API
+        filterParams,
+        // Column header filters become request params (client pagination filters locally)
+        columns: config.columns,
+        columnFilters: paginationMode === 'client' ? undefined : columnFilters,
+        // Include HTTP method and body template (POST, PUT, GraphQL)
+        request: config.request,
+        // Liferay Headless source: portal client plus search/filter/fields params
+        sourceType: config.sourceType,
+        liferayParams: config.liferayParams,
+        auth: config.auth,
+        // Response cache (TTL and stale-while-revalidate)
+        cache: config.cache,
+        // Retries with exponential backoff (network errors, 5xx, 429)
+        // Configurations saved before retries existed use the defaults (retries off)
+        retry: config.retry || DEFAULT_RETRY_CONFIG,
+        // JSON, CSV, XML or NDJSON body (configurations without it use JSON)
+        responseFormat: config.responseFormat,
+        // Host element read at request time for {{element.data-*}} placeholders
+        hostElement: host,
+        // Rows of the static source type (pasted or uploaded JSON/CSV)
+        staticData: config.staticData,
+        // Secondary APIs joined into the rows by a key field
+        lookups: config.lookups,
       };
 
       // Determine if we should send pagination params to API
@@ -108,52 +380,95 @@ const DataTablePage = ({ onNavigate }) => {
           page: pagination.current,
           pageSize: pagination.pageSize,
           enablePagination, // Controls whether to send pagination params to API
+          cursorHistory: cursorState.history,
         },
         apiConfig,
-        sortInfo
+        sortInfo,
+        {
+          signal: controller.signal,
+          invalidateCache,
+          // Stale-while-revalidate: the new response replaces the expired one
+          onRevalidate: (freshResponse) => {
+            if (!isStale()) {
+              applyResponse(freshResponse, paginationMode, showPagination, { highlightChanges });
+            }
+          },
+          // Network errors, 5xx and rate limits (429) are retried with backoff
+          onRetry: (retry) => {
+            if (!isStale()) {
+              setRetryInfo(retry);
+            }
+          },
+        }
       );
 
-      // Handle different pagination modes
-      if (paginationMode === 'client' || !showPagination) {
-        // Client-side pagination or no pagination: Store all data
-        setAllData(response.data);
-
-        if (!showPagination) {
-          // No pagination: Show all data at once
-          setData(response.data);
-          setPagination((prev) => ({
-            ...prev,
-            total: response.data.length,
-            current: 1,
-          }));
-        } else {
-          // Client-side pagination: Paginate in frontend
-          const startIndex = (pagination.current - 1) * pagination.pageSize;
-          const endIndex = startIndex + pagination.pageSize;
-          const paginatedData = response.data.slice(startIndex, endIndex);
-
-          setData(paginatedData);
-          setPagination((prev) => ({
-            ...prev,
-            total: response.data.length,
-          }));
-        }
-      } else {
-        // API mode: Use data from API response
-        setData(response.data);
-        setPagination((prev) => ({
-          ...prev,
-          total: response.pagination.total,
-        }));
-      }
+      // Discard out-of-order responses
+      if (isStale()) return;
+
+      applyResponse(response, paginationMode, showPagination, { highlightChanges });
     } catch (err) {
-      setError(err.message || 'Falha ao carregar dados');
-      message.error(err.message || 'Falha ao carregar dados');
+      // Canceled or replaced by a newer request
+      if (err.canceled || isStale()) return;
+
+      setError({
+        message: err.message || 'Falha ao carregar dados',
+        status: err.status,
+        attempts: err.attempts || 1,
+      });
+      if (!silent) {
+        message.error(err.message || 'Falha ao carregar dados');
+      }
+      emit(ELEMENT_EVENTS.LOAD_ERROR, {
+        message: err.message || 'Falha ao carregar dados',
+        status: err.status,
+      });
     } finally {
-      setLoading(false);
+      if (!isStale()) {
+        setLoading(false);
+        setRetryInfo(null);
+      }
     }
   };
 
+  /**
+   * Cancel the in-flight request and the row highlight on unmount
+   */
+  useEffect(() => {
+    return () => {
+      requestIdRef.current += 1;
+      abortControllerRef.current?.abort();
+      clearTimeout(highlightTimeoutRef.current);
+    };
+  }, []);
+
+  // Configurations saved before auto-refresh existed use the defaults (disabled)
+  const autoRefreshConfig = {
+    ...DEFAULT_AUTO_REFRESH_CONFIG,
+    ...(config?.events?.autoRefresh || {}),
+  };
+
+  /**
+   * Polls the API keeping the current page, sort, search and filters
+   */
+  const autoRefresh = useAutoRefresh({
+    enabled: autoRefreshConfig.enabled,
+    interval: autoRefreshConfig.interval,
+    targetRef: tableContainerRef,
+    lastUpdated,
+    onRefresh: () =>
+      fetchTableData({
+        invalidateCache: true,
+        silent: true,
+        highlightChanges: autoRefreshConfig.highlightChanges,
+      }),
+  });
+
+  // Client-side sorting of API pages happens in DxpTable: it must not request the rows again
+  const sortDependency =
+    config?.events?.sorting?.mode === 'client' && getPaginationMode(config) !== 'client'
+      ? null
+      : JSON.stringify(getSortKeys(sortInfo));
+
   /**
    * Fetch data when config or pagination changes
    * For client-side pagination, only refetch when sort changes or initial load
@@ -161,15 +476,18 @@ const DataTablePage = ({ onNavigate }) => {
   useEffect(() => {
     if (!config) return;
 
-    const paginationMode = config.pagination?.mode || 'api';
+    const paginationMode = getPaginationMode(config);
     const showPagination = config.pagination?.showPagination !== false;
 
     if (paginationMode === 'client' && allData.length > 0) {
-      // Client-side pagination: Just slice the existing data
+      // Client-side pagination: Just filter, sort and slice the existing data
+      const rows = getClientRows(allData);
       const startIndex = (pagination.current - 1) * pagination.pageSize;
       const endIndex = startIndex + pagination.pageSize;
-      const paginatedData = allData.slice(startIndex, endIndex);
-      setData(paginatedData);
+      setData(showPagination ? rows.slice(startIndex, endIndex) : rows);
+      setPagination((prev) =>
+        prev.total === rows.length ? prev : { ...prev, total: rows.length }
+      );
     } else if (!showPagination && allData.length > 0) {
       // No pagination mode: Show all data (already loaded)
       return;
@@ -182,9 +500,10 @@ const DataTablePage = ({ onNavigate }) => {
     config,
     pagination.current,
     pagination.pageSize,
-    sortInfo.columnKey,
-    sortInfo.order,
+    sortDependency,
     searchValue,
+    filterParams,
+    columnFilters,
   ]);
 
   /**
@@ -196,6 +515,11 @@ const DataTablePage = ({ onNavigate }) => {
       current: newPagination.current,
       pageSize: newPagination.pageSize,
     }));
+
+    emit(ELEMENT_EVENTS.PAGE_CHANGE, {
+      page: newPagination.current,
+      pageSize: newPagination.pageSize,
+    });
   };
 
   /**
@@ -204,12 +528,21 @@ const DataTablePage = ({ onNavigate }) => {
   const handleSort = (newSortInfo) => {
     const sortingMode = config?.events?.sorting?.mode;
 
+    if (sortingMode === 'server' || sortingMode === 'client') {
+      emit(ELEMENT_EVENTS.SORT_CHANGE, newSortInfo);
+    }
+
     if (sortingMode === 'server') {
       // Server-side sorting: update state and trigger data fetch
       setSortInfo(newSortInfo);
+      if (config.pagination?.mode === 'cursor') {
+        // Cursors belong to the previous order, start over from the first page
+        setPagination((prev) => ({ ...prev, current: 1 }));
+      }
       message.info('Ordenação aplicada - buscando dados ordenados no servidor');
     } else if (sortingMode === 'client') {
-      // Client-side sorting: handled by Ant Design Table
+      // Client-side sorting: the loaded rows are sorted again (no request)
+      setSortInfo(newSortInfo);
       message.info('Ordenação aplicada no navegador');
     } else {
       // Sorting disabled
@@ -217,6 +550,26 @@ const DataTablePage = ({ onNavigate }) => {
     }
   };
 
+  /**
+   * Handles column header filters
+   * Filters travel with pagination and sort; changing them goes back to the first page
+   */
+  const handleFilter = (newFilters) => {
+    setColumnFilters(newFilters);
+
+    // Server filtering without pagination keeps the rows in allData: force a new request
+    if (getPaginationMode(config) !== 'client') {
+      setAllData([]);
+    }
+
+    setPagination((prev) => ({
+      ...prev,
+      current: 1,
+    }));
+
+    emit(ELEMENT_EVENTS.FILTER_CHANGE, { filters: newFilters });
+  };
+
   /**
    * Handles search input change
    */
@@ -238,8 +591,15 @@ const DataTablePage = ({ onNavigate }) => {
 
     setConfig(updatedConfig);
 
-    // Save to localStorage
-    updateConfiguration(updatedConfig);
+    // Save to localStorage (bound instances keep the search value to themselves)
+    if (isShared) {
+      updateConfiguration(updatedConfig);
+    }
+
+    // Force a new request in client mode (and static data), where data is otherwise cached
+    if (getPaginationMode(config) === 'client') {
+      setAllData([]);
+    }
 
     // Reset to first page when search changes
     setPagination((prev) => ({
@@ -252,6 +612,9 @@ const DataTablePage = ({ onNavigate }) => {
    * Handles row click - Executes custom code if enabled
    */
   const handleRowClick = (record) => {
+    // Notify integrators listening on the element
+    emit(ELEMENT_EVENTS.ROW_CLICK, { record });
+
     // Check if row click event is enabled in configuration
     if (!config?.events?.onRowClick?.enabled) {
       // Default behavior: log to console
@@ -293,6 +656,21 @@ const DataTablePage = ({ onNavigate }) => {
     return config.columns.map((column) => {
       const processedColumn = { ...column };
 
+      // Actions column: buttons or menu per row, no value of its own
+      if (column.type === COLUMN_TYPES.ACTIONS) {
+        processedColumn.sortable = false;
+        processedColumn.filterable = false;
+        processedColumn.render = (_, record) => (
+          <DxpTableRowActions
+            record={record}
+            actions={column.actions}
+            columns={config.columns}
+            onRowsChanged={() => fetchTableData({ invalidateCache: true })}
+          />
+        );
+        return processedColumn;
+      }
+
       // Apply custom renderer if configured
       if (column.render && column.render.type) {
         const customRenderer = createColumnRenderer(column.render);
@@ -333,6 +711,28 @@ const DataTablePage = ({ onNavigate }) => {
       }
       // If neither custom renderer nor clickable, return column as-is
 
+      // Editable cells show the rendered value with an edit button
+      if (column.editable) {
+        const renderValue = processedColumn.render || ((text) => text);
+        processedColumn.render = (text, record, index) => (
+          <DxpTableEditableCell
+            value={getCellValue(record, column.dataIndex)}
+            editor={column.editor}
+            onSave={(value) => saveCell(record, column, value)}
+          >
+            {renderValue(text, record, index)}
+          </DxpTableEditableCell>
+        );
+      }
+
+      // Select filters without configured values list the values of the loaded rows
+      if (column.filterable && column.filter?.type === COLUMN_FILTER_TYPES.SELECT) {
+        processedColumn.filterOptions = getColumnFilterOptions(
+          column,
+          allData.length > 0 ? allData : data
+        );
+      }
+
       return processedColumn;
     });
   };
@@ -342,7 +742,17 @@ const DataTablePage = ({ onNavigate }) => {
    */
   const handleRefresh = () => {
     message.loading('Atualizando dados...', 0.5);
-    fetchTableData();
+    fetchTableData({ invalidateCache: true });
+  };
+
+  /**
+   * Switches the table to another stored configuration
+   */
+  const handleConfigurationChange = (id) => {
+    if (id) {
+      setActiveConfiguration(id);
+    }
+    setSelectedConfigId(id);
   };
 
   /**
@@ -352,6 +762,78 @@ const DataTablePage = ({ onNavigate }) => {
     onNavigate(VIEWS.CONFIGURATION);
   };
 
+  /**
+   * Public API of the <dxp-datatable> element
+   */
+  const { emit } = useElementApi(host, {
+    refresh: () => fetchTableData({ invalidateCache: true }),
+    setSearch: (value) => handleSearchChange(value || ''),
+    setFilters: (filters) => {
+      setFilterParams({ ...(filters || {}) });
+      // Force a new request in client mode, where data is otherwise cached
+      setAllData([]);
+      setPagination((prev) => ({ ...prev, current: 1 }));
+    },
+    goToPage: (page, pageSize) => {
+      // Cursor mode can only reach pages whose cursor is already known
+      if (config?.pagination?.mode === 'cursor' && page > cursorState.history.length) {
+        console.warn(
+          `dxp-datatable: página ${page} ainda não foi carregada (paginação por cursor)`
+        );
+        return;
+      }
+      handlePaginationChange({
+        current: page,
+        pageSize: pageSize || pagination.pageSize,
+      });
+    },
+    getRows: () => data,
+    getSelection: () => selectedRows,
+  });
+
+  /**
+   * Row selection and bulk actions (rows changed by an endpoint action are reloaded)
+   */
+  const rowSelectionConfig = {
+    ...DEFAULT_ROW_SELECTION_CONFIG,
+    ...config?.events?.rowSelection,
+  };
+  const {
+    selectedRowKeys,
+    selectedRows,
+    changeSelection,
+    clearSelection,
+    resetSelection,
+    runAction,
+    runningActionId,
+    progress: bulkActionProgress,
+    results: bulkActionResults,
+    closeResults,
+  } = useRowSelection({
+    columns: config?.columns,
+    rowKey: 'id',
+    emit,
+    onRowsChanged: () => fetchTableData({ invalidateCache: true }),
+  });
+
+  /**
+   * Inline editing: optimistic update of the rows, rolled back when saving fails
+   */
+  const { getCellValue, saveCell } = useInlineEdit({
+    inlineEdit: { ...DEFAULT_INLINE_EDIT_CONFIG, ...config?.events?.inlineEdit },
+    setData,
+    setAllData,
+    rowKey: 'id',
+    emit,
+  });
+
+  /**
+   * Drop the selection of the previously selected configuration
+   */
+  useEffect(() => {
+    resetSelection();
+  }, [selectedConfigId, inlineConfig, resetSelection]);
+
   // Show welcome message if no configuration
   if (!config) {
     return (
@@ -359,16 +841,32 @@ const DataTablePage = ({ onNavigate }) => {
         <Card>
           <Space direction="vertical" size="large" style={{ width: '100%', textAlign: 'center' }}>
             <WarningOutlined style={{ fontSize: '64px', color: '#faad14' }} />
-            <Title level={2}>Bem-vindo! 👋</Title>
-            <Paragraph>
-              Vamos configurar sua tabela de dados. Clique no botão abaixo para começar.
-            </Paragraph>
-            <Paragraph type="secondary">
-              A configuração é rápida e fácil - não é necessário codificar!
-            </Paragraph>
-            <Button type="primary" size="large" onClick={() => onNavigate(VIEWS.CONFIGURATION)}>
-              Ir para Configuração
-            </Button>
+            {readOnly ? (
+              <Paragraph>Nenhuma tabela configurada para esta página.</Paragraph>
+            ) : (
+              <>
+                <Title level={2}>Bem-vindo! 👋</Title>
+                <Paragraph>
+                  Vamos configurar sua tabela de dados. Clique no botão abaixo para começar.
+                </Paragraph>
+                <Paragraph type="secondary">
+                  A configuração é rápida e fácil - não é necessário codificar!
+                </Paragraph>
+              </>
+            )}
+            {/* Another stored configuration can be picked without going through the wizard */}
+            {isShared && listConfigurations().length > 1 && (
+              <ConfigurationSelector
+                value={selectedConfigId || undefined}
+                onChange={handleConfigurationChange}
+                style={{ justifyContent: 'center' }}
+              />
+            )}
+            {canEdit && (
+              <Button type="primary" size="large" onClick={() => onNavigate(VIEWS.CONFIGURATION)}>
+                Ir para Configuração
+              </Button>
+            )}
           </Space>
         </Card>
       </div>
@@ -383,17 +881,58 @@ const DataTablePage = ({ onNavigate }) => {
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <div>
               <Title level={2} style={{ margin: 0 }}>
-                Tabela Configurada
+                {config.name || 'Tabela Configurada'}
               </Title>
-              <Text type="secondary">
-                Dados de: <code>{config.apiEndpoint}</code>
-              </Text>
+              {!readOnly &&
+                (config.sourceType === SOURCE_TYPES.STATIC ? (
+                  <Text type="secondary">
+                    Dados estáticos
+                    {config.staticData?.fileName && (
+                      <>
+                        : <code>{config.staticData.fileName}</code>
+                      </>
+                    )}
+                  </Text>
+                ) : (
+                  <Text type="secondary">
+                    Dados de: <code>{config.apiEndpoint}</code>
+                  </Text>
+                ))}
             </div>
 
             <Space>
-              <Button icon={<EditOutlined />} onClick={handleEditConfig}>
-                Editar Configuração
-              </Button>
+              {Object.keys(columnFilters).length > 0 && (
+                <Button icon={<ClearOutlined />} onClick={() => handleFilter({})}>
+                  Limpar filtros
+                </Button>
+              )}
+              {autoRefreshConfig.enabled && (
+                <Text type="secondary">
+                  {autoRefresh.paused
+                    ? 'Atualização automática pausada'
+                    : `Atualização a cada ${autoRefreshConfig.interval}s`}
+                  {lastUpdated && ` · Atualizado às ${format(lastUpdated, 'HH:mm:ss')}`}
+                </Text>
+              )}
+              {autoRefreshConfig.enabled && (
+                <Button
+                  icon={autoRefresh.paused ? <PlayCircleOutlined /> : <PauseCircleOutlined />}
+                  onClick={autoRefresh.togglePause}
+                >
+                  {autoRefresh.paused ? 'Retomar' : 'Pausar'}
+                </Button>
+              )}
+              {isShared && (
+                <ConfigurationSelector
+                  value={selectedConfigId || undefined}
+                  onChange={handleConfigurationChange}
+                />
+              )}
+              {canEdit && (
+                <Button icon={<EditOutlined />} onClick={handleEditConfig}>
+                  Editar Configuração
+                </Button>
+              )}
               <Button
                 type="primary"
                 icon={<ReloadOutlined />}
@@ -405,20 +944,42 @@ const DataTablePage = ({ onNavigate }) => {
             </Space>
           </div>
 
+          {/* Retry Progress */}
+          {retryInfo && (
+            <Alert
+              message={`Nova tentativa ${retryInfo.attempt} de ${retryInfo.maxRetries} em ${Math.ceil(retryInfo.delay / 1000)}s`}
+              description={
+                retryInfo.status
+                  ? `A API respondeu HTTP ${retryInfo.status}${retryInfo.status === 429 ? ' (limite de requisições)' : ''}.`
+                  : 'A API não respondeu (erro de rede ou tempo esgotado).'
+              }
+              type="warning"
+              showIcon
+            />
+          )}
+
           {/* Error Display */}
           {error && (
             <Alert
               message="Falha ao Carregar Dados"
               description={
                 <Space direction="vertical">
-                  <Text>{error}</Text>
+                  <Text>{error.message}</Text>
+                  {(error.status || error.attempts > 1) && (
+                    <Text type="secondary">
+                      {error.status ? `HTTP ${error.status}` : 'Sem resposta da API'}
+                      {error.attempts > 1 ? ` após ${error.attempts} tentativas` : ''}
+                    </Text>
+                  )}
                   <Space>
                     <Button size="small" onClick={handleRefresh}>
                       Tentar Novamente
                     </Button>
-                    <Button size="small" onClick={handleEditConfig}>
-                      Editar Configuração
-                    </Button>
+                    {canEdit && (
+                      <Button size="small" onClick={handleEditConfig}>
+                        Editar Configuração
+                      </Button>
+                    )}
                   </Space>
                 </Space>
               }
@@ -439,17 +1000,41 @@ const DataTablePage = ({ onNavigate }) => {
           )}
 
           {/* DataTable */}
-          <DxpTable
-            columns={getProcessedColumns()}
-            data={data}
-            pagination={pagination}
-            loading={loading}
-            rowKey="id"
-            onPaginationChange={handlePaginationChange}
-            onSort={handleSort}
-            onRowClick={handleRowClick}
-            sortingConfig={config.events?.sorting}
-          />
+          <div ref={tableContainerRef}>
+            <DxpTable
+              columns={getProcessedColumns()}
+              data={data}
+              pagination={pagination}
+              loading={loading}
+              rowKey="id"
+              onPaginationChange={handlePaginationChange}
+              onSort={handleSort}
+              onRowClick={handleRowClick}
+              sortingConfig={config.events?.sorting}
+              sortInfo={sortInfo}
+              columnFilters={columnFilters}
+              onFilter={handleFilter}
+              rowClassName={(record) =>
+                changedRowKeys.includes(record.id) ? 'dxp-row-changed' : ''
+              }
+              rowSelection={
+                rowSelectionConfig.enabled
+                  ? {
+                      type: rowSelectionConfig.type,
+                      selectedRowKeys,
+                      onChange: changeSelection,
+                    }
+                  : undefined
+              }
+              bulkActions={rowSelectionConfig.actions}
+              onBulkAction={runAction}
+              onClearSelection={() => clearSelection()}
+              runningActionId={runningActionId}
+              bulkActionProgress={bulkActionProgress}
+            />
+          </div>
+
+          <DxpTableBulkResults results={bulkActionResults} onClose={closeResults} />
         </Space>
       </Card>
     </div>
@@ -458,6 +1043,10 @@ const DataTablePage = ({ onNavigate }) => {
 
 DataTablePage.propTypes = {
   onNavigate: PropTypes.func.isRequired,
+  configId: PropTypes.string,
+  inlineConfig: PropTypes.object,
+  readOnly: PropTypes.bool,
+  host: PropTypes.object,
 };
 
 export default DataTablePage;
@@ -0,0 +1,233 @@
+/**
+ * API Authentication Service
+ *
+ * Applies the configured authentication scheme to the axios instance used
+ * for external APIs: Bearer token, API key (header or query param), HTTP Basic,
+ * OAuth2 client credentials and Liferay session (cookies + x-csrf-token).
+ *
+ * OAuth2 access tokens are cached per token endpoint/client/scope until they
+ * expire and are fetched again when the API answers 401.
+ */
+
+import axios from 'axios';
+import { getCsrfToken } from '../config/liferay-config';
+
+// Tokens are renewed a little before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 30000;
+
+// Cache of OAuth2 access tokens: key -> { accessToken, expiresAt }
+const oauth2TokenCache = new Map();
+
+/**
+ * Builds the cache key of an OAuth2 client
+ */
+const getOAuth2CacheKey = (oauth2) => `${oauth2.tokenUrl}|${oauth2.clientId}|${oauth2.scope || ''}`;
+
+/**
+ * Removes the cached OAuth2 token of a client
+ *
+ * @param {Object} oauth2 - OAuth2 config (tokenUrl, clientId, scope)
+ */
+export const clearOAuth2Token = (oauth2) => {
+  oauth2TokenCache.delete(getOAuth2CacheKey(oauth2));
+};
+
+/**
+ * Gets an OAuth2 access token using the client credentials grant
+ * Tokens are cached until they expire
+ *
+ * @param {Object} oauth2 - { tokenUrl, clientId, clientSecret, scope }
+ * @returns {Promise<string>} Access token
+ */
+export const getClientCredentialsToken = async (oauth2) => {
+  const cacheKey = getOAuth2CacheKey(oauth2);
+  const cached = oauth2TokenCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  try {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: oauth2.clientId,
+      client_secret: oauth2.clientSecret,
+    });
+    if (oauth2.scope) {
+      body.append('scope', oauth2.scope);
+    }
+
+    const response = await axios.post(oauth2.tokenUrl, body, {
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+    });
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+      throw new Error('O endpoint de token não retornou access_token');
+    }
+
+    oauth2TokenCache.set(cacheKey, {
+      accessToken,
+      // Without expires_in the token is kept until the API answers 401
+      expiresAt: expiresIn
+        ? Date.now() + Number(expiresIn) * 1000 - TOKEN_EXPIRY_MARGIN_MS
+        : Number.POSITIVE_INFINITY,
+    });
+
+    return accessToken;
+  } catch (error) {
+    console.error('Erro ao obter token OAuth2:', error);
+    throw error;
+  }
+};
+
+/**
+ * Formats a token as Bearer Authorization header value
+ */
+const toBearer = (token) => {
+  const trimmed = token.trim();
+  return trimmed.startsWith('Bearer ') ? trimmed : `Bearer ${trimmed}`;
+};
+
+/**
+ * Gets the static axios options of the auth type (headers, basic auth, credentials)
+ *
+ * @param {Object} auth - Auth configuration ({ type, apiKey, basic, oauth2 })
+ * @param {string} token - Bearer token (auth type 'bearer')
+ * @returns {Object} Extra axios options ({ headers } is always present)
+ */
+export const getAuthInstanceOptions = (auth = {}, token = '') => {
+  const type = auth.type || 'bearer';
+
+  if (type === 'bearer' && token && token.trim()) {
+    return { headers: { Authorization: toBearer(token) } };
+  }
+
+  if (type === 'api-key' && auth.apiKey?.in !== 'query' && auth.apiKey?.name) {
+    return { headers: { [auth.apiKey.name]: auth.apiKey.value || '' } };
+  }
+
+  if (type === 'basic' && auth.basic?.username) {
+    return {
+      headers: {},
+      auth: {
+        username: auth.basic.username,
+        password: auth.basic.password || '',
+      },
+    };
+  }
+
+  if (type === 'liferay-session') {
+    return { headers: {}, withCredentials: true };
+  }
+
+  return { headers: {} };
+};
+
+/**
+ * Gets the credentials that identify who a request is sent as
+ * Covers the parts not sent as static headers (Basic auth, API key query param and
+ * OAuth2 client), so responses of different credentials are never shared.
+ *
+ * @param {Object} auth - Auth configuration ({ type, apiKey, basic, oauth2 })
+ * @param {string} token - Bearer token (auth type 'bearer')
+ * @returns {Object} Auth identity ({ type } plus the credentials of the type)
+ */
+export const getAuthIdentity = (auth = {}, token = '') => {
+  const type = auth.type || 'bearer';
+
+  switch (type) {
+    case 'bearer':
+      return { type, token: token?.trim() || '' };
+    case 'api-key':
+      return {
+        type,
+        in: auth.apiKey?.in || 'header',
+        name: auth.apiKey?.name || '',
+        value: auth.apiKey?.value || '',
+      };
+    case 'basic':
+      return {
+        type,
+        username: auth.basic?.username || '',
+        password: auth.basic?.password || '',
+      };
+    case 'oauth2-client-credentials':
+      return {
+        type,
+        tokenUrl: auth.oauth2?.tokenUrl || '',
+        clientId: auth.oauth2?.clientId || '',
+        scope: auth.oauth2?.scope || '',
+      };
+    default:
+      return { type };
+  }
+};
+
+/**
+ * Applies the dynamic part of the auth type to an axios instance
+ * (API key query param, CSRF token and OAuth2 access token)
+ *
+ * @param {Object} instance - Axios instance
+ * @param {Object} auth - Auth configuration ({ type, apiKey, basic, oauth2 })
+ * @returns {Object} The same axios instance
+ */
+export const applyAuth = (instance, auth = {}) => {
+  const type = auth.type || 'bearer';
+
+  if (type === 'api-key' && auth.apiKey?.in === 'query' && auth.apiKey?.name) {
+    const { name, value = '' } = auth.apiKey;
+
+    instance.interceptors.request.use((config) => ({
+      ...config,
+      params: { ...(config.params || {}), [name]: value },
+    }));
+  }
+
+  if (type === 'liferay-session') {
+    instance.interceptors.request.use((config) => {
+      const csrfToken = getCsrfToken();
+      if (csrfToken) {
+        config.headers['x-csrf-token'] = csrfToken;
+      }
+      return config;
+    });
+  }
+
+  if (type === 'oauth2-client-credentials' && auth.oauth2?.tokenUrl) {
+    const { oauth2 } = auth;
+
+    instance.interceptors.request.use(async (config) => {
+      config.headers.Authorization = `Bearer ${await getClientCredentialsToken(oauth2)}`;
+      return config;
+    });
+
+    // Expired/revoked token: fetch a new one and retry the request once
+    instance.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (response?.status !== 401 || !config || config.oauth2Retried) {
+          return Promise.reject(error);
+        }
+
+        clearOAuth2Token(oauth2);
+        return instance.request({ ...config, oauth2Retried: true });
+      }
+    );
+  }
+
+  return instance;
+};
+
+export default {
+  applyAuth,
+  getAuthInstanceOptions,
+  getAuthIdentity,
+  getClientCredentialsToken,
+  clearOAuth2Token,
+};
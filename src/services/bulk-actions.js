@@ -0,0 +1,77 @@
+/**
+ * Bulk Actions Service
+ *
+ * Calls the endpoint of a bulk action with the selected rows, through the Liferay
+ * client (portal session or OAuth token):
+ *   endpoint with {{id}}    - one request per row (POST or DELETE), one after the other
+ *   endpoint without {{id}} - one POST with all the ids in the body ({ ids: [...] })
+ * Per row endpoints are rendered like row action URLs ({{record.<field>}}, values encoded).
+ * Every row gets its own result, so partial failures can be reported and retried.
+ */
+
+import { postData, deleteData, getErrorMessage } from './liferay-api';
+import { renderRowUrl } from './row-actions';
+
+// {{id}} (spaces allowed) marks endpoints called once per row
+const ROW_ID_PATTERN = /\{\{\s*id\s*\}\}/;
+
+/**
+ * Checks whether an endpoint is called once per row
+ * @param {string} endpoint - Endpoint of the bulk action
+ * @returns {boolean} True when the endpoint contains {{id}}
+ */
+export const isPerRowEndpoint = (endpoint = '') => ROW_ID_PATTERN.test(endpoint);
+
+/**
+ * Sends the request of one row
+ */
+const runRowRequest = async (action, key, row) => {
+  // {{id}} is the row key; {{row.<field>}} is kept as an alias of {{record.<field>}}
+  const url = renderRowUrl(action.endpoint, row, { id: key, row });
+  if (!url) {
+    throw new Error('Endpoint da ação inválido');
+  }
+  return action.method === 'DELETE' ? deleteData(url) : postData(url);
+};
+
+/**
+ * Runs an endpoint bulk action
+ *
+ * @param {Object} action - Bulk action configuration (method, endpoint, idsField)
+ * @param {Array<Object>} items - Selected rows ({ key, row })
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called after each request with (done, total)
+ * @returns {Promise<Array<Object>>} Result of each row ({ key, success, error })
+ */
+export const runEndpointAction = async (action, items, { onProgress } = {}) => {
+  if (!isPerRowEndpoint(action.endpoint)) {
+    // One request for all the rows: they all share its result
+    try {
+      await postData(action.endpoint, {
+        [action.idsField || 'ids']: items.map(({ key }) => key),
+      });
+      onProgress?.(items.length, items.length);
+      return items.map(({ key }) => ({ key, success: true }));
+    } catch (error) {
+      const message = getErrorMessage(error);
+      return items.map(({ key }) => ({ key, success: false, error: message }));
+    }
+  }
+
+  const results = [];
+  for (const { key, row } of items) {
+    try {
+      await runRowRequest(action, key, row);
+      results.push({ key, success: true });
+    } catch (error) {
+      results.push({ key, success: false, error: getErrorMessage(error) });
+    }
+    onProgress?.(results.length, items.length);
+  }
+  return results;
+};
+
+export default {
+  isPerRowEndpoint,
+  runEndpointAction,
+};
@@ -1,27 +1,168 @@
 /**
  * Configuration Storage Service
  *
- * Manages table configuration persistence in localStorage.
- * Provides simple interface for save/load/clear operations.
+ * Manages named table configurations persisted in localStorage.
+ * Each configuration has its own id and name, so several tables (and several
+ * <dxp-datatable> instances on the same page) can use different settings.
+ * Provides CRUD operations plus the active configuration used by default.
  */
 
-const CONFIG_KEY = 'dxp-table-configuration';
+import { hasDataSource } from '../core/models/configuration.types';
+
+const STORAGE_KEY = 'dxp-table-configurations';
+
+/**
+ * Single-configuration key used by previous versions.
+ * Migrated automatically into the named store on first read.
+ */
+const LEGACY_CONFIG_KEY = 'dxp-table-configuration';
+
+/**
+ * Id used for the configuration migrated from the legacy key
+ * or created implicitly when saving without an id
+ */
+export const DEFAULT_CONFIGURATION_ID = 'default';
+
+const DEFAULT_CONFIGURATION_NAME = 'Configuração padrão';
+
+/**
+ * Generates a unique configuration id
+ *
+ * @returns {string} New configuration id
+ */
+const generateConfigurationId = () => `cfg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Reads the configuration store from localStorage
+ * Migrates the legacy single configuration when the store does not exist yet
+ *
+ * @returns {{activeId: string|null, configurations: Object<string, Object>}} Store
+ */
+const readStore = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  if (stored) {
+    const store = JSON.parse(stored);
+    return {
+      activeId: store.activeId || null,
+      configurations: store.configurations || {},
+    };
+  }
+
+  const legacy = localStorage.getItem(LEGACY_CONFIG_KEY);
+  if (!legacy) {
+    return { activeId: null, configurations: {} };
+  }
+
+  const store = {
+    activeId: DEFAULT_CONFIGURATION_ID,
+    configurations: {
+      [DEFAULT_CONFIGURATION_ID]: {
+        ...JSON.parse(legacy),
+        id: DEFAULT_CONFIGURATION_ID,
+        name: DEFAULT_CONFIGURATION_NAME,
+      },
+    },
+  };
+
+  writeStore(store);
+  localStorage.removeItem(LEGACY_CONFIG_KEY);
+  return store;
+};
+
+/**
+ * Writes the configuration store to localStorage
+ *
+ * @param {Object} store - Store with activeId and configurations
+ */
+const writeStore = (store) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * Lists all stored configurations (summary only)
+ *
+ * @returns {Array<{id: string, name: string, apiEndpoint: string, createdAt: string, updatedAt: string}>}
+ */
+export const listConfigurations = () => {
+  try {
+    const { configurations } = readStore();
+
+    return Object.values(configurations)
+      .map(({ id, name, apiEndpoint, createdAt, updatedAt }) => ({
+        id,
+        name,
+        apiEndpoint: apiEndpoint || '',
+        createdAt,
+        updatedAt,
+      }))
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  } catch (error) {
+    console.error('Erro ao listar configurações:', error);
+    return [];
+  }
+};
+
+/**
+ * Gets the id of the active configuration (used when no id is given)
+ *
+ * @returns {string|null} Active configuration id
+ */
+export const getActiveConfigurationId = () => {
+  try {
+    const { activeId, configurations } = readStore();
+    return activeId && configurations[activeId] ? activeId : null;
+  } catch (error) {
+    console.error('Erro ao obter configuração ativa:', error);
+    return null;
+  }
+};
+
+/**
+ * Sets the active configuration
+ *
+ * @param {string} id - Configuration id
+ * @returns {boolean} Success status
+ */
+export const setActiveConfiguration = (id) => {
+  try {
+    const store = readStore();
+    if (!store.configurations[id]) {
+      return false;
+    }
+
+    writeStore({ ...store, activeId: id });
+    return true;
+  } catch (error) {
+    console.error('Erro ao definir configuração ativa:', error);
+    return false;
+  }
+};
 
 /**
  * Saves table configuration to localStorage
+ * The target is config.id, then the active configuration, then the default id.
+ * The stored name is kept; use renameConfiguration to change it.
  *
  * @param {Object} config - Configuration object
  * @returns {boolean} Success status
  */
 export const saveConfiguration = (config) => {
   try {
-    const configWithTimestamp = {
+    const store = readStore();
+    const id = config.id || store.activeId || DEFAULT_CONFIGURATION_ID;
+    const existing = store.configurations[id];
+    const now = new Date().toISOString();
+
+    store.configurations[id] = {
       ...config,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
+      id,
+      name: existing?.name || config.name || DEFAULT_CONFIGURATION_NAME,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
     };
+    store.activeId = id;
 
-    localStorage.setItem(CONFIG_KEY, JSON.stringify(configWithTimestamp));
+    writeStore(store);
     return true;
   } catch (error) {
     console.error('Erro ao salvar configuração:', error);
@@ -32,17 +173,13 @@ export const saveConfiguration = (config) => {
 /**
  * Loads table configuration from localStorage
  *
+ * @param {string} [id] - Configuration id (defaults to the active configuration)
  * @returns {Object|null} Configuration object or null if not found
  */
-export const loadConfiguration = () => {
+export const loadConfiguration = (id) => {
   try {
-    const stored = localStorage.getItem(CONFIG_KEY);
-    if (!stored) {
-      return null;
-    }
-
-    const config = JSON.parse(stored);
-    return config;
+    const { activeId, configurations } = readStore();
+    return configurations[id || activeId] || null;
   } catch (error) {
     console.error('Erro ao carregar configuração:', error);
     return null;
@@ -50,13 +187,28 @@ export const loadConfiguration = () => {
 };
 
 /**
- * Clears table configuration from localStorage
+ * Clears the content of a configuration, keeping its id and name
  *
+ * @param {string} [id] - Configuration id (defaults to the active configuration)
  * @returns {boolean} Success status
  */
-export const clearConfiguration = () => {
+export const clearConfiguration = (id) => {
   try {
-    localStorage.removeItem(CONFIG_KEY);
+    const store = readStore();
+    const targetId = id || store.activeId;
+    const existing = store.configurations[targetId];
+    if (!existing) {
+      return true;
+    }
+
+    store.configurations[targetId] = {
+      id: existing.id,
+      name: existing.name,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+
+    writeStore(store);
     return true;
   } catch (error) {
     console.error('Erro ao limpar configuração:', error);
@@ -65,14 +217,15 @@ export const clearConfiguration = () => {
 };
 
 /**
- * Checks if a configuration exists in localStorage
+ * Checks if a usable configuration (with an API endpoint or static data) exists
  *
+ * @param {string} [id] - Configuration id (defaults to the active configuration)
  * @returns {boolean} True if configuration exists
  */
-export const hasConfiguration = () => {
+export const hasConfiguration = (id) => {
   try {
-    const stored = localStorage.getItem(CONFIG_KEY);
-    return stored !== null && stored !== undefined;
+    const config = loadConfiguration(id);
+    return hasDataSource(config);
   } catch (error) {
     console.error('Erro ao verificar configuração:', error);
     return false;
@@ -82,12 +235,12 @@ export const hasConfiguration = () => {
 /**
  * Updates only specific fields in the configuration
  *
- * @param {Object} updates - Partial configuration to update
+ * @param {Object} updates - Partial configuration to update (may include id)
  * @returns {boolean} Success status
  */
 export const updateConfiguration = (updates) => {
   try {
-    const current = loadConfiguration();
+    const current = loadConfiguration(updates.id);
     if (!current) {
       return saveConfiguration(updates);
     }
@@ -105,6 +258,111 @@ export const updateConfiguration = (updates) => {
   }
 };
 
+/**
+ * Creates a new named configuration and makes it active
+ *
+ * @param {string} name - Configuration name
+ * @param {Object} config - Initial configuration content (optional)
+ * @returns {Object|null} Created configuration or null on failure
+ */
+export const createNamedConfiguration = (name, config = {}) => {
+  try {
+    const store = readStore();
+    const id = generateConfigurationId();
+    const now = new Date().toISOString();
+
+    const created = {
+      ...config,
+      id,
+      name: name?.trim() || DEFAULT_CONFIGURATION_NAME,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    store.configurations[id] = created;
+    store.activeId = id;
+
+    writeStore(store);
+    return created;
+  } catch (error) {
+    console.error('Erro ao criar configuração:', error);
+    return null;
+  }
+};
+
+/**
+ * Duplicates an existing configuration under a new name and makes the copy active
+ *
+ * @param {string} id - Source configuration id
+ * @param {string} name - Name for the copy (defaults to "<name> (cópia)")
+ * @returns {Object|null} Created copy or null on failure
+ */
+export const duplicateConfiguration = (id, name) => {
+  const source = loadConfiguration(id);
+  if (!source) {
+    console.error('Erro ao duplicar configuração: configuração não encontrada', id);
+    return null;
+  }
+
+  // id, name and timestamps are replaced by createNamedConfiguration
+  return createNamedConfiguration(name || `${source.name} (cópia)`, source);
+};
+
+/**
+ * Renames a configuration
+ *
+ * @param {string} id - Configuration id
+ * @param {string} name - New name
+ * @returns {boolean} Success status
+ */
+export const renameConfiguration = (id, name) => {
+  try {
+    const store = readStore();
+    if (!store.configurations[id] || !name?.trim()) {
+      return false;
+    }
+
+    store.configurations[id] = {
+      ...store.configurations[id],
+      name: name.trim(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    writeStore(store);
+    return true;
+  } catch (error) {
+    console.error('Erro ao renomear configuração:', error);
+    return false;
+  }
+};
+
+/**
+ * Deletes a configuration
+ * When the active configuration is deleted, the first remaining one becomes active.
+ *
+ * @param {string} id - Configuration id
+ * @returns {boolean} Success status
+ */
+export const deleteConfiguration = (id) => {
+  try {
+    const store = readStore();
+    if (!store.configurations[id]) {
+      return false;
+    }
+
+    delete store.configurations[id];
+    if (store.activeId === id) {
+      store.activeId = Object.keys(store.configurations)[0] || null;
+    }
+
+    writeStore(store);
+    return true;
+  } catch (error) {
+    console.error('Erro ao excluir configuração:', error);
+    return false;
+  }
+};
+
 /**
  * Gets an example configuration for demonstration
  *
@@ -181,6 +439,7 @@ console.log('Usuário clicou:', record);`,
       },
       sorting: {
         mode: 'server', // 'server' | 'client' | 'disabled'
+        multiple: false,
         serverConfig: {
           columnParam: '_columnSort',
           orderParam: '_sort',
@@ -189,6 +448,7 @@ console.log('Usuário clicou:', record);`,
             ascend: '1',
             descend: '-1',
           },
+          multiSortFormat: 'repeated',
         },
       },
     },
@@ -196,10 +456,17 @@ console.log('Usuário clicou:', record);`,
 };
 
 export default {
+  listConfigurations,
+  getActiveConfigurationId,
+  setActiveConfiguration,
   saveConfiguration,
   loadConfiguration,
   clearConfiguration,
   hasConfiguration,
   updateConfiguration,
+  createNamedConfiguration,
+  duplicateConfiguration,
+  renameConfiguration,
+  deleteConfiguration,
   getExampleConfiguration,
 };
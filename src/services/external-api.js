@@ -2,13 +2,47 @@
  * External API Service
  *
  * Handles generic API requests to external (non-Liferay) endpoints.
- * Supports authentication tokens, custom pagination parameters, URL path variables,
- * default query params, and flexible response parsing.
+ * Supports several authentication types, custom pagination parameters, URL path variables,
+ * default query params, custom headers, POST/PUT bodies, GraphQL queries and flexible response parsing.
+ * Besides JSON, responses can be CSV, XML or NDJSON documents parsed into rows.
+ * Table responses can be cached per configuration (TTL and stale-while-revalidate), and
+ * failed table requests are retried with exponential backoff (Retry-After on 429/503).
+ * Liferay Headless sources use the portal client (base URL + session/CSRF auth).
+ * Static sources read the rows stored in the configuration without any request.
  */
 
 import axios from 'axios';
+import { apiClient as liferayApiClient } from './liferay-api';
+import { applyAuth, getAuthIdentity, getAuthInstanceOptions } from './api-auth';
 import { replaceUrlParams } from '../utils/url-params-replacer';
 import { toObject } from '../utils/query-string-parser';
+import {
+  buildTemplateContext,
+  renderJsonTemplate,
+  renderTemplateString,
+  renderParamValues,
+  buildGraphqlBody,
+} from '../utils/request-template';
+import { buildODataFilter, renderODataTemplate } from '../utils/odata-filter';
+import { buildRequestHeaders } from '../utils/request-headers';
+import { buildRuntimeContext } from '../utils/runtime-context';
+import { parseStaticData, searchRows, filterRows } from '../utils/static-data';
+import { buildColumnFilterParams, buildColumnFilterOData } from '../utils/column-filters';
+import { getSortKeys, sortRowsByKeys, buildSortParams } from '../utils/multi-sort';
+import {
+  isTextResponseFormat,
+  getResponseFormatRequestOptions,
+  parseResponseBody,
+} from '../utils/response-format';
+import {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateCachedResponses,
+} from './response-cache';
+import { withRetry } from './request-retry';
+import { applyLookups, invalidateLookupCache } from './lookup-sources';
+import { buildPaginationParams, resolvePaginationTotal } from '../core/pagination-strategies';
 
 /**
  * Gets value from nested object using dot notation
@@ -21,22 +55,246 @@ const getNestedValue = (obj, path) => {
 
 /**
  * Creates an axios instance for external API calls
+ * Authentication follows the configured auth type (Bearer token by default)
  */
-const createExternalApiInstance = (token = '') => {
+const createExternalApiInstance = (token = '', auth = {}) => {
+  const { headers: authHeaders, ...authOptions } = getAuthInstanceOptions(auth, token);
+
   const config = {
     timeout: 30000,
     headers: {
       'Content-Type': 'application/json',
       Accept: 'application/json',
+      ...authHeaders,
+    },
+    ...authOptions,
+  };
+
+  return applyAuth(axios.create(config), auth);
+};
+
+/**
+ * Gets the axios instance for the configured source type
+ * Liferay Headless endpoints are relative to the portal URL and use the user session
+ */
+const getApiInstance = (token, apiConfig = {}) => {
+  if (apiConfig.sourceType === 'liferay-headless') {
+    return liferayApiClient;
+  }
+  return createExternalApiInstance(token, apiConfig.auth);
+};
+
+/**
+ * Gets the response format of the configured source
+ * Liferay Headless APIs always answer JSON
+ */
+const getResponseFormat = (apiConfig = {}) => {
+  return apiConfig.sourceType === 'liferay-headless' ? null : apiConfig.responseFormat || null;
+};
+
+/**
+ * Reads the rows of a static source, applying search, filters and sorting
+ * All rows are returned: the table paginates them in the browser
+ *
+ * @param {Object} apiConfig - API configuration (staticData, dynamicParams, filterParams, sortingConfig)
+ * @param {Object} sortInfo - Sorting information (columnKey, sortField, order, sorts)
+ * @returns {Object} Response with data and pagination
+ */
+const loadStaticData = (apiConfig, sortInfo) => {
+  const searchInput = apiConfig.dynamicParams?.searchInput;
+  let data = parseStaticData(apiConfig.staticData);
+
+  data = searchRows(data, searchInput?.enabled ? searchInput.currentValue || '' : '');
+  data = filterRows(data, apiConfig.filterParams);
+
+  // Client-mode sorting is done by the table; server mode sorts here as there is no server
+  if (apiConfig.sortingConfig?.mode === 'server') {
+    data = sortRowsByKeys(
+      data,
+      getSortKeys(sortInfo).map((sort) => ({
+        field: sort.sortField || sort.columnKey,
+        order: sort.order,
+      }))
+    );
+  }
+
+  return {
+    data,
+    pagination: {
+      current: 1,
+      pageSize: data.length,
+      total: data.length,
     },
+    success: true,
   };
+};
 
-  if (token && token.trim()) {
-    const authToken = token.trim().startsWith('Bearer ') ? token.trim() : `Bearer ${token.trim()}`;
-    config.headers.Authorization = authToken;
+/**
+ * Adds the fields of the lookup sources to the rows of a result
+ *
+ * @param {Object} result - Response with data and pagination
+ * @param {Object} apiConfig - API configuration (lookups)
+ * @param {Object} options - Lookup options (api, templateContext, signal)
+ * @returns {Promise<Object>} Result with the joined rows
+ */
+const joinLookups = async (result, apiConfig, options) => {
+  if (!apiConfig.lookups?.length) {
+    return result;
   }
+  return { ...result, data: await applyLookups(result.data, apiConfig.lookups, options) };
+};
 
-  return axios.create(config);
+/**
+ * Adds Liferay Headless search, filter (OData) and fields params
+ * The filter comes from the filter builder conditions when there are any,
+ * otherwise from the typed expression; both accept dynamic values ({{search}}, {{filters.x}})
+ * Column header filters are added to the configured filter with "and".
+ */
+const applyLiferayParams = (
+  params,
+  liferayParams = {},
+  templateContext = {},
+  columnFilter = ''
+) => {
+  const configuredFilter = (
+    liferayParams.filterConditions?.length
+      ? buildODataFilter(liferayParams.filterConditions, liferayParams.filterJoin, templateContext)
+      : renderODataTemplate(liferayParams.filter, templateContext) || ''
+  ).trim();
+
+  const filter =
+    configuredFilter && columnFilter
+      ? `(${configuredFilter}) and ${columnFilter}`
+      : configuredFilter || columnFilter;
+
+  const values = {
+    search: liferayParams.search,
+    filter,
+    fields: liferayParams.fields,
+  };
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (typeof value === 'string' && value.trim()) {
+      params[key] = value.trim();
+    }
+  });
+};
+
+/**
+ * Builds the body of the request for the configured method
+ * POST/PUT render the body template and GRAPHQL builds { query, variables }; GET has no body.
+ *
+ * @param {Object} requestConfig - Request configuration (method, bodyTemplate, graphqlQuery, graphqlVariables)
+ * @param {Object} templateContext - Placeholder context (see buildTemplateContext)
+ * @returns {Object|undefined} Request body
+ */
+const buildRequestBody = (requestConfig = {}, templateContext = {}) => {
+  const method = (requestConfig.method || 'GET').toUpperCase();
+
+  if (method === 'GET') {
+    return undefined;
+  }
+
+  if (method === 'GRAPHQL') {
+    if (!requestConfig.graphqlQuery?.trim()) {
+      throw new Error('Consulta GraphQL não informada');
+    }
+
+    return buildGraphqlBody(
+      requestConfig.graphqlQuery,
+      requestConfig.graphqlVariables,
+      templateContext
+    );
+  }
+
+  return renderJsonTemplate(requestConfig.bodyTemplate, templateContext);
+};
+
+/**
+ * Sends the request using the configured method
+ * GET keeps the original behaviour; POST/PUT send the rendered body template and
+ * GRAPHQL posts { query, variables } to the endpoint.
+ *
+ * @param {Object} api - Axios instance
+ * @param {string} url - Final endpoint URL
+ * @param {Object} params - Query string parameters
+ * @param {Object} requestConfig - Request configuration (method, bodyTemplate, graphqlQuery, graphqlVariables)
+ * @param {Object} templateContext - Placeholder context (see buildTemplateContext)
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Custom request headers
+ * @param {AbortSignal} options.signal - Signal used to cancel the request
+ * @param {string} options.responseType - Axios response type ('text' for CSV, XML and NDJSON)
+ * @returns {Promise<Object>} Axios response
+ */
+const sendRequest = async (
+  api,
+  url,
+  params,
+  requestConfig = {},
+  templateContext = {},
+  { headers = {}, signal, responseType } = {}
+) => {
+  const method = (requestConfig.method || 'GET').toUpperCase();
+  // Array params are sent repeated (sort=name:asc&sort=date:desc), without brackets
+  const paramsSerializer = { indexes: null };
+
+  if (method === 'GET') {
+    return api.get(url, { params, paramsSerializer, headers, signal, responseType });
+  }
+
+  const body = buildRequestBody(requestConfig, templateContext);
+
+  if (method === 'GRAPHQL') {
+    const response = await api.post(url, body, {
+      params,
+      paramsSerializer,
+      headers,
+      signal,
+      responseType,
+    });
+
+    // GraphQL reports errors with HTTP 200 and an "errors" array
+    if (Array.isArray(response.data?.errors) && response.data.errors.length > 0) {
+      throw new Error(response.data.errors[0].message || 'Erro na consulta GraphQL');
+    }
+
+    return response;
+  }
+
+  return api.request({
+    method,
+    url,
+    params,
+    paramsSerializer,
+    headers,
+    signal,
+    responseType,
+    data: body,
+  });
+};
+
+/**
+ * Reads the next cursor from the response and extends the cursor history
+ * history[i] holds the cursor used to request page i + 1 (page 1 has no cursor)
+ *
+ * @param {Object} response - Axios response
+ * @param {Object} cursorConfig - Cursor configuration (nextCursorPath, hasMorePath)
+ * @param {number} page - Page that was just loaded
+ * @param {Array} cursorHistory - Cursors of the pages loaded so far
+ * @returns {Object} { nextCursor, hasMore, cursorHistory }
+ */
+const resolveCursorPagination = (response, cursorConfig, page, cursorHistory = [null]) => {
+  const nextCursor = getNestedValue(response.data, cursorConfig.nextCursorPath) ?? null;
+  const hasMore = cursorConfig.hasMorePath
+    ? Boolean(getNestedValue(response.data, cursorConfig.hasMorePath)) && nextCursor !== null
+    : nextCursor !== null && nextCursor !== '';
+
+  const history = cursorHistory.slice(0, page);
+  if (hasMore) {
+    history[page] = nextCursor;
+  }
+
+  return { nextCursor, hasMore, cursorHistory: history };
 };
 
 /**
@@ -44,62 +302,122 @@ const createExternalApiInstance = (token = '') => {
  *
  * @param {string} endpoint - Full API URL (may contain path variables like :version)
  * @param {string} token - Optional authentication token
- * @param {Object} pagination - Pagination parameters
- * @param {Object} apiConfig - API configuration (param names, response paths, pagination config, urlParams, defaultQueryParams, dynamicParams)
- * @param {Object} sortInfo - Sorting information (columnKey, order)
- * @returns {Promise<Object>} Response with data and pagination
+ * @param {Object} pagination - Pagination parameters (page, pageSize, enablePagination, cursorHistory)
+ * @param {Object} apiConfig - API configuration (param names, response paths, responseFormat, staticData, pagination config, paginationStrategy, cursorConfig, sourceType, liferayParams, auth, headers, urlParams, defaultQueryParams, dynamicParams, filterParams, request, hostElement, cache, retry, lookups, columns, columnFilters)
+ * @param {Object} sortInfo - Sorting information (columnKey, sortField, order, sorts)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request (rejects with { canceled: true })
+ * @param {boolean} options.invalidateCache - Drops the cached responses of the endpoint before loading
+ * @param {Function} options.onRevalidate - Receives the new result when an expired cached
+ *   response was returned (stale-while-revalidate)
+ * @param {Function} options.onRetry - Called before each retry with { attempt, maxRetries, delay, status }
+ * @returns {Promise<Object>} Response with data and pagination (plus cursor data in cursor mode);
+ *   fromCache/stale flag cached responses
  */
 export const fetchData = async (
   endpoint,
   token = '',
   pagination = {},
   apiConfig = {},
-  sortInfo = null
+  sortInfo = null,
+  { signal, invalidateCache = false, onRevalidate, onRetry } = {}
 ) => {
   try {
-    const api = createExternalApiInstance(token);
+    // Static data: the rows are stored in the configuration
+    if (apiConfig.sourceType === 'static') {
+      if (invalidateCache) {
+        invalidateLookupCache();
+      }
+      return await joinLookups(loadStaticData(apiConfig, sortInfo), apiConfig, {
+        api: getApiInstance(token, apiConfig),
+        templateContext: buildTemplateContext({
+          runtimeContext: buildRuntimeContext(apiConfig.hostElement),
+        }),
+        signal,
+        authIdentity: getAuthIdentity(apiConfig.auth, token),
+      });
+    }
+
+    const api = getApiInstance(token, apiConfig);
     const { page = 1, pageSize = 20, enablePagination = true } = pagination;
 
+    // Get custom parameter names or use defaults
+    const paramNames = apiConfig.apiParamNames || {
+      page: '_page',
+      pageSize: '_limit',
+      sort: 'sort',
+    };
+
+    // Cursor mode: the cursor of the requested page comes from the history
+    const { cursorConfig } = apiConfig;
+    const cursorHistory = pagination.cursorHistory || [null];
+    const cursor = cursorConfig ? cursorHistory[page - 1] || null : null;
+
+    // Placeholders available to URL params, query params, body templates, GraphQL variables,
+    // headers and Liferay filters (including the Liferay user, host page and element values)
+    const templateContext = buildTemplateContext({
+      page,
+      pageSize,
+      cursor,
+      sortInfo,
+      sortingConfig: apiConfig.sortingConfig,
+      dynamicParams: apiConfig.dynamicParams,
+      filterParams: apiConfig.filterParams,
+      runtimeContext: buildRuntimeContext(apiConfig.hostElement),
+    });
+
     // Replace URL path variables with their values
     let finalEndpoint = endpoint;
     if (apiConfig.urlParams && apiConfig.urlParams.length > 0) {
-      const urlResult = replaceUrlParams(endpoint, apiConfig.urlParams);
+      const urlResult = replaceUrlParams(
+        endpoint,
+        renderParamValues(apiConfig.urlParams, templateContext)
+      );
       if (urlResult.errors.length > 0) {
         throw new Error(`URL parameter error: ${urlResult.errors.join(', ')}`);
       }
       finalEndpoint = urlResult.url;
     }
 
-    // Get custom parameter names or use defaults
-    const paramNames = apiConfig.apiParamNames || {
-      page: '_page',
-      pageSize: '_limit',
-      sort: 'sort',
-    };
-
     // Start with default query params (enabled ones only)
     const params = {};
     if (apiConfig.defaultQueryParams && Array.isArray(apiConfig.defaultQueryParams)) {
       const defaultParams = toObject(
-        apiConfig.defaultQueryParams.filter((p) => p.enabled !== false)
+        renderParamValues(
+          apiConfig.defaultQueryParams.filter((p) => p.enabled !== false),
+          templateContext
+        )
       );
       Object.assign(params, defaultParams);
     }
 
+    // Liferay Headless search/filter/fields (dynamic search below takes precedence)
+    if (apiConfig.sourceType === 'liferay-headless') {
+      applyLiferayParams(
+        params,
+        apiConfig.liferayParams,
+        templateContext,
+        buildColumnFilterOData(apiConfig.columns, apiConfig.columnFilters)
+      );
+    }
+
     // Add pagination parameters if enabled (these override default params if there's a conflict)
-    if (enablePagination) {
-      params[paramNames.page] = page;
+    if (cursorConfig) {
       params[paramNames.pageSize] = pageSize;
+      if (cursor) {
+        params[cursorConfig.requestParam] = cursor;
+      }
+    } else if (enablePagination) {
+      // Page number, zero-based page, offset/limit or Link header
+      Object.assign(
+        params,
+        buildPaginationParams(apiConfig.paginationStrategy, { page, pageSize, paramNames })
+      );
     }
 
-    // Add sorting parameters if provided and mode is server-side
-    if (sortInfo && sortInfo.columnKey && apiConfig.sortingConfig?.mode === 'server') {
-      const { columnParam, orderParam, orderValues } = apiConfig.sortingConfig.serverConfig;
-
-      // Use sortField if available, otherwise fallback to columnKey
-      const sortFieldToUse = sortInfo.sortField || sortInfo.columnKey;
-      params[columnParam] = sortFieldToUse;
-      params[orderParam] = orderValues[sortInfo.order] || orderValues.ascend;
+    // Add sorting parameters if provided and mode is server-side (one or several columns)
+    if (apiConfig.sortingConfig?.mode === 'server') {
+      Object.assign(params, buildSortParams(sortInfo, apiConfig.sortingConfig));
     }
 
     // Add dynamic parameters (search input, date range, etc.)
@@ -119,72 +437,265 @@ export const fetchData = async (
       // if (apiConfig.dynamicParams.dateRange?.enabled) { ... }
     }
 
-    const response = await api.get(finalEndpoint, { params });
+    // Add the column header filters (Liferay Headless gets them in the OData filter above)
+    if (apiConfig.columnFilters && apiConfig.sourceType !== 'liferay-headless') {
+      Object.assign(params, buildColumnFilterParams(apiConfig.columns, apiConfig.columnFilters));
+    }
+
+    // Add filter parameters set at runtime (e.g., through the element API)
+    if (apiConfig.filterParams) {
+      Object.entries(apiConfig.filterParams).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          params[key] = value;
+        }
+      });
+    }
 
-    // Get response data path configuration
-    const responsePaths = apiConfig.responseDataPath || {
-      dataKey: '',
-      totalKey: 'x-total-count',
-      totalSource: 'header',
+    // CSV, XML and NDJSON bodies are requested as text (custom headers override the Accept header)
+    const responseFormat = getResponseFormat(apiConfig);
+    const formatOptions = getResponseFormatRequestOptions(responseFormat);
+    const headers = {
+      ...formatOptions.headers,
+      ...buildRequestHeaders(apiConfig.headers, templateContext),
     };
 
-    // Extract data using configured path
-    let data = responsePaths.dataKey
-      ? getNestedValue(response.data, responsePaths.dataKey)
-      : response.data;
+    /**
+     * Reads data and pagination from a response (fresh or cached)
+     */
+    const parseResponse = (rawResponse) => {
+      // CSV, XML and NDJSON bodies are parsed into rows (the data path does not apply)
+      const response = {
+        ...rawResponse,
+        data: parseResponseBody(rawResponse.data, responseFormat),
+      };
+      const hasRowBody = isTextResponseFormat(responseFormat);
+
+      // Get response data path configuration
+      const responsePaths = apiConfig.responseDataPath || {
+        dataKey: '',
+        totalKey: 'x-total-count',
+        totalSource: 'header',
+      };
 
-    // Ensure data is an array
-    if (!Array.isArray(data)) {
-      data = [data];
-    }
+      // Extract data using configured path
+      let data =
+        responsePaths.dataKey && !hasRowBody
+          ? getNestedValue(response.data, responsePaths.dataKey)
+          : response.data;
 
-    // Extract total count based on configuration
-    let total = data.length; // Default fallback
-
-    if (responsePaths.totalSource === 'header') {
-      // Get from response headers
-      const headerValue = response.headers[responsePaths.totalKey.toLowerCase()];
-      total = headerValue ? parseInt(headerValue, 10) : data.length;
-    } else {
-      // Get from response body
-      const bodyValue = getNestedValue(response.data, responsePaths.totalKey);
-      total = bodyValue !== undefined ? parseInt(bodyValue, 10) : data.length;
+      // Ensure data is an array
+      if (!Array.isArray(data)) {
+        data = [data];
+      }
+
+      // Extract total count based on configuration
+      let total = data.length; // Default fallback
+
+      if (responsePaths.totalSource === 'header') {
+        // Get from response headers
+        const headerValue = response.headers[responsePaths.totalKey.toLowerCase()];
+        total = headerValue ? parseInt(headerValue, 10) : data.length;
+      } else {
+        // Get from response body
+        const bodyValue = getNestedValue(response.data, responsePaths.totalKey);
+        total = bodyValue !== undefined ? parseInt(bodyValue, 10) : data.length;
+      }
+
+      // Cursor mode: there is no total, only a link to the next page
+      if (cursorConfig) {
+        return {
+          data,
+          pagination: {
+            current: page,
+            pageSize,
+            total: null,
+            ...resolveCursorPagination(response, cursorConfig, page, cursorHistory),
+          },
+          success: true,
+        };
+      }
+
+      // Let the pagination strategy derive the total/last page (e.g., from Link headers)
+      const { total: resolvedTotal, lastPage } = enablePagination
+        ? resolvePaginationTotal(apiConfig.paginationStrategy, {
+            response,
+            page,
+            pageSize,
+            itemCount: data.length,
+            total,
+            paramNames,
+          })
+        : { total, lastPage: 1 };
+
+      return {
+        data,
+        pagination: {
+          current: page,
+          pageSize,
+          total: resolvedTotal,
+          lastPage,
+        },
+        success: true,
+      };
+    };
+
+    // "Recarregar" and refresh(): drop the cached pages of this endpoint and the lookup records
+    if (invalidateCache) {
+      invalidateCachedResponses(finalEndpoint);
+      invalidateLookupCache();
     }
 
-    return {
-      data,
-      pagination: {
-        current: page,
-        pageSize,
-        total,
-      },
-      success: true,
+    // Response cache keyed by the resolved request and the credentials it is sent with
+    // (the cache is shared by all tables of the page)
+    const cacheConfig = apiConfig.cache?.enabled ? apiConfig.cache : null;
+    const cacheKey = cacheConfig
+      ? buildCacheKey({
+          method: apiConfig.request?.method,
+          url: finalEndpoint,
+          params,
+          headers: {
+            ...getAuthInstanceOptions(apiConfig.auth, token).headers,
+            ...headers,
+          },
+          body: buildRequestBody(apiConfig.request, templateContext),
+          auth: getAuthIdentity(apiConfig.auth, token),
+        })
+      : null;
+
+    const loadResponse = async () => {
+      const response = await withRetry(
+        () =>
+          sendRequest(api, finalEndpoint, params, apiConfig.request, templateContext, {
+            headers,
+            signal,
+            responseType: formatOptions.responseType,
+          }),
+        apiConfig.retry,
+        { method: apiConfig.request?.method, signal, onRetry }
+      );
+      if (cacheKey) {
+        setCachedResponse(cacheKey, finalEndpoint, response, cacheConfig.ttl);
+      }
+      return response;
     };
+
+    // Lookup sources use the authentication of the main source (also part of their cache key)
+    const lookupOptions = {
+      api,
+      templateContext,
+      signal,
+      authIdentity: getAuthIdentity(apiConfig.auth, token),
+    };
+
+    const cached = cacheKey ? getCachedResponse(cacheKey) : null;
+
+    if (cached?.fresh) {
+      return await joinLookups(
+        { ...parseResponse(cached.response), fromCache: true },
+        apiConfig,
+        lookupOptions
+      );
+    }
+
+    if (cached && cacheConfig.staleWhileRevalidate) {
+      // Show the expired response now and deliver the new one through onRevalidate
+      loadResponse()
+        .then((response) => joinLookups(parseResponse(response), apiConfig, lookupOptions))
+        .then((result) => onRevalidate?.(result))
+        .catch((error) => {
+          if (!axios.isCancel(error)) {
+            console.error('Erro ao revalidar a resposta em cache:', error);
+          }
+        });
+
+      return await joinLookups(
+        { ...parseResponse(cached.response), fromCache: true, stale: true },
+        apiConfig,
+        lookupOptions
+      );
+    }
+
+    return await joinLookups(parseResponse(await loadResponse()), apiConfig, lookupOptions);
   } catch (error) {
+    // Canceled by the caller (e.g., replaced by a newer request): not an error
+    if (axios.isCancel(error)) {
+      throw {
+        message: 'Request canceled',
+        canceled: true,
+        error,
+      };
+    }
+
     console.error('Error fetching data:', error);
     throw {
       message: error.response?.data?.message || error.message || 'Failed to fetch data',
       status: error.response?.status,
+      attempts: error.attempts || 1,
       error,
     };
   }
 };
 
+/**
+ * Adds the fields of the lookup sources to the sample row of a connection test
+ */
+const joinFirstRowLookups = async (row, apiConfig, options) => {
+  if (!apiConfig.lookups?.length || !row || typeof row !== 'object' || Array.isArray(row)) {
+    return row;
+  }
+  const [joined] = await applyLookups([row], apiConfig.lookups, options);
+  return joined;
+};
+
 /**
  * Tests connection to API endpoint
  * @param {string} endpoint - API endpoint URL (may contain path variables)
  * @param {string} token - Optional auth token
- * @param {Object} apiConfig - API configuration including response mapping, urlParams
+ * @param {Object} apiConfig - API configuration including response mapping, responseFormat, staticData, lookups, urlParams, request, sourceType, liferayParams, auth, headers, hostElement
  * @param {Object} testParams - Custom query parameters for testing (optional)
  */
 export const testConnection = async (endpoint, token = '', apiConfig = {}, testParams = {}) => {
   try {
-    const api = createExternalApiInstance(token);
+    // Static data: reading the stored rows replaces the request
+    if (apiConfig.sourceType === 'static') {
+      const rows = parseStaticData(apiConfig.staticData);
+      if (rows.length === 0) {
+        return {
+          success: false,
+          status: 0,
+          message: 'Cole ou envie os dados estáticos antes de testar',
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        sampleData: await joinFirstRowLookups(rows[0], apiConfig, {
+          api: getApiInstance(token, apiConfig),
+          templateContext: buildTemplateContext({
+            runtimeContext: buildRuntimeContext(apiConfig.hostElement),
+          }),
+          authIdentity: getAuthIdentity(apiConfig.auth, token),
+        }),
+        message: `${rows.length} ${rows.length === 1 ? 'linha lida' : 'linhas lidas'} dos dados estáticos. Confira abaixo a sugestão de configuração das colunas.`,
+        fullResponse: rows,
+      };
+    }
+
+    const api = getApiInstance(token, apiConfig);
+
+    // Placeholders use the first page with default values plus the runtime context
+    const templateContext = buildTemplateContext({
+      runtimeContext: buildRuntimeContext(apiConfig.hostElement),
+    });
 
     // Replace URL path variables with their values
     let finalEndpoint = endpoint;
     if (apiConfig.urlParams && apiConfig.urlParams.length > 0) {
-      const urlResult = replaceUrlParams(endpoint, apiConfig.urlParams);
+      const urlResult = replaceUrlParams(
+        endpoint,
+        renderParamValues(apiConfig.urlParams, templateContext)
+      );
       if (urlResult.errors.length > 0) {
         return {
           success: false,
@@ -201,28 +712,61 @@ export const testConnection = async (endpoint, token = '', apiConfig = {}, testP
 
     // Use custom test parameters provided by user
     // testParams should already include merged default params from preview-section
-    const params = { ...testParams };
+    const params = {};
+    if (apiConfig.sourceType === 'liferay-headless') {
+      applyLiferayParams(params, apiConfig.liferayParams, templateContext);
+    }
+    Object.entries(testParams).forEach(([key, value]) => {
+      params[key] = renderTemplateString(value, templateContext);
+    });
+
+    const responseFormat = getResponseFormat(apiConfig);
+    const formatOptions = getResponseFormatRequestOptions(responseFormat);
+
+    const response = await sendRequest(
+      api,
+      finalEndpoint,
+      params,
+      apiConfig.request,
+      templateContext,
+      {
+        headers: {
+          ...formatOptions.headers,
+          ...buildRequestHeaders(apiConfig.headers, templateContext),
+        },
+        responseType: formatOptions.responseType,
+      }
+    );
 
-    const response = await api.get(finalEndpoint, { params });
+    // CSV, XML and NDJSON bodies are parsed into rows, so column suggestions work on them too
+    const body = parseResponseBody(response.data, responseFormat);
 
-    // Try to extract data using configuration
+    // Try to extract data using configuration (JSON only: the other formats are already rows)
     const responsePaths = apiConfig?.responseDataPath || { dataKey: '' };
-    let data = responsePaths.dataKey
-      ? getNestedValue(response.data, responsePaths.dataKey)
-      : response.data;
+    let data =
+      responsePaths.dataKey && !isTextResponseFormat(responseFormat)
+        ? getNestedValue(body, responsePaths.dataKey)
+        : body;
 
     // Normalize to single item for preview
     if (Array.isArray(data)) {
       data = data[0] || data;
     }
 
+    // Lookup fields are part of the sample, so they are suggested as columns
+    data = await joinFirstRowLookups(data, apiConfig, {
+      api,
+      templateContext,
+      authIdentity: getAuthIdentity(apiConfig.auth, token),
+    });
+
     return {
       success: true,
       status: response.status,
       sampleData: data,
       message:
         'A requisição foi concluída corretamente. Confira abaixo a sugestão de configuração das colunas.',
-      fullResponse: response.data, // Include full response for debugging
+      fullResponse: body, // Include full response for debugging
     };
   } catch (error) {
     return {
@@ -0,0 +1,62 @@
+/**
+ * Inline Edit Service
+ *
+ * Saves an edited cell through the Liferay client (portal session or OAuth token),
+ * with the update request of the configuration:
+ *   endpoint     - URL template of the row, e.g. /o/c/pedidos/{{id}} (see row-actions.js)
+ *   bodyTemplate - JSON template with {{field}}, {{value}} and {{record.<field>}};
+ *                  empty sends only the edited field: { "<field>": <value> }
+ * A body value that is exactly "{{value}}" keeps the type of the value (number, boolean).
+ */
+
+import { putData, patchData } from './liferay-api';
+import { renderJsonTemplate } from '../utils/request-template';
+import { buildRowContext, renderRowUrl } from './row-actions';
+
+/**
+ * Builds the update request of an edited cell
+ *
+ * @param {Object} inlineEdit - Update request configuration (method, endpoint, bodyTemplate)
+ * @param {Object} record - Row before the change
+ * @param {string} field - API field of the cell (editor field or dataIndex)
+ * @param {any} value - New value
+ * @returns {Object} { method, url, body }
+ * @throws {Error} If the endpoint is empty or the body template is invalid
+ */
+export const buildUpdateRequest = (inlineEdit = {}, record, field, value) => {
+  const url = renderRowUrl(inlineEdit.endpoint, record);
+  if (!url) {
+    throw new Error('Endpoint de edição não configurado');
+  }
+
+  const body = renderJsonTemplate(inlineEdit.bodyTemplate, {
+    ...buildRowContext(record),
+    field,
+    value,
+  }) ?? { [field]: value };
+
+  return {
+    method: inlineEdit.method === 'PUT' ? 'PUT' : 'PATCH',
+    url,
+    body,
+  };
+};
+
+/**
+ * Saves an edited cell
+ *
+ * @param {Object} inlineEdit - Update request configuration
+ * @param {Object} record - Row before the change
+ * @param {string} field - API field of the cell
+ * @param {any} value - New value
+ * @returns {Promise<Object>} Response data
+ */
+export const saveCellValue = (inlineEdit, record, field, value) => {
+  const { method, url, body } = buildUpdateRequest(inlineEdit, record, field, value);
+  return method === 'PUT' ? putData(url, body) : patchData(url, body);
+};
+
+export default {
+  buildUpdateRequest,
+  saveCellValue,
+};
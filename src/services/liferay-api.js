@@ -3,10 +3,12 @@
  *
  * Configures axios instance with Liferay authentication and provides
  * generic functions for API requests.
+ * Inside the portal, requests use the user session (cookies + x-csrf-token);
+ * in development, the OAuth token from the environment is sent as Bearer.
  */
 
 import axios from 'axios';
-import { getAuthToken, getApiBaseURL } from '../config/liferay-config';
+import { getAuthToken, getCsrfToken, getApiBaseURL } from '../config/liferay-config';
 
 /**
  * Creates an axios instance configured for Liferay API calls
@@ -21,9 +23,15 @@ const createApiInstance = () => {
     },
   });
 
-  // Request interceptor - Add authentication token
+  // Request interceptor - Add session (CSRF) or OAuth authentication
   instance.interceptors.request.use(
     (config) => {
+      const csrfToken = getCsrfToken();
+      if (csrfToken) {
+        config.headers['x-csrf-token'] = csrfToken;
+        return config;
+      }
+
       const token = getAuthToken();
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
@@ -42,6 +50,11 @@ const createApiInstance = () => {
       return response;
     },
     (error) => {
+      // Canceled requests (replaced by a newer one) are expected, not errors
+      if (axios.isCancel(error)) {
+        return Promise.reject(error);
+      }
+
       if (error.response) {
         // Server responded with error status
         const { status, data } = error.response;
@@ -78,7 +91,7 @@ const createApiInstance = () => {
 };
 
 // Create the default API instance
-const apiClient = createApiInstance();
+export const apiClient = createApiInstance();
 
 /**
  * Generic function for GET requests with table parameters
@@ -89,9 +102,11 @@ const apiClient = createApiInstance();
  * @param {number} params.pageSize - Number of items per page
  * @param {string} params.sort - Sort field and direction (e.g., 'name:asc', 'dateCreated:desc')
  * @param {Object} params.filters - Additional filter parameters
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal used to cancel the request
  * @returns {Promise<Object>} Response with data and pagination info
  */
-export const getTableData = async (endpoint, params = {}) => {
+export const getTableData = async (endpoint, params = {}, { signal } = {}) => {
   try {
     const { page = 1, pageSize = 10, sort = '', filters = {} } = params;
 
@@ -109,6 +124,7 @@ export const getTableData = async (endpoint, params = {}) => {
 
     const response = await apiClient.get(endpoint, {
       params: queryParams,
+      signal,
     });
 
     // Extract data and pagination from response
@@ -129,7 +145,9 @@ export const getTableData = async (endpoint, params = {}) => {
       },
     };
   } catch (error) {
-    console.error('Error fetching table data:', error);
+    if (!axios.isCancel(error)) {
+      console.error('Error fetching table data:', error);
+    }
     throw error;
   }
 };
@@ -168,6 +186,23 @@ export const putData = async (endpoint, data) => {
   }
 };
 
+/**
+ * Generic PATCH request
+ *
+ * @param {string} endpoint - API endpoint
+ * @param {Object} data - Request body (fields to change)
+ * @returns {Promise<Object>} Response data
+ */
+export const patchData = async (endpoint, data) => {
+  try {
+    const response = await apiClient.patch(endpoint, data);
+    return response.data;
+  } catch (error) {
+    console.error('Error patching data:', error);
+    throw error;
+  }
+};
+
 /**
  * Generic DELETE request
  *
@@ -183,6 +218,22 @@ export const deleteData = async (endpoint) => {
   }
 };
 
+/**
+ * Reads the error message of a failed request, to show to the user
+ *
+ * @param {Error} error - Request error (axios)
+ * @returns {string} Status and message of the API (e.g., "404: Not Found")
+ */
+export const getErrorMessage = (error) => {
+  const status = error.response?.status;
+  const text =
+    error.response?.data?.title ||
+    error.response?.data?.message ||
+    error.message ||
+    'Falha na requisição';
+  return status ? `${status}: ${text}` : text;
+};
+
 /**
  * Gets a single item by ID
  *
@@ -204,7 +255,9 @@ export default {
   getTableData,
   postData,
   putData,
+  patchData,
   deleteData,
   getById,
+  getErrorMessage,
   apiClient,
 };
@@ -0,0 +1,282 @@
+/**
+ * Liferay Catalog Service
+ *
+ * Lists the Liferay Objects and Headless APIs available on the portal
+ * (using the authenticated Liferay client) and converts their field
+ * definitions into table columns.
+ */
+
+import { apiClient } from './liferay-api';
+import { getLocale } from '../config/liferay-config';
+import { RENDERER_TYPES } from '../core/column-renderers';
+
+const OBJECT_DEFINITIONS_PATH = '/o/object-admin/v1.0/object-definitions';
+const OPENAPI_INDEX_PATH = '/o/openapi';
+
+// Site-scoped endpoints follow the site of the page the table is placed on
+const SITE_ID_PLACEHOLDER = '{{liferay.siteId}}';
+
+// Object system fields are exposed with different names in the REST API
+const OBJECT_SYSTEM_FIELD_NAMES = {
+  createDate: 'dateCreated',
+  modifiedDate: 'dateModified',
+};
+
+// Object system fields returned as nested objects
+const OBJECT_NESTED_SYSTEM_FIELDS = ['creator', 'status'];
+
+// Object business types that hold a scalar value in the REST response
+const OBJECT_SCALAR_TYPES = [
+  'AutoIncrement',
+  'Aggregation',
+  'Boolean',
+  'Date',
+  'DateTime',
+  'Decimal',
+  'Formula',
+  'Integer',
+  'LongInteger',
+  'LongText',
+  'PrecisionDecimal',
+  'Text',
+];
+
+const BOOLEAN_RENDER = {
+  type: RENDERER_TYPES.BOOLEAN,
+  config: {
+    trueText: 'Sim',
+    falseText: 'Não',
+    showAsTag: false,
+    trueColor: 'green',
+    falseColor: 'red',
+  },
+};
+
+/**
+ * Creates a date render config with the given format
+ */
+const createDateRender = (format) => ({
+  type: RENDERER_TYPES.DATE,
+  config: {
+    format,
+    invalidText: '-',
+    emptyText: '-',
+  },
+});
+
+/**
+ * Resolves a localized label map ({ en_US: 'Ticket' }) for the current locale
+ */
+const getLocalizedLabel = (labelMap, fallback = '') => {
+  if (!labelMap || typeof labelMap !== 'object') {
+    return labelMap || fallback;
+  }
+
+  return labelMap[getLocale()] || Object.values(labelMap).find(Boolean) || fallback;
+};
+
+/**
+ * Formats a field name as column title (same rule as the column suggestions)
+ */
+const formatTitle = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' ');
+
+/**
+ * Builds a column config
+ */
+const createColumn = (dataIndex, title, index, render = null) => {
+  const column = {
+    id: `col_${Date.now()}_${index}`,
+    key: dataIndex,
+    title,
+    dataIndex,
+    sortable: false,
+    clickable: false,
+  };
+
+  if (render) {
+    column.render = render;
+  }
+
+  return column;
+};
+
+/**
+ * Converts Object field definitions into columns
+ * Non-scalar fields (picklists, relationships, attachments...) are skipped
+ *
+ * @param {Array} objectFields - Object field definitions
+ * @returns {Array} Column configs
+ */
+export const buildObjectColumns = (objectFields = []) => {
+  return objectFields
+    .filter((field) => !OBJECT_NESTED_SYSTEM_FIELDS.includes(field.name))
+    .filter((field) => OBJECT_SCALAR_TYPES.includes(field.businessType) || field.name === 'id')
+    .map((field, index) => {
+      const dataIndex = OBJECT_SYSTEM_FIELD_NAMES[field.name] || field.name;
+      const title = getLocalizedLabel(field.label, formatTitle(dataIndex));
+
+      let render = null;
+      if (field.businessType === 'Boolean') {
+        render = BOOLEAN_RENDER;
+      } else if (field.businessType === 'Date') {
+        render = createDateRender('dd/MM/yyyy');
+      } else if (field.businessType === 'DateTime') {
+        render = createDateRender('dd/MM/yyyy HH:mm');
+      }
+
+      return createColumn(dataIndex, title, index, render);
+    });
+};
+
+/**
+ * Converts OpenAPI schema properties into columns
+ * Nested objects and arrays are skipped
+ *
+ * @param {Object} properties - Schema properties
+ * @returns {Array} Column configs
+ */
+export const buildSchemaColumns = (properties = {}) => {
+  return Object.entries(properties)
+    .filter(([, property]) => ['string', 'number', 'integer', 'boolean'].includes(property.type))
+    .map(([name, property], index) => {
+      let render = null;
+      if (property.type === 'boolean') {
+        render = BOOLEAN_RENDER;
+      } else if (property.format === 'date-time') {
+        render = createDateRender('dd/MM/yyyy HH:mm');
+      } else if (property.format === 'date') {
+        render = createDateRender('dd/MM/yyyy');
+      }
+
+      return createColumn(name, formatTitle(name), index, render);
+    });
+};
+
+/**
+ * Lists the active Liferay Objects
+ *
+ * @returns {Promise<Array>} [{ id, name, label, endpoint, urlParams, columns }]
+ */
+export const fetchObjectDefinitions = async () => {
+  try {
+    const response = await apiClient.get(OBJECT_DEFINITIONS_PATH, {
+      params: { pageSize: 200 },
+    });
+
+    return (response.data?.items || [])
+      .filter((definition) => definition.active !== false && definition.restContextPath)
+      .map((definition) => {
+        const siteScoped = definition.scope === 'site';
+
+        return {
+          id: definition.id,
+          name: definition.name,
+          label: getLocalizedLabel(definition.pluralLabel || definition.label, definition.name),
+          endpoint: siteScoped
+            ? `${definition.restContextPath}/scopes/:siteId`
+            : definition.restContextPath,
+          urlParams: siteScoped ? [{ key: 'siteId', value: SITE_ID_PLACEHOLDER }] : [],
+          columns: buildObjectColumns(definition.objectFields),
+        };
+      })
+      .sort((a, b) => a.label.localeCompare(b.label));
+  } catch (error) {
+    console.error('Erro ao listar Objects do Liferay:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the Headless APIs published on the portal (/o/openapi)
+ *
+ * @returns {Promise<Array>} [{ name, specPath }]
+ */
+export const fetchHeadlessApis = async () => {
+  try {
+    const response = await apiClient.get(OPENAPI_INDEX_PATH);
+
+    // { "headless-admin-user": ["http://host/o/headless-admin-user/v1.0/openapi.yaml"], ... }
+    return Object.entries(response.data || {})
+      .flatMap(([name, specUrls]) =>
+        (Array.isArray(specUrls) ? specUrls : [specUrls]).map((specUrl) => {
+          const specPath = String(specUrl)
+            .replace(/^https?:\/\/[^/]+/, '')
+            .replace(/\.yaml$/, '.json');
+          const version = specPath.match(/\/(v[\d.]+)\//)?.[1];
+
+          return { name: version ? `${name} (${version})` : name, specPath };
+        })
+      )
+      .filter((api) => api.specPath.startsWith('/o/'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Erro ao listar APIs Headless do Liferay:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolves a local OpenAPI $ref (#/components/schemas/Name)
+ */
+const resolveSchemaRef = (spec, schema) => {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.split('/').pop();
+  return spec.components?.schemas?.[name];
+};
+
+/**
+ * Lists the collection endpoints (GET returning a page of items) of a Headless API
+ * Path params become URL params (:siteId); siteId follows the site of the page ({{liferay.siteId}})
+ *
+ * @param {string} specPath - Path of the API openapi.json
+ * @returns {Promise<Array>} [{ path, label, endpoint, urlParams, columns }]
+ */
+export const fetchHeadlessEndpoints = async (specPath) => {
+  try {
+    const response = await apiClient.get(specPath);
+    const spec = response.data || {};
+    const basePath = specPath.replace(/\/openapi\.json$/, '');
+
+    return Object.entries(spec.paths || {})
+      .map(([path, operations]) => {
+        const operation = operations.get;
+        const responseSchema = resolveSchemaRef(
+          spec,
+          operation?.responses?.['200']?.content?.['application/json']?.schema
+        );
+        const itemSchema = resolveSchemaRef(spec, responseSchema?.properties?.items?.items);
+
+        // Only paginated collections (Page<Item>) can feed the table
+        if (!itemSchema?.properties) {
+          return null;
+        }
+
+        const fullPath = `${basePath}${path.replace(/^\/v[\d.]+/, '')}`;
+        const pathParams = [...fullPath.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+
+        return {
+          path: fullPath,
+          label: operation.summary || operation.operationId || fullPath,
+          endpoint: fullPath.replace(/\{(\w+)\}/g, ':$1'),
+          urlParams: pathParams.map((key) => ({
+            key,
+            value: key === 'siteId' ? SITE_ID_PLACEHOLDER : '',
+          })),
+          columns: buildSchemaColumns(itemSchema.properties),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.path.localeCompare(b.path));
+  } catch (error) {
+    console.error('Erro ao carregar a especificação da API Headless:', error);
+    throw error;
+  }
+};
+
+export default {
+  fetchObjectDefinitions,
+  fetchHeadlessApis,
+  fetchHeadlessEndpoints,
+  buildObjectColumns,
+  buildSchemaColumns,
+};
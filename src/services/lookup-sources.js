@@ -0,0 +1,311 @@
+/**
+ * Lookup Sources Service
+ *
+ * Joins records of secondary APIs into the table rows (e.g., author names for author ids).
+ * Each lookup reads the ids held by a field of the main rows and only requests the distinct ones:
+ *   batch  - one request with the ids in a query param (e.g., /users?id=1,2,3)
+ *   single - one request per id, replacing {{id}} in the endpoint (e.g., /users/{{id}})
+ * Records are cached in memory per endpoint, credentials and id, so other pages, sorts
+ * and polls reuse them (tables with other credentials never do). Ids without a record are cached too and are not requested again.
+ *
+ * The matched record is stored under the lookup name (row.author) and its fields are
+ * copied to "name.field" keys (row['author.name']), usable as column dataIndex values.
+ * Key fields holding a list of ids get a list of records; their copied fields join the
+ * values with ", ".
+ */
+
+import axios from 'axios';
+import { renderTemplateString } from '../utils/request-template';
+import { flattenRecord, getPathValue, getRowValue } from '../utils/row-fields';
+import { LOOKUP_MODES } from '../core/models/configuration.types';
+
+// Ids sent per batch request (long query strings are rejected by many servers)
+const MAX_BATCH_SIZE = 50;
+
+// Parallel requests of single mode lookups
+const MAX_CONCURRENT_REQUESTS = 6;
+
+// Seconds a record is reused; "Recarregar" clears the cache before that
+const LOOKUP_CACHE_TTL = 300;
+
+// Oldest records are dropped beyond this size
+const MAX_ENTRIES = 2000;
+
+// key -> { record, expiresAt } (record is null when the id has no record)
+const entries = new Map();
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads the ids of a key field value (a single id or a list of ids)
+ */
+const toIdList = (value) => {
+  return (Array.isArray(value) ? value : [value]).filter(
+    (id) => id !== undefined && id !== null && id !== '' && typeof id !== 'object'
+  );
+};
+
+/**
+ * Builds the cache key of a lookup record
+ * The auth identity of the main source is part of the key (see getAuthIdentity in api-auth.js).
+ */
+const getCacheKey = (lookup, url, id, authIdentity) => {
+  return [
+    lookup.mode,
+    url,
+    lookup.idParam,
+    lookup.matchField,
+    lookup.dataPath,
+    JSON.stringify(authIdentity ?? null),
+    id,
+  ].join('|');
+};
+
+/**
+ * Gets a cached record
+ * @returns {Object|null|undefined} The record, null for ids without record, undefined when not cached
+ */
+const getCachedRecord = (key) => {
+  const entry = entries.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  if (Date.now() >= entry.expiresAt) {
+    entries.delete(key);
+    return undefined;
+  }
+
+  return entry.record;
+};
+
+const setCachedRecord = (key, record) => {
+  entries.delete(key);
+  entries.set(key, { record, expiresAt: Date.now() + LOOKUP_CACHE_TTL * 1000 });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Runs async tasks with a maximum number of them in progress
+ */
+const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next;
+      next += 1;
+      results[index] = await tasks[index]();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+};
+
+/**
+ * Requests the records of a batch of ids
+ * @returns {Promise<Array>} Record (or null) of each id, in the order of the ids
+ */
+const fetchBatch = async (api, lookup, url, ids, signal) => {
+  const response = await api.get(url, {
+    params: { [lookup.idParam || 'id']: ids.join(',') },
+    signal,
+  });
+
+  const list = getPathValue(response.data, lookup.dataPath);
+  const recordsById = new Map();
+  (Array.isArray(list) ? list : [list]).filter(isPlainObject).forEach((record) => {
+    recordsById.set(String(getPathValue(record, lookup.matchField || 'id')), record);
+  });
+
+  return ids.map((id) => recordsById.get(id) || null);
+};
+
+/**
+ * Requests the record of one id (404 means the id has no record)
+ */
+const fetchSingle = async (api, lookup, url, signal) => {
+  try {
+    const response = await api.get(url, { signal });
+    const record = getPathValue(response.data, lookup.dataPath);
+    const first = Array.isArray(record) ? record[0] : record;
+    return isPlainObject(first) ? first : null;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Loads the records of the ids of a lookup (cached ones are not requested)
+ * @returns {Promise<Map>} id (string) -> record or null
+ */
+const loadLookupRecords = async (lookup, ids, { api, templateContext, signal, authIdentity }) => {
+  const recordsById = new Map();
+  const isSingle = lookup.mode === LOOKUP_MODES.SINGLE;
+  const batchUrl = isSingle ? null : renderTemplateString(lookup.endpoint, templateContext);
+
+  const missing = [];
+  ids.forEach((id) => {
+    const url = isSingle
+      ? renderTemplateString(lookup.endpoint, { ...templateContext, id: encodeURIComponent(id) })
+      : batchUrl;
+    const key = getCacheKey(lookup, url, id, authIdentity);
+    const cached = getCachedRecord(key);
+
+    if (cached === undefined) {
+      missing.push({ id, url, key });
+    } else {
+      recordsById.set(id, cached);
+    }
+  });
+
+  if (missing.length === 0) {
+    return recordsById;
+  }
+
+  let loaded;
+  if (isSingle) {
+    loaded = await runWithConcurrency(
+      missing.map(
+        ({ url }) =>
+          () =>
+            fetchSingle(api, lookup, url, signal)
+      ),
+      MAX_CONCURRENT_REQUESTS
+    );
+  } else {
+    const batches = [];
+    for (let i = 0; i < missing.length; i += MAX_BATCH_SIZE) {
+      batches.push(missing.slice(i, i + MAX_BATCH_SIZE).map(({ id }) => id));
+    }
+    const results = await Promise.all(
+      batches.map((batchIds) => fetchBatch(api, lookup, batchUrl, batchIds, signal))
+    );
+    loaded = results.flat();
+  }
+
+  missing.forEach(({ id, key }, index) => {
+    const record = loaded[index] ?? null;
+    setCachedRecord(key, record);
+    recordsById.set(id, record);
+  });
+
+  return recordsById;
+};
+
+/**
+ * Adds the record(s) of a lookup to a row
+ */
+const joinRow = (row, lookup, recordsById) => {
+  const value = getRowValue(row, lookup.keyField);
+
+  if (Array.isArray(value)) {
+    const matches = toIdList(value)
+      .map((id) => recordsById.get(String(id)))
+      .filter(Boolean);
+
+    // List of ids: each copied field lists the values of all the records
+    const fields = {};
+    matches.forEach((match) => {
+      Object.entries(flattenRecord(match, lookup.name)).forEach(([key, fieldValue]) => {
+        fields[key] = fields[key] ? [...fields[key], fieldValue] : [fieldValue];
+      });
+    });
+    Object.keys(fields).forEach((key) => {
+      fields[key] = fields[key].join(', ');
+    });
+
+    return { ...row, ...fields, [lookup.name]: matches };
+  }
+
+  const match = recordsById.get(String(value)) || null;
+  return {
+    ...row,
+    ...(match ? flattenRecord(match, lookup.name) : {}),
+    [lookup.name]: match,
+  };
+};
+
+/**
+ * Joins the records of the lookup sources into rows
+ * A failing lookup is logged and leaves its fields empty, so the table still loads.
+ *
+ * @param {Array<Object>} rows - Rows of the main source
+ * @param {Array<Object>} lookups - Lookup sources ({ name, endpoint, mode, keyField, idParam, matchField, dataPath, enabled })
+ * @param {Object} options
+ * @param {Object} options.api - Axios instance of the main source (same authentication)
+ * @param {Object} options.templateContext - Placeholder context of the endpoints (see buildTemplateContext)
+ * @param {Object} options.authIdentity - Credentials of the main source (part of the cache key)
+ * @param {AbortSignal} options.signal - Cancels the lookup requests
+ * @returns {Promise<Array<Object>>} New rows with the lookup fields
+ */
+export const applyLookups = async (
+  rows,
+  lookups = [],
+  { api, templateContext = {}, signal, authIdentity = null } = {}
+) => {
+  const activeLookups = (lookups || []).filter(
+    (lookup) => lookup.enabled !== false && lookup.name && lookup.endpoint && lookup.keyField
+  );
+  if (activeLookups.length === 0 || !Array.isArray(rows) || rows.length === 0) {
+    return rows;
+  }
+
+  const recordsByLookup = await Promise.all(
+    activeLookups.map(async (lookup) => {
+      const ids = [
+        ...new Set(
+          rows
+            .filter(isPlainObject)
+            .flatMap((row) => toIdList(getRowValue(row, lookup.keyField)))
+            .map(String)
+        ),
+      ];
+
+      try {
+        return await loadLookupRecords(lookup, ids, {
+          api,
+          templateContext,
+          signal,
+          authIdentity,
+        });
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          throw error;
+        }
+        console.error(`Erro ao carregar a consulta "${lookup.name}":`, error);
+        return new Map();
+      }
+    })
+  );
+
+  return rows.map((row) =>
+    isPlainObject(row)
+      ? activeLookups.reduce(
+          (joined, lookup, index) => joinRow(joined, lookup, recordsByLookup[index]),
+          row
+        )
+      : row
+  );
+};
+
+/**
+ * Removes all cached lookup records
+ */
+export const invalidateLookupCache = () => {
+  entries.clear();
+};
+
+export default {
+  applyLookups,
+  invalidateLookupCache,
+};
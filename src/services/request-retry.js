@@ -0,0 +1,158 @@
+/**
+ * Request Retry Service
+ *
+ * Retries failed table requests with exponential backoff and jitter.
+ * Network errors, timeouts, 5xx and 429 responses are retried; 429 and 503 responses
+ * wait for the Retry-After header when the server sends one (rate limits).
+ * Only GET (and HEAD) requests are retried unless the configuration allows all methods:
+ * repeating a POST, PUT or GraphQL mutation may repeat its side effect.
+ */
+
+import axios from 'axios';
+
+// Statuses that honour the Retry-After header
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Longer Retry-After waits are not worth blocking the table: the error is shown instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Methods that can be repeated without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Checks whether a failed request can be retried
+ *
+ * @param {Object} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, 5xx and 429
+ */
+export const isRetryableError = (error) => {
+  if (!error || axios.isCancel(error)) {
+    return false;
+  }
+
+  const status = error.response?.status;
+  if (!status) {
+    // No response: network error or timeout (but not an invalid request configuration)
+    return Boolean(error.request);
+  }
+
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Reads the Retry-After header of a 429/503 response
+ *
+ * @param {Object} error - Axios error
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+export const getRetryAfterDelay = (error) => {
+  const { status, headers } = error?.response || {};
+  const retryAfter = headers?.['retry-after'];
+
+  if (!RETRY_AFTER_STATUSES.includes(status) || !retryAfter) {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Computes the backoff delay of a retry (exponential with jitter)
+ * Half of the delay is fixed and half is random, so clients throttled together spread out.
+ *
+ * @param {number} attempt - Retry number (1-based)
+ * @param {Object} retryConfig - Retry configuration (baseDelay, maxDelay in ms)
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { baseDelay = 500, maxDelay = 10000 } = {}) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+/**
+ * Waits for a delay, rejecting with a cancellation error when the signal is aborted
+ */
+const wait = (delay, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new axios.CanceledError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Runs a request retrying it on retryable failures
+ * The error of the last attempt is thrown with the number of attempts (error.attempts).
+ *
+ * @param {Function} request - Function returning the request promise
+ * @param {Object} retryConfig - Retry configuration
+ *   ({ enabled, allMethods, maxRetries, baseDelay, maxDelay })
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (or GRAPHQL) of the request, GET by default
+ * @param {AbortSignal} options.signal - Cancels the pending wait
+ * @param {Function} options.onRetry - Called before each wait with
+ *   { attempt, maxRetries, delay, status }
+ * @returns {Promise<Object>} Response of the first successful attempt
+ */
+export const withRetry = async (
+  request,
+  retryConfig = {},
+  { method = 'GET', signal, onRetry } = {}
+) => {
+  const canRepeat =
+    retryConfig.allMethods || IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+  const maxRetries = retryConfig.enabled && canRepeat ? retryConfig.maxRetries || 0 : 0;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      const retryAfter = getRetryAfterDelay(error);
+      const canRetry =
+        attempt < maxRetries &&
+        isRetryableError(error) &&
+        (retryAfter === null || retryAfter <= MAX_RETRY_AFTER_MS);
+
+      if (!canRetry) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = retryAfter ?? getBackoffDelay(attempt + 1, retryConfig);
+      onRetry?.({
+        attempt: attempt + 1,
+        maxRetries,
+        delay,
+        status: error.response?.status ?? null,
+      });
+
+      await wait(delay, signal);
+    }
+  }
+};
+
+export default {
+  isRetryableError,
+  getRetryAfterDelay,
+  getBackoffDelay,
+  withRetry,
+};
@@ -0,0 +1,134 @@
+/**
+ * Response Cache Service
+ *
+ * In-memory cache of API responses shared by all tables of the page.
+ * Entries are keyed by the fully resolved request (method, URL, params, headers, body)
+ * and the credentials it is sent with, and expire after the TTL of the configuration. Expired entries are kept so they can
+ * be shown while a new response loads (stale-while-revalidate).
+ */
+
+// Oldest entries are dropped beyond this size
+const MAX_ENTRIES = 100;
+
+// key -> { url, response, expiresAt }
+const entries = new Map();
+
+/**
+ * Serializes a value with sorted object keys, so equal requests get equal keys
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Builds the cache key of a request
+ *
+ * @param {Object} request - Resolved request
+ * @param {string} request.method - HTTP method (or GRAPHQL)
+ * @param {string} request.url - Final URL (path variables replaced)
+ * @param {Object} request.params - Query string parameters
+ * @param {Object} request.headers - Request headers (custom and authentication)
+ * @param {*} request.body - Request body (POST, PUT, GraphQL)
+ * @param {Object} request.auth - Auth identity (see getAuthIdentity in api-auth.js)
+ * @returns {string} Cache key
+ */
+export const buildCacheKey = ({
+  method = 'GET',
+  url = '',
+  params = {},
+  headers = {},
+  body,
+  auth = null,
+}) => {
+  const normalizedHeaders = Object.keys(headers).reduce((result, name) => {
+    result[name.toLowerCase()] = headers[name];
+    return result;
+  }, {});
+
+  return stableStringify({ method, url, params, headers: normalizedHeaders, body, auth });
+};
+
+/**
+ * Gets a cached response
+ *
+ * @param {string} key - Cache key
+ * @returns {Object|null} { response, fresh } or null when not cached
+ */
+export const getCachedResponse = (key) => {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  // Move to the end: the least recently used entries are evicted first
+  entries.delete(key);
+  entries.set(key, entry);
+
+  return {
+    response: entry.response,
+    fresh: Date.now() < entry.expiresAt,
+  };
+};
+
+/**
+ * Stores a response
+ * Only the parts used to read data and pagination are kept (data, headers, status).
+ *
+ * @param {string} key - Cache key
+ * @param {string} url - Request URL (used for invalidation)
+ * @param {Object} response - Axios response
+ * @param {number} ttl - Time to live in seconds
+ */
+export const setCachedResponse = (key, url, response, ttl) => {
+  entries.delete(key);
+  entries.set(key, {
+    url,
+    response: {
+      data: response.data,
+      headers: { ...(response.headers || {}) },
+      status: response.status,
+    },
+    expiresAt: Date.now() + ttl * 1000,
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Removes cached responses
+ *
+ * @param {string} [url] - Removes only the responses of this URL (all pages, sorts and searches);
+ *   clears the whole cache when omitted
+ */
+export const invalidateCachedResponses = (url) => {
+  if (url === undefined) {
+    entries.clear();
+    return;
+  }
+
+  entries.forEach((entry, key) => {
+    if (entry.url === url) {
+      entries.delete(key);
+    }
+  });
+};
+
+export default {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  invalidateCachedResponses,
+};
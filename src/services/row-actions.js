@@ -0,0 +1,108 @@
+/**
+ * Row Actions Service
+ *
+ * Builds the URLs and requests of the row actions from their templates:
+ *   {{record.<field>}} - any field of the row (nested paths allowed)
+ *   {{id}}             - shortcut for {{record.id}}
+ * Values placed in URLs are URL-encoded; body templates keep the raw values.
+ * Requests go through the Liferay client (portal session or OAuth token).
+ */
+
+import { postData, putData, deleteData } from './liferay-api';
+import { renderTemplateString, renderJsonTemplate } from '../utils/request-template';
+
+// Schemes that would run code instead of navigating
+const UNSAFE_URL_PATTERN = /^\s*(javascript|data|vbscript):/i;
+
+/**
+ * Builds the placeholder context of a row
+ * @param {Object} record - Data row
+ * @returns {Object} { record, id }
+ */
+export const buildRowContext = (record) => ({
+  record: record || {},
+  id: record?.id,
+});
+
+/**
+ * URL-encodes every value of a context (objects and arrays are walked)
+ */
+const encodeValues = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encodeValues);
+  }
+
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = encodeValues(value[key]);
+      return result;
+    }, {});
+  }
+
+  return encodeURIComponent(String(value));
+};
+
+/**
+ * Renders a URL template with the values of a row
+ *
+ * @param {string} template - URL template (e.g., "/web/guest/pedido?id={{id}}")
+ * @param {Object} record - Data row
+ * @param {Object} extraContext - Placeholders added to the row context (encoded as well)
+ * @returns {string|null} Rendered URL, null when empty or unsafe
+ */
+export const renderRowUrl = (template, record, extraContext = {}) => {
+  const context = encodeValues({ ...buildRowContext(record), ...extraContext });
+  const url = renderTemplateString(template || '', context).trim();
+  if (!url || UNSAFE_URL_PATTERN.test(url)) {
+    return null;
+  }
+  return url;
+};
+
+/**
+ * Renders a text template with the values of a row (e.g., the value to copy)
+ *
+ * @param {string} template - Text template
+ * @param {Object} record - Data row
+ * @returns {string} Rendered text
+ */
+export const renderRowText = (template, record) => {
+  return renderTemplateString(template || '', buildRowContext(record));
+};
+
+/**
+ * Calls the endpoint of an http row action
+ *
+ * @param {Object} action - Row action configuration (method, endpoint, body)
+ * @param {Object} record - Data row
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If the endpoint is empty, the body template is invalid or the request fails
+ */
+export const runHttpAction = async (action, record) => {
+  const url = renderRowUrl(action.endpoint, record);
+  if (!url) {
+    throw new Error('Endpoint da ação inválido');
+  }
+
+  const body = renderJsonTemplate(action.body, buildRowContext(record));
+
+  switch (action.method) {
+    case 'PUT':
+      return putData(url, body);
+    case 'DELETE':
+      return deleteData(url);
+    default:
+      return postData(url, body);
+  }
+};
+
+export default {
+  buildRowContext,
+  renderRowUrl,
+  renderRowText,
+  runHttpAction,
+};
@@ -153,6 +153,62 @@ export const validateUrl = (url) => {
   };
 };
 
+/**
+ * Validates a Liferay Headless endpoint
+ * Accepts a path relative to the portal URL (e.g., /o/c/tickets) or a full URL
+ *
+ * @param {string} path - Endpoint path or URL
+ * @returns {Object} Validation result with error messages
+ */
+export const validateHeadlessPath = (path) => {
+  if (!path || !path.trim()) {
+    return {
+      valid: false,
+      error: 'O caminho da API é obrigatório',
+      severity: 'error',
+    };
+  }
+
+  const trimmed = path.trim();
+
+  if (/^https?:\/\//.test(trimmed)) {
+    return validateUrl(trimmed);
+  }
+
+  if (!trimmed.startsWith('/')) {
+    return {
+      valid: false,
+      error: 'O caminho deve começar com / (ex.: /o/c/tickets)',
+      fixedUrl: `/${trimmed}`,
+      severity: 'error',
+    };
+  }
+
+  if (!trimmed.startsWith('/o/')) {
+    return {
+      valid: true,
+      warning: 'APIs Headless do Liferay normalmente começam com /o/',
+      severity: 'warning',
+    };
+  }
+
+  return {
+    valid: true,
+    severity: 'success',
+  };
+};
+
+/**
+ * Validates the endpoint according to the data source type
+ *
+ * @param {string} endpoint - Endpoint URL or path
+ * @param {string} sourceType - 'external' | 'liferay-headless'
+ * @returns {Object} Validation result with error messages
+ */
+export const validateEndpoint = (endpoint, sourceType) => {
+  return sourceType === 'liferay-headless' ? validateHeadlessPath(endpoint) : validateUrl(endpoint);
+};
+
 /**
  * Extracts domain from URL for display
  *
@@ -195,6 +251,8 @@ export default {
   isSecureUrl,
   suggestUrlFix,
   validateUrl,
+  validateHeadlessPath,
+  validateEndpoint,
   extractDomain,
   isLocalhost,
 };
@@ -0,0 +1,80 @@
+/**
+ * Cell Validation Utility
+ *
+ * Validates the value typed in an inline cell editor against the rules of the column
+ * editor (required, number range, text length and pattern).
+ */
+
+import { EDITOR_TYPES } from '../core/models/configuration.types';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isSet = (limit) => limit !== undefined && limit !== null && limit !== '';
+
+/**
+ * Validates a value of an inline editor
+ *
+ * @param {any} value - Edited value
+ * @param {Object} editor - Column editor configuration (see DEFAULT_COLUMN_EDITOR)
+ * @returns {string|null} Error message, null when the value is valid
+ */
+export const validateCellValue = (value, editor = {}) => {
+  const type = editor.type || EDITOR_TYPES.TEXT;
+
+  // A switch always has a value
+  if (type === EDITOR_TYPES.SWITCH) {
+    return null;
+  }
+
+  if (isEmpty(value)) {
+    return editor.required ? 'Campo obrigatório' : null;
+  }
+
+  if (type === EDITOR_TYPES.NUMBER) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      return 'Informe um número';
+    }
+    if (isSet(editor.min) && number < Number(editor.min)) {
+      return `O valor mínimo é ${editor.min}`;
+    }
+    if (isSet(editor.max) && number > Number(editor.max)) {
+      return `O valor máximo é ${editor.max}`;
+    }
+    return null;
+  }
+
+  if (type === EDITOR_TYPES.SELECT) {
+    const options = editor.options || [];
+    return options.length > 0 && !options.some((option) => String(option) === String(value))
+      ? 'Escolha um dos valores da lista'
+      : null;
+  }
+
+  if (type === EDITOR_TYPES.DATE) {
+    return isNaN(new Date(value).getTime()) ? 'Data inválida' : null;
+  }
+
+  const text = String(value);
+  if (isSet(editor.minLength) && text.length < Number(editor.minLength)) {
+    return `Informe pelo menos ${editor.minLength} caracteres`;
+  }
+  if (isSet(editor.maxLength) && text.length > Number(editor.maxLength)) {
+    return `Informe no máximo ${editor.maxLength} caracteres`;
+  }
+  if (editor.pattern) {
+    try {
+      if (!new RegExp(editor.pattern).test(text)) {
+        return editor.patternMessage || 'Formato inválido';
+      }
+    } catch (error) {
+      console.error('Erro ao validar o padrão do editor:', error);
+    }
+  }
+
+  return null;
+};
+
+export default {
+  validateCellValue,
+};
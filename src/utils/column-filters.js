@@ -0,0 +1,242 @@
+/**
+ * Column Filters Utility
+ *
+ * Applies the filters chosen in the column headers (text, select, number range and
+ * date range), either to the loaded rows (client pagination) or to the request:
+ * query params for external APIs and an OData expression for Liferay Headless.
+ *
+ * Filter values are keyed by column key and follow the Ant Design selected keys:
+ *   text         - [term]
+ *   select       - [value, ...]
+ *   number-range - [min, max] (either may be empty)
+ *   date-range   - [from, to] as yyyy-MM-dd (either may be empty)
+ */
+
+import { format, isValid } from 'date-fns';
+import { COLUMN_FILTER_TYPES, DEFAULT_COLUMN_FILTER } from '../core/models/configuration.types';
+import { buildConditionExpression } from './odata-filter';
+import { getRowValue } from './row-fields';
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+// Integers and decimals without leading zeros ("007" stays a string code)
+const NUMERIC_VALUE_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+/**
+ * Gets the OData literal type of select values
+ * The configured type wins; otherwise values that are all true/false are booleans and
+ * values that are all numeric are numbers, so integer and boolean fields are not quoted.
+ */
+const getSelectValueType = (filter, values) => {
+  if (filter.valueType) return filter.valueType;
+  if (values.every((value) => value === 'true' || value === 'false')) return 'boolean';
+  if (values.every((value) => NUMERIC_VALUE_PATTERN.test(value))) return 'number';
+  return 'string';
+};
+
+/**
+ * Gets the filter configuration of a column (with defaults)
+ */
+const getColumnFilter = (column) => ({ ...DEFAULT_COLUMN_FILTER, ...(column.filter || {}) });
+
+/**
+ * Checks whether a filter value filters anything
+ *
+ * @param {Array} values - Filter values of a column
+ * @returns {boolean} True when at least one value is set
+ */
+export const isColumnFilterActive = (values) => {
+  return Array.isArray(values) && values.some((value) => !isEmptyValue(value));
+};
+
+/**
+ * Keeps the active filters of the filterable columns
+ *
+ * @param {Array<Object>} columns - Column configurations
+ * @param {Object} columnFilters - Filter values by column key
+ * @returns {Array<Object>} { column, filter, values } of each active filter
+ */
+export const getActiveColumnFilters = (columns = [], columnFilters = {}) => {
+  return columns
+    .filter((column) => column.filterable && isColumnFilterActive(columnFilters[column.key]))
+    .map((column) => ({
+      column,
+      filter: getColumnFilter(column),
+      values: columnFilters[column.key],
+    }));
+};
+
+/**
+ * Formats a row value as yyyy-MM-dd (null when it is not a date)
+ */
+const toDateKey = (value) => {
+  if (isEmptyValue(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isValid(date) ? format(date, 'yyyy-MM-dd') : null;
+};
+
+/**
+ * Checks whether a row value passes a column filter
+ */
+const matchesFilter = (value, filter, values) => {
+  const [first, second] = values;
+
+  switch (filter.type) {
+    case COLUMN_FILTER_TYPES.SELECT: {
+      const selected = values.map(String);
+      const rowValues = Array.isArray(value) ? value : [value];
+      return rowValues.some((item) => !isEmptyValue(item) && selected.includes(String(item)));
+    }
+    case COLUMN_FILTER_TYPES.NUMBER_RANGE: {
+      const number = Number(value);
+      if (isEmptyValue(value) || Number.isNaN(number)) return false;
+      return (
+        (isEmptyValue(first) || number >= Number(first)) &&
+        (isEmptyValue(second) || number <= Number(second))
+      );
+    }
+    case COLUMN_FILTER_TYPES.DATE_RANGE: {
+      const dateKey = toDateKey(value);
+      if (!dateKey) return false;
+      return (
+        (isEmptyValue(first) || dateKey >= first) && (isEmptyValue(second) || dateKey <= second)
+      );
+    }
+    default:
+      return (
+        !isEmptyValue(value) &&
+        typeof value !== 'object' &&
+        String(value).toLowerCase().includes(String(first).trim().toLowerCase())
+      );
+  }
+};
+
+/**
+ * Keeps the rows that pass all the column filters (client pagination)
+ *
+ * @param {Array<Object>} rows - Loaded rows
+ * @param {Array<Object>} columns - Column configurations
+ * @param {Object} columnFilters - Filter values by column key
+ * @returns {Array<Object>} Matching rows
+ */
+export const filterRowsByColumns = (rows, columns = [], columnFilters = {}) => {
+  const activeFilters = getActiveColumnFilters(columns, columnFilters);
+  if (activeFilters.length === 0) {
+    return rows;
+  }
+
+  return rows.filter((row) =>
+    activeFilters.every(({ column, filter, values }) =>
+      matchesFilter(getRowValue(row, column.dataIndex), filter, values)
+    )
+  );
+};
+
+/**
+ * Builds the query params of the column filters (external APIs)
+ * Selected values are sent as a comma-separated list.
+ *
+ * @param {Array<Object>} columns - Column configurations
+ * @param {Object} columnFilters - Filter values by column key
+ * @returns {Object} Query params
+ */
+export const buildColumnFilterParams = (columns = [], columnFilters = {}) => {
+  return getActiveColumnFilters(columns, columnFilters).reduce(
+    (params, { column, filter, values }) => {
+      const param = filter.param || column.dataIndex;
+      const [first, second] = values;
+
+      if (filter.type === COLUMN_FILTER_TYPES.SELECT) {
+        params[param] = values.filter((value) => !isEmptyValue(value)).join(',');
+      } else if (
+        filter.type === COLUMN_FILTER_TYPES.NUMBER_RANGE ||
+        filter.type === COLUMN_FILTER_TYPES.DATE_RANGE
+      ) {
+        if (!isEmptyValue(first)) params[filter.paramFrom || `${param}_gte`] = first;
+        if (!isEmptyValue(second)) params[filter.paramTo || `${param}_lte`] = second;
+      } else {
+        params[param] = String(first).trim();
+      }
+
+      return params;
+    },
+    {}
+  );
+};
+
+/**
+ * Builds the OData expression of the column filters (Liferay Headless)
+ *
+ * @param {Array<Object>} columns - Column configurations
+ * @param {Object} columnFilters - Filter values by column key
+ * @returns {string} Expressions joined with "and" (empty when there is nothing to filter)
+ */
+export const buildColumnFilterOData = (columns = [], columnFilters = {}) => {
+  return getActiveColumnFilters(columns, columnFilters)
+    .map(({ column, filter, values }) => {
+      const field = filter.param || column.dataIndex;
+      const [first, second] = values;
+      const condition = (operator, value, type) =>
+        buildConditionExpression({ field, operator, value, type });
+
+      switch (filter.type) {
+        case COLUMN_FILTER_TYPES.SELECT: {
+          const selected = values.filter((value) => !isEmptyValue(value)).map(String);
+          const type = getSelectValueType(filter, selected);
+          const expressions = selected.map((value) => condition('eq', value, type)).filter(Boolean);
+          return expressions.length > 1 ? `(${expressions.join(' or ')})` : expressions[0];
+        }
+        case COLUMN_FILTER_TYPES.NUMBER_RANGE:
+          return [condition('ge', first, 'number'), condition('le', second, 'number')]
+            .filter(Boolean)
+            .join(' and ');
+        case COLUMN_FILTER_TYPES.DATE_RANGE:
+          return [
+            !isEmptyValue(first) && condition('ge', `${first}T00:00:00Z`, 'date'),
+            !isEmptyValue(second) && condition('le', `${second}T23:59:59Z`, 'date'),
+          ]
+            .filter(Boolean)
+            .join(' and ');
+        default:
+          return condition('contains', String(first).trim(), 'string');
+      }
+    })
+    .filter(Boolean)
+    .join(' and ');
+};
+
+/**
+ * Lists the options of a select filter
+ * Configured values come first; without them, the distinct values of the loaded rows are used.
+ *
+ * @param {Object} column - Column configuration
+ * @param {Array<Object>} rows - Loaded rows
+ * @returns {Array<string>} Option values
+ */
+export const getColumnFilterOptions = (column, rows = []) => {
+  const { options } = getColumnFilter(column);
+  if (options.length > 0) {
+    return options.map(String);
+  }
+
+  const values = new Set();
+  rows.forEach((row) => {
+    const value = getRowValue(row, column.dataIndex);
+    (Array.isArray(value) ? value : [value]).forEach((item) => {
+      if (!isEmptyValue(item) && typeof item !== 'object') {
+        values.add(String(item));
+      }
+    });
+  });
+
+  return [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+export default {
+  isColumnFilterActive,
+  getActiveColumnFilters,
+  filterRowsByColumns,
+  buildColumnFilterParams,
+  buildColumnFilterOData,
+  getColumnFilterOptions,
+};
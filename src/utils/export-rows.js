@@ -0,0 +1,74 @@
+/**
+ * Export Rows Utility
+ *
+ * Downloads table rows as a file: CSV with the configured columns (titles as the
+ * header row) or JSON with the complete rows.
+ */
+
+import { COLUMN_TYPES } from '../core/models/configuration.types';
+import { getRowValue } from './row-fields';
+
+// Leading characters that make spreadsheet apps read a field as a formula
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Formats a value as a CSV field (quoted when it holds a delimiter, quote or line break)
+ * Text that would be read as a formula gets a leading apostrophe (rows come from external
+ * APIs); numbers are kept as they are.
+ */
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document of rows
+ *
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<Object>} columns - Column configurations (title, dataIndex)
+ * @returns {string} CSV with a header row
+ */
+export const buildCsv = (rows, columns = []) => {
+  // Actions columns have no value to export
+  const dataColumns = columns.filter((column) => column.type !== COLUMN_TYPES.ACTIONS);
+  const lines = [
+    dataColumns.map((column) => toCsvField(column.title || column.dataIndex)).join(','),
+    ...rows.map((row) =>
+      dataColumns.map((column) => toCsvField(getRowValue(row, column.dataIndex))).join(',')
+    ),
+  ];
+  return lines.join('\r\n');
+};
+
+/**
+ * Downloads rows as a CSV or JSON file
+ *
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<Object>} columns - Column configurations (CSV only)
+ * @param {string} format - 'csv' | 'json'
+ * @param {string} fileName - File name without extension
+ */
+export const exportRows = (rows, columns, format = 'csv', fileName = 'selecao') => {
+  const isJson = format === 'json';
+  // The BOM lets spreadsheet apps read accented characters of the CSV as UTF-8
+  const content = isJson ? JSON.stringify(rows, null, 2) : `\uFEFF${buildCsv(rows, columns)}`;
+  const blob = new Blob([content], {
+    type: isJson ? 'application/json' : 'text/csv;charset=utf-8',
+  });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${fileName}.${isJson ? 'json' : 'csv'}`;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  buildCsv,
+  exportRows,
+};
@@ -0,0 +1,218 @@
+/**
+ * Multi-column Sorting Utility
+ *
+ * The applied sort is a list of keys in priority order: [{ columnKey, sortField, order }, ...].
+ * A click on a header sorts by that column only; Shift + click adds the column as the
+ * next key (or changes/removes it when it is already sorted).
+ *
+ * Server sorting sends the keys in the configured format:
+ *   repeated   - one param per key:  ?sort=name:asc&sort=date:desc
+ *   comma-list - a single list:      ?sort=name:asc,date:desc
+ *   json       - a JSON array:       ?sort=[{"field":"name","order":"asc"},...]
+ */
+
+import { MULTI_SORT_FORMATS } from '../core/models/configuration.types';
+import { getRowValue } from './row-fields';
+
+// Header clicks go through ascending, descending and back to unsorted
+const NEXT_ORDER = {
+  ascend: 'descend',
+  descend: null,
+};
+
+/**
+ * Reads the sort keys of a sort state
+ * Sort states without a list (a single column) give a list with that column.
+ *
+ * @param {Object} sortInfo - Sorting information (columnKey, sortField, order, sorts)
+ * @returns {Array<Object>} Sort keys in priority order
+ */
+export const getSortKeys = (sortInfo) => {
+  if (Array.isArray(sortInfo?.sorts)) {
+    return sortInfo.sorts.filter((sort) => sort.columnKey && sort.order);
+  }
+  if (sortInfo?.columnKey && sortInfo?.order) {
+    return [
+      { columnKey: sortInfo.columnKey, sortField: sortInfo.sortField, order: sortInfo.order },
+    ];
+  }
+  return [];
+};
+
+/**
+ * Builds the sort state of a list of keys (the first key is also the primary sort)
+ *
+ * @param {Array<Object>} sorts - Sort keys in priority order
+ * @returns {Object} { columnKey, sortField, order, sorts }
+ */
+export const createSortInfo = (sorts = []) => {
+  const [primary] = sorts;
+  return {
+    columnKey: primary?.columnKey || null,
+    sortField: primary?.sortField || null,
+    order: primary?.order || null,
+    sorts,
+  };
+};
+
+/**
+ * Applies a header click to the sort keys
+ *
+ * @param {Array<Object>} sorts - Current sort keys
+ * @param {Object} column - Clicked column ({ columnKey, sortField })
+ * @param {boolean} additive - Shift + click: keeps the other keys
+ * @returns {Array<Object>} New sort keys
+ */
+export const toggleSortKey = (sorts, { columnKey, sortField }, additive = false) => {
+  const current = sorts.find((sort) => sort.columnKey === columnKey);
+  const order = current ? NEXT_ORDER[current.order] : 'ascend';
+
+  if (!additive) {
+    return order ? [{ columnKey, sortField, order }] : [];
+  }
+
+  if (!current) {
+    return [...sorts, { columnKey, sortField, order }];
+  }
+
+  return order
+    ? sorts.map((sort) => (sort.columnKey === columnKey ? { ...sort, order } : sort))
+    : sorts.filter((sort) => sort.columnKey !== columnKey);
+};
+
+/**
+ * Compares two values: numbers numerically, everything else as text
+ * Empty values always go last.
+ */
+const compareValues = (aVal, bVal) => {
+  if (aVal == null && bVal == null) return 0;
+  if (aVal == null) return 1;
+  if (bVal == null) return -1;
+
+  if (typeof aVal === 'number' && typeof bVal === 'number') {
+    return aVal - bVal;
+  }
+
+  return String(aVal).localeCompare(String(bVal), undefined, { numeric: true });
+};
+
+/**
+ * Creates a comparator that chains the sort keys: later keys break the ties of earlier ones
+ *
+ * @param {Array<Object>} keys - Row fields and orders ({ field, order })
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+export const createMultiSortComparator = (keys = []) => {
+  return (a, b) => {
+    for (const { field, order } of keys) {
+      const aVal = getRowValue(a, field);
+      const bVal = getRowValue(b, field);
+      const result = compareValues(aVal, bVal);
+
+      if (result !== 0) {
+        // Empty values stay last in both directions
+        return aVal == null || bVal == null || order !== 'descend' ? result : -result;
+      }
+    }
+    return 0;
+  };
+};
+
+/**
+ * Sorts rows by a list of keys (stable: equal rows keep their order)
+ *
+ * @param {Array<Object>} rows - Rows to sort
+ * @param {Array<Object>} keys - Row fields and orders ({ field, order })
+ * @returns {Array<Object>} New sorted array (the same array when there is nothing to sort)
+ */
+export const sortRowsByKeys = (rows, keys = []) => {
+  const validKeys = keys.filter((key) => key.field && key.order);
+  if (validKeys.length === 0) {
+    return rows;
+  }
+  return [...rows].sort(createMultiSortComparator(validKeys));
+};
+
+/**
+ * Maps the sort keys to the row fields of their columns (client-side sorting)
+ *
+ * @param {Object} sortInfo - Sorting information (see getSortKeys)
+ * @param {Array<Object>} columns - Column configurations
+ * @returns {Array<Object>} Row fields and orders ({ field, order })
+ */
+export const getClientSortKeys = (sortInfo, columns = []) => {
+  return getSortKeys(sortInfo).map(({ columnKey, order }) => ({
+    field: columns.find((column) => column.key === columnKey)?.dataIndex || columnKey,
+    order,
+  }));
+};
+
+/**
+ * Builds the query params of the sort keys (server-side sorting)
+ * Without multiple sorting only the first key is sent, as a single column.
+ *
+ * @param {Object} sortInfo - Sorting information (see getSortKeys)
+ * @param {Object} sortingConfig - Sorting configuration (multiple, serverConfig)
+ * @returns {Object} Query params (repeated params are arrays)
+ */
+export const buildSortParams = (sortInfo, sortingConfig = {}) => {
+  const {
+    columnParam,
+    orderParam,
+    orderFormat,
+    orderValues = {},
+    multiSortFormat,
+  } = sortingConfig.serverConfig || {};
+  const sorts = getSortKeys(sortInfo);
+
+  if (sorts.length === 0 || !columnParam) {
+    return {};
+  }
+
+  // Use sortField if available, otherwise fallback to columnKey
+  const keys = (sortingConfig.multiple ? sorts : sorts.slice(0, 1)).map((sort) => ({
+    field: sort.sortField || sort.columnKey,
+    order: orderValues[sort.order] || orderValues.ascend || sort.order,
+  }));
+  // Single param with field and direction (e.g., Liferay ?sort=name:asc)
+  const isCombined = orderFormat === 'field-colon-order';
+  const combinedKeys = keys.map(({ field, order }) => `${field}:${order}`);
+
+  if (!sortingConfig.multiple) {
+    const [{ field, order }] = keys;
+    return isCombined
+      ? { [columnParam]: combinedKeys[0] }
+      : { [columnParam]: field, [orderParam]: order };
+  }
+
+  switch (multiSortFormat) {
+    case MULTI_SORT_FORMATS.JSON:
+      return { [columnParam]: JSON.stringify(keys) };
+
+    case MULTI_SORT_FORMATS.COMMA_LIST:
+      return isCombined
+        ? { [columnParam]: combinedKeys.join(',') }
+        : {
+            [columnParam]: keys.map(({ field }) => field).join(','),
+            [orderParam]: keys.map(({ order }) => order).join(','),
+          };
+
+    default:
+      return isCombined
+        ? { [columnParam]: combinedKeys }
+        : {
+            [columnParam]: keys.map(({ field }) => field),
+            [orderParam]: keys.map(({ order }) => order),
+          };
+  }
+};
+
+export default {
+  getSortKeys,
+  createSortInfo,
+  toggleSortKey,
+  createMultiSortComparator,
+  sortRowsByKeys,
+  getClientSortKeys,
+  buildSortParams,
+};
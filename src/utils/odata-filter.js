@@ -0,0 +1,316 @@
+/**
+ * OData Filter Utility
+ *
+ * Builds and validates OData `filter` expressions for Liferay Headless APIs
+ * from a list of conditions composed in the filter builder.
+ *
+ * Condition shape:
+ *   { id, field, operator, type, valueSource, value }
+ *   - type: 'string' | 'number' | 'boolean' | 'date'
+ *   - valueSource: 'static' (value), 'search' (dynamic search input) or
+ *     'filter' (value is the key set through the element API setFilters)
+ *
+ * Conditions fed by dynamic params are skipped while their value is empty or is not
+ * a valid literal of the condition type (a search of "0 or true" on a number field
+ * must not become part of the expression).
+ *
+ * Typed expressions with placeholders are rendered by renderODataTemplate, which
+ * escapes the dynamic values so they can never change the expression.
+ */
+
+import { renderTemplateString } from './request-template';
+
+/**
+ * Supported OData operators
+ */
+export const ODATA_OPERATORS = [
+  { value: 'eq', label: 'igual a (eq)' },
+  { value: 'ne', label: 'diferente de (ne)' },
+  { value: 'gt', label: 'maior que (gt)' },
+  { value: 'ge', label: 'maior ou igual a (ge)' },
+  { value: 'lt', label: 'menor que (lt)' },
+  { value: 'le', label: 'menor ou igual a (le)' },
+  { value: 'contains', label: 'contém (contains)', types: ['string'] },
+  { value: 'startswith', label: 'começa com (startswith)', types: ['string'] },
+];
+
+/**
+ * Value types supported by the builder
+ */
+export const ODATA_VALUE_TYPES = ['string', 'number', 'boolean', 'date'];
+
+const FUNCTION_OPERATORS = ['contains', 'startswith'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+const PLACEHOLDER_PATTERN = /^\{\{[^{}]+\}\}$/;
+
+/**
+ * Checks a value against the literal syntax of a non-string type
+ */
+const isValidLiteral = (text, type) => {
+  if (type === 'number') return NUMBER_PATTERN.test(text);
+  if (type === 'boolean') return text === 'true' || text === 'false';
+  if (type === 'date') return ISO_DATE_PATTERN.test(text);
+  return true;
+};
+
+/**
+ * Infers the OData value type of a field discovered by parseResponseStructure
+ *
+ * @param {Object} field - { name, type, sampleValue }
+ * @returns {string} 'string' | 'number' | 'boolean' | 'date'
+ */
+export const inferODataType = (field = {}) => {
+  if (field.type === 'number' || field.type === 'boolean') {
+    return field.type;
+  }
+
+  if (typeof field.sampleValue === 'string' && ISO_DATE_PATTERN.test(field.sampleValue)) {
+    return 'date';
+  }
+
+  return 'string';
+};
+
+/**
+ * Resolves the raw value of a condition (static or from dynamic params)
+ */
+const resolveConditionValue = (condition, context = {}) => {
+  if (condition.valueSource === 'search') {
+    return context.search;
+  }
+
+  if (condition.valueSource === 'filter') {
+    return context.filters?.[condition.value];
+  }
+
+  return condition.value;
+};
+
+/**
+ * Formats a value as an OData literal
+ *
+ * @returns {string|null} Literal or null when the value is not valid for the type
+ */
+const formatLiteral = (value, type) => {
+  if (type === 'number' || type === 'boolean' || type === 'date') {
+    const text = String(value).trim();
+    return isValidLiteral(text, type) ? text : null;
+  }
+
+  // Strings are quoted; single quotes are escaped by doubling them
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+/**
+ * Formats a placeholder value of a typed expression
+ * Inside a string literal (odd number of quotes before the placeholder) the quotes of the
+ * value are doubled; elsewhere numbers, booleans and dates are kept and any other value
+ * becomes a quoted string literal.
+ */
+const formatTemplateValue = (expression, text, offset) => {
+  const quotes = (expression.slice(0, offset).match(/'/g) || []).length;
+  if (quotes % 2 === 1) {
+    return text.replace(/'/g, "''");
+  }
+
+  const trimmed = text.trim();
+  if (['number', 'boolean', 'date'].some((type) => isValidLiteral(trimmed, type))) {
+    return trimmed;
+  }
+
+  return formatLiteral(text, 'string');
+};
+
+/**
+ * Renders the placeholders of a typed OData expression with escaped values
+ * (e.g., "contains(name, '{{search}}')" with a search of "it's")
+ *
+ * @param {string} expression - Filter expression with placeholders
+ * @param {Object} context - Placeholder context (see buildTemplateContext)
+ * @returns {string} Rendered expression
+ */
+export const renderODataTemplate = (expression, context = {}) => {
+  return renderTemplateString(expression, context, (text, offset) =>
+    formatTemplateValue(expression, text, offset)
+  );
+};
+
+/**
+ * Builds the expression of a single condition
+ *
+ * @param {Object} condition - Filter condition
+ * @param {Object} context - Placeholder context (search, filters, preview)
+ * @returns {string|null} Expression or null when the condition is incomplete, empty or
+ *   its value is not valid for the type
+ */
+export const buildConditionExpression = (condition, context = {}) => {
+  if (!condition?.field || !condition.operator) {
+    return null;
+  }
+
+  const value = resolveConditionValue(condition, context);
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  // The preview shows dynamic values as their placeholders
+  const literal =
+    context.preview && condition.type !== 'string' && PLACEHOLDER_PATTERN.test(value)
+      ? value
+      : formatLiteral(value, condition.type);
+  if (literal === null) {
+    return null;
+  }
+
+  if (FUNCTION_OPERATORS.includes(condition.operator)) {
+    return `${condition.operator}(${condition.field}, ${literal})`;
+  }
+
+  return `${condition.field} ${condition.operator} ${literal}`;
+};
+
+/**
+ * Builds the OData filter expression from conditions
+ *
+ * @param {Array} conditions - Filter conditions
+ * @param {string} join - 'and' | 'or'
+ * @param {Object} context - Placeholder context (search, filters)
+ * @returns {string} Filter expression (empty when there is nothing to filter)
+ */
+export const buildODataFilter = (conditions = [], join = 'and', context = {}) => {
+  const expressions = conditions
+    .map((condition) => buildConditionExpression(condition, context))
+    .filter(Boolean);
+
+  if (expressions.length <= 1 || join !== 'or') {
+    return expressions.join(' and ');
+  }
+
+  // Wrap "or" groups so they can be combined with other expressions safely
+  return `(${expressions.join(' or ')})`;
+};
+
+/**
+ * Builds a preview of the expression using placeholders for dynamic values
+ *
+ * @param {Array} conditions - Filter conditions
+ * @param {string} join - 'and' | 'or'
+ * @returns {string} Filter expression preview
+ */
+export const previewODataFilter = (conditions = [], join = 'and') => {
+  const previewContext = { search: '{{search}}', filters: {}, preview: true };
+  conditions.forEach((condition) => {
+    if (condition.valueSource === 'filter' && condition.value) {
+      previewContext.filters[condition.value] = `{{filters.${condition.value}}}`;
+    }
+  });
+
+  return buildODataFilter(conditions, join, previewContext);
+};
+
+/**
+ * Validates filter conditions
+ *
+ * @param {Array} conditions - Filter conditions
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export const validateFilterConditions = (conditions = []) => {
+  const errors = [];
+  const operators = ODATA_OPERATORS.map((operator) => operator.value);
+
+  conditions.forEach((condition, index) => {
+    const label = `Condição ${index + 1}`;
+
+    if (!condition.field || !/^[A-Za-z_][\w/.]*$/.test(condition.field)) {
+      errors.push(`${label}: informe um campo válido`);
+    }
+
+    if (!operators.includes(condition.operator)) {
+      errors.push(`${label}: operador inválido`);
+    } else if (FUNCTION_OPERATORS.includes(condition.operator) && condition.type !== 'string') {
+      errors.push(`${label}: "${condition.operator}" só pode ser usado com texto`);
+    }
+
+    if (condition.valueSource === 'filter' && !condition.value) {
+      errors.push(`${label}: informe o nome do filtro externo`);
+    }
+
+    if (condition.valueSource === 'static' || !condition.valueSource) {
+      const value = condition.value === undefined ? '' : String(condition.value).trim();
+
+      if (!value) {
+        errors.push(`${label}: informe um valor`);
+      } else if (condition.type === 'number' && !isValidLiteral(value, 'number')) {
+        errors.push(`${label}: o valor deve ser numérico`);
+      } else if (condition.type === 'boolean' && !isValidLiteral(value, 'boolean')) {
+        errors.push(`${label}: o valor deve ser true ou false`);
+      } else if (condition.type === 'date' && !isValidLiteral(value, 'date')) {
+        errors.push(`${label}: use uma data ISO (ex.: 2024-01-31T00:00:00Z)`);
+      }
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Performs a basic syntax check of an OData expression
+ * (balanced parentheses and quotes)
+ *
+ * @param {string} expression - Filter expression
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export const validateODataExpression = (expression) => {
+  if (!expression || !expression.trim()) {
+    return { valid: true };
+  }
+
+  let depth = 0;
+  let inString = false;
+
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+
+    if (char === "'") {
+      // '' inside a string is an escaped quote
+      if (inString && expression[i + 1] === "'") {
+        i += 1;
+      } else {
+        inString = !inString;
+      }
+    } else if (!inString && char === '(') {
+      depth += 1;
+    } else if (!inString && char === ')') {
+      depth -= 1;
+      if (depth < 0) {
+        return { valid: false, error: 'Parêntese fechado sem abertura correspondente' };
+      }
+    }
+  }
+
+  if (inString) {
+    return { valid: false, error: 'Aspas simples não foram fechadas' };
+  }
+
+  if (depth !== 0) {
+    return { valid: false, error: 'Parênteses não balanceados' };
+  }
+
+  return { valid: true };
+};
+
+export default {
+  ODATA_OPERATORS,
+  ODATA_VALUE_TYPES,
+  inferODataType,
+  buildConditionExpression,
+  buildODataFilter,
+  previewODataFilter,
+  renderODataTemplate,
+  validateFilterConditions,
+  validateODataExpression,
+};
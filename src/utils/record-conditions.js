@@ -0,0 +1,92 @@
+/**
+ * Record Conditions Utility
+ *
+ * Evaluates conditions on the values of a row, used to show or enable row actions.
+ * A condition is { field, operator, value }; a list of conditions matches when all
+ * of them match (an empty list always matches).
+ *
+ * Values are compared as text ("true" matches the boolean true), except greater-than
+ * and less-than, which compare numbers (or dates, when both values are dates).
+ */
+
+import { CONDITION_OPERATORS } from '../core/models/configuration.types';
+import { getRowValue } from './row-fields';
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Converts a value to a comparable number (numbers, numeric text or dates)
+ */
+const toComparable = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (text === '') return NaN;
+
+  const number = Number(text);
+  if (!isNaN(number)) return number;
+  return new Date(text).getTime();
+};
+
+/**
+ * Splits the value of an in/not-in condition
+ */
+const toValueList = (value) =>
+  String(value ?? '')
+    .split(',')
+    .map((item) => item.trim());
+
+/**
+ * Checks a single condition against a row
+ *
+ * @param {Object} record - Data row
+ * @param {Object} condition - { field, operator, value }
+ * @returns {boolean} True when the row matches
+ */
+export const matchesCondition = (record, condition) => {
+  if (!condition?.field) {
+    return true;
+  }
+
+  const fieldValue = getRowValue(record, condition.field);
+  const text = isEmpty(fieldValue) ? '' : String(fieldValue);
+
+  switch (condition.operator) {
+    case CONDITION_OPERATORS.NOT_EQUALS:
+      return text !== String(condition.value ?? '');
+    case CONDITION_OPERATORS.IN:
+      return toValueList(condition.value).includes(text);
+    case CONDITION_OPERATORS.NOT_IN:
+      return !toValueList(condition.value).includes(text);
+    case CONDITION_OPERATORS.GREATER_THAN:
+      return toComparable(fieldValue) > toComparable(condition.value);
+    case CONDITION_OPERATORS.LESS_THAN:
+      return toComparable(fieldValue) < toComparable(condition.value);
+    case CONDITION_OPERATORS.EMPTY:
+      return isEmpty(fieldValue);
+    case CONDITION_OPERATORS.NOT_EMPTY:
+      return !isEmpty(fieldValue);
+    case CONDITION_OPERATORS.EQUALS:
+    default:
+      return text === String(condition.value ?? '');
+  }
+};
+
+/**
+ * Checks a list of conditions against a row (all must match)
+ *
+ * @param {Object} record - Data row
+ * @param {Array<Object>} conditions - Conditions ({ field, operator, value })
+ * @returns {boolean} True when the row matches every condition
+ */
+export const matchesConditions = (record, conditions = []) => {
+  return (conditions || []).every((condition) => matchesCondition(record, condition));
+};
+
+export default {
+  matchesCondition,
+  matchesConditions,
+};
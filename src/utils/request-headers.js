@@ -0,0 +1,188 @@
+/**
+ * Request Headers Utility
+ *
+ * Builds, validates, imports and exports the custom headers sent with every
+ * API request. Header values accept the runtime placeholders of the request
+ * templates ({{page}}, {{search}}, {{filters.<name>}}, {{liferay.userId}}...).
+ *
+ * Header shape: { key, value, enabled }
+ */
+
+import { renderTemplateString } from './request-template';
+
+// RFC 7230 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Headers controlled by the browser (silently dropped when set by scripts)
+const FORBIDDEN_HEADERS = [
+  'accept-charset',
+  'accept-encoding',
+  'access-control-request-headers',
+  'access-control-request-method',
+  'connection',
+  'content-length',
+  'cookie',
+  'date',
+  'dnt',
+  'expect',
+  'host',
+  'keep-alive',
+  'origin',
+  'referer',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'via',
+];
+
+/**
+ * Checks whether a header is controlled by the browser
+ *
+ * @param {string} name - Header name
+ * @returns {boolean} True when the browser does not allow setting it
+ */
+export const isForbiddenHeader = (name = '') => {
+  const lower = name.trim().toLowerCase();
+  return (
+    FORBIDDEN_HEADERS.includes(lower) || lower.startsWith('proxy-') || lower.startsWith('sec-')
+  );
+};
+
+/**
+ * Builds the headers object of a request
+ * Disabled, invalid or browser-controlled headers and values that render empty are skipped.
+ * Names are case-insensitive: the last duplicate wins.
+ *
+ * @param {Array} headers - Configured headers
+ * @param {Object} context - Placeholder context (see buildTemplateContext)
+ * @returns {Object} Headers object
+ */
+export const buildRequestHeaders = (headers = [], context = {}) => {
+  return headers.reduce((result, header) => {
+    const name = header.key?.trim();
+    if (
+      header.enabled === false ||
+      !name ||
+      !HEADER_NAME_PATTERN.test(name) ||
+      isForbiddenHeader(name)
+    ) {
+      return result;
+    }
+
+    const value = renderTemplateString(String(header.value ?? ''), context)
+      .replace(/[\r\n]+/g, ' ')
+      .trim();
+
+    Object.keys(result)
+      .filter((existing) => existing.toLowerCase() === name.toLowerCase())
+      .forEach((existing) => delete result[existing]);
+
+    if (value) {
+      result[name] = value;
+    }
+
+    return result;
+  }, {});
+};
+
+/**
+ * Validates configured headers
+ *
+ * @param {Array} headers - Configured headers
+ * @returns {Object} { valid: boolean, errors: string[], warnings: string[] }
+ */
+export const validateHeaders = (headers = []) => {
+  const errors = [];
+  const warnings = [];
+  const seen = new Set();
+
+  headers.forEach((header, index) => {
+    const name = header.key?.trim() || '';
+
+    if (!name) {
+      warnings.push(`Header no índice ${index} tem nome vazio e será ignorado`);
+      return;
+    }
+
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      errors.push(`Nome de header inválido: "${name}"`);
+    } else if (isForbiddenHeader(name)) {
+      warnings.push(`O header "${name}" é controlado pelo navegador e não será enviado`);
+    }
+
+    if (/[\r\n]/.test(String(header.value ?? ''))) {
+      errors.push(`O valor do header "${name}" não pode conter quebras de linha`);
+    }
+
+    if (header.enabled !== false) {
+      const lower = name.toLowerCase();
+      if (seen.has(lower)) {
+        warnings.push(`Header duplicado: "${name}" (o último valor será usado)`);
+      }
+      seen.add(lower);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Exports headers as text (one "Name: value" per line, disabled ones commented with #)
+ *
+ * @param {Array} headers - Configured headers
+ * @returns {string} Headers text
+ */
+export const toHeadersText = (headers = []) => {
+  return headers
+    .filter((header) => header.key)
+    .map((header) => `${header.enabled === false ? '# ' : ''}${header.key}: ${header.value ?? ''}`)
+    .join('\n');
+};
+
+/**
+ * Imports headers from text ("Name: value" per line, # disables the header)
+ *
+ * @param {string} text - Headers text (e.g., copied from DevTools or curl -H)
+ * @returns {Object} { headers: Array, errors: string[] }
+ */
+export const parseHeadersText = (text = '') => {
+  const headers = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    let line = rawLine.trim();
+    if (!line) return;
+
+    const enabled = !line.startsWith('#');
+    if (!enabled) {
+      line = line.replace(/^#\s*/, '');
+    }
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      errors.push(`Linha ${index + 1}: use o formato Nome: valor`);
+      return;
+    }
+
+    headers.push({
+      key: line.slice(0, separator).trim(),
+      value: line.slice(separator + 1).trim(),
+      enabled,
+    });
+  });
+
+  return { headers, errors };
+};
+
+export default {
+  isForbiddenHeader,
+  buildRequestHeaders,
+  validateHeaders,
+  toHeadersText,
+  parseHeadersText,
+};
@@ -0,0 +1,232 @@
+/**
+ * Request Template Utility
+ *
+ * Renders request body templates (POST/PUT JSON bodies and GraphQL variables)
+ * with runtime placeholders:
+ *   {{page}}, {{pageSize}}, {{offset}}, {{cursor}}, {{sort.field}}, {{sort.order}},
+ *   {{search}}, {{filters.<name>}}
+ * plus the runtime context (see runtime-context.js):
+ *   {{liferay.userId}}, {{liferay.siteId}}, {{liferay.locale}}, {{page.query.<param>}},
+ *   {{element.data-<name>}}
+ * and the current date: {{now}} (ISO) or {{now:yyyy-MM-dd}} (date-fns format).
+ *
+ * A string that is exactly one placeholder ("{{page}}") is replaced by the raw
+ * value, keeping its type (number, null...). Placeholders inside longer strings
+ * are replaced by their text representation.
+ */
+
+import { format } from 'date-fns';
+import { getPathValue } from './row-fields';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_.-]+)(?::([^}]*?))?\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([a-zA-Z0-9_.-]+)(?::([^}]*?))?\s*\}\}$/;
+
+/**
+ * Resolves a placeholder path with its optional format
+ * {{page}} is the requested page number while {{page.<key>}} reads the host page
+ * (query params and path), and {{now:<format>}} formats the current date.
+ */
+const resolvePlaceholder = (context, path, dateFormat) => {
+  if (path === 'now') {
+    const now = new Date();
+    if (!dateFormat) {
+      return now.toISOString();
+    }
+
+    try {
+      return format(now, dateFormat.trim());
+    } catch (error) {
+      console.error('Erro ao formatar a data do placeholder now:', error);
+      return null;
+    }
+  }
+
+  if (path.startsWith('page.')) {
+    return getPathValue(context.hostPage, path.slice('page.'.length));
+  }
+
+  return getPathValue(context, path);
+};
+
+/**
+ * Builds the placeholder context for a request
+ *
+ * @param {Object} options
+ * @param {number} options.page - Current page (1-based)
+ * @param {number} options.pageSize - Page size
+ * @param {string} options.cursor - Cursor of the requested page (cursor pagination)
+ * @param {Object} options.sortInfo - Sorting information (columnKey, sortField, order)
+ * @param {Object} options.sortingConfig - Sorting configuration (orderValues)
+ * @param {Object} options.dynamicParams - Dynamic params configuration (searchInput)
+ * @param {Object} options.filterParams - Runtime filters
+ * @param {Object} options.runtimeContext - Liferay, host page and element values (see buildRuntimeContext)
+ * @returns {Object} Placeholder context
+ */
+export const buildTemplateContext = ({
+  page = 1,
+  pageSize = 20,
+  cursor = null,
+  sortInfo = null,
+  sortingConfig = null,
+  dynamicParams = {},
+  filterParams = {},
+  runtimeContext = {},
+} = {}) => {
+  const hasSort = Boolean(sortInfo?.columnKey && sortInfo?.order);
+  const orderValues = sortingConfig?.serverConfig?.orderValues || {};
+
+  return {
+    ...runtimeContext,
+    page,
+    pageSize,
+    offset: (page - 1) * pageSize,
+    cursor,
+    sort: {
+      field: hasSort ? sortInfo.sortField || sortInfo.columnKey : null,
+      order: hasSort ? orderValues[sortInfo.order] || sortInfo.order : null,
+    },
+    search: dynamicParams?.searchInput?.enabled
+      ? (dynamicParams.searchInput.currentValue || '').trim()
+      : '',
+    filters: filterParams || {},
+  };
+};
+
+/**
+ * Replaces placeholders inside a single string value
+ */
+const renderString = (value, context) => {
+  const single = value.match(SINGLE_PLACEHOLDER_PATTERN);
+  if (single) {
+    const resolved = resolvePlaceholder(context, single[1], single[2]);
+    return resolved === undefined ? null : resolved;
+  }
+
+  return value.replace(PLACEHOLDER_PATTERN, (match, path, dateFormat) => {
+    const resolved = resolvePlaceholder(context, path, dateFormat);
+    return resolved === undefined || resolved === null ? '' : String(resolved);
+  });
+};
+
+/**
+ * Renders placeholders inside a plain string (e.g., a query param value)
+ *
+ * @param {string} template - Text with placeholders
+ * @param {Object} context - Placeholder context (see buildTemplateContext)
+ * @param {Function} formatValue - Optional (text, offset) => string applied to each value,
+ *   offset being the position of the placeholder in the template (e.g., to escape it)
+ * @returns {string} Rendered text
+ */
+export const renderTemplateString = (template, context = {}, formatValue = null) => {
+  if (typeof template !== 'string') {
+    return template;
+  }
+
+  return template.replace(PLACEHOLDER_PATTERN, (match, path, dateFormat, offset) => {
+    const resolved = resolvePlaceholder(context, path, dateFormat);
+    const text = resolved === undefined || resolved === null ? '' : String(resolved);
+    return formatValue ? formatValue(text, offset) : text;
+  });
+};
+
+/**
+ * Renders the placeholders of key/value params (URL path variables, default query params)
+ *
+ * @param {Array} params - Array of { key, value } objects
+ * @param {Object} context - Placeholder context (see buildTemplateContext)
+ * @returns {Array} Params with rendered values
+ */
+export const renderParamValues = (params = [], context = {}) => {
+  return params.map((param) => ({
+    ...param,
+    value: renderTemplateString(param.value, context),
+  }));
+};
+
+/**
+ * Walks a parsed template replacing placeholders in every string
+ */
+const renderValue = (value, context) => {
+  if (typeof value === 'string') {
+    return renderString(value, context);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderValue(item, context));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = renderValue(value[key], context);
+      return result;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Renders a JSON template with placeholders
+ *
+ * @param {string} template - JSON template (e.g., '{"page": "{{page}}"}')
+ * @param {Object} context - Placeholder context (see buildTemplateContext)
+ * @returns {Object|undefined} Rendered body, undefined for an empty template
+ * @throws {Error} If the template is not valid JSON
+ */
+export const renderJsonTemplate = (template, context = {}) => {
+  if (!template || !template.trim()) {
+    return undefined;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(template);
+  } catch (error) {
+    throw new Error(`Template do corpo da requisição inválido: ${error.message}`);
+  }
+
+  return renderValue(parsed, context);
+};
+
+/**
+ * Builds the body of a GraphQL request
+ *
+ * @param {string} query - GraphQL query
+ * @param {string} variablesTemplate - JSON template for variables
+ * @param {Object} context - Placeholder context
+ * @returns {Object} { query, variables }
+ */
+export const buildGraphqlBody = (query, variablesTemplate, context = {}) => {
+  return {
+    query,
+    variables: renderJsonTemplate(variablesTemplate, context) || {},
+  };
+};
+
+/**
+ * Validates a JSON template
+ *
+ * @param {string} template - JSON template
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export const validateJsonTemplate = (template) => {
+  if (!template || !template.trim()) {
+    return { valid: true };
+  }
+
+  try {
+    JSON.parse(template);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: `JSON inválido: ${error.message}` };
+  }
+};
+
+export default {
+  buildTemplateContext,
+  renderJsonTemplate,
+  renderTemplateString,
+  renderParamValues,
+  buildGraphqlBody,
+  validateJsonTemplate,
+};
@@ -0,0 +1,271 @@
+/**
+ * Response Format Utility
+ *
+ * Parses API responses that are not JSON into row objects:
+ *   CSV    - the first line holds the column names, used as the row keys
+ *   NDJSON - one JSON object per line (newline-delimited JSON)
+ *   XML    - the row elements are found by an element path (e.g., "catalog/book");
+ *            child elements and attributes become the row keys
+ *
+ * Non-JSON bodies are requested as text, so the raw body is what gets cached.
+ */
+
+import { RESPONSE_FORMATS } from '../core/models/configuration.types';
+
+// Accept header sent for each format (custom headers still take precedence)
+const ACCEPT_HEADERS = {
+  [RESPONSE_FORMATS.CSV]: 'text/csv, text/plain;q=0.9, */*;q=0.8',
+  [RESPONSE_FORMATS.NDJSON]: 'application/x-ndjson, application/jsonl;q=0.9, */*;q=0.8',
+  [RESPONSE_FORMATS.XML]: 'application/xml, text/xml;q=0.9, */*;q=0.8',
+};
+
+/**
+ * Checks whether a format is parsed from a text body (anything but JSON)
+ *
+ * @param {Object} responseFormat - Response format configuration ({ type, csvDelimiter, xmlRowPath })
+ * @returns {boolean} True for CSV, NDJSON and XML
+ */
+export const isTextResponseFormat = (responseFormat) =>
+  Boolean(responseFormat?.type) && responseFormat.type !== RESPONSE_FORMATS.JSON;
+
+/**
+ * Builds the request options of a response format
+ *
+ * @param {Object} responseFormat - Response format configuration
+ * @returns {Object} { responseType, headers } - Axios response type and Accept header
+ */
+export const getResponseFormatRequestOptions = (responseFormat) => {
+  if (!isTextResponseFormat(responseFormat)) {
+    return { responseType: undefined, headers: {} };
+  }
+
+  return {
+    responseType: 'text',
+    headers: { Accept: ACCEPT_HEADERS[responseFormat.type] },
+  };
+};
+
+/**
+ * Parses a CSV document (RFC 4180: quoted fields, escaped quotes and line breaks inside quotes)
+ *
+ * @param {string} text - CSV document
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Rows keyed by the header line
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  // Skip the byte order mark some tools add to CSV exports
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV inválido: campo entre aspas não foi fechado');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are ignored
+  const [header, ...lines] = records.filter(
+    (values) => values.length > 1 || values[0].trim() !== ''
+  );
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map((name, index) => name.trim() || `coluna${index + 1}`);
+
+  return lines.map((values) =>
+    keys.reduce((row, key, index) => {
+      row[key] = values[index] ?? '';
+      return row;
+    }, {})
+  );
+};
+
+/**
+ * Parses a newline-delimited JSON document
+ *
+ * @param {string} text - NDJSON document
+ * @returns {Array<Object>} One row per non-blank line
+ */
+export const parseNdjson = (text) => {
+  return text.split(/\r?\n/).reduce((rows, line, index) => {
+    if (line.trim() === '') {
+      return rows;
+    }
+
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`NDJSON inválido na linha ${index + 1}: ${error.message}`);
+    }
+    return rows;
+  }, []);
+};
+
+/**
+ * Element name without namespace prefix
+ */
+const getElementName = (element) => element.localName || element.nodeName;
+
+/**
+ * Child elements of an element (text and comments are skipped)
+ */
+const getChildElements = (element) => Array.from(element.children || []);
+
+/**
+ * Converts an XML element into a plain value
+ * Elements with only text become strings; the others become objects keyed by their
+ * attributes and child elements (repeated children become arrays, text goes to "#text").
+ */
+const elementToValue = (element) => {
+  const children = getChildElements(element);
+  const attributes = Array.from(element.attributes || []);
+  const text = element.textContent.trim();
+
+  if (children.length === 0 && attributes.length === 0) {
+    return text;
+  }
+
+  const value = {};
+  attributes.forEach((attribute) => {
+    value[attribute.name] = attribute.value;
+  });
+
+  // Child elements take precedence over attributes with the same name
+  const childNames = new Set();
+  children.forEach((child) => {
+    const name = getElementName(child);
+    const childValue = elementToValue(child);
+
+    if (!childNames.has(name)) {
+      childNames.add(name);
+      value[name] = childValue;
+    } else if (Array.isArray(value[name])) {
+      value[name].push(childValue);
+    } else {
+      value[name] = [value[name], childValue];
+    }
+  });
+
+  if (children.length === 0 && text) {
+    value['#text'] = text;
+  }
+
+  return value;
+};
+
+/**
+ * Parses an XML document into rows
+ *
+ * @param {string} text - XML document
+ * @param {string} rowPath - Element path of the rows separated by "/" (e.g., "catalog/book");
+ *   may start with the root element. Empty means the children of the root element.
+ * @returns {Array<Object>} One row per matching element
+ */
+export const parseXml = (text, rowPath = '') => {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('Leitura de XML não suportada neste ambiente');
+  }
+
+  const xmlDocument = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = xmlDocument.getElementsByTagName('parsererror')[0];
+  if (parserError) {
+    throw new Error(`XML inválido: ${parserError.textContent.trim().split('\n')[0]}`);
+  }
+
+  const root = xmlDocument.documentElement;
+  const segments = rowPath
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  if (segments[0] === getElementName(root)) {
+    segments.shift();
+  }
+
+  const rowElements =
+    segments.length === 0
+      ? getChildElements(root)
+      : segments.reduce(
+          (elements, name) =>
+            elements.flatMap((element) =>
+              getChildElements(element).filter((child) => getElementName(child) === name)
+            ),
+          [root]
+        );
+
+  return rowElements.map((element) => {
+    const value = elementToValue(element);
+    return typeof value === 'string' ? { '#text': value } : value;
+  });
+};
+
+/**
+ * Parses a response body according to the configured format
+ * JSON bodies (already parsed by axios) are returned unchanged.
+ *
+ * @param {*} body - Response body
+ * @param {Object} responseFormat - Response format configuration ({ type, csvDelimiter, xmlRowPath })
+ * @returns {*} Parsed body (an array of rows for CSV, NDJSON and XML)
+ */
+export const parseResponseBody = (body, responseFormat) => {
+  if (!isTextResponseFormat(responseFormat) || typeof body !== 'string') {
+    return body;
+  }
+
+  switch (responseFormat.type) {
+    case RESPONSE_FORMATS.CSV:
+      return parseCsv(body, responseFormat.csvDelimiter || ',');
+    case RESPONSE_FORMATS.NDJSON:
+      return parseNdjson(body);
+    case RESPONSE_FORMATS.XML:
+      return parseXml(body, responseFormat.xmlRowPath || '');
+    default:
+      return body;
+  }
+};
+
+export default {
+  isTextResponseFormat,
+  getResponseFormatRequestOptions,
+  parseCsv,
+  parseNdjson,
+  parseXml,
+  parseResponseBody,
+};
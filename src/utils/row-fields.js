@@ -0,0 +1,62 @@
+/**
+ * Row Fields Utility
+ *
+ * Reads and flattens the fields of table rows. Lookup sources copy the fields of the
+ * joined record to flat "name.field" keys (row['autor.name']), so a column dataIndex can
+ * name either a flat key or a nested path (row.autor.name). Plain dot paths (response data
+ * paths, template placeholders) are read with getPathValue.
+ */
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Copies the fields of a record to "prefix.field" keys (nested objects included)
+ *
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Key prefix (e.g., the lookup name)
+ * @param {Object} target - Object receiving the keys
+ * @returns {Object} The target object
+ */
+export const flattenRecord = (record, prefix, target = {}) => {
+  Object.entries(record).forEach(([field, value]) => {
+    const key = `${prefix}.${field}`;
+    if (isPlainObject(value)) {
+      flattenRecord(value, key, target);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+/**
+ * Reads a dot path of an object (e.g., "data.items")
+ *
+ * @param {*} obj - Object to read
+ * @param {string} path - Dot path; empty returns the object itself
+ * @returns {any} Value at the path (undefined when missing)
+ */
+export const getPathValue = (obj, path) => {
+  if (!path) return obj;
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+};
+
+/**
+ * Reads a field of a row: the flat key first, then the dot path
+ *
+ * @param {Object} row - Table row
+ * @param {string} field - Field name or dot path (e.g., "autor.name")
+ * @returns {any} Field value (undefined when missing)
+ */
+export const getRowValue = (row, field) => {
+  if (!row || !field) return undefined;
+  if (field in row) return row[field];
+  return getPathValue(row, field);
+};
+
+export default {
+  flattenRecord,
+  getPathValue,
+  getRowValue,
+};
@@ -0,0 +1,104 @@
+/**
+ * Runtime Context Utility
+ *
+ * Collects the values resolved at request time by the request placeholders:
+ *   {{liferay.userId}}, {{liferay.siteId}}, {{liferay.locale}}... (Liferay.ThemeDisplay)
+ *   {{page.query.<param>}}, {{page.path}} (URL of the host page)
+ *   {{element.data-<name>}} (data attributes of the <dxp-datatable> element)
+ *
+ * This lets a single configuration serve every user and site
+ * (e.g., a "my orders" table filtered by {{liferay.userId}}).
+ *
+ * Outside a Liferay page the liferay values are left empty instead of falling back to
+ * the development defaults of liferay-config.js, so requests never carry fake ids.
+ */
+
+/**
+ * Liferay values exposed to placeholders and their Liferay.ThemeDisplay getters
+ * (the auth token is deliberately left out)
+ */
+const LIFERAY_GETTERS = {
+  userId: 'getUserId',
+  userName: 'getUserName',
+  companyId: 'getCompanyId',
+  groupId: 'getScopeGroupId',
+  siteId: 'getSiteGroupId',
+  locale: 'getLanguageId',
+  isSignedIn: 'isSignedIn',
+};
+
+/**
+ * Reads the Liferay values of the current page from Liferay.ThemeDisplay
+ *
+ * @returns {Object} Values by key (undefined when not running inside Liferay)
+ */
+const getLiferayContext = () => {
+  const themeDisplay = typeof window !== 'undefined' ? window.Liferay?.ThemeDisplay : undefined;
+
+  return Object.entries(LIFERAY_GETTERS).reduce((result, [key, getter]) => {
+    result[key] = typeof themeDisplay?.[getter] === 'function' ? themeDisplay[getter]() : undefined;
+    return result;
+  }, {});
+};
+
+/**
+ * Reads the query string and path of the host page
+ * Repeated query params keep their first value.
+ *
+ * @returns {Object} { query, path, hash }
+ */
+const getHostPageContext = () => {
+  if (typeof window === 'undefined' || !window.location) {
+    return { query: {}, path: '', hash: '' };
+  }
+
+  const query = {};
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    if (!(key in query)) {
+      query[key] = value;
+    }
+  });
+
+  return {
+    query,
+    path: window.location.pathname,
+    hash: window.location.hash.replace(/^#/, ''),
+  };
+};
+
+/**
+ * Reads the data-* attributes of the host element keeping their attribute names
+ *
+ * @param {HTMLElement} element - Host custom element
+ * @returns {Object} Map of attribute name (e.g., "data-foo") to value
+ */
+const getElementContext = (element) => {
+  if (!element?.attributes) {
+    return {};
+  }
+
+  return Array.from(element.attributes).reduce((result, attribute) => {
+    if (attribute.name.startsWith('data-')) {
+      result[attribute.name] = attribute.value;
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Builds the runtime context of a request
+ *
+ * @param {HTMLElement} [element] - Host custom element (omitted in the wizard preview)
+ * @returns {Object} { liferay, hostPage, element }
+ */
+export const buildRuntimeContext = (element = null) => {
+  return {
+    liferay: getLiferayContext(),
+    hostPage: getHostPageContext(),
+    element: getElementContext(element),
+  };
+};
+
+export default {
+  buildRuntimeContext,
+};
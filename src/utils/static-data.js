@@ -0,0 +1,95 @@
+/**
+ * Static Data Utility
+ *
+ * Reads the rows of "static data" configurations: JSON or CSV pasted in the wizard
+ * or uploaded from a file, stored inside the configuration. There is no request,
+ * so search and filters are applied to the rows here; sorting uses sortRowsByKeys
+ * (multi-sort.js).
+ *
+ * Static data shape: { format, content, fileName, csvDelimiter }
+ */
+
+import { parseCsv } from './response-format';
+import { getRowValue } from './row-fields';
+
+/**
+ * Parses the stored content into rows
+ * A single JSON object becomes one row.
+ *
+ * @param {Object} staticData - Static data configuration
+ * @returns {Array<Object>} Rows (empty when there is no content)
+ * @throws {Error} When the content is not valid JSON/CSV or JSON items are not objects
+ */
+export const parseStaticData = (staticData = {}) => {
+  const content = staticData.content || '';
+  if (!content.trim()) {
+    return [];
+  }
+
+  if (staticData.format === 'csv') {
+    return parseCsv(content, staticData.csvDelimiter || ',');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`JSON inválido: ${error.message}`);
+  }
+
+  const rows = Array.isArray(parsed) ? parsed : [parsed];
+  if (rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error('Os dados JSON devem ser uma lista de objetos');
+  }
+
+  return rows;
+};
+
+/**
+ * Keeps the rows with a top-level value containing the search term (case-insensitive)
+ *
+ * @param {Array<Object>} rows - Rows to search
+ * @param {string} term - Search term
+ * @returns {Array<Object>} Matching rows
+ */
+export const searchRows = (rows, term = '') => {
+  const normalizedTerm = term.trim().toLowerCase();
+  if (!normalizedTerm) {
+    return rows;
+  }
+
+  return rows.filter((row) =>
+    Object.values(row).some(
+      (value) =>
+        value !== null &&
+        typeof value !== 'object' &&
+        String(value).toLowerCase().includes(normalizedTerm)
+    )
+  );
+};
+
+/**
+ * Keeps the rows whose fields equal the filter values (e.g., set through the element API)
+ *
+ * @param {Array<Object>} rows - Rows to filter
+ * @param {Object} filters - Map of field path (dot notation) to expected value
+ * @returns {Array<Object>} Matching rows
+ */
+export const filterRows = (rows, filters = {}) => {
+  const activeFilters = Object.entries(filters).filter(
+    ([, value]) => value !== undefined && value !== null && value !== ''
+  );
+  if (activeFilters.length === 0) {
+    return rows;
+  }
+
+  return rows.filter((row) =>
+    activeFilters.every(([field, value]) => String(getRowValue(row, field)) === String(value))
+  );
+};
+
+export default {
+  parseStaticData,
+  searchRows,
+  filterRows,
+};